@@ -7,7 +7,7 @@ const fs = require('fs');
 const path = require('path');
 const { slackApp, publishAppHomeForUser } = require('./appHome');
 const { getEnvironmentCommand } = require('./commandUtils');
-const { setCurrentSprintRolesFromAdmin } = require('./triageLogic');
+const { setCurrentSprintRolesFromAdmin, applyCurrentSprintShadowChange } = require('./triageLogic');
 const cache = require('./cache/redisClient');
 const { UsersRepository } = require('./db/repository');
 const { 
@@ -19,16 +19,47 @@ const {
   findNextSprint,
   loadJSON,
   saveJSON,
-  upsertSprint
+  upsertSprint,
+  readHolidays,
+  saveHolidays,
+  removeHoliday,
+  readSprintCadence,
+  previewGeneratedSprints,
+  commitGeneratedSprints,
+  saveAfterHoursRotation,
+  getSprintUsers,
+  saveShadowAssignment,
+  removeShadowAssignment
 } = require('./dataUtils');
+const { loadRoles, getRoleKeys, getRoleLabel, setRoleLeads } = require('./services/roles');
+const { findRoleConflicts, findOtherRole } = require('./services/roleConflicts');
+const { isHolidayAction, parseIcsHolidays } = require('./services/holidays');
+const { validateCadence, digestSprints } = require('./services/sprintCadence');
+const { validateApiTokenName, createApiToken, revokeApiToken } = require('./services/apiTokens');
+const { loadFairnessReport, toFairnessCsv } = require('./services/fairnessReport');
+const { validateAfterHours } = require('./services/afterHours');
+const { runAfterHoursCheck } = require('./services/afterHoursRotation');
 
 const {
-  DISCIPLINE_OPTIONS,
+  getDisciplineOptions,
   getDisciplinesSourceFile,
   buildConfirm,
   buildAdminDisciplinesModalView,
+  buildAdminAddMemberModalView,
+  buildAdminRosterChangeReviewModalView,
   buildAdminSprintsModalView,
-  buildAdminUsersModalView
+  buildAdminSprintCadenceModalView,
+  buildAdminSprintPreviewModalView,
+  buildAdminUsersModalView,
+  buildAdminHolidaysModalView,
+  buildAdminAddHolidayModalView,
+  buildAdminImportHolidaysModalView,
+  buildAdminApiTokensModalView,
+  buildAdminCreateApiTokenModalView,
+  buildAdminApiTokenCreatedModalView,
+  buildAdminFairnessModalView,
+  buildAdminShadowsModalView,
+  buildAdminAddShadowModalView
 } = require('./services/adminViews');
 
 
@@ -379,6 +410,112 @@ slackApp.view('admin_sprints_edit_modal', async ({ ack, body, view, client, logg
   }
 });
 
+/**
+ * admin_sprints_generate: open the cadence form (views.push)
+ */
+slackApp.action('admin_sprints_generate', async ({ ack, body, client, logger, action }) => {
+  await ack();
+  try {
+    const payload = JSON.parse(action.value || '{}');
+    const cadence = await readSprintCadence();
+    const view = buildAdminSprintCadenceModalView({
+      cadence,
+      parentViewId: body.view.id,
+      page: Number(payload.page) || 0,
+      pageSize: Number(payload.pageSize) || 12
+    });
+    await client.views.push({ trigger_id: body.trigger_id, view });
+  } catch (error) {
+    logger?.error?.('[admin_sprints_generate] failed', error);
+  }
+});
+
+const CADENCE_ERROR_BLOCKS = {
+  anchorDate: 'cadence_anchor',
+  lengthDays: 'cadence_length',
+  namePattern: 'cadence_name',
+  fiscalYearStart: 'cadence_fiscal_start',
+  runwayMonths: 'cadence_runway'
+};
+
+/**
+ * admin_sprints_cadence_modal submission: replace the form with the preview
+ */
+slackApp.view('admin_sprints_cadence_modal', async ({ ack, view, logger }) => {
+  const values = view.state.values || {};
+  const cadence = {
+    anchorDate: values.cadence_anchor?.cadence_anchor_input?.selected_date || null,
+    lengthDays: Number(values.cadence_length?.cadence_length_input?.value),
+    namePattern: values.cadence_name?.cadence_name_input?.value || '',
+    fiscalYearStart: values.cadence_fiscal_start?.cadence_fiscal_start_input?.value || '',
+    runwayMonths: Number(values.cadence_runway?.cadence_runway_input?.value)
+  };
+
+  const invalid = validateCadence(cadence);
+  if (Object.keys(invalid).length > 0) {
+    const errors = {};
+    for (const [field, message] of Object.entries(invalid)) errors[CADENCE_ERROR_BLOCKS[field]] = message;
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+
+  try {
+    const meta = JSON.parse(view.private_metadata || '{}');
+    const preview = await previewGeneratedSprints(cadence);
+    await ack({ response_action: 'update', view: buildAdminSprintPreviewModalView({ preview, ...meta }) });
+  } catch (error) {
+    logger?.error?.('[admin_sprints_cadence_modal] preview failed', error);
+    await ack({ response_action: 'errors', errors: { cadence_length: 'Could not build the preview. Try again.' } });
+  }
+});
+
+/**
+ * admin_sprints_preview_modal submission: create the previewed sprints
+ */
+slackApp.view('admin_sprints_preview_modal', async ({ ack, body, view, client, logger }) => {
+  const meta = JSON.parse(view.private_metadata || '{}');
+  const { parentViewId = null, page = 0, pageSize = 12, cadence, digest } = meta;
+
+  try {
+    // Re-check before closing the modal so a changed calendar can be shown instead of committed.
+    const current = await previewGeneratedSprints(cadence);
+    if (current.conflicts.length > 0 || digestSprints(current.sprints) !== digest) {
+      await ack({
+        response_action: 'update',
+        view: buildAdminSprintPreviewModalView({
+          preview: current,
+          parentViewId,
+          page,
+          pageSize,
+          notice: 'The sprint calendar changed since this preview. Review the updated list.'
+        })
+      });
+      return;
+    }
+  } catch (error) {
+    logger?.error?.('[admin_sprints_preview_modal] re-check failed', error);
+    await ack();
+    return;
+  }
+
+  await ack();
+
+  try {
+    const result = await commitGeneratedSprints({ cadence, digest }, body.user.id);
+    if (!result.ok) {
+      logger?.warn?.('[admin_sprints_preview_modal] sprints not created', { error: result.error, created: result.created });
+    } else {
+      logger?.info?.(`[admin_sprints_preview_modal] created ${result.created} sprint(s)`);
+    }
+    if (parentViewId) {
+      const updated = await buildAdminSprintsModalView({ page, pageSize });
+      await client.views.update({ view_id: parentViewId, view: updated });
+    }
+  } catch (error) {
+    logger?.error?.('[admin_sprints_preview_modal] failed', error);
+  }
+});
+
 /**
  * Legacy compatibility: add_sprint button click (kept for any in-flight old modals)
  */
@@ -452,7 +589,7 @@ slackApp.command(getEnvironmentCommand('admin-disciplines'), async ({ command, a
 
     const opened = await client.views.open({ trigger_id: command.trigger_id, view: probeView });
 
-    const view = await buildAdminDisciplinesModalView({ discipline: 'account', showInactive: false });
+    const view = await buildAdminDisciplinesModalView({ discipline: null, showInactive: false });
     await client.views.update({ view_id: opened.view.id, hash: opened.view.hash, view });
   } catch (error) {
     logger.error("Error handling admin-disciplines command:", error);
@@ -488,7 +625,7 @@ slackApp.action('admin_disciplines_toggle_inactive', async ({ ack, body, client,
   await ack();
   try {
     const meta = JSON.parse(body.view.private_metadata || '{}');
-    const discipline = meta.discipline || 'account';
+    const discipline = meta.discipline || null;
     const showInactive = !meta.showInactive;
 
     const view = await buildAdminDisciplinesModalView({ discipline, showInactive });
@@ -499,75 +636,110 @@ slackApp.action('admin_disciplines_toggle_inactive', async ({ ack, body, client,
 });
 
 /**
- * admin_disciplines_deactivate: Remove from rotations (global deactivate)
+ * admin_disciplines_set_leads: replace the selected discipline's leads (an empty selection clears them)
  */
-slackApp.action('admin_disciplines_deactivate', async ({ ack, body, client, logger, action }) => {
+async function updateDisciplineLeads({ body, client, leadSlackIds }) {
+  const meta = JSON.parse(body.view.private_metadata || '{}');
+  const discipline = meta.discipline || getRoleKeys()[0];
+  await setRoleLeads(discipline, leadSlackIds);
+
+  const view = await buildAdminDisciplinesModalView({ discipline, showInactive: !!meta.showInactive });
+  await client.views.update({ view_id: body.view.id, hash: body.view.hash, view });
+}
+
+slackApp.action('admin_disciplines_set_leads', async ({ ack, body, client, logger, action }) => {
   await ack();
   try {
-    const payload = JSON.parse(action.value || '{}');
-    const slackId = payload.slackId;
-    const discipline = payload.discipline || (JSON.parse(body.view.private_metadata || '{}').discipline || 'account');
-    if (!slackId) return;
+    await updateDisciplineLeads({ body, client, leadSlackIds: action?.selected_users || [] });
+  } catch (error) {
+    logger?.error?.("Error setting discipline leads:", error);
+  }
+});
 
-    const useDatabase =
-      process.env.USE_DATABASE !== 'false' &&
-      !!process.env.DATABASE_URL;
+/**
+ * Set a member's active flag globally (DB or JSON), then drop the cached rosters.
+ */
+async function setMemberActive({ slackId, active, changedBy }) {
+  const useDatabase =
+    process.env.USE_DATABASE !== 'false' &&
+    !!process.env.DATABASE_URL;
+
+  if (useDatabase) {
+    if (active) await UsersRepository.reactivateUser(slackId, changedBy || 'system');
+    else await UsersRepository.deactivateUser(slackId, changedBy || 'system');
+    await cache.del('disciplines:all');
+    return;
+  }
 
-    if (useDatabase) {
-      await UsersRepository.deactivateUser(slackId, body.user?.id || 'system');
-      await cache.del('disciplines:all');
-    } else {
-      const sourceFile = getDisciplinesSourceFile();
-      const disciplinesObj = loadJSON(sourceFile) || {};
-      for (const [disc, members] of Object.entries(disciplinesObj || {})) {
-        if (!Array.isArray(members)) continue;
-        disciplinesObj[disc] = members.map(m => (m?.slackId === slackId ? { ...m, active: false } : m));
-      }
-      saveJSON(sourceFile, disciplinesObj);
-    }
+  const sourceFile = getDisciplinesSourceFile();
+  const disciplinesObj = loadJSON(sourceFile) || {};
+  for (const [disc, members] of Object.entries(disciplinesObj || {})) {
+    if (!Array.isArray(members)) continue;
+    disciplinesObj[disc] = members.map(m => (m?.slackId === slackId ? { ...m, active } : m));
+  }
+  saveJSON(sourceFile, disciplinesObj);
+}
 
-    const meta = JSON.parse(body.view.private_metadata || '{}');
-    const view = await buildAdminDisciplinesModalView({ discipline, showInactive: !!meta.showInactive });
-    await client.views.update({ view_id: body.view.id, hash: body.view.hash, view });
+/**
+ * admin_disciplines_deactivate / admin_disciplines_reactivate: push a review step
+ * showing which upcoming sprints change before the edit is committed.
+ */
+async function pushRosterChangeReview({ op, body, client, action }) {
+  const triggerId = body?.trigger_id;
+  if (!triggerId) return;
+  const payload = JSON.parse(action.value || '{}');
+  const meta = JSON.parse(body.view.private_metadata || '{}');
+  if (!payload.slackId) return;
+
+  const view = await buildAdminRosterChangeReviewModalView({
+    op,
+    slackId: payload.slackId,
+    discipline: payload.discipline || meta.discipline || getRoleKeys()[0],
+    parentViewId: body.view.id,
+    showInactive: !!meta.showInactive
+  });
+  await client.views.push({ trigger_id: triggerId, view });
+}
+
+slackApp.action('admin_disciplines_deactivate', async ({ ack, body, client, logger, action }) => {
+  await ack();
+  try {
+    await pushRosterChangeReview({ op: 'deactivate', body, client, action });
   } catch (error) {
-    logger?.error?.("Error deactivating user:", error);
+    logger?.error?.("Error opening deactivate review:", error);
+  }
+});
+
+slackApp.action('admin_disciplines_reactivate', async ({ ack, body, client, logger, action }) => {
+  await ack();
+  try {
+    await pushRosterChangeReview({ op: 'reactivate', body, client, action });
+  } catch (error) {
+    logger?.error?.("Error opening reactivate review:", error);
   }
 });
 
 /**
- * admin_disciplines_reactivate: Reactivate globally
+ * admin_disciplines_review_modal: commit the reviewed deactivate/reactivate and refresh the parent view
  */
-slackApp.action('admin_disciplines_reactivate', async ({ ack, body, client, logger, action }) => {
+slackApp.view('admin_disciplines_review_modal', async ({ ack, body, view, client, logger }) => {
   await ack();
   try {
-    const payload = JSON.parse(action.value || '{}');
-    const slackId = payload.slackId;
-    const discipline = payload.discipline || (JSON.parse(body.view.private_metadata || '{}').discipline || 'account');
-    if (!slackId) return;
+    const meta = JSON.parse(view.private_metadata || '{}');
+    if (!meta.slackId) return;
 
-    const useDatabase =
-      process.env.USE_DATABASE !== 'false' &&
-      !!process.env.DATABASE_URL;
+    await setMemberActive({
+      slackId: meta.slackId,
+      active: meta.op === 'reactivate',
+      changedBy: body.user?.id || 'system'
+    });
 
-    if (useDatabase) {
-      await UsersRepository.reactivateUser(slackId, body.user?.id || 'system');
-      await cache.del('disciplines:all');
-    } else {
-      const sourceFile = getDisciplinesSourceFile();
-      const disciplinesObj = loadJSON(sourceFile) || {};
-      for (const [disc, members] of Object.entries(disciplinesObj || {})) {
-        if (!Array.isArray(members)) continue;
-        disciplinesObj[disc] = members.map(m => (m?.slackId === slackId ? { ...m, active: true } : m));
-      }
-      saveJSON(sourceFile, disciplinesObj);
+    if (meta.parentViewId) {
+      const updated = await buildAdminDisciplinesModalView({ discipline: meta.discipline, showInactive: !!meta.showInactive });
+      await client.views.update({ view_id: meta.parentViewId, view: updated });
     }
-
-    // Refresh the current disciplines modal view so counts/sections update immediately.
-    const meta = JSON.parse(body.view.private_metadata || '{}');
-    const view = await buildAdminDisciplinesModalView({ discipline, showInactive: !!meta.showInactive });
-    await client.views.update({ view_id: body.view.id, hash: body.view.hash, view });
   } catch (error) {
-    logger?.error?.("Error reactivating user:", error);
+    logger?.error?.("Error applying roster change:", error);
   }
 });
 
@@ -580,43 +752,13 @@ slackApp.action('admin_disciplines_add_member', async ({ ack, body, client, logg
     const triggerId = body?.trigger_id;
     if (!triggerId) return;
     const payload = JSON.parse(action.value || '{}');
-    const discipline = payload.discipline || (JSON.parse(body.view.private_metadata || '{}').discipline || 'account');
     const parentMeta = JSON.parse(body.view.private_metadata || '{}');
-    const showInactive = !!parentMeta.showInactive;
-
-    const selectOptions = DISCIPLINE_OPTIONS.map(o => ({
-      text: { type: 'plain_text', text: o.label },
-      value: o.value
-    }));
-    const initialOption = selectOptions.find(o => o.value === discipline) || selectOptions[0];
 
-    const addView = {
-      type: 'modal',
-      callback_id: 'admin_disciplines_add_member_modal',
-      title: { type: 'plain_text', text: 'Add member' },
-      submit: { type: 'plain_text', text: 'Add' },
-      close: { type: 'plain_text', text: 'Cancel' },
-      private_metadata: JSON.stringify({ parentViewId: body.view.id, discipline, showInactive }),
-      blocks: [
-        {
-          type: 'input',
-          block_id: 'discipline_select',
-          label: { type: 'plain_text', text: 'Discipline' },
-          element: {
-            type: 'static_select',
-            action_id: 'discipline_select_input',
-            options: selectOptions,
-            initial_option: initialOption
-          }
-        },
-        {
-          type: 'input',
-          block_id: 'member_slack_id',
-          label: { type: 'plain_text', text: 'Slack user' },
-          element: { type: 'users_select', action_id: 'member_slack_id_input' }
-        }
-      ]
-    };
+    const addView = await buildAdminAddMemberModalView({
+      parentViewId: body.view.id,
+      discipline: payload.discipline || parentMeta.discipline || null,
+      showInactive: !!parentMeta.showInactive
+    });
 
     await client.views.push({ trigger_id: triggerId, view: addView });
   } catch (error) {
@@ -624,6 +766,40 @@ slackApp.action('admin_disciplines_add_member', async ({ ack, body, client, logg
   }
 });
 
+/**
+ * Add-member form: re-render with a schedule preview when the user or discipline changes.
+ */
+async function refreshAddMemberPreview({ body, client }) {
+  const view = body.view;
+  const meta = JSON.parse(view.private_metadata || '{}');
+  const values = view.state?.values || {};
+  const updated = await buildAdminAddMemberModalView({
+    parentViewId: meta.parentViewId,
+    discipline: values.discipline_select?.discipline_select_input?.selected_option?.value || meta.discipline,
+    showInactive: !!meta.showInactive,
+    slackId: values.member_slack_id?.member_slack_id_input?.selected_user || null
+  });
+  await client.views.update({ view_id: view.id, hash: view.hash, view: updated });
+}
+
+slackApp.action('member_slack_id_input', async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    await refreshAddMemberPreview({ body, client });
+  } catch (error) {
+    logger?.error?.('Error updating add member preview:', error);
+  }
+});
+
+slackApp.action('discipline_select_input', async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    await refreshAddMemberPreview({ body, client });
+  } catch (error) {
+    logger?.error?.('Error updating add member preview:', error);
+  }
+});
+
 slackApp.view('admin_disciplines_add_member_modal', async ({ ack, body, view, client, logger }) => {
   await ack();
   try {
@@ -631,7 +807,7 @@ slackApp.view('admin_disciplines_add_member_modal', async ({ ack, body, view, cl
     const discipline =
       view.state.values?.discipline_select?.discipline_select_input?.selected_option?.value ||
       meta.discipline ||
-      'account';
+      getRoleKeys()[0];
     const parentViewId = meta.parentViewId;
     const showInactive = !!meta.showInactive;
 
@@ -729,6 +905,7 @@ slackApp.action('admin_users_add', async ({ ack, body, client, logger }) => {
   await ack();
   try {
     const triggerId = body?.trigger_id || null;
+    await loadRoles();
 
     const blocks = [
       {
@@ -739,13 +916,10 @@ slackApp.action('admin_users_add', async ({ ack, body, client, logger }) => {
           type: "static_select",
           action_id: "discipline_select",
           placeholder: { type: "plain_text", text: "Select a discipline" },
-          options: [
-            { text: { type: "plain_text", text: "Account" }, value: "account" },
-            { text: { type: "plain_text", text: "Producer" }, value: "producer" },
-            { text: { type: "plain_text", text: "PO" }, value: "po" },
-            { text: { type: "plain_text", text: "UI Engineer" }, value: "uiEng" },
-            { text: { type: "plain_text", text: "BE Engineer" }, value: "beEng" },
-          ]
+          options: getDisciplineOptions().map(o => ({
+            text: { type: "plain_text", text: o.label },
+            value: o.value
+          }))
         }
       },
       {
@@ -901,28 +1075,44 @@ slackApp.view('admin_users_add_modal', async ({ ack, body, view, client, logger
 });
 
 const ONCALL_UNASSIGNED_VALUE = '__none__';
-const ONCALL_ROLES = ['account', 'producer', 'po', 'uiEng', 'beEng'];
 
 slackApp.view('admin_change_oncall_modal', async ({ ack, body, view, client, logger }) => {
+  // Errors attach to the first role's block (the modal has one block per enabled role).
+  let errorBlockId = `oncall_${getRoleKeys()[0]}`;
   try {
+    const roleKeys = (await loadRoles()).map(r => r.key);
+    errorBlockId = `oncall_${roleKeys[0]}`;
     const currentSprint = await findCurrentSprint();
     if (!currentSprint || !Number.isFinite(Number(currentSprint.index))) {
       await ack({
         response_action: 'errors',
-        errors: { oncall_account: 'No current sprint. On-call can only be changed for the active sprint.' }
+        errors: { [errorBlockId]: 'No current sprint. On-call can only be changed for the active sprint.' }
       });
       return;
     }
 
     const values = view.state?.values || {};
     const newRoles = {};
-    for (const role of ONCALL_ROLES) {
+    for (const role of roleKeys) {
       const block = values[`oncall_${role}`];
       const select = block?.[`oncall_${role}_select`];
       const value = select?.selected_option?.value;
       newRoles[role] = (value && value !== ONCALL_UNASSIGNED_VALUE) ? value : null;
     }
 
+    // One role per person: flag every role after the first one someone is picked for.
+    const conflicts = findRoleConflicts(newRoles, roleKeys);
+    if (conflicts.length > 0) {
+      const errors = {};
+      for (const { roles } of conflicts) {
+        for (const role of roles.slice(1)) {
+          errors[`oncall_${role}`] = `Already on call as ${getRoleLabel(roles[0])}. Pick someone else.`;
+        }
+      }
+      await ack({ response_action: 'errors', errors });
+      return;
+    }
+
     const { updated, affectedUserIds } = await setCurrentSprintRolesFromAdmin(newRoles);
 
     await ack();
@@ -947,7 +1137,7 @@ slackApp.view('admin_change_oncall_modal', async ({ ack, body, view, client, log
     const message = (error?.message && error.message.length <= 80) ? error.message : 'Something went wrong. Please try again.';
     await ack({
       response_action: 'errors',
-      errors: { oncall_account: message }
+      errors: { [errorBlockId]: message }
     });
   }
 });
@@ -1019,4 +1209,316 @@ slackApp.action('admin_users_reactivate', async ({ ack, body, client, logger })
   }
 });
 
-module.exports = {};
\ No newline at end of file
+/**
+ * Holidays (Admin Hub): add, import from ICS, change action, remove
+ */
+async function refreshHolidaysView(client, viewId) {
+  if (!viewId) return;
+  await client.views.update({ view_id: viewId, view: await buildAdminHolidaysModalView() });
+}
+
+slackApp.action('admin_holidays_add', async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    await client.views.push({ trigger_id: body.trigger_id, view: buildAdminAddHolidayModalView({ parentViewId: body?.view?.id || null }) });
+  } catch (error) {
+    logger?.error?.('[admin_holidays_add] failed', error);
+  }
+});
+
+slackApp.action('admin_holidays_import', async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    await client.views.push({ trigger_id: body.trigger_id, view: buildAdminImportHolidaysModalView({ parentViewId: body?.view?.id || null }) });
+  } catch (error) {
+    logger?.error?.('[admin_holidays_import] failed', error);
+  }
+});
+
+slackApp.action('admin_holidays_row', async ({ ack, body, action, client, logger }) => {
+  await ack();
+  try {
+    const { id, op } = JSON.parse(action?.selected_option?.value || '{}');
+    const changedBy = body?.user?.id || 'system';
+
+    if (op === 'remove') {
+      await removeHoliday(id, changedBy);
+    } else if (isHolidayAction(op)) {
+      const holiday = (await readHolidays()).find(h => Number(h.id) === Number(id));
+      if (holiday) {
+        const result = await saveHolidays([{ date: holiday.date, name: holiday.name, action: op }], changedBy);
+        if (!result.ok) logger?.warn?.('[admin_holidays_row] not saved', { error: result.error });
+      }
+    }
+
+    await refreshHolidaysView(client, body?.view?.id);
+  } catch (error) {
+    logger?.error?.('[admin_holidays_row] failed', error);
+  }
+});
+
+slackApp.view('admin_holidays_add_modal', async ({ ack, body, view, client, logger }) => {
+  const values = view.state.values || {};
+  const date = values.holiday_date?.holiday_date_input?.selected_date || null;
+  const name = values.holiday_name?.holiday_name_input?.value || '';
+  const action = values.holiday_action?.holiday_action_input?.selected_option?.value || 'defer';
+
+  const errors = {};
+  if (!date) errors.holiday_date = 'Date is required';
+  if (!name.trim()) errors.holiday_name = 'Name is required';
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+
+  await ack();
+
+  try {
+    const result = await saveHolidays([{ date, name, action }], body.user.id);
+    if (!result.ok) {
+      logger?.warn?.('[admin_holidays_add_modal] not saved', { error: result.error });
+      return;
+    }
+    const meta = JSON.parse(view.private_metadata || '{}');
+    await refreshHolidaysView(client, meta.parentViewId);
+  } catch (error) {
+    logger?.error?.('[admin_holidays_add_modal] failed', error);
+  }
+});
+
+slackApp.view('admin_holidays_import_modal', async ({ ack, body, view, client, logger }) => {
+  const values = view.state.values || {};
+  const ics = values.holiday_ics?.holiday_ics_input?.value || '';
+  const action = values.holiday_action?.holiday_action_input?.selected_option?.value || 'defer';
+
+  const { holidays, skipped } = parseIcsHolidays(ics, action);
+  if (holidays.length === 0) {
+    await ack({ response_action: 'errors', errors: { holiday_ics: 'No events with a date and summary were found.' } });
+    return;
+  }
+
+  await ack();
+
+  try {
+    const result = await saveHolidays(holidays, body.user.id);
+    if (!result.ok) {
+      logger?.warn?.('[admin_holidays_import_modal] not saved', { error: result.error });
+    } else {
+      logger?.info?.(`[admin_holidays_import_modal] imported ${result.saved} holiday(s), skipped ${skipped} event(s)`);
+    }
+    const meta = JSON.parse(view.private_metadata || '{}');
+    await refreshHolidaysView(client, meta.parentViewId);
+  } catch (error) {
+    logger?.error?.('[admin_holidays_import_modal] failed', error);
+  }
+});
+
+async function refreshApiTokensView(client, viewId) {
+  if (!viewId) return;
+  await client.views.update({ view_id: viewId, view: await buildAdminApiTokensModalView() });
+}
+
+slackApp.action('admin_api_tokens_create', async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    await client.views.push({ trigger_id: body.trigger_id, view: buildAdminCreateApiTokenModalView({ parentViewId: body?.view?.id || null }) });
+  } catch (error) {
+    logger?.error?.('[admin_api_tokens_create] failed', error);
+  }
+});
+
+slackApp.action('admin_api_tokens_revoke', async ({ ack, body, action, client, logger }) => {
+  await ack();
+  try {
+    const revoked = await revokeApiToken(action?.value, body?.user?.id || 'system');
+    if (!revoked) logger?.warn?.('[admin_api_tokens_revoke] token already revoked or unknown', { id: action?.value });
+    await refreshApiTokensView(client, body?.view?.id);
+  } catch (error) {
+    logger?.error?.('[admin_api_tokens_revoke] failed', error);
+  }
+});
+
+slackApp.view('admin_api_tokens_create_modal', async ({ ack, body, view, client, logger }) => {
+  const name = view.state.values?.api_token_name?.api_token_name_input?.value || '';
+  const invalid = validateApiTokenName(name);
+  if (invalid) {
+    await ack({ response_action: 'errors', errors: { api_token_name: invalid } });
+    return;
+  }
+
+  let created;
+  try {
+    created = await createApiToken(name, body.user.id);
+  } catch (error) {
+    logger?.error?.('[admin_api_tokens_create_modal] failed', error);
+    await ack({ response_action: 'errors', errors: { api_token_name: 'Could not create the token. Try again.' } });
+    return;
+  }
+
+  // The token is only ever shown here; it is not stored.
+  await ack({ response_action: 'update', view: buildAdminApiTokenCreatedModalView(created) });
+
+  try {
+    const meta = JSON.parse(view.private_metadata || '{}');
+    await refreshApiTokensView(client, meta.parentViewId);
+  } catch (error) {
+    logger?.error?.('[admin_api_tokens_create_modal] refresh failed', error);
+  }
+});
+
+slackApp.action('admin_fairness_quarter', async ({ ack, body, action, client, logger }) => {
+  await ack();
+  try {
+    const view = await buildAdminFairnessModalView({ quarterKey: action?.selected_option?.value || null });
+    await client.views.update({ view_id: body.view.id, hash: body.view.hash, view });
+  } catch (error) {
+    logger?.error?.('[admin_fairness_quarter] failed', error);
+  }
+});
+
+/**
+ * admin_fairness_csv: DM the full report (every quarter) to the admin as a CSV file.
+ * Uploading needs the files:write scope.
+ */
+slackApp.action('admin_fairness_csv', async ({ ack, body, client, logger }) => {
+  await ack();
+  const userId = body?.user?.id;
+  if (!userId) return;
+
+  try {
+    const csv = toFairnessCsv(await loadFairnessReport());
+    const { channel } = await client.conversations.open({ users: userId });
+    await client.files.uploadV2({
+      channel_id: channel.id,
+      filename: `triage-fairness-${new Date().toISOString().slice(0, 10)}.csv`,
+      title: 'Triage fairness report',
+      content: csv,
+      initial_comment: 'Fairness report: shifts served, covered for others and handed off, per person and quarter.'
+    });
+  } catch (error) {
+    logger?.error?.('[admin_fairness_csv] failed', error);
+  }
+});
+
+const AFTER_HOURS_ERROR_BLOCKS = {
+  roster: 'after_hours_roster',
+  start: 'after_hours_start_day',
+  end: 'after_hours_end_day',
+  anchorDate: 'after_hours_anchor'
+};
+
+/**
+ * admin_after_hours_modal submission: save the rotation, then announce a shift already running
+ */
+slackApp.view('admin_after_hours_modal', async ({ ack, body, view, logger }) => {
+  const values = view.state.values || {};
+  const selected = (blockId) => values[blockId]?.[`${blockId}_input`]?.selected_option?.value;
+  const rotation = {
+    enabled: (values.after_hours_enabled?.after_hours_enabled_input?.selected_options || []).some(o => o.value === 'on'),
+    roster: values.after_hours_roster?.after_hours_roster_input?.selected_users || [],
+    startDay: Number(selected('after_hours_start_day')),
+    startHour: Number(selected('after_hours_start_hour')),
+    endDay: Number(selected('after_hours_end_day')),
+    endHour: Number(selected('after_hours_end_hour')),
+    anchorDate: values.after_hours_anchor?.after_hours_anchor_input?.selected_date || null
+  };
+
+  const invalid = validateAfterHours(rotation);
+  if (Object.keys(invalid).length > 0) {
+    const errors = {};
+    for (const [field, message] of Object.entries(invalid)) errors[AFTER_HOURS_ERROR_BLOCKS[field]] = message;
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+
+  await ack();
+
+  try {
+    const result = await saveAfterHoursRotation(rotation, body.user.id);
+    if (!result.ok) {
+      logger?.warn?.('[admin_after_hours_modal] not saved', { errors: result.errors });
+      return;
+    }
+    await runAfterHoursCheck();
+  } catch (error) {
+    logger?.error?.('[admin_after_hours_modal] failed', error);
+  }
+});
+
+/**
+ * Shadows (Admin Hub): add, remove
+ */
+async function refreshShadowsView(client, viewId) {
+  if (!viewId) return;
+  await client.views.update({ view_id: viewId, view: await buildAdminShadowsModalView() });
+}
+
+slackApp.action('admin_shadows_add', async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    await client.views.push({ trigger_id: body.trigger_id, view: await buildAdminAddShadowModalView({ parentViewId: body?.view?.id || null }) });
+  } catch (error) {
+    logger?.error?.('[admin_shadows_add] failed', error);
+  }
+});
+
+slackApp.action('admin_shadows_remove', async ({ ack, body, action, client, logger }) => {
+  await ack();
+  try {
+    const removed = await removeShadowAssignment(action?.value, body?.user?.id || 'system');
+    if (removed) await applyCurrentSprintShadowChange(removed, { removed: true });
+    await refreshShadowsView(client, body?.view?.id);
+  } catch (error) {
+    logger?.error?.('[admin_shadows_remove] failed', error);
+  }
+});
+
+const SHADOW_ERROR_BLOCKS = {
+  sprint: 'shadow_sprint',
+  role: 'shadow_role',
+  user: 'shadow_user'
+};
+
+slackApp.view('admin_shadows_add_modal', async ({ ack, body, view, client, logger }) => {
+  const values = view.state.values || {};
+  const shadow = {
+    sprintIndex: Number(values.shadow_sprint?.shadow_sprint_input?.selected_option?.value ?? NaN),
+    role: values.shadow_role?.shadow_role_input?.selected_option?.value || '',
+    slackId: values.shadow_user?.shadow_user_input?.selected_user || '',
+    inUserGroup: (values.shadow_user_group?.shadow_user_group_input?.selected_options || []).some(o => o.value === 'on')
+  };
+
+  // A shadow is never the assignee, so someone already on call that sprint can't shadow it.
+  let onCallRole = null;
+  if (shadow.slackId && Number.isFinite(shadow.sprintIndex)) {
+    try {
+      onCallRole = findOtherRole(await getSprintUsers(shadow.sprintIndex), shadow.slackId);
+    } catch (error) {
+      logger?.warn?.('[admin_shadows_add_modal] could not load the sprint rotation', error);
+    }
+  }
+  if (onCallRole) {
+    await ack({ response_action: 'errors', errors: { shadow_user: `Already on call as ${getRoleLabel(onCallRole)} that sprint.` } });
+    return;
+  }
+
+  const result = await saveShadowAssignment(shadow, body.user.id);
+  if (!result.ok) {
+    const errors = {};
+    for (const [field, message] of Object.entries(result.errors || { user: result.error })) errors[SHADOW_ERROR_BLOCKS[field]] = message;
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+
+  await ack();
+
+  try {
+    await applyCurrentSprintShadowChange(shadow);
+    const meta = JSON.parse(view.private_metadata || '{}');
+    await refreshShadowsView(client, meta.parentViewId);
+  } catch (error) {
+    logger?.error?.('[admin_shadows_add_modal] failed', error);
+  }
+});
+
+module.exports = {};
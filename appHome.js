@@ -16,15 +16,27 @@ const {
   readOverrides,
   loadJSON,
   getSprintUsers,
-  refreshCurrentState,
+  getSprintBackups,
+  getSprintShadows,
   findCurrentSprint,
   parsePTDate,
   getTodayPT,
   formatSprintRangePT,
   formatSprintLabelPT,
   getRoleAndDisciplinesForUser,
+  readRotationCursors,
+  readUnavailability,
+  readCoverageCredits,
   OVERRIDES_FILE
 } = require('./dataUtils');
+const { getEligibleAssignee } = require('./services/rotationCursor');
+const { refreshSprintState, syncSlackRotation } = require('./services/sprintHandoff');
+const { getUnavailableSlackIds, unavailableBySprint } = require('./services/availability');
+const { summarizeCredits } = require('./services/coverageCredits');
+const { isPartialOverride } = require('./services/overrideRanges');
+const { getTeamTimezone } = require('./services/teamTimezone');
+const { isCalendarFeedEnabled } = require('./services/calendarFeed');
+const { loadUpcomingAfterHoursShifts } = require('./services/afterHoursRotation');
 
 // Admin membership cache helper (for conditional Admin CTA in App Home)
 const { AdminMembershipRepository } = require('./db/repository');
@@ -33,11 +45,18 @@ const {
   buildAdminUsersModalView,
   buildAdminDisciplinesModalView,
   buildAdminSprintsModalView,
-  buildAdminOnCallModalView
+  buildAdminOnCallModalView,
+  buildAdminCoverageGapsModalView,
+  buildAdminHolidaysModalView,
+  buildAdminApiTokensModalView,
+  buildAdminFairnessModalView,
+  buildAdminAfterHoursModalView,
+  buildAdminShadowsModalView
 } = require('./services/adminViews');
 
 // Import environment-specific command utilities
 const { getEnvironmentCommand } = require('./commandUtils');
+const { loadRoles, getRoleKeys, getRoleLabel } = require('./services/roles');
 const cache = require('./cache/redisClient');
 
 dayjs.extend(utc);
@@ -68,11 +87,11 @@ function createNoopSlackApp() {
  */
 async function getUpcomingSprints() {
   const allSprints = await readSprints();
-  const today = dayjs().tz("America/Los_Angeles");
+  const today = dayjs().tz(getTeamTimezone());
   // Filter sprints with startDate >= today
   return allSprints.filter(sprint => {
-    return dayjs(sprint.startDate).tz("America/Los_Angeles").isAfter(today) || 
-           dayjs(sprint.startDate).tz("America/Los_Angeles").isSame(today);
+    return dayjs(sprint.startDate).tz(getTeamTimezone()).isAfter(today) || 
+           dayjs(sprint.startDate).tz(getTeamTimezone()).isSame(today);
   });
 }
 
@@ -108,7 +127,7 @@ async function getOnCallForSprint(sprintIndex=0, role, disciplines) {
  */
 async function getCurrentOnCall() {
   try {
-    await refreshCurrentState();
+    await refreshSprintState();
     const currentSprint = await findCurrentSprint();
     if (!currentSprint || !Number.isFinite(Number(currentSprint.index))) {
       return null;
@@ -125,7 +144,7 @@ async function getCurrentOnCall() {
     }
     const sprintUsers = await getSprintUsers(currentSprint.index);
     const users = [];
-    for (const role of ['account', 'producer', 'po', 'uiEng', 'beEng']) {
+    for (const role of getRoleKeys()) {
       const userId = sprintUsers[role];
       if (!userId) continue;
       const roleArray = disciplines[role] || [];
@@ -136,6 +155,8 @@ async function getCurrentOnCall() {
         users.push({ role, name: userId, slackId: userId });
       }
     }
+    await attachBackups(users, currentSprint.index, sprintUsers, disciplines);
+    await attachShadows(users, currentSprint.index, disciplines);
     return {
       sprintIndex: curSprint.sprintIndex,
       sprintName: curSprint.sprintName,
@@ -184,7 +205,7 @@ async function getNextOnCall() {
     }
     const sprintUsers = await getSprintUsers(nextSprint.sprintIndex);
     const users = [];
-    for (const role of ['account', 'producer', 'po', 'uiEng', 'beEng']) {
+    for (const role of getRoleKeys()) {
       const userId = sprintUsers[role];
       if (!userId) continue;
       const roleArray = disciplines[role] || [];
@@ -195,6 +216,8 @@ async function getNextOnCall() {
         users.push({ role, name: userId, slackId: userId });
       }
     }
+    await attachBackups(users, nextSprint.sprintIndex, sprintUsers, disciplines);
+    await attachShadows(users, nextSprint.sprintIndex, disciplines);
     const startStr = nextSprint.startDate && typeof nextSprint.startDate === 'string' ? nextSprint.startDate : (nextSprint.startDate && nextSprint.startDate.toISOString ? nextSprint.startDate.toISOString().split('T')[0] : null);
     const endStr = nextSprint.endDate && typeof nextSprint.endDate === 'string' ? nextSprint.endDate : (nextSprint.endDate && nextSprint.endDate.toISOString ? nextSprint.endDate.toISOString().split('T')[0] : null);
     return {
@@ -211,15 +234,61 @@ async function getNextOnCall() {
 }
 
 /**
- * Role display mapping for friendly names.
+ * Attach each role's backup ({ slackId, name }) to the rotation users.
+ * Backups are a display nicety, so a failure leaves the rotation without them.
  */
-const ROLE_DISPLAY = {
-  account: "Account",
-  producer: "Producer",
-  po: "PO",
-  uiEng: "UI Engineer",
-  beEng: "BE Engineer"
-};
+async function attachBackups(users, sprintIndex, sprintUsers, disciplines) {
+  let backups = {};
+  try {
+    backups = await getSprintBackups(sprintIndex, sprintUsers);
+  } catch (error) {
+    console.error('[attachBackups] Error computing backups:', error);
+  }
+  for (const u of users) {
+    const backupId = backups?.[u.role];
+    if (!backupId) continue;
+    const userObj = (disciplines[u.role] || []).find(d => d.slackId === backupId);
+    u.backup = { slackId: backupId, name: userObj ? userObj.name : backupId };
+  }
+  return users;
+}
+
+/**
+ * Attach each role's shadows ([{ slackId, name, inUserGroup }]) to the rotation users.
+ * Like backups, a failure leaves the rotation without them.
+ */
+async function attachShadows(users, sprintIndex, disciplines) {
+  let shadows = [];
+  try {
+    shadows = await getSprintShadows(sprintIndex);
+  } catch (error) {
+    console.error('[attachShadows] Error loading shadows:', error);
+  }
+  for (const u of users) {
+    const forRole = shadows.filter(s => s.role === u.role);
+    if (forRole.length === 0) continue;
+    u.shadows = forRole.map(s => {
+      const userObj = Object.values(disciplines || {}).flat().find(d => d?.slackId === s.slackId);
+      return { slackId: s.slackId, name: userObj ? userObj.name : s.slackId, inUserGroup: s.inUserGroup === true };
+    });
+  }
+  return users;
+}
+
+/**
+ * One role line for the rotation sections: primary, then backup when known, then any shadows.
+ */
+function formatRotationLine(u, highlightUserId = null) {
+  const you = (id) => (highlightUserId && id === highlightUserId ? ' (you)' : '');
+  let line = `${getRoleLabel(u.role)}: ${u.name} (<@${u.slackId}>)${you(u.slackId)}`;
+  if (u.backup) {
+    line += ` · Backup: ${u.backup.name} (<@${u.backup.slackId}>)${you(u.backup.slackId)}`;
+  }
+  for (const shadow of u.shadows || []) {
+    line += ` · ${shadow.name} (<@${shadow.slackId}>) shadowing${you(shadow.slackId)}`;
+  }
+  return line;
+}
 
 // NOTE: Role icons removed (no emojis in user-facing surfaces).
 
@@ -279,7 +348,7 @@ function formatTimeRemaining(endDate) {
   const endStart = parsePTDate(endDate);
   if (!endStart) return "Ended";
   const end = endStart.endOf('day');
-  const now = dayjs().tz("America/Los_Angeles");
+  const now = dayjs().tz(getTeamTimezone());
   const diff = end.diff(now);
   
   if (diff < 0) {
@@ -342,7 +411,7 @@ function getUserOnCallStatus(userId, currentRotation) {
   return {
     isOnCall: true,
     role: userOnCall.role,
-    roleDisplay: ROLE_DISPLAY[userOnCall.role] || userOnCall.role,
+    roleDisplay: getRoleLabel(userOnCall.role),
     timeRemaining: formatTimeRemaining(currentRotation.endDate),
     sprintIndex: currentRotation.sprintIndex,
     sprintName: currentRotation.sprintName,
@@ -358,6 +427,7 @@ function getUserOnCallStatus(userId, currentRotation) {
  * @param {Object} disciplines - Disciplines object with role arrays
  * @param {Object} [options]
  * @param {number} [options.limit] - Maximum number of shifts to return (for preview/paging)
+ * @param {boolean} [options.includeCurrent] - Also include the sprint in progress (calendar feeds)
  * @returns {Promise<Array>} Array of upcoming shift objects
  */
 async function getUserUpcomingShifts(userId, sprints, disciplines, options = {}) {
@@ -387,7 +457,7 @@ async function getUserUpcomingShifts(userId, sprints, disciplines, options = {})
   
   const roleList = disciplines[userRole];
   const upcomingShifts = [];
-  const today = dayjs().tz("America/Los_Angeles");
+  const today = dayjs().tz(getTeamTimezone());
 
   // Build lookup for Slack ID -> display name (for nicer team display)
   const nameBySlackId = {};
@@ -402,41 +472,76 @@ async function getUserUpcomingShifts(userId, sprints, disciplines, options = {})
     }
   }
 
-  // Load overrides once (avoid per-sprint reads) and index them for fast lookup
+  // Load overrides once (avoid per-sprint reads) and index them for fast lookup.
+  // Partial-sprint overrides are kept apart: they cover some days without changing who holds the sprint.
   const overrides = await readOverrides();
   const overrideBySprintRole = new Map();
+  const partialsBySprintRole = new Map();
   for (const o of (Array.isArray(overrides) ? overrides : [])) {
     if (!o || o.approved !== true) continue;
     if (o.sprintIndex === null || o.sprintIndex === undefined) continue;
     if (!o.role) continue;
-    overrideBySprintRole.set(`${o.sprintIndex}:${o.role}`, o);
+    const key = `${o.sprintIndex}:${o.role}`;
+    if (isPartialOverride(o)) {
+      if (!partialsBySprintRole.has(key)) partialsBySprintRole.set(key, []);
+      partialsBySprintRole.get(key).push(o);
+    } else {
+      overrideBySprintRole.set(key, o);
+    }
   }
+
+  const cursors = await readRotationCursors();
+  const unavailability = await readUnavailability();
+  const credits = await readCoverageCredits();
+  const unavailableFor = unavailableBySprint(unavailability, sprints, credits);
   
   // Check each sprint to see if user is scheduled
   for (let i = 0; i < sprints.length; i++) {
     const sprint = sprints[i];
-    const sprintStart = dayjs(sprint.startDate).tz("America/Los_Angeles");
+    const sprintIndex = Number.isFinite(Number(sprint?.sprintIndex)) ? Number(sprint.sprintIndex) : i;
+    const sprintStart = dayjs(sprint.startDate).tz(getTeamTimezone());
+    const partials = partialsBySprintRole.get(`${sprintIndex}:${userRole}`) || [];
     
-    // Only include future sprints
-    if (sprintStart.isAfter(today) || sprintStart.isSame(today, 'day')) {
-      const override = overrideBySprintRole.get(`${i}:${userRole}`) || null;
+    // Only include future sprints (and the one in progress when asked)
+    const inProgress = !!options?.includeCurrent && String(sprint.endDate || '').slice(0, 10) > today.format('YYYY-MM-DD');
+    if (sprintStart.isAfter(today) || sprintStart.isSame(today, 'day') || inProgress) {
+      const override = overrideBySprintRole.get(`${sprintIndex}:${userRole}`) || null;
 
-      // Calculate if user is assigned to this sprint (base rotation)
-      const assignedIndex = i % roleList.length;
-      const isBaseAssigned = assignedIndex === userIndex;
+      // Calculate if user is assigned to this sprint (base rotation, following the role's cursor and skipping time off and credit skips)
+      const unavailableIds = getUnavailableSlackIds(unavailability, sprint, credits);
+      const isBaseAssigned = getEligibleAssignee(sprintIndex, roleList, cursors?.[userRole] || null, unavailableIds, unavailableFor).slackId === userId;
 
       // Overrides can either remove the user from their base shift, or assign them to cover.
       const isAssignedByOverride = !!override && override.newSlackId === userId;
       const isRemovedByOverride = isBaseAssigned && !!override && override.newSlackId !== userId;
 
       const shouldInclude = (isBaseAssigned && !isRemovedByOverride) || isAssignedByOverride;
-      if (!shouldInclude) continue;
+      if (!shouldInclude) {
+        // Covering only some days of a teammate's sprint: those days are the shift (ending at the next hand-off).
+        for (const o of partials.filter(p => p.newSlackId === userId)) {
+          upcomingShifts.push({
+            sprintIndex,
+            sprintName: sprint.sprintName,
+            startDate: o.startDate,
+            endDate: dayjs(o.endDate).add(1, 'day').format('YYYY-MM-DD'),
+            role: userRole,
+            roleDisplay: getRoleLabel(userRole),
+            daysUntil: formatDaysUntil(o.startDate),
+            partial: true,
+            coveringFor: o.originalSlackId || o.requestedBy || null,
+            rotationUsers: null,
+            rotationText: ''
+          });
+        }
+        if (limit && upcomingShifts.length >= limit) break;
+        continue;
+      }
 
-      const sprintUsers = await getSprintUsers(i);
+      const sprintUsers = await getSprintUsers(sprintIndex);
       const rotationLines = [];
-      for (const role of ["account", "producer", "po", "uiEng", "beEng"]) {
+      for (const role of getRoleKeys()) {
         const slackId = sprintUsers?.[role] || null;
-        const displayRole = ROLE_DISPLAY[role] || role;
+        const displayRole = getRoleLabel(role);
         if (!slackId) {
           rotationLines.push(`*${displayRole}*: _Unassigned_`);
           continue;
@@ -451,13 +556,16 @@ async function getUserUpcomingShifts(userId, sprints, disciplines, options = {})
       }
 
       upcomingShifts.push({
-        sprintIndex: i,
+        sprintIndex,
         sprintName: sprint.sprintName,
         startDate: sprint.startDate,
         endDate: sprint.endDate,
         role: userRole,
-        roleDisplay: ROLE_DISPLAY[userRole] || userRole,
+        roleDisplay: getRoleLabel(userRole),
         daysUntil: formatDaysUntil(sprint.startDate),
+        coveredBy: partials
+          .filter(o => o.newSlackId !== userId)
+          .map(o => ({ slackId: o.newSlackId, startDate: o.startDate, endDate: o.endDate })),
         rotationUsers: sprintUsers || null,
         rotationText: rotationLines.join('\n')
       });
@@ -524,7 +632,7 @@ function buildCompactRotationCard(rotation, highlightUserId = null) {
   });
   
   // Build compact role display using fields (2 roles per row)
-  const roleOrder = ['account', 'producer', 'po', 'uiEng', 'beEng'];
+  const roleOrder = getRoleKeys();
   const sortedUsers = rotation.users.sort((a, b) => {
     return roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role);
   });
@@ -532,7 +640,7 @@ function buildCompactRotationCard(rotation, highlightUserId = null) {
   // Group users into pairs for fields display
   const fields = [];
   sortedUsers.forEach(u => {
-    const displayRole = ROLE_DISPLAY[u.role] || u.role;
+    const displayRole = getRoleLabel(u.role);
     const isHighlighted = highlightUserId && u.slackId === highlightUserId;
     const suffix = isHighlighted ? ' (you)' : '';
     fields.push({
@@ -695,6 +803,124 @@ function buildPersonalStatusCard(userId, onCallStatus, nextShift) {
   return blocks;
 }
 
+/**
+ * Build the note for a user shadowing the current or next sprint (hidden otherwise).
+ * @returns {Array<Object>} Array of Block Kit blocks
+ */
+function buildShadowingBlocks(userId, current, next) {
+  const sections = [];
+  for (const rotation of [current, next]) {
+    for (const u of rotation?.users || []) {
+      if (!(u.shadows || []).some(s => s.slackId === userId)) continue;
+      const rangeText = formatSprintRangePT(rotation.startDate, rotation.endDate);
+      const heading = rotation === current ? 'You are shadowing' : 'You will shadow';
+      sections.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${heading} ${getRoleLabel(u.role)}* with <@${u.slackId}>\n*Sprint:* ${rotation.sprintName}\n*Dates:* ${rangeText}`
+        }
+      });
+    }
+  }
+  return sections;
+}
+
+/**
+ * Load the user's coverage credits: how many are unredeemed, and the upcoming sprints they skip.
+ * @returns {Promise<{ available: number, skips: Array<{ sprintIndex: number, sprintName: string, startDate: string, endDate: string }> }|null>}
+ */
+async function loadCoverageCreditSummary(userId) {
+  try {
+    const [credits, sprints] = await Promise.all([readCoverageCredits(), readSprints()]);
+    const { available, redeemed } = summarizeCredits(credits, userId);
+    const today = getTodayPT().format('YYYY-MM-DD');
+    const skips = redeemed
+      .map(c => (sprints || []).find(s => Number(s?.sprintIndex) === Number(c.redeemedSprintIndex)))
+      .filter(s => s && String(s.endDate || '').slice(0, 10) >= today)
+      .map(s => ({ sprintIndex: Number(s.sprintIndex), sprintName: s.sprintName, startDate: s.startDate, endDate: s.endDate }));
+    return { available: available.length, skips };
+  } catch (error) {
+    console.error('[loadCoverageCreditSummary] Error loading coverage credits:', error);
+    return null;
+  }
+}
+
+/**
+ * Build the coverage credits section (hidden when the user has no credits and no scheduled skips).
+ * @param {{ available: number, skips: Array }|null} summary - From loadCoverageCreditSummary
+ * @returns {Array<Object>} Array of Block Kit blocks
+ */
+function buildCoverageCreditsBlocks(summary) {
+  if (!summary || (summary.available === 0 && summary.skips.length === 0)) return [];
+
+  const section = {
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: summary.available > 0
+        ? `*Coverage credits:* ${summary.available}\nYou earned these by covering for teammates. Redeem one to skip your next scheduled turn.`
+        : '*Coverage credits:* 0'
+    }
+  };
+  if (summary.available > 0) {
+    section.accessory = {
+      type: 'button',
+      text: { type: 'plain_text', text: 'Skip my next turn' },
+      action_id: 'redeem_coverage_credit',
+      confirm: {
+        title: { type: 'plain_text', text: 'Use a coverage credit?' },
+        text: { type: 'mrkdwn', text: 'The next person in line will take your next scheduled turn.' },
+        confirm: { type: 'plain_text', text: 'Skip it' },
+        deny: { type: 'plain_text', text: 'Cancel' }
+      }
+    };
+  }
+
+  const blocks = [section];
+  if (summary.skips.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: summary.skips.map(s => `Skipping *${s.sprintName || `Sprint ${s.sprintIndex}`}* (${formatSprintRangePT(s.startDate, s.endDate)}) with a credit`).join('\n')
+      }]
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Load the after-hours shifts running now or next (empty when the rotation is off).
+ */
+async function loadAfterHoursShifts() {
+  try {
+    return await loadUpcomingAfterHoursShifts();
+  } catch (error) {
+    console.error('[loadAfterHoursShifts] Error loading after-hours shifts:', error);
+    return [];
+  }
+}
+
+/**
+ * Build the after-hours section (hidden when the rotation is off).
+ * @param {Array} shifts - From loadUpcomingAfterHoursShifts
+ * @param {string|null} userId - Slack user ID to mark "(you)"
+ * @returns {Array<Object>} Array of Block Kit blocks
+ */
+function buildAfterHoursBlocks(shifts, userId = null, now = new Date()) {
+  if (!Array.isArray(shifts) || shifts.length === 0) return [];
+  const lines = shifts.map(s => {
+    const when = new Date(s.start) <= now ? 'Now' : 'Next';
+    const who = s.slackId ? `<@${s.slackId}>${userId && s.slackId === userId ? ' (you)' : ''}` : '_Nobody available_';
+    return `${when}: ${who} · ${s.range}`;
+  });
+  return [{
+    type: 'section',
+    text: { type: 'mrkdwn', text: `*After-Hours Triage*\n${lines.join('\n')}` }
+  }];
+}
+
 /**
  * Build user's upcoming shifts section
  * @param {Array} upcomingShifts - Array of shift objects from getUserUpcomingShifts
@@ -721,12 +947,15 @@ function buildUserUpcomingShiftsBlocks(upcomingShifts, userId) {
     const teamText = shift.rotationText
       ? `\n\n*Team on rotation*\n${shift.rotationText}`
       : '';
+    const coverageText = shift.partial
+      ? `\n_Covering part of the sprint${shift.coveringFor ? ` for <@${shift.coveringFor}>` : ''}_`
+      : (shift.coveredBy || []).map(c => `\n_<@${c.slackId}> covers ${formatSprintRangePT(c.startDate, c.endDate)}_`).join('');
     
     blocks.push({
       type: 'section',
       text: {
         type: 'mrkdwn',
-          text: `*${shift.sprintName}* • ${rangeText}\n${shift.daysUntil}${teamText}`
+          text: `*${shift.sprintName}* • ${rangeText}\n${shift.daysUntil}${coverageText}${teamText}`
       },
       accessory: {
         type: 'button',
@@ -771,6 +1000,35 @@ function buildQuickActionsBlock(userId, hasUpcomingShifts, isOnCall, sprintIndex
     text: { type: 'plain_text', text: 'View All Sprints' },
     action_id: 'open_upcoming_sprints'
   });
+
+  elements.push({
+    type: 'button',
+    text: { type: 'plain_text', text: 'My Time Off' },
+    action_id: 'open_time_off',
+    value: JSON.stringify({ userId })
+  });
+
+  elements.push({
+    type: 'button',
+    text: { type: 'plain_text', text: 'My Requests' },
+    action_id: 'open_my_requests'
+  });
+
+  if (hasUpcomingShifts || isOnCall) {
+    elements.push({
+      type: 'button',
+      text: { type: 'plain_text', text: "I'm Out" },
+      action_id: 'open_im_out'
+    });
+  }
+
+  if (isCalendarFeedEnabled()) {
+    elements.push({
+      type: 'button',
+      text: { type: 'plain_text', text: 'Subscribe in calendar' },
+      action_id: 'open_calendar_feed'
+    });
+  }
   
   return {
     type: 'actions',
@@ -889,7 +1147,7 @@ function buildFallbackView(errorMessage = null, errorSource = null) {
  * 
  * @param {Object|null} current - Current rotation data with sprintName, startDate, endDate, and users array, or null
  * @param {Object|null} next - Next rotation data with sprintName, startDate, endDate, and users array, or null
- * @param {Object|null} disciplines - Discipline object with role arrays (account, producer, po, uiEng, beEng), or null
+ * @param {Object|null} disciplines - Discipline object keyed by role key (see services/roles.js), or null
  * @returns {Object} Slack Block Kit home view object with type 'home', callback_id, and blocks array
  * @example
  * const current = { sprintName: 'Sprint 1', startDate: '2025-01-01', endDate: '2025-01-14', users: [...] };
@@ -911,15 +1169,19 @@ async function buildHomeView(current, next, disciplines, userId = null, onCallSt
   // Build personal status card (hero section)
   const personalStatusBlocks = userId ? buildPersonalStatusCard(userId, onCallStatus, upcomingShifts[0] || null) : [];
   
-  // Build current rotation blocks (highlight user if on call)
-  const highlightUserId = onCallStatus ? userId : null;
+  // Shadowing note (new hires paired with whoever is on call)
+  const shadowingBlocks = userId ? buildShadowingBlocks(userId, current, next) : [];
+  const isShadow = (rotation) => (rotation?.users || []).some(u => (u.shadows || []).some(s => s.slackId === userId));
+
+  // Build current rotation blocks (highlight user if on call or shadowing)
+  const highlightUserId = onCallStatus || (userId && isShadow(current)) ? userId : null;
   const currentBlocks = buildLegacyCurrentRotationSection(current, highlightUserId);
   
   // Build next rotation blocks (highlight user if they're in next sprint)
   let nextHighlightUserId = null;
   if (userId && next) {
     const userInNext = next.users.find(u => u.slackId === userId);
-    if (userInNext) {
+    if (userInNext || isShadow(next)) {
       nextHighlightUserId = userId;
     }
   }
@@ -930,6 +1192,12 @@ async function buildHomeView(current, next, disciplines, userId = null, onCallSt
     ? buildUserUpcomingShiftsBlocks(upcomingShifts, userId)
     : [];
   
+  // Coverage credits (only shown once the user has earned some)
+  const creditBlocks = userId ? buildCoverageCreditsBlocks(await loadCoverageCreditSummary(userId)) : [];
+
+  // After-hours rotation (only shown when it is on)
+  const afterHoursBlocks = buildAfterHoursBlocks(await loadAfterHoursShifts(), userId);
+
   // Build quick actions
   const quickActionsBlock = userId 
     ? buildQuickActionsBlock(
@@ -981,6 +1249,11 @@ async function buildHomeView(current, next, disciplines, userId = null, onCallSt
     blocks.push(...personalStatusBlocks);
     blocks.push({ type: 'divider' });
   }
+
+  if (shadowingBlocks.length > 0) {
+    blocks.push(...shadowingBlocks);
+    blocks.push({ type: 'divider' });
+  }
   
   // Current on-call section - ALWAYS show if there's an active sprint
   // This shows the full team that's currently on call together
@@ -994,6 +1267,11 @@ async function buildHomeView(current, next, disciplines, userId = null, onCallSt
     blocks.push(...nextBlocks);
     blocks.push({ type: 'divider' });
   }
+
+  if (afterHoursBlocks.length > 0) {
+    blocks.push(...afterHoursBlocks);
+    blocks.push({ type: 'divider' });
+  }
   
   // User's upcoming shifts (if any) - personal schedule
   if (upcomingShiftsBlocks.length > 0) {
@@ -1001,6 +1279,11 @@ async function buildHomeView(current, next, disciplines, userId = null, onCallSt
     blocks.push({ type: 'divider' });
   }
 
+  if (creditBlocks.length > 0) {
+    blocks.push(...creditBlocks);
+    blocks.push({ type: 'divider' });
+  }
+
   // Feedback section: Bug Report and Feature Request as text links
   blocks.push({
     type: 'section',
@@ -1037,13 +1320,13 @@ function formatCurrentText(cur) {
   text += `*${cur.sprintName}* • ${rangeText}\n\n`;
   
   // Sort users by role order for consistent display
-  const roleOrder = ['account', 'producer', 'po', 'uiEng', 'beEng'];
+  const roleOrder = getRoleKeys();
   const sortedUsers = cur.users.sort((a, b) => {
     return roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role);
   });
   
   sortedUsers.forEach(u => {
-    const displayRole = ROLE_DISPLAY[u.role] || u.role;
+    const displayRole = getRoleLabel(u.role);
     text += `*${displayRole}*: ${u.name} (<@${u.slackId}>)\n`;
   });
   
@@ -1072,7 +1355,7 @@ function buildLegacyCurrentRotationSection(cur, highlightUserId = null) {
 
   const rangeText = formatSprintRangePT(cur.startDate, cur.endDate);
 
-  const roleOrder = ['account', 'producer', 'po', 'uiEng', 'beEng'];
+  const roleOrder = getRoleKeys();
   const sortedUsers = [...cur.users].sort((a, b) => roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role));
 
   const lines = [];
@@ -1081,9 +1364,7 @@ function buildLegacyCurrentRotationSection(cur, highlightUserId = null) {
   lines.push('');
 
   sortedUsers.forEach(u => {
-    const displayRole = ROLE_DISPLAY[u.role] || u.role;
-    const suffix = highlightUserId && u.slackId === highlightUserId ? ' (you)' : '';
-    lines.push(`${displayRole}: ${u.name} (<@${u.slackId}>)${suffix}`);
+    lines.push(formatRotationLine(u, highlightUserId));
   });
 
   return [
@@ -1119,13 +1400,13 @@ function formatNextText(nxt) {
   text += `*${nxt.sprintName}* • ${rangeText}\n\n`;
   
   // Sort users by role order for consistent display
-  const roleOrder = ['account', 'producer', 'po', 'uiEng', 'beEng'];
+  const roleOrder = getRoleKeys();
   const sortedUsers = nxt.users.sort((a, b) => {
     return roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role);
   });
   
   sortedUsers.forEach(u => {
-    const displayRole = ROLE_DISPLAY[u.role] || u.role;
+    const displayRole = getRoleLabel(u.role);
     text += `*${displayRole}*: ${u.name} (<@${u.slackId}>)\n`;
   });
   
@@ -1151,7 +1432,7 @@ function buildNextRotationBlocks(nxt, highlightUserId = null) {
 
   const rangeText = formatSprintRangePT(nxt.startDate, nxt.endDate);
 
-  const roleOrder = ['account', 'producer', 'po', 'uiEng', 'beEng'];
+  const roleOrder = getRoleKeys();
   const sortedUsers = (Array.isArray(nxt.users) ? nxt.users.slice() : [])
     .sort((a, b) => roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role));
 
@@ -1161,9 +1442,7 @@ function buildNextRotationBlocks(nxt, highlightUserId = null) {
   lines.push('');
 
   sortedUsers.forEach(u => {
-    const displayRole = ROLE_DISPLAY[u.role] || u.role;
-    const suffix = highlightUserId && u.slackId === highlightUserId ? ' (you)' : '';
-    lines.push(`${displayRole}: ${u.name} (<@${u.slackId}>)${suffix}`);
+    lines.push(formatRotationLine(u, highlightUserId));
   });
 
   return [
@@ -1204,7 +1483,7 @@ function buildDisciplineBlocks(discObj) {
   });
   blocks.push({ type: 'divider' });
   
-  const roleOrder = ['account', 'producer', 'po', 'uiEng', 'beEng'];
+  const roleOrder = getRoleKeys();
   let hasAnyDisciplines = false;
   
   roleOrder.forEach(role => {
@@ -1213,7 +1492,7 @@ function buildDisciplineBlocks(discObj) {
     }
     
     hasAnyDisciplines = true;
-    const displayRole = ROLE_DISPLAY[role] || role;
+    const displayRole = getRoleLabel(role);
     
     // Build user list text for this discipline
     const userList = discObj[role].map(u => `${u.name} (<@${u.slackId}>)`).join('\n');
@@ -1250,7 +1529,7 @@ function formatDisciplines(discObj) {
   
   let text = '*Discipline Rotation Lists*\n';
   
-  const roleOrder = ['account', 'producer', 'po', 'uiEng', 'beEng'];
+  const roleOrder = getRoleKeys();
   let hasAnyDisciplines = false;
   
   roleOrder.forEach(role => {
@@ -1259,7 +1538,7 @@ function formatDisciplines(discObj) {
     }
     
     hasAnyDisciplines = true;
-    const displayRole = ROLE_DISPLAY[role] || role;
+    const displayRole = getRoleLabel(role);
     text += `\n*${displayRole}*\n`;
     discObj[role].forEach(u => {
       text += `    ${u.name} (<@${u.slackId}>)\n`;
@@ -1286,7 +1565,7 @@ async function buildUpcomingSprintsModal(options = {}) {
       : DEFAULT_PAGE_SIZE;
 
     // Ensure persisted sprint index matches date before using it for "Upcoming Sprints"
-    await refreshCurrentState();
+    await refreshSprintState();
 
     // Load data asynchronously
     const currentState = await readCurrentState();
@@ -1300,10 +1579,10 @@ async function buildUpcomingSprintsModal(options = {}) {
       upcomingSprints = allSprints.slice(startingIndex);
     } else {
       // Fallback: use all sprints with a start date on or after today
-      const today = dayjs().tz("America/Los_Angeles");
+      const today = dayjs().tz(getTeamTimezone());
       upcomingSprints = allSprints.filter(sprint =>
-        dayjs(sprint.startDate).tz("America/Los_Angeles").isAfter(today) || 
-        dayjs(sprint.startDate).tz("America/Los_Angeles").isSame(today)
+        dayjs(sprint.startDate).tz(getTeamTimezone()).isAfter(today) || 
+        dayjs(sprint.startDate).tz(getTeamTimezone()).isSame(today)
       );
       startingIndex = 0;
     }
@@ -1340,9 +1619,9 @@ async function buildUpcomingSprintsModal(options = {}) {
       
       let rotationText = "";
       const sprintUsers = await getSprintUsers(actualIndex);
-      for (const role of ["account", "producer", "po", "uiEng", "beEng"]) {
+      for (const role of getRoleKeys()) {
         const slackId = sprintUsers?.[role] || null;
-        const displayRole = ROLE_DISPLAY[role] || role;
+        const displayRole = getRoleLabel(role);
         if (slackId) {
           const name = nameBySlackId[slackId];
           rotationText += name
@@ -1706,12 +1985,12 @@ slackApp.action('request_coverage_from_home', async ({ ack, body, client, logger
     }
     
     // Resolve role and disciplines from same source as app (DB when USE_DATABASE)
-    const { role, disciplines } = await getRoleAndDisciplinesForUser(userId);
+    const { role, disciplines, cursors, unavailability, credits } = await getRoleAndDisciplinesForUser(userId);
     const { buildOverrideRequestModal, buildOverrideRequestModalForSprint, buildMinimalDebugModal } = require('./overrideModal');
     const modalView =
       Number.isFinite(sprintIndex)
-        ? buildOverrideRequestModalForSprint(userId, sprintIndex, { role, disciplines })
-        : buildOverrideRequestModal(userId, { role, disciplines });
+        ? buildOverrideRequestModalForSprint(userId, sprintIndex, { role, disciplines, cursors, unavailability, credits })
+        : buildOverrideRequestModal(userId, { role, disciplines, cursors, unavailability, credits });
     
     const triggerId = body.trigger_id;
     const minimalView = buildMinimalDebugModal({
@@ -2206,7 +2485,13 @@ function buildAdminHubModalView() {
           { type: 'button', text: { type: 'plain_text', text: 'Disciplines' }, action_id: 'admin_hub_open_disciplines' },
           { type: 'button', text: { type: 'plain_text', text: 'Sprints' }, action_id: 'admin_hub_open_sprints' },
           { type: 'button', text: { type: 'plain_text', text: 'Overrides' }, action_id: 'admin_hub_open_overrides' },
-          { type: 'button', text: { type: 'plain_text', text: 'On-call' }, action_id: 'admin_hub_open_oncall' }
+          { type: 'button', text: { type: 'plain_text', text: 'On-call' }, action_id: 'admin_hub_open_oncall' },
+          { type: 'button', text: { type: 'plain_text', text: 'Coverage gaps' }, action_id: 'admin_hub_open_coverage_gaps' },
+          { type: 'button', text: { type: 'plain_text', text: 'Holidays' }, action_id: 'admin_hub_open_holidays' },
+          { type: 'button', text: { type: 'plain_text', text: 'API tokens' }, action_id: 'admin_hub_open_api_tokens' },
+          { type: 'button', text: { type: 'plain_text', text: 'Fairness' }, action_id: 'admin_hub_open_fairness' },
+          { type: 'button', text: { type: 'plain_text', text: 'After hours' }, action_id: 'admin_hub_open_after_hours' },
+          { type: 'button', text: { type: 'plain_text', text: 'Shadows' }, action_id: 'admin_hub_open_shadows' }
         ]
       }
     ]
@@ -2327,7 +2612,7 @@ slackApp.action('admin_hub_open_disciplines', async ({ ack, body, client, logger
   if (!triggerId) return;
   if (!(await ensureAdminAccess({ client, userId, logger }))) return;
 
-  const view = await buildAdminDisciplinesModalView({ discipline: 'account', showInactive: false });
+  const view = await buildAdminDisciplinesModalView({ discipline: null, showInactive: false });
 
   try {
     await client.views.push({ trigger_id: triggerId, view });
@@ -2379,6 +2664,126 @@ slackApp.action('admin_hub_open_oncall', async ({ ack, body, client, logger }) =
   }
 });
 
+slackApp.action('admin_hub_open_coverage_gaps', async ({ ack, body, client, logger }) => {
+  await ack();
+  const triggerId = body?.trigger_id;
+  const userId = body?.user?.id;
+
+  if (!triggerId) return;
+  if (!(await ensureAdminAccess({ client, userId, logger }))) return;
+
+  const view = await buildAdminCoverageGapsModalView();
+
+  try {
+    await client.views.push({ trigger_id: triggerId, view });
+  } catch (error) {
+    logger?.warn?.('[admin_hub_open_coverage_gaps] views.push failed, falling back to views.open', {
+      error: error?.data?.error || error?.message
+    });
+    await client.views.open({ trigger_id: triggerId, view });
+  }
+});
+
+slackApp.action('admin_hub_open_holidays', async ({ ack, body, client, logger }) => {
+  await ack();
+  const triggerId = body?.trigger_id;
+  const userId = body?.user?.id;
+
+  if (!triggerId) return;
+  if (!(await ensureAdminAccess({ client, userId, logger }))) return;
+
+  const view = await buildAdminHolidaysModalView();
+
+  try {
+    await client.views.push({ trigger_id: triggerId, view });
+  } catch (error) {
+    logger?.warn?.('[admin_hub_open_holidays] views.push failed, falling back to views.open', {
+      error: error?.data?.error || error?.message
+    });
+    await client.views.open({ trigger_id: triggerId, view });
+  }
+});
+
+slackApp.action('admin_hub_open_api_tokens', async ({ ack, body, client, logger }) => {
+  await ack();
+  const triggerId = body?.trigger_id;
+  const userId = body?.user?.id;
+
+  if (!triggerId) return;
+  if (!(await ensureAdminAccess({ client, userId, logger }))) return;
+
+  const view = await buildAdminApiTokensModalView();
+
+  try {
+    await client.views.push({ trigger_id: triggerId, view });
+  } catch (error) {
+    logger?.warn?.('[admin_hub_open_api_tokens] views.push failed, falling back to views.open', {
+      error: error?.data?.error || error?.message
+    });
+    await client.views.open({ trigger_id: triggerId, view });
+  }
+});
+
+slackApp.action('admin_hub_open_fairness', async ({ ack, body, client, logger }) => {
+  await ack();
+  const triggerId = body?.trigger_id;
+  const userId = body?.user?.id;
+
+  if (!triggerId) return;
+  if (!(await ensureAdminAccess({ client, userId, logger }))) return;
+
+  const view = await buildAdminFairnessModalView();
+
+  try {
+    await client.views.push({ trigger_id: triggerId, view });
+  } catch (error) {
+    logger?.warn?.('[admin_hub_open_fairness] views.push failed, falling back to views.open', {
+      error: error?.data?.error || error?.message
+    });
+    await client.views.open({ trigger_id: triggerId, view });
+  }
+});
+
+slackApp.action('admin_hub_open_after_hours', async ({ ack, body, client, logger }) => {
+  await ack();
+  const triggerId = body?.trigger_id;
+  const userId = body?.user?.id;
+
+  if (!triggerId) return;
+  if (!(await ensureAdminAccess({ client, userId, logger }))) return;
+
+  const view = await buildAdminAfterHoursModalView();
+
+  try {
+    await client.views.push({ trigger_id: triggerId, view });
+  } catch (error) {
+    logger?.warn?.('[admin_hub_open_after_hours] views.push failed, falling back to views.open', {
+      error: error?.data?.error || error?.message
+    });
+    await client.views.open({ trigger_id: triggerId, view });
+  }
+});
+
+slackApp.action('admin_hub_open_shadows', async ({ ack, body, client, logger }) => {
+  await ack();
+  const triggerId = body?.trigger_id;
+  const userId = body?.user?.id;
+
+  if (!triggerId) return;
+  if (!(await ensureAdminAccess({ client, userId, logger }))) return;
+
+  const view = await buildAdminShadowsModalView();
+
+  try {
+    await client.views.push({ trigger_id: triggerId, view });
+  } catch (error) {
+    logger?.warn?.('[admin_hub_open_shadows] views.push failed, falling back to views.open', {
+      error: error?.data?.error || error?.message
+    });
+    await client.views.open({ trigger_id: triggerId, view });
+  }
+});
+
 /**
  * Helper function to format disciplines as plain text for fallback
  */
@@ -2390,14 +2795,14 @@ async function formatDisciplinesAsText() {
     }
     
     let text = "";
-    const roleOrder = ['account', 'producer', 'po', 'uiEng', 'beEng'];
+    const roleOrder = getRoleKeys();
     
     roleOrder.forEach(role => {
       if (!disciplines[role] || !Array.isArray(disciplines[role]) || disciplines[role].length === 0) {
         return;
       }
       
-      const displayRole = ROLE_DISPLAY[role] || role;
+      const displayRole = getRoleLabel(role);
       text += `*${displayRole}:*\n`;
       disciplines[role].forEach(u => {
         text += `  • ${u.name} (<@${u.slackId}>)\n`;
@@ -2417,6 +2822,8 @@ async function formatDisciplinesAsText() {
  * @returns {Promise<{ current: Object|null, next: Object|null, disciplines: Object|null }>}
  */
 async function loadHomeTabData() {
+  // Warm the roles snapshot used by the (synchronous) block builders.
+  await loadRoles().catch(err => console.error('[loadHomeTabData] Error loading roles:', err));
   const [current, next, disciplines] = await Promise.all([
     getCurrentOnCall().catch(err => {
       console.error('[loadHomeTabData] Error loading current rotation:', err);
@@ -2518,9 +2925,9 @@ slackApp.event('app_home_opened', async ({ event, client, logger }) => {
   // so they match what we're about to show; otherwise the home tab can show new rotation while Slack still has old list.
   let stateWasRefreshed = false;
   try {
-    stateWasRefreshed = await refreshCurrentState();
+    stateWasRefreshed = await refreshSprintState();
   } catch (refreshErr) {
-    logger?.warn?.('[app_home_opened] refreshCurrentState failed (continuing)', { error: refreshErr?.message });
+    logger?.warn?.('[app_home_opened] refreshSprintState failed (continuing)', { error: refreshErr?.message });
   }
 
   try {
@@ -2558,16 +2965,11 @@ slackApp.event('app_home_opened', async ({ event, client, logger }) => {
     
     await Promise.all(loadPromises);
 
-    // When we just corrected sprint state by date, push the same rotation to Slack so user group and topic stay in sync
-    if (stateWasRefreshed && current && Array.isArray(current.users) && current.users.length > 0) {
+    // When we just corrected sprint state by date, push the same rotation to Slack so user groups and topic stay in sync
+    if (stateWasRefreshed) {
       try {
-        const { updateOnCallUserGroup, updateChannelTopic } = require('./slackNotifier');
-        const userIds = current.users.map(u => u.slackId).filter(Boolean);
-        if (userIds.length > 0) {
-          await updateOnCallUserGroup(userIds);
-          await updateChannelTopic(userIds);
-          logger?.info?.('[app_home_opened] Synced Slack user group and channel topic after sprint state refresh');
-        }
+        await syncSlackRotation(stateWasRefreshed.toIndex, stateWasRefreshed.newRoles);
+        logger?.info?.('[app_home_opened] Synced Slack user groups and channel topic after sprint state refresh');
       } catch (syncErr) {
         logger?.warn?.('[app_home_opened] Failed to sync Slack after state refresh', { error: syncErr?.message });
       }
@@ -2714,5 +3116,6 @@ module.exports = {
   getCurrentOnCall,
   getNextOnCall,
   publishAppHomeForUser,
-  loadHomeTabData
+  loadHomeTabData,
+  getUserUpcomingShifts
 };
\ No newline at end of file
@@ -0,0 +1,123 @@
+/********************************
+ * calendarFeedHandler.js
+ * "Subscribe in calendar" from App Home: shows the user's private feed URL when it is issued
+ * (it can't be shown again later) and lets them reset it.
+ ********************************/
+const { slackApp } = require('./appHome');
+const { isCalendarFeedEnabled, getUserFeed, resetUserFeed } = require('./services/calendarFeed');
+
+/**
+ * @param {Object} params
+ * @param {{ url: string|null }|null} params.feed - From getUserFeed/resetUserFeed; null when feeds are disabled,
+ *   `url` null when the user already has a link (only its hash is stored, so it can't be shown)
+ * @param {boolean} [params.wasReset]
+ */
+function buildCalendarFeedModalView({ feed, wasReset = false }) {
+  const blocks = [];
+  const url = feed?.url || null;
+
+  if (!feed) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: 'Calendar feeds are not available on this workspace yet. Ask an admin to set `PUBLIC_BASE_URL`.' }
+    });
+  } else if (!url) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'You already have a calendar link. It is only shown once, when it is created, so it can\'t be displayed again. If you no longer have it, reset it to get a new one.'
+      },
+      accessory: buildResetButton()
+    });
+  } else {
+    if (wasReset) {
+      blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: ':white_check_mark: New link created. The old link no longer works; update any calendar that used it.' }]
+      });
+    }
+    blocks.push(
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: 'Add this link to your calendar app to see your triage shifts, from the 8AM hand-off that starts each one to the hand-off that ends it. It updates as the rotation changes.'
+        }
+      },
+      { type: 'section', text: { type: 'mrkdwn', text: `\`\`\`${url}\`\`\`` } },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: ':warning: Copy the link now; it will not be shown again.' }]
+      },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: '*Google Calendar:* Other calendars → + → From URL  •  *Outlook:* Add calendar → Subscribe from web  •  *Apple Calendar:* File → New Calendar Subscription'
+        }]
+      },
+      { type: 'divider' },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: 'Anyone with this link can see your shifts. If it was shared by mistake, reset it.' },
+        accessory: buildResetButton()
+      }
+    );
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'calendar_feed_modal',
+    title: { type: 'plain_text', text: 'Calendar feed' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks
+  };
+}
+
+function buildResetButton() {
+  return {
+    type: 'button',
+    text: { type: 'plain_text', text: 'Reset link' },
+    style: 'danger',
+    action_id: 'calendar_feed_reset',
+    confirm: {
+      title: { type: 'plain_text', text: 'Reset calendar link?' },
+      text: { type: 'mrkdwn', text: 'Calendars subscribed with the current link will stop updating.' },
+      confirm: { type: 'plain_text', text: 'Reset' },
+      deny: { type: 'plain_text', text: 'Cancel' }
+    }
+  };
+}
+
+slackApp.action('open_calendar_feed', async ({ ack, body, client, logger }) => {
+  await ack();
+  const triggerId = body?.trigger_id;
+  const userId = body?.user?.id;
+  if (!triggerId || !userId) return;
+
+  try {
+    const feed = isCalendarFeedEnabled() ? await getUserFeed(userId) : null;
+    await client.views.open({ trigger_id: triggerId, view: buildCalendarFeedModalView({ feed }) });
+  } catch (error) {
+    logger?.error?.('[open_calendar_feed] failed', error);
+  }
+});
+
+slackApp.action('calendar_feed_reset', async ({ ack, body, client, logger }) => {
+  await ack();
+  const userId = body?.user?.id;
+  const viewId = body?.view?.id;
+  if (!userId || !viewId) return;
+
+  try {
+    const feed = await resetUserFeed(userId);
+    await client.views.update({ view_id: viewId, view: buildCalendarFeedModalView({ feed, wasReset: !!feed }) });
+  } catch (error) {
+    logger?.error?.('[calendar_feed_reset] failed', error);
+  }
+});
+
+module.exports = {
+  buildCalendarFeedModalView
+};
@@ -7,6 +7,11 @@
 /** Single source of truth for staging: one env var only (APP_ENV). */
 const isStaging = process.env.APP_ENV === 'staging';
 
+function minutesFromEnv(name, fallback) {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
 const config = {
   /**
    * Shared secret used to validate inbound Railway cron webhooks.
@@ -24,6 +29,49 @@ const config = {
 
   /** Current environment label for DB/queries: 'staging' or 'production'. */
   env: isStaging ? 'staging' : 'production',
+
+  /**
+   * IANA timezone the team works in (TEAM_TIMEZONE). Sprint dates, the 8AM cutover, cron
+   * schedules, weekend deferral and user-facing times all use it. Validated in services/teamTimezone.
+   */
+  get teamTimezone() {
+    return process.env.TEAM_TIMEZONE || 'America/Los_Angeles';
+  },
+
+  /**
+   * Public origin of this service for links handed to users, e.g. calendar feed URLs
+   * (PUBLIC_BASE_URL, else the domain Railway assigns). Null when neither is set.
+   */
+  get publicBaseUrl() {
+    if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+    if (process.env.RAILWAY_PUBLIC_DOMAIN) return `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`;
+    return null;
+  },
+
+  /**
+   * Bug escalation policy (opt-in with ESCALATION_ENABLED=true). Each delay is the number of
+   * minutes without an acknowledgement before moving on from the previous step.
+   */
+  get escalation() {
+    return {
+      enabled: process.env.ESCALATION_ENABLED === 'true',
+      backupAfterMinutes: minutesFromEnv('ESCALATION_BACKUP_AFTER_MINUTES', 15),
+      leadAfterMinutes: minutesFromEnv('ESCALATION_LEAD_AFTER_MINUTES', 30),
+      adminsAfterMinutes: minutesFromEnv('ESCALATION_ADMINS_AFTER_MINUTES', 30),
+    };
+  },
+
+  /**
+   * Override approval routing. Requests a replacement accepted go to the discipline lead first and
+   * to the admin channel once the lead has not answered for leadTimeoutMinutes. Pending requests
+   * are re-sent every reminderIntervalMinutes (0 turns reminders off) until their coverage starts.
+   */
+  get overrideApproval() {
+    return {
+      leadTimeoutMinutes: minutesFromEnv('OVERRIDE_LEAD_TIMEOUT_MINUTES', 240),
+      reminderIntervalMinutes: minutesFromEnv('OVERRIDE_REMINDER_INTERVAL_MINUTES', 1440),
+    };
+  },
 };
 
 module.exports = config;
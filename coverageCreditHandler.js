@@ -0,0 +1,31 @@
+/********************************
+ * coverageCreditHandler.js
+ * "Skip my next turn" from App Home: redeems one coverage credit against the user's next scheduled turn.
+ ********************************/
+const { slackApp, publishAppHomeForUser } = require('./appHome');
+const { redeemCoverageCredit, readSprints, formatSprintRangePT } = require('./dataUtils');
+
+slackApp.action('redeem_coverage_credit', async ({ ack, body, client, logger }) => {
+  await ack();
+  const userId = body?.user?.id;
+  if (!userId) return;
+
+  try {
+    const result = await redeemCoverageCredit(userId);
+    let text;
+    if (result.ok) {
+      const sprint = (await readSprints()).find(s => Number(s?.sprintIndex) === Number(result.sprintIndex));
+      const label = sprint
+        ? `*${sprint.sprintName}* (${formatSprintRangePT(sprint.startDate, sprint.endDate)})`
+        : `sprint ${result.sprintIndex}`;
+      text = `:white_check_mark: Coverage credit used. You'll skip your turn in ${label}; the next person in line takes it.`;
+    } else {
+      text = `:warning: ${result.error}`;
+    }
+    await client.chat.postMessage({ channel: userId, text });
+  } catch (error) {
+    logger?.error?.('[redeem_coverage_credit] failed', error);
+  }
+
+  await publishAppHomeForUser(client, userId);
+});
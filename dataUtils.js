@@ -16,10 +16,29 @@ dayjs.extend(timezone);
 const { 
   UsersRepository, 
   SprintsRepository, 
+  SprintCadenceRepository,
+  AfterHoursRotationRepository,
   CurrentStateRepository, 
+  RotationCursorsRepository,
+  UnavailabilityRepository,
+  CoverageCreditsRepository,
+  ShadowAssignmentsRepository,
+  HolidaysRepository,
   OverridesRepository 
 } = require('./db/repository');
 const config = require('./config');
+const { loadRoles, getRoleKeys, toRoleMap } = require('./services/roles');
+const { seedCursor, projectCursor, cursorAssignee, recordSubstitute, getEligibleAssignee, getBackupAssignee } = require('./services/rotationCursor');
+const { validateRange, upcomingEntries, unavailableBySprint, toDateOnly } = require('./services/availability');
+const { getTeamTimezone } = require('./services/teamTimezone');
+const { validateHoliday, normalizeHoliday, getCutoverDate } = require('./services/holidays');
+const { DEFAULT_CADENCE, normalizeCadence, validateCadence, generateSprints, digestSprints } = require('./services/sprintCadence');
+const { DEFAULT_AFTER_HOURS, normalizeAfterHours, validateAfterHours } = require('./services/afterHours');
+const { isRedeemed, summarizeCredits } = require('./services/coverageCredits');
+const { findActiveOverride } = require('./services/overrideRanges');
+const { withOverrideStatus } = require('./services/overrideStatus');
+const { resolveRoleConflicts } = require('./services/roleConflicts');
+const { normalizeShadow, validateShadow, shadowsForSprint } = require('./services/shadows');
 
 // Environment detection (single source of truth: config.isStaging)
 const IS_STAGING = config.isStaging;
@@ -30,6 +49,13 @@ const SPRINTS_FILE = path.join(__dirname, "sprints.json");
 const DISCIPLINES_STAGING_FILE = path.join(__dirname, "disciplines.staging.json");
 const DISCIPLINES_FILE = path.join(__dirname, "disciplines.json");
 const OVERRIDES_FILE = path.join(__dirname, "overrides.json");
+const ROTATION_CURSORS_FILE = path.join(__dirname, "rotationCursors.json");
+const UNAVAILABILITY_FILE = path.join(__dirname, "unavailability.json");
+const HOLIDAYS_FILE = path.join(__dirname, "holidays.json");
+const SPRINT_CADENCE_FILE = path.join(__dirname, "sprintCadence.json");
+const AFTER_HOURS_FILE = path.join(__dirname, "afterHoursRotation.json");
+const COVERAGE_CREDITS_FILE = path.join(__dirname, "coverageCredits.json");
+const SHADOWS_FILE = path.join(__dirname, "shadowAssignments.json");
 
 // Configuration for dual-write mode (can be disabled after validation)
 const DUAL_WRITE_MODE = process.env.DUAL_WRITE_MODE !== 'false';
@@ -47,6 +73,10 @@ const CACHE_TTLS = {
   disciplinesAll: 60 * 15, // 15m
   currentState: 10, // 10s
   overridesAll: 10, // 10s
+  rotationCursors: 10, // 10s
+  unavailability: 60, // 60s
+  coverageCredits: 60, // 60s
+  holidays: 60 * 5, // 5m
   sprintUsers: 60 // 60s
 };
 
@@ -61,15 +91,20 @@ async function cacheGetOrSetJson(key, ttlSeconds, fetchFn) {
   return value;
 }
 
+/*
+ * Date helpers below keep their historical "PT" names but use the team timezone
+ * (config.teamTimezone, default America/Los_Angeles).
+ */
+
 /**
- * Format a date consistently using Pacific Time
+ * Format a date consistently in the team timezone
  */
 function formatPTDate(dateStr, formatStr = 'ddd MM/DD/YYYY') {
-  return dayjs.tz(`${dateStr}T00:00:00`, "America/Los_Angeles").format(formatStr);
+  return dayjs.tz(`${dateStr}T00:00:00`, getTeamTimezone()).format(formatStr);
 }
 
 /**
- * Format a sprint date range consistently in Pacific Time.
+ * Format a sprint date range consistently in the team timezone.
  *
  * Canonical format (same year): "Jan 14–Jan 27, 2026"
  * Cross-year format: "Dec 29, 2026–Jan 11, 2027"
@@ -100,7 +135,7 @@ function formatSprintLabelPT(sprintName, startDateStr, endDateStr) {
 }
 
 /**
- * Parse a date string consistently as midnight PT
+ * Parse a date string consistently as midnight in the team timezone
  * Returns null for invalid dates instead of throwing errors
  */
 function parsePTDate(dateStr) {
@@ -118,7 +153,7 @@ function parsePTDate(dateStr) {
   }
   
   // Attempt parsing
-  const parsed = dayjs.tz(`${dateStr}T00:00:00`, "America/Los_Angeles");
+  const parsed = dayjs.tz(`${dateStr}T00:00:00`, getTeamTimezone());
   if (!parsed.isValid()) {
     console.warn(`[parsePTDate] Invalid date value: ${dateStr} (dayjs parsing failed)`);
     return null;
@@ -128,22 +163,31 @@ function parsePTDate(dateStr) {
 }
 
 /**
- * Get today's date in Pacific Time, at start of day
+ * Get today's date in the team timezone, at start of day
  */
 function getTodayPT() {
-  return dayjs().tz("America/Los_Angeles").startOf("day");
+  return dayjs().tz(getTeamTimezone()).startOf("day");
 }
 
 /**
- * Get the current Pacific Time timestamp.
+ * Get the current timestamp in the team timezone.
  */
 function getNowPT() {
-  return dayjs().tz("America/Los_Angeles");
+  return dayjs().tz(getTeamTimezone());
+}
+
+/**
+ * The day whose shift is running now (YYYY-MM-DD): yesterday until the 8AM hand-off, then today.
+ */
+function getShiftDatePT(now = getNowPT()) {
+  const nowPT = dayjs(now).tz(getTeamTimezone());
+  const day = isAtOrAfterCutover(nowPT, 8) ? nowPT : nowPT.subtract(1, 'day');
+  return day.format('YYYY-MM-DD');
 }
 
 function normalizeDateOnly(value) {
   if (value instanceof Date) {
-    return dayjs(value).tz("America/Los_Angeles").format('YYYY-MM-DD');
+    return dayjs(value).tz(getTeamTimezone()).format('YYYY-MM-DD');
   }
   if (typeof value === 'string') {
     return value.split('T')[0];
@@ -159,43 +203,56 @@ function isAtOrAfterCutover(nowPT, cutoverHour = 8) {
   return m >= 0;
 }
 
+function toSprintCandidate(s, i) {
+  const idx = Number.isFinite(Number(s?.sprintIndex))
+    ? Number(s.sprintIndex)
+    : Number.isFinite(Number(s?.index))
+      ? Number(s.index)
+      : i;
+  return {
+    index: idx,
+    sprintName: s?.sprintName ?? null,
+    startDate: normalizeDateOnly(s?.startDate),
+    endDate: normalizeDateOnly(s?.endDate)
+  };
+}
+
 /**
- * Resolve current sprint from a list for a specific PT timestamp.
+ * Resolve current sprint from a list for a specific timestamp (read in the team timezone).
  * Inclusive date windows are preserved; overlap ties are deterministic:
- * before 8AM PT -> lower sprint index, at/after 8AM PT -> higher sprint index.
+ * before 8AM team time -> lower sprint index, at/after 8AM -> higher sprint index.
+ * When a sprint starts on a 'shift' holiday, the previous sprint stays current until
+ * 8AM on the next business day.
  */
-function resolveCurrentSprintForNow(sprints, nowPT = getNowPT()) {
+function resolveCurrentSprintForNow(sprints, now = getNowPT(), holidays = []) {
   if (!Array.isArray(sprints) || sprints.length === 0) return null;
+  const nowPT = dayjs(now).tz(getTeamTimezone());
   const todayPT = nowPT.startOf('day');
 
-  const candidates = [];
-  for (let i = 0; i < sprints.length; i++) {
-    const s = sprints[i];
-    const sprintName = s?.sprintName ?? null;
-    const startDate = normalizeDateOnly(s?.startDate);
-    const endDate = normalizeDateOnly(s?.endDate);
-    const sprintStart = parsePTDate(startDate);
-    const sprintEnd = parsePTDate(endDate);
-    if (!sprintStart || !sprintEnd) continue;
-
-    if (
+  const all = sprints.map(toSprintCandidate);
+  const candidates = all.filter(c => {
+    const sprintStart = parsePTDate(c.startDate);
+    const sprintEnd = parsePTDate(c.endDate);
+    if (!sprintStart || !sprintEnd) return false;
+    return (
       (todayPT.isAfter(sprintStart) || todayPT.isSame(sprintStart, 'day')) &&
       (todayPT.isBefore(sprintEnd) || todayPT.isSame(sprintEnd, 'day'))
-    ) {
-      const idx = Number.isFinite(Number(s?.sprintIndex))
-        ? Number(s.sprintIndex)
-        : Number.isFinite(Number(s?.index))
-          ? Number(s.index)
-          : i;
-      candidates.push({ index: idx, sprintName, startDate, endDate });
-    }
-  }
+    );
+  });
 
   if (candidates.length === 0) return null;
-  if (candidates.length === 1) return candidates[0];
 
   const sorted = candidates.slice().sort((a, b) => Number(a.index) - Number(b.index));
-  return isAtOrAfterCutover(nowPT, 8) ? sorted[sorted.length - 1] : sorted[0];
+  const current = candidates.length === 1 || isAtOrAfterCutover(nowPT, 8) ? sorted[sorted.length - 1] : sorted[0];
+
+  const cutoverDate = getCutoverDate(current.startDate, holidays);
+  if (cutoverDate && cutoverDate !== current.startDate && nowPT.isBefore(dayjs.tz(`${cutoverDate}T08:00:00`, getTeamTimezone()))) {
+    const previous = all
+      .filter(c => Number(c.index) < Number(current.index))
+      .sort((a, b) => Number(b.index) - Number(a.index))[0];
+    if (previous) return previous;
+  }
+  return current;
 }
 
 /**
@@ -327,6 +384,151 @@ async function upsertSprint({ sprintName, startDate, endDate, sprintIndex, chang
   return true;
 }
 
+/**
+ * Read the sprint cadence, falling back to DEFAULT_CADENCE when none has been saved.
+ */
+async function readSprintCadence() {
+  const readFile = () => normalizeCadence((fs.existsSync(SPRINT_CADENCE_FILE) ? loadJSON(SPRINT_CADENCE_FILE) : null) || DEFAULT_CADENCE);
+
+  if (!USE_DATABASE) {
+    return readFile();
+  }
+
+  try {
+    const saved = await SprintCadenceRepository.get();
+    return normalizeCadence(saved || DEFAULT_CADENCE);
+  } catch (error) {
+    console.error('[readSprintCadence] Database error:', error);
+    return readFile();
+  }
+}
+
+/**
+ * Save the sprint cadence.
+ * @returns {Promise<{ ok: boolean, errors?: Object }>}
+ */
+async function saveSprintCadence(cadence, changedBy = 'system') {
+  const errors = validateCadence(cadence);
+  if (Object.keys(errors).length > 0) return { ok: false, errors };
+  const normalized = normalizeCadence(cadence);
+
+  if (USE_DATABASE) {
+    try {
+      await SprintCadenceRepository.save(normalized, changedBy);
+      return { ok: true };
+    } catch (error) {
+      console.error('[saveSprintCadence] Database error:', error);
+    }
+  }
+  return saveJSON(SPRINT_CADENCE_FILE, normalized) ? { ok: true } : { ok: false, errors: { cadence: 'Could not save the cadence.' } };
+}
+
+/**
+ * Read the after-hours rotation (DEFAULT_AFTER_HOURS, i.e. off, when none has been saved), with
+ * `announcedStart`: the start of the last shift announced.
+ */
+async function readAfterHoursRotation() {
+  const readFile = () => {
+    const saved = (fs.existsSync(AFTER_HOURS_FILE) ? loadJSON(AFTER_HOURS_FILE) : null) || DEFAULT_AFTER_HOURS;
+    return { ...normalizeAfterHours(saved), announcedStart: saved.announcedStart || null };
+  };
+
+  if (!USE_DATABASE) {
+    return readFile();
+  }
+
+  try {
+    const saved = await AfterHoursRotationRepository.get();
+    return { ...normalizeAfterHours(saved || DEFAULT_AFTER_HOURS), announcedStart: saved?.announcedStart || null };
+  } catch (error) {
+    console.error('[readAfterHoursRotation] Database error:', error);
+    return readFile();
+  }
+}
+
+/**
+ * Save the after-hours rotation settings.
+ * @returns {Promise<{ ok: boolean, errors?: Object }>}
+ */
+async function saveAfterHoursRotation(rotation, changedBy = 'system') {
+  const errors = validateAfterHours(rotation);
+  if (Object.keys(errors).length > 0) return { ok: false, errors };
+  const normalized = normalizeAfterHours(rotation);
+
+  if (USE_DATABASE) {
+    try {
+      await AfterHoursRotationRepository.save(normalized, changedBy);
+      return { ok: true };
+    } catch (error) {
+      console.error('[saveAfterHoursRotation] Database error:', error);
+    }
+  }
+  const existing = fs.existsSync(AFTER_HOURS_FILE) ? loadJSON(AFTER_HOURS_FILE) : null;
+  return saveJSON(AFTER_HOURS_FILE, { ...normalized, announcedStart: existing?.announcedStart || null })
+    ? { ok: true }
+    : { ok: false, errors: { roster: 'Could not save the rotation.' } };
+}
+
+/**
+ * Mark the after-hours shift starting at `start` (ISO) as announced. Returns false when it
+ * already was (or the rotation is off), so each shift is announced once.
+ */
+async function claimAfterHoursAnnouncement(start) {
+  if (USE_DATABASE) {
+    try {
+      return await AfterHoursRotationRepository.claimAnnouncement(start);
+    } catch (error) {
+      console.error('[claimAfterHoursAnnouncement] Database error:', error);
+      return false;
+    }
+  }
+  const saved = fs.existsSync(AFTER_HOURS_FILE) ? loadJSON(AFTER_HOURS_FILE) : null;
+  if (!saved || saved.enabled !== true || saved.announcedStart === start) return false;
+  return saveJSON(AFTER_HOURS_FILE, { ...saved, announcedStart: start });
+}
+
+/**
+ * Sprints the cadence would add to reach its runway, without saving anything.
+ * @param {Object} [cadence] - Defaults to the saved cadence
+ * @returns {Promise<{ cadence: Object, sprints: Array, runwayUntil: string, conflicts: string[] }>}
+ */
+async function previewGeneratedSprints(cadence = null) {
+  const resolved = cadence ? normalizeCadence(cadence) : await readSprintCadence();
+  const existing = await readSprints();
+  const today = getTodayPT().format('YYYY-MM-DD');
+  return { cadence: resolved, ...generateSprints({ cadence: resolved, existing, today }) };
+}
+
+/**
+ * Save the cadence and create the sprints an admin previewed. Generation is re-run against
+ * the current calendar first; if it no longer matches the preview (someone added a sprint
+ * meanwhile) or would duplicate or overlap an existing sprint, nothing is created.
+ * @param {Object} params
+ * @param {Object} params.cadence
+ * @param {string} [params.digest] - digestSprints() of the previewed list
+ * @returns {Promise<{ ok: boolean, created: number, error?: string, preview?: Object }>}
+ */
+async function commitGeneratedSprints({ cadence, digest = null }, changedBy = 'system') {
+  const errors = validateCadence(cadence);
+  if (Object.keys(errors).length > 0) return { ok: false, created: 0, error: Object.values(errors)[0] };
+
+  await cache.del('sprints:all');
+  const preview = await previewGeneratedSprints(cadence);
+  if (preview.conflicts.length > 0) {
+    return { ok: false, created: 0, error: preview.conflicts[0], preview };
+  }
+  if (digest && digest !== digestSprints(preview.sprints)) {
+    return { ok: false, created: 0, error: 'The sprint calendar changed since the preview. Review the new preview.', preview };
+  }
+
+  await saveSprintCadence(preview.cadence, changedBy);
+  let created = 0;
+  for (const sprint of preview.sprints) {
+    if (await upsertSprint({ ...sprint, changedBy, reason: 'Sprint generated from cadence' })) created += 1;
+  }
+  return { ok: created === preview.sprints.length, created, preview };
+}
+
 /**
  * Get all disciplines from database
  */
@@ -428,24 +630,21 @@ async function getRoleAndDisciplinesForUser(userId) {
     }
     if (role) break;
   }
-  return { role, disciplines: disciplines || {} };
+  const cursors = await readRotationCursors();
+  const unavailability = await readUnavailability();
+  const credits = await readCoverageCredits();
+  return { role, disciplines: disciplines || {}, cursors, unavailability, credits };
 }
 
 /**
  * Get the current state from database
  */
 async function readCurrentState() {
+  await loadRoles();
   if (!USE_DATABASE) {
     const state = loadJSON(CURRENT_STATE_FILE);
     if (!state) {
-      return {
-        sprintIndex: null,
-        account: null,
-        producer: null,
-        po: null,
-        uiEng: null,
-        beEng: null
-      };
+      return { sprintIndex: null, ...toRoleMap() };
     }
     return state;
   }
@@ -459,14 +658,7 @@ async function readCurrentState() {
     console.error('[readCurrentState] Database error:', error);
     // Fallback to JSON if database fails
     const state = loadJSON(CURRENT_STATE_FILE);
-    return state || {
-      sprintIndex: null,
-      account: null,
-      producer: null,
-      po: null,
-      uiEng: null,
-      beEng: null
-    };
+    return state || { sprintIndex: null, ...toRoleMap() };
   }
 }
 
@@ -475,8 +667,8 @@ async function readCurrentState() {
  */
 async function saveCurrentState(state) {
   // Validate no duplicate users in the state
-  const users = [state.account, state.producer, state.po, state.uiEng, state.beEng]
-    .filter(Boolean);
+  await loadRoles();
+  const users = getRoleKeys().map(role => state[role]).filter(Boolean);
   const uniqueUsers = new Set(users);
   
   if (users.length !== uniqueUsers.size) {
@@ -514,13 +706,575 @@ async function saveCurrentState(state) {
   return saveJSON(CURRENT_STATE_FILE, state);
 }
 
+/**
+ * Read rotation cursors keyed by role ({ anchorSprintIndex, served })
+ */
+async function readRotationCursors() {
+  const readFile = () => (fs.existsSync(ROTATION_CURSORS_FILE) ? loadJSON(ROTATION_CURSORS_FILE) : null) || {};
+
+  if (!USE_DATABASE) {
+    return readFile();
+  }
+
+  try {
+    return await cacheGetOrSetJson('rotationCursors', CACHE_TTLS.rotationCursors, async () => {
+      return await RotationCursorsRepository.getAll();
+    });
+  } catch (error) {
+    console.error('[readRotationCursors] Database error:', error);
+    return readFile();
+  }
+}
+
+/**
+ * Persist the rotation cursor for a single role
+ */
+async function saveRotationCursor(role, cursor, changedBy = 'system') {
+  const writeFile = () => {
+    const existing = (fs.existsSync(ROTATION_CURSORS_FILE) ? loadJSON(ROTATION_CURSORS_FILE) : null) || {};
+    existing[role] = cursor;
+    return saveJSON(ROTATION_CURSORS_FILE, existing);
+  };
+
+  if (USE_DATABASE) {
+    try {
+      await RotationCursorsRepository.upsert(role, cursor, changedBy);
+      await cache.del('rotationCursors');
+      if (DUAL_WRITE_MODE) {
+        writeFile();
+      }
+      return true;
+    } catch (error) {
+      console.error('[saveRotationCursor] Database error:', error);
+      return writeFile();
+    }
+  }
+
+  return writeFile();
+}
+
+/**
+ * Move every role's rotation cursor forward to sprintIndex (one member per sprint).
+ * Roles without a cursor are seeded so the legacy schedule continues unchanged.
+ * Whoever actually takes sprintIndex is recorded as served: a substitute for someone on time off
+ * or skipping with a credit, or the replacement for someone moved off a second role. The person
+ * they replaced stays next in line.
+ * Idempotent: cursors already at or past sprintIndex are left alone.
+ * @returns {Promise<boolean>} true if any cursor was written
+ */
+async function advanceRotationCursors(sprintIndex, changedBy = 'system') {
+  const idx = Number(sprintIndex);
+  if (!Number.isFinite(idx)) return false;
+
+  const roleKeys = (await loadRoles()).map(r => r.key);
+  const disciplines = await readDisciplines();
+  const cursors = await readRotationCursors();
+  const unavailableFor = await readUnavailableBySprint();
+
+  const moved = {};
+  for (const role of roleKeys) {
+    const roster = disciplines?.[role] || [];
+    const existing = cursors?.[role] || null;
+    if (!existing) {
+      const seeded = seedCursor(roster, idx);
+      const { slackId } = getEligibleAssignee(idx, roster, null, unavailableFor(idx));
+      if (seeded) moved[role] = recordSubstitute(seeded, slackId);
+    } else if (idx > Number(existing.anchorSprintIndex)) {
+      moved[role] = projectCursor(existing, roster, idx, unavailableFor);
+    }
+  }
+  if (Object.keys(moved).length === 0) return false;
+
+  // Computed from the cursors as they were; the projection above picks the same people.
+  const { resolutions } = await computeSprintUsers(idx, roleKeys);
+  for (const { slackId, role, replacement } of resolutions) {
+    if (moved[role] && cursorAssignee(moved[role]) === slackId) {
+      moved[role] = recordSubstitute(moved[role], replacement);
+    }
+  }
+
+  for (const [role, next] of Object.entries(moved)) {
+    await saveRotationCursor(role, next, changedBy);
+  }
+  console.log('[advanceRotationCursors] Rotation cursors moved to sprint', idx);
+  return true;
+}
+
+/**
+ * Read time-off entries that have not ended yet ({ id, slackId, startDate, endDate, reason })
+ */
+async function readUnavailability() {
+  const today = getTodayPT().format('YYYY-MM-DD');
+  const readFile = () => upcomingEntries((fs.existsSync(UNAVAILABILITY_FILE) ? loadJSON(UNAVAILABILITY_FILE) : null) || [], today);
+
+  if (!USE_DATABASE) {
+    return readFile();
+  }
+
+  try {
+    return await cacheGetOrSetJson('unavailability:upcoming', CACHE_TTLS.unavailability, async () => {
+      return await UnavailabilityRepository.getUpcoming(today);
+    });
+  } catch (error) {
+    console.error('[readUnavailability] Database error:', error);
+    return readFile();
+  }
+}
+
+/**
+ * Who is out of each sprint (time off and credit skips), keyed by sprint index, for projecting
+ * rotation cursors past sprints between the cursor and the one asked for.
+ * @returns {Promise<(sprintIndex: number) => Set<string>>}
+ */
+async function readUnavailableBySprint() {
+  return unavailableBySprint(await readUnavailability(), await readSprints(), await readCoverageCredits());
+}
+
+/**
+ * Drop cached sprint assignments for sprints overlapping a time-off range.
+ */
+async function invalidateSprintUsersForRange(startDate, endDate) {
+  await cache.del('unavailability:upcoming');
+  const sprints = await readSprints();
+  for (const sprint of sprints) {
+    const sStart = normalizeDateOnly(sprint.startDate);
+    const sEnd = normalizeDateOnly(sprint.endDate);
+    if (sStart <= endDate && startDate <= sEnd) {
+      await cache.del(`sprintUsers:${sprint.sprintIndex}`);
+    }
+  }
+}
+
+/**
+ * Add a time-off entry for a member.
+ * @returns {Promise<{ ok: boolean, id?: number, error?: string }>}
+ */
+async function addUnavailability({ slackId, startDate, endDate, reason }, changedBy = slackId) {
+  const invalid = !slackId ? 'A user is required.' : validateRange(startDate, endDate);
+  if (invalid) return { ok: false, error: invalid };
+
+  const entry = {
+    slackId,
+    startDate: toDateOnly(startDate),
+    endDate: toDateOnly(endDate),
+    reason: reason ? String(reason).trim().slice(0, 200) : null
+  };
+
+  const writeFile = () => {
+    const existing = (fs.existsSync(UNAVAILABILITY_FILE) ? loadJSON(UNAVAILABILITY_FILE) : null) || [];
+    const id = existing.reduce((max, e) => Math.max(max, Number(e?.id) || 0), 0) + 1;
+    existing.push({ id, ...entry, createdBy: changedBy, createdAt: new Date().toISOString() });
+    return saveJSON(UNAVAILABILITY_FILE, existing) ? id : null;
+  };
+
+  let id = null;
+  if (USE_DATABASE) {
+    try {
+      id = await UnavailabilityRepository.add(entry, changedBy);
+    } catch (error) {
+      console.error('[addUnavailability] Database error:', error);
+      id = writeFile();
+    }
+  } else {
+    id = writeFile();
+  }
+
+  if (id == null) return { ok: false, error: 'Could not save your time off. Please try again.' };
+  await invalidateSprintUsersForRange(entry.startDate, entry.endDate);
+  return { ok: true, id };
+}
+
+/**
+ * Remove a time-off entry. Pass slackId to restrict removal to that member's own entries.
+ * @returns {Promise<boolean>}
+ */
+async function removeUnavailability(id, { slackId = null, changedBy = 'system' } = {}) {
+  const entryId = Number(id);
+  if (!Number.isFinite(entryId)) return false;
+
+  const existingEntry = (await readUnavailability()).find(e => Number(e.id) === entryId) || null;
+
+  const removeFromFile = () => {
+    const existing = (fs.existsSync(UNAVAILABILITY_FILE) ? loadJSON(UNAVAILABILITY_FILE) : null) || [];
+    const next = existing.filter(e => !(Number(e?.id) === entryId && (!slackId || e.slackId === slackId)));
+    if (next.length === existing.length) return false;
+    return saveJSON(UNAVAILABILITY_FILE, next);
+  };
+
+  let removed = false;
+  if (USE_DATABASE) {
+    try {
+      removed = await UnavailabilityRepository.deleteById(entryId, slackId, changedBy);
+    } catch (error) {
+      console.error('[removeUnavailability] Database error:', error);
+      removed = removeFromFile();
+    }
+  } else {
+    removed = removeFromFile();
+  }
+
+  if (removed && existingEntry) {
+    await invalidateSprintUsersForRange(existingEntry.startDate, existingEntry.endDate);
+  } else if (removed) {
+    await cache.del('unavailability:upcoming');
+  }
+  return removed;
+}
+
+/**
+ * Read the coverage credit ledger ({ id, slackId, role, sprintIndex, coveredSlackId, earnedAt, redeemedSprintIndex, redeemedAt })
+ */
+async function readCoverageCredits() {
+  const readFile = () => (fs.existsSync(COVERAGE_CREDITS_FILE) ? loadJSON(COVERAGE_CREDITS_FILE) : null) || [];
+
+  if (!USE_DATABASE) {
+    return readFile();
+  }
+
+  try {
+    return await cacheGetOrSetJson('coverageCredits', CACHE_TTLS.coverageCredits, async () => {
+      return await CoverageCreditsRepository.getAll();
+    });
+  } catch (error) {
+    console.error('[readCoverageCredits] Database error:', error);
+    return readFile();
+  }
+}
+
+/**
+ * Award a coverage credit to the member who covered (sprintIndex, role). Idempotent per shift.
+ * @returns {Promise<boolean>} true if a new credit was recorded
+ */
+async function earnCoverageCredit({ slackId, role, sprintIndex, coveredSlackId = null }, changedBy = 'system') {
+  const idx = Number(sprintIndex);
+  if (!slackId || !role || !Number.isFinite(idx)) return false;
+  const credit = { slackId, role, sprintIndex: idx, coveredSlackId };
+
+  const writeFile = () => {
+    const existing = (fs.existsSync(COVERAGE_CREDITS_FILE) ? loadJSON(COVERAGE_CREDITS_FILE) : null) || [];
+    if (existing.some(c => c.slackId === slackId && Number(c.sprintIndex) === idx && c.role === role)) return false;
+    const id = existing.reduce((max, c) => Math.max(max, Number(c?.id) || 0), 0) + 1;
+    existing.push({ id, ...credit, earnedAt: new Date().toISOString(), redeemedSprintIndex: null, redeemedAt: null });
+    return saveJSON(COVERAGE_CREDITS_FILE, existing);
+  };
+
+  let earned = false;
+  if (USE_DATABASE) {
+    try {
+      earned = (await CoverageCreditsRepository.earn(credit, changedBy)) != null;
+    } catch (error) {
+      console.error('[earnCoverageCredit] Database error:', error);
+      earned = writeFile();
+    }
+  } else {
+    earned = writeFile();
+  }
+
+  await cache.del('coverageCredits');
+  return earned;
+}
+
+/**
+ * Take back the unredeemed credit earned for covering (sprintIndex, role), e.g. when that override is removed.
+ * A credit that was already redeemed stays: the skip it bought has been scheduled.
+ */
+async function revokeCoverageCredit({ slackId, role, sprintIndex }, changedBy = 'system') {
+  const idx = Number(sprintIndex);
+  if (!slackId || !role || !Number.isFinite(idx)) return false;
+
+  const removeFromFile = () => {
+    const existing = (fs.existsSync(COVERAGE_CREDITS_FILE) ? loadJSON(COVERAGE_CREDITS_FILE) : null) || [];
+    const next = existing.filter(c => !(c.slackId === slackId && Number(c.sprintIndex) === idx && c.role === role && !isRedeemed(c)));
+    if (next.length === existing.length) return false;
+    return saveJSON(COVERAGE_CREDITS_FILE, next);
+  };
+
+  let revoked = false;
+  if (USE_DATABASE) {
+    try {
+      revoked = await CoverageCreditsRepository.revokeUnredeemed(slackId, idx, role, changedBy);
+    } catch (error) {
+      console.error('[revokeCoverageCredit] Database error:', error);
+      revoked = removeFromFile();
+    }
+  } else {
+    revoked = removeFromFile();
+  }
+
+  await cache.del('coverageCredits');
+  return revoked;
+}
+
+/**
+ * The member's next upcoming sprint (after the current one) where the rotation has them on call
+ * for their own turn, not covering someone through an override. Null when there is none.
+ */
+async function findNextScheduledTurn(slackId) {
+  const current = await findCurrentSprint();
+  const currentIndex = current && Number.isFinite(Number(current.index)) ? Number(current.index) : -1;
+  const overrides = await readOverrides();
+  const upcoming = (await readSprints())
+    .filter(s => Number.isFinite(Number(s?.sprintIndex)) && Number(s.sprintIndex) > currentIndex)
+    .sort((a, b) => Number(a.sprintIndex) - Number(b.sprintIndex));
+
+  for (const sprint of upcoming) {
+    const idx = Number(sprint.sprintIndex);
+    const users = await getSprintUsers(idx);
+    const role = Object.keys(users || {}).find(r => users[r] === slackId);
+    if (!role) continue;
+    const covering = (Array.isArray(overrides) ? overrides : []).some(o =>
+      o?.approved === true && Number(o.sprintIndex) === idx && o.role === role && o.newSlackId === slackId
+    );
+    if (!covering) return idx;
+  }
+  return null;
+}
+
+/**
+ * Redeem the member's oldest credit to skip their next scheduled turn.
+ * @returns {Promise<{ ok: boolean, sprintIndex?: number, error?: string }>}
+ */
+async function redeemCoverageCredit(slackId, changedBy = slackId) {
+  const { available } = summarizeCredits(await readCoverageCredits(), slackId);
+  if (available.length === 0) return { ok: false, error: 'You have no coverage credits to redeem.' };
+
+  const sprintIndex = await findNextScheduledTurn(slackId);
+  if (sprintIndex === null) return { ok: false, error: 'You have no upcoming turn to skip.' };
+
+  const credit = available[0];
+  const redeemInFile = () => {
+    const existing = (fs.existsSync(COVERAGE_CREDITS_FILE) ? loadJSON(COVERAGE_CREDITS_FILE) : null) || [];
+    const entry = existing.find(c => Number(c?.id) === Number(credit.id) && !isRedeemed(c));
+    if (!entry) return false;
+    entry.redeemedSprintIndex = sprintIndex;
+    entry.redeemedAt = new Date().toISOString();
+    entry.redeemedBy = changedBy;
+    return saveJSON(COVERAGE_CREDITS_FILE, existing);
+  };
+
+  let redeemed = false;
+  if (USE_DATABASE) {
+    try {
+      redeemed = await CoverageCreditsRepository.redeem(credit.id, sprintIndex, changedBy);
+    } catch (error) {
+      console.error('[redeemCoverageCredit] Database error:', error);
+      redeemed = redeemInFile();
+    }
+  } else {
+    redeemed = redeemInFile();
+  }
+
+  await cache.del('coverageCredits');
+  if (!redeemed) return { ok: false, error: 'That credit was already used. Please try again.' };
+  await cache.del(`sprintUsers:${sprintIndex}`);
+  console.log(`[redeemCoverageCredit] ${slackId} redeemed credit ${credit.id} to skip sprint ${sprintIndex}`);
+  return { ok: true, sprintIndex };
+}
+
+/**
+ * Read shadow assignments for sprints at or after fromSprintIndex (see services/shadows.js).
+ * @returns {Promise<Array<{ id, sprintIndex, role, slackId, inUserGroup }>>}
+ */
+async function readShadowAssignments({ fromSprintIndex = 0 } = {}) {
+  const readFile = () => ((fs.existsSync(SHADOWS_FILE) ? loadJSON(SHADOWS_FILE) : null) || [])
+    .filter(s => Number(s?.sprintIndex) >= fromSprintIndex)
+    .sort((a, b) => (Number(a.sprintIndex) - Number(b.sprintIndex)) || (Number(a.id) - Number(b.id)));
+
+  if (!USE_DATABASE) {
+    return readFile();
+  }
+
+  try {
+    return await ShadowAssignmentsRepository.getFrom(fromSprintIndex);
+  } catch (error) {
+    console.error('[readShadowAssignments] Database error:', error);
+    return readFile();
+  }
+}
+
+/**
+ * A sprint's shadows, in role order. They never count as the sprint's assignees (getSprintUsers).
+ */
+async function getSprintShadows(sprintIndex) {
+  const idx = sprintIndex === null || sprintIndex === undefined ? NaN : Number(sprintIndex);
+  if (!Number.isFinite(idx)) return [];
+  return shadowsForSprint(await readShadowAssignments({ fromSprintIndex: idx }), idx, getRoleKeys());
+}
+
+/**
+ * Attach a shadow to a role for a sprint; a person already shadowing that sprint moves to the new role.
+ * @returns {Promise<{ ok: boolean, errors?: Object<string, string>, error?: string }>}
+ */
+async function saveShadowAssignment(shadow, changedBy = 'system') {
+  const errors = validateShadow(shadow, getRoleKeys());
+  if (Object.keys(errors).length > 0) return { ok: false, errors };
+  const entry = normalizeShadow(shadow);
+
+  const writeFile = () => {
+    const existing = (fs.existsSync(SHADOWS_FILE) ? loadJSON(SHADOWS_FILE) : null) || [];
+    const match = existing.find(s => Number(s?.sprintIndex) === entry.sprintIndex && s.slackId === entry.slackId);
+    if (match) {
+      Object.assign(match, entry);
+    } else {
+      const nextId = existing.reduce((max, s) => Math.max(max, Number(s?.id) || 0), 0) + 1;
+      existing.push({ id: nextId, ...entry, createdBy: changedBy, createdAt: new Date().toISOString() });
+    }
+    return saveJSON(SHADOWS_FILE, existing);
+  };
+
+  let saved = false;
+  if (USE_DATABASE) {
+    try {
+      await ShadowAssignmentsRepository.upsert(entry, changedBy);
+      saved = true;
+    } catch (error) {
+      console.error('[saveShadowAssignment] Database error:', error);
+      saved = writeFile();
+    }
+  } else {
+    saved = writeFile();
+  }
+
+  if (!saved) return { ok: false, error: 'Could not save the shadow. Please try again.' };
+  return { ok: true };
+}
+
+/**
+ * Remove a shadow assignment.
+ * @returns {Promise<{ sprintIndex, role, slackId }|null>} The removed shadow, or null
+ */
+async function removeShadowAssignment(id, changedBy = 'system') {
+  const shadowId = Number(id);
+  if (!Number.isFinite(shadowId)) return null;
+
+  const removeFromFile = () => {
+    const existing = (fs.existsSync(SHADOWS_FILE) ? loadJSON(SHADOWS_FILE) : null) || [];
+    const removed = existing.find(s => Number(s?.id) === shadowId);
+    if (!removed) return null;
+    if (!saveJSON(SHADOWS_FILE, existing.filter(s => s !== removed))) return null;
+    return { sprintIndex: Number(removed.sprintIndex), role: removed.role, slackId: removed.slackId };
+  };
+
+  if (USE_DATABASE) {
+    try {
+      return await ShadowAssignmentsRepository.deleteById(shadowId, changedBy);
+    } catch (error) {
+      console.error('[removeShadowAssignment] Database error:', error);
+      return removeFromFile();
+    }
+  }
+  return removeFromFile();
+}
+
+/**
+ * Read holidays from 31 days ago onward ({ id, date, name, action }), soonest first.
+ * The look-back keeps a hand-off shifted past a recent holiday resolvable.
+ */
+async function readHolidays() {
+  const from = getTodayPT().subtract(31, 'day').format('YYYY-MM-DD');
+  const readFile = () => ((fs.existsSync(HOLIDAYS_FILE) ? loadJSON(HOLIDAYS_FILE) : null) || [])
+    .filter(h => String(h?.date || '') >= from)
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+  if (!USE_DATABASE) {
+    return readFile();
+  }
+
+  try {
+    return await cacheGetOrSetJson('holidays:recent', CACHE_TTLS.holidays, async () => {
+      return await HolidaysRepository.getFrom(from);
+    });
+  } catch (error) {
+    console.error('[readHolidays] Database error:', error);
+    return readFile();
+  }
+}
+
+/**
+ * Add holidays, or update the name and action of holidays already on those dates.
+ * @param {Array<{ date: string, name: string, action?: string }>} holidays
+ * @returns {Promise<{ ok: boolean, saved: number, error?: string }>}
+ */
+async function saveHolidays(holidays, changedBy = 'system') {
+  const list = Array.isArray(holidays) ? holidays : [];
+  for (const holiday of list) {
+    const invalid = validateHoliday(holiday);
+    if (invalid) return { ok: false, saved: 0, error: `${holiday?.date || 'Holiday'}: ${invalid}` };
+  }
+  const entries = list.map(normalizeHoliday);
+
+  const writeFile = () => {
+    const existing = (fs.existsSync(HOLIDAYS_FILE) ? loadJSON(HOLIDAYS_FILE) : null) || [];
+    let nextId = existing.reduce((max, h) => Math.max(max, Number(h?.id) || 0), 0) + 1;
+    for (const entry of entries) {
+      const match = existing.find(h => h.date === entry.date);
+      if (match) {
+        Object.assign(match, entry);
+      } else {
+        existing.push({ id: nextId++, ...entry, createdBy: changedBy, createdAt: new Date().toISOString() });
+      }
+    }
+    return saveJSON(HOLIDAYS_FILE, existing) ? entries.length : 0;
+  };
+
+  let saved = 0;
+  if (USE_DATABASE) {
+    try {
+      for (const entry of entries) {
+        await HolidaysRepository.upsert(entry, changedBy);
+        saved += 1;
+      }
+    } catch (error) {
+      console.error('[saveHolidays] Database error:', error);
+      saved = writeFile();
+    }
+  } else {
+    saved = writeFile();
+  }
+
+  await cache.del('holidays:recent');
+  if (saved !== entries.length) return { ok: false, saved, error: 'Could not save the holidays. Please try again.' };
+  return { ok: true, saved };
+}
+
+/**
+ * Remove a holiday.
+ * @returns {Promise<boolean>}
+ */
+async function removeHoliday(id, changedBy = 'system') {
+  const holidayId = Number(id);
+  if (!Number.isFinite(holidayId)) return false;
+
+  const removeFromFile = () => {
+    const existing = (fs.existsSync(HOLIDAYS_FILE) ? loadJSON(HOLIDAYS_FILE) : null) || [];
+    const next = existing.filter(h => Number(h?.id) !== holidayId);
+    if (next.length === existing.length) return false;
+    return saveJSON(HOLIDAYS_FILE, next);
+  };
+
+  let removed = false;
+  if (USE_DATABASE) {
+    try {
+      removed = await HolidaysRepository.deleteById(holidayId, changedBy);
+    } catch (error) {
+      console.error('[removeHoliday] Database error:', error);
+      removed = removeFromFile();
+    }
+  } else {
+    removed = removeFromFile();
+  }
+
+  if (removed) await cache.del('holidays:recent');
+  return removed;
+}
+
 /**
  * Read overrides from database
  */
 async function readOverrides() {
   if (OVERRIDES_SOURCE === 'json' || !HAS_DATABASE_URL) {
     const jsonOverrides = loadJSON(OVERRIDES_FILE) || [];
-    return jsonOverrides;
+    return jsonOverrides.map(withOverrideStatus);
   }
 
   try {
@@ -533,9 +1287,12 @@ async function readOverrides() {
         newSlackId: override.newSlackId,
         newName: override.newName,
         requestedBy: override.requestedBy,
+        status: override.status,
         approved: override.approved,
         approvedBy: override.approvedBy,
         approvalTimestamp: override.approvalTimestamp,
+        startDate: override.startDate || null,
+        endDate: override.endDate || null,
         timestamp: override.timestamp
       }));
     });
@@ -544,7 +1301,7 @@ async function readOverrides() {
     // Default: do NOT consult JSON when DB is configured, to avoid using stale data.
     // Optional escape hatch: OVERRIDES_JSON_FALLBACK=true
     if (process.env.OVERRIDES_JSON_FALLBACK === 'true') {
-      return loadJSON(OVERRIDES_FILE) || [];
+      return (loadJSON(OVERRIDES_FILE) || []).map(withOverrideStatus);
     }
     return [];
   }
@@ -578,13 +1335,13 @@ async function saveOverrides(overrides) {
 }
 
 /**
- * Find the current sprint based on today's date (in Pacific Time)
+ * Find the current sprint based on today's date in the team timezone (honors shifted hand-offs)
  */
 async function findCurrentSprint() {
   try {
-    const sprints = await readSprints();
+    const [sprints, holidays] = await Promise.all([readSprints(), readHolidays()]);
     const nowPT = getNowPT();
-    return resolveCurrentSprintForNow(sprints, nowPT);
+    return resolveCurrentSprintForNow(sprints, nowPT, holidays);
   } catch (error) {
     console.error('[findCurrentSprint] Database error:', error);
     // Fallback to local JSON logic
@@ -620,15 +1377,15 @@ async function findNextSprint(currentIndex) {
 }
 
 /**
- * Get user for a specific sprint and role, handling overrides
+ * Get user for a specific sprint and role, handling overrides.
+ * With a date (YYYY-MM-DD), a partial-sprint override covering that day wins; without one only
+ * whole-sprint overrides apply (see services/overrideRanges.js).
+ * Base rotation follows the role's rotation cursor (legacy modulo when no cursor applies);
+ * members in unavailableIds (time off covering the sprint) are skipped for the next eligible person.
  */
-async function getUserForSprintAndRole(sprintIndex, role, disciplines, overrides) {
+async function getUserForSprintAndRole(sprintIndex, role, disciplines, overrides, cursors = {}, unavailableIds = null, date = null, unavailableFor = null) {
   // Check for an approved override first
-  const override = overrides.find(o =>
-    o.sprintIndex === sprintIndex &&
-    o.role === role &&
-    o.approved === true
-  );
+  const override = findActiveOverride(overrides, sprintIndex, role, date);
   
   if (override) {
     console.log(`[getUserForSprintAndRole] Found override for ${role} sprint ${sprintIndex}: ${override.newSlackId}`);
@@ -643,22 +1400,68 @@ async function getUserForSprintAndRole(sprintIndex, role, disciplines, overrides
     return fallbacks[role] || null; // In staging, this will be null to avoid assigning real users
   }
   
-  const userObj = roleList[sprintIndex % roleList.length];
-  if (userObj && userObj.slackId) return userObj.slackId;
+  const { slackId, skipped, noEligible } = getEligibleAssignee(Number(sprintIndex), roleList, cursors?.[role] || null, unavailableIds, unavailableFor);
+  if (noEligible) {
+    console.warn(`[getUserForSprintAndRole] Everyone in ${role} is unavailable for sprint ${sprintIndex}; keeping ${slackId}`);
+  } else if (skipped.length > 0) {
+    console.log(`[getUserForSprintAndRole] Skipped unavailable ${skipped.join(', ')} for ${role} sprint ${sprintIndex}: ${slackId}`);
+  }
+  if (slackId) return slackId;
   const fallbacks = getFallbackUsers();
   return fallbacks[role] || null;
 }
 
+/**
+ * Compute a sprint's assignments from overrides and the rotation, then resolve anyone holding two
+ * roles (see services/roleConflicts.js).
+ */
+async function computeSprintUsers(idx, roleKeys, date = null) {
+  const disciplines = await readDisciplines();
+  const overrides = await readOverrides();
+  const cursors = await readRotationCursors();
+  const unavailableFor = await readUnavailableBySprint();
+  const unavailableIds = unavailableFor(idx);
+
+  const users = {};
+  const pinnedRoles = new Set();
+  for (const role of roleKeys) {
+    if (findActiveOverride(overrides, idx, role, date)) pinnedRoles.add(role);
+    users[role] = await getUserForSprintAndRole(idx, role, disciplines, overrides, cursors, unavailableIds, date, unavailableFor);
+  }
+
+  return resolveRoleConflicts({ sprintIndex: idx, roleKeys, users, pinnedRoles, disciplines, cursors, unavailableIds, unavailableFor });
+}
+
+/**
+ * Role conflicts the computed rotation resolves for a sprint: who was moved off a second role and
+ * who replaced them, plus clashes it could not resolve (two overrides, or nobody else eligible).
+ * @param {number} sprintIndex
+ * @param {{ date?: string }} [options] - Day for partial-sprint overrides; defaults as in getSprintUsers
+ * @returns {Promise<{ resolutions: Array<{ slackId, keptRole, role, replacement }>, unresolved: Array<{ slackId, roles }> }>}
+ */
+async function getSprintRoleConflicts(sprintIndex, options = {}) {
+  const idx = Number.parseInt(String(sprintIndex), 10);
+  if (!Number.isFinite(idx)) return { resolutions: [], unresolved: [] };
+  const roleKeys = (await loadRoles()).map(r => r.key);
+  const dateBasedSprint = options.date ? null : await findCurrentSprint();
+  const isCurrentSprint = dateBasedSprint != null && Number(dateBasedSprint.index) === idx;
+  const date = options.date || (isCurrentSprint ? getShiftDatePT() : null);
+  const { resolutions, unresolved } = await computeSprintUsers(idx, roleKeys, date);
+  return { resolutions, unresolved };
+}
+
 /**
  * Gets the user mapping for a specific sprint index
  * This is the single source of truth for who should be on call.
  * For the current sprint, persisted current_state wins so admin on-call overrides and rotation list stay in sync.
+ * Nobody holds two roles in a computed sprint: the later role moves to the next eligible member (getSprintRoleConflicts).
  * @param {number} sprintIndex - Sprint index
- * @param {{ usePersistedForCurrentSprint?: boolean }} [options] - When usePersistedForCurrentSprint is false, skip persisted state and compute from overrides+rotation (e.g. after approval so we detect the change).
+ * @param {{ usePersistedForCurrentSprint?: boolean, date?: string }} [options] - When usePersistedForCurrentSprint is false, skip persisted state and compute from overrides+rotation (e.g. after approval so we detect the change).
+ *   `date` (YYYY-MM-DD) applies partial-sprint overrides covering that day; it defaults to the running shift's day for the current sprint.
  */
 async function getSprintUsers(sprintIndex, options = {}) {
   const idx = Number.parseInt(String(sprintIndex), 10);
-  const cacheKey = Number.isFinite(idx) ? `sprintUsers:${idx}` : null;
+  const cacheKey = Number.isFinite(idx) && !options.date ? `sprintUsers:${idx}` : null;
   const usePersistedForCurrentSprint = options.usePersistedForCurrentSprint !== false;
 
   if (cacheKey && usePersistedForCurrentSprint) {
@@ -672,19 +1475,14 @@ async function getSprintUsers(sprintIndex, options = {}) {
     }
   }
 
+  const roleKeys = (await loadRoles()).map(r => r.key);
   const dateBasedSprint = await findCurrentSprint();
   const isCurrentSprint = dateBasedSprint != null && Number.isFinite(Number(dateBasedSprint.index)) && Number(idx) === Number(dateBasedSprint.index);
   if (isCurrentSprint && usePersistedForCurrentSprint) {
     const persisted = await readCurrentState();
     if (persisted && Number(persisted.sprintIndex) === Number(idx)) {
-      const fromPersisted = {
-        account: persisted.account ?? null,
-        producer: persisted.producer ?? null,
-        po: persisted.po ?? null,
-        uiEng: persisted.uiEng ?? null,
-        beEng: persisted.beEng ?? null
-      };
-      const hasAny = [fromPersisted.account, fromPersisted.producer, fromPersisted.po, fromPersisted.uiEng, fromPersisted.beEng].some(Boolean);
+      const fromPersisted = toRoleMap(persisted, roleKeys);
+      const hasAny = Object.values(fromPersisted).some(Boolean);
       if (hasAny) {
         if (cacheKey) await cache.setJson(cacheKey, fromPersisted, CACHE_TTLS.sprintUsers);
         // #region agent log
@@ -696,34 +1494,12 @@ async function getSprintUsers(sprintIndex, options = {}) {
     }
   }
 
-  const disciplines = await readDisciplines();
-  const overrides = await readOverrides();
-  
-  const FALLBACK_USERS = getFallbackUsers();
-
-  const users = {
-    account: await getUserForSprintAndRole(sprintIndex, "account", disciplines, overrides),
-    producer: await getUserForSprintAndRole(sprintIndex, "producer", disciplines, overrides),
-    po: await getUserForSprintAndRole(sprintIndex, "po", disciplines, overrides),
-    uiEng: await getUserForSprintAndRole(sprintIndex, "uiEng", disciplines, overrides),
-    beEng: await getUserForSprintAndRole(sprintIndex, "beEng", disciplines, overrides),
-  };
-  
-  // Validate no duplicate users
-  const userList = Object.values(users).filter(Boolean);
-  const uniqueUsers = new Set(userList);
-  
-  if (userList.length !== uniqueUsers.size) {
-    console.error('[getSprintUsers] WARNING: Duplicate users detected for sprint', sprintIndex);
-    const userCounts = {};
-    userList.forEach(u => {
-      userCounts[u] = (userCounts[u] || 0) + 1;
-    });
-    const duplicates = Object.entries(userCounts)
-      .filter(([_, count]) => count > 1);
-    console.error('[getSprintUsers] Duplicates:', duplicates);
+  const date = options.date || (isCurrentSprint ? getShiftDatePT() : null);
+  const { users, resolutions, unresolved } = await computeSprintUsers(idx, roleKeys, date);
+  if (resolutions.length > 0 || unresolved.length > 0) {
+    console.warn('[getSprintUsers] Role conflicts for sprint', sprintIndex, { resolutions, unresolved });
   }
-  
+
   if (cacheKey) {
     await cache.setJson(cacheKey, users, CACHE_TTLS.sprintUsers);
   }
@@ -735,6 +1511,40 @@ async function getSprintUsers(sprintIndex, options = {}) {
   return users;
 }
 
+/**
+ * Backup on-call per role for a sprint: the next eligible person in line after the primary.
+ * Skips anyone who is primary for any role that sprint, on time off for it, or was overridden out of it.
+ * @param {number} sprintIndex - Sprint index
+ * @param {Object<string, string|null>} [primaries] - Role -> primary Slack ID (defaults to getSprintUsers)
+ * @returns {Promise<Object<string, string|null>>} Role -> backup Slack ID
+ */
+async function getSprintBackups(sprintIndex, primaries = null) {
+  const idx = Number.parseInt(String(sprintIndex), 10);
+  const roleKeys = (await loadRoles()).map(r => r.key);
+  const backups = toRoleMap({}, roleKeys);
+  if (!Number.isFinite(idx)) return backups;
+
+  const assigned = primaries || await getSprintUsers(idx);
+  const disciplines = await readDisciplines();
+  const overrides = await readOverrides();
+  const cursors = await readRotationCursors();
+  const unavailableFor = await readUnavailableBySprint();
+  const unavailableIds = unavailableFor(idx);
+  const primaryIds = Object.values(assigned || {}).filter(Boolean);
+
+  for (const role of roleKeys) {
+    const exclude = new Set([...primaryIds, ...unavailableIds]);
+    for (const o of Array.isArray(overrides) ? overrides : []) {
+      const outId = o?.originalSlackId || o?.requestedBy;
+      if (o?.approved === true && Number(o.sprintIndex) === idx && o.role === role && outId) {
+        exclude.add(outId);
+      }
+    }
+    backups[role] = getBackupAssignee(idx, disciplines?.[role] || [], cursors?.[role] || null, exclude, unavailableFor);
+  }
+  return backups;
+}
+
 /**
  * Return environment-appropriate fallback user IDs per role.
  * In staging, disable real fallbacks by returning an empty map.
@@ -772,12 +1582,24 @@ async function getUpcomingSprints() {
 /**
  * Refresh the current state to ensure it matches calculated values
  * This ensures consistency between what's displayed and what's actual
+ * @returns {Promise<false|{ fromIndex: number|null, toIndex: number, oldRoles: Object, newRoles: Object, sprintName: string }>}
+ *   The sprint switch it saved (fromIndex null when state was first seeded), or false when nothing changed.
+ *   Callers pass a switch to services/sprintHandoff.js completeSprintHandoff.
  */
 async function refreshCurrentState() {
   const current = await readCurrentState();
   // Always determine date-based current sprint so we can correct state when it drifts
   const dateBasedSprint = await findCurrentSprint();
 
+  // Keep rotation cursors in step with the calendar (seeds them on first run; no-op within a sprint)
+  if (dateBasedSprint != null && Number.isFinite(Number(dateBasedSprint.index))) {
+    try {
+      await advanceRotationCursors(Number(dateBasedSprint.index));
+    } catch (error) {
+      console.error('[refreshCurrentState] Failed to advance rotation cursors:', error);
+    }
+  }
+
   if (current.sprintIndex === null) {
     // If we don't have a persisted sprintIndex yet, derive it from sprint dates and seed state.
     if (!dateBasedSprint || !Number.isFinite(Number(dateBasedSprint.index))) {
@@ -791,7 +1613,7 @@ async function refreshCurrentState() {
     await saveCurrentState(newState);
     await cache.del(`sprintUsers:${idx}`);
     console.log('[refreshCurrentState] Initialized current state from active sprint:', { sprintIndex: idx });
-    return true;
+    return { fromIndex: null, toIndex: idx, oldRoles: {}, newRoles: toRoleMap(calculatedUsers), sprintName: dateBasedSprint.sprintName };
   }
 
   // Persisted sprint exists: correct it if it no longer matches today's date (index mismatch)
@@ -803,7 +1625,13 @@ async function refreshCurrentState() {
       await saveCurrentState(newState);
       await cache.del(`sprintUsers:${dateBasedIndex}`);
       console.log('[refreshCurrentState] Corrected sprint index by date:', { from: current.sprintIndex, to: dateBasedIndex });
-      return true;
+      return {
+        fromIndex: Number(current.sprintIndex),
+        toIndex: dateBasedIndex,
+        oldRoles: toRoleMap(current),
+        newRoles: toRoleMap(calculatedUsers),
+        sprintName: dateBasedSprint.sprintName
+      };
     }
     // Same sprint as today: do not overwrite persisted state with schedule-based calculation.
     // Trust persisted state so admin on-call overrides are preserved (topic, rotation list, modal stay in sync).
@@ -827,6 +1655,30 @@ module.exports = {
   saveCurrentState,
   readOverrides,
   saveOverrides,
+  readRotationCursors,
+  advanceRotationCursors,
+  readUnavailability,
+  addUnavailability,
+  removeUnavailability,
+  readCoverageCredits,
+  earnCoverageCredit,
+  revokeCoverageCredit,
+  redeemCoverageCredit,
+  findNextScheduledTurn,
+  readShadowAssignments,
+  getSprintShadows,
+  saveShadowAssignment,
+  removeShadowAssignment,
+  readHolidays,
+  saveHolidays,
+  removeHoliday,
+  readSprintCadence,
+  saveSprintCadence,
+  readAfterHoursRotation,
+  saveAfterHoursRotation,
+  claimAfterHoursAnnouncement,
+  previewGeneratedSprints,
+  commitGeneratedSprints,
   
   // Date utilities
   formatPTDate,
@@ -834,6 +1686,7 @@ module.exports = {
   formatSprintLabelPT,
   parsePTDate,
   getTodayPT,
+  getShiftDatePT,
   getNowPT,
   resolveCurrentSprintForNow,
   
@@ -841,6 +1694,8 @@ module.exports = {
   findCurrentSprint,
   findNextSprint,
   getSprintUsers,
+  getSprintRoleConflicts,
+  getSprintBackups,
   getUpcomingSprints,
   refreshCurrentState,
   upsertSprint,
@@ -849,5 +1704,10 @@ module.exports = {
   CURRENT_STATE_FILE,
   SPRINTS_FILE,
   DISCIPLINES_FILE,
-  OVERRIDES_FILE
+  OVERRIDES_FILE,
+  ROTATION_CURSORS_FILE,
+  UNAVAILABILITY_FILE,
+  COVERAGE_CREDITS_FILE,
+  HOLIDAYS_FILE,
+  SPRINT_CADENCE_FILE
 };
\ No newline at end of file
@@ -5,6 +5,7 @@
 const fs = require('fs');
 const path = require('path');
 const { UsersRepository, SprintsRepository, CurrentStateRepository, OverridesRepository } = require('./repository');
+const { getOverrideStatus } = require('../services/overrideStatus');
 const config = require('../config');
 
 const IS_STAGING = config.isStaging;
@@ -140,16 +141,20 @@ async function migrateOverrides() {
   
   for (const override of overrides) {
     try {
-      await OverridesRepository.addOverride({
+      const overrideId = await OverridesRepository.addOverride({
         sprintIndex: override.sprintIndex,
         role: override.role,
         originalSlackId: override.originalSlackId,
         newSlackId: override.newSlackId,
         newName: override.newName,
         requestedBy: override.requestedBy,
-        approved: override.approved
+        status: getOverrideStatus(override)
       }, 'migration-script');
       
+      if (overrideId == null) {
+        console.log(`[MIGRATION] Skipped override already open: ${override.role} sprint ${override.sprintIndex}`);
+        continue;
+      }
       console.log(`[MIGRATION] Migrated override: ${override.role} sprint ${override.sprintIndex}`);
     } catch (error) {
       console.error(`[MIGRATION] Error migrating override:`, error);
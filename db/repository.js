@@ -3,6 +3,7 @@
  * Enhanced data access layer with upsert operations and error handling
  */
 const { query, transaction } = require('./connection');
+const { OVERRIDE_STATUSES, PENDING_STATUSES, OPEN_STATUSES, getOverrideStatus } = require('../services/overrideStatus');
 
 /**
  * Retry logic with exponential backoff for transient errors
@@ -421,6 +422,144 @@ const SprintsRepository = {
   }
 };
 
+/**
+ * After-Hours Rotation Repository (single row)
+ */
+const AfterHoursRotationRepository = {
+  /**
+   * Get the saved rotation, or null when none has been saved
+   */
+  async get() {
+    const result = await query(`
+      SELECT enabled, roster, start_day, start_hour, end_day, end_hour,
+             to_char(anchor_date, 'YYYY-MM-DD') AS anchor_date, announced_start, updated_by, updated_at
+      FROM after_hours_rotation
+      WHERE id = 1
+    `);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      enabled: row.enabled,
+      roster: Array.isArray(row.roster) ? row.roster : [],
+      startDay: row.start_day,
+      startHour: row.start_hour,
+      endDay: row.end_day,
+      endHour: row.end_hour,
+      anchorDate: row.anchor_date,
+      announcedStart: row.announced_start ? new Date(row.announced_start).toISOString() : null,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    };
+  },
+
+  /**
+   * Save the rotation settings (leaves announced_start alone)
+   */
+  async save(rotation, changedBy = 'system') {
+    return await withRetry(async () => {
+      return await transaction(async (client) => {
+        const old = await client.query(`SELECT * FROM after_hours_rotation WHERE id = 1`);
+
+        await client.query(`
+          INSERT INTO after_hours_rotation (id, enabled, roster, start_day, start_hour, end_day, end_hour, anchor_date, updated_by)
+          VALUES (1, $1, $2, $3, $4, $5, $6, $7, $8)
+          ON CONFLICT (id) DO UPDATE SET
+            enabled = EXCLUDED.enabled,
+            roster = EXCLUDED.roster,
+            start_day = EXCLUDED.start_day,
+            start_hour = EXCLUDED.start_hour,
+            end_day = EXCLUDED.end_day,
+            end_hour = EXCLUDED.end_hour,
+            anchor_date = EXCLUDED.anchor_date,
+            updated_by = EXCLUDED.updated_by,
+            updated_at = CURRENT_TIMESTAMP
+        `, [rotation.enabled, JSON.stringify(rotation.roster || []), rotation.startDay, rotation.startHour,
+          rotation.endDay, rotation.endHour, rotation.anchorDate, changedBy]);
+
+        await logAudit('after_hours_rotation', 1, old.rows.length ? 'UPDATE' : 'INSERT', old.rows[0] || null, rotation, changedBy, 'After-hours rotation saved');
+        return true;
+      });
+    }, 3, 'Save after-hours rotation');
+  },
+
+  /**
+   * Claim the announcement of the shift starting at `start` (ISO). Returns false when it was
+   * already announced, so concurrent runners announce each shift once.
+   */
+  async claimAnnouncement(start) {
+    const result = await query(`
+      UPDATE after_hours_rotation
+      SET announced_start = $1
+      WHERE id = 1 AND enabled = true AND (announced_start IS NULL OR announced_start <> $1)
+      RETURNING id
+    `, [start]);
+    return result.rows.length > 0;
+  }
+};
+
+/**
+ * Sprint Cadence Repository (single row)
+ */
+const SprintCadenceRepository = {
+  /**
+   * Get the saved cadence, or null when none has been saved
+   */
+  async get() {
+    const result = await query(`
+      SELECT to_char(anchor_date, 'YYYY-MM-DD') AS anchor_date, length_days, name_pattern,
+             fiscal_year_start, runway_months, updated_by, updated_at
+      FROM sprint_cadence
+      WHERE id = 1
+    `);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      anchorDate: row.anchor_date,
+      lengthDays: row.length_days,
+      namePattern: row.name_pattern,
+      fiscalYearStart: row.fiscal_year_start,
+      runwayMonths: row.runway_months,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    };
+  },
+
+  /**
+   * Save the cadence
+   */
+  async save(cadence, changedBy = 'system') {
+    return await withRetry(async () => {
+      return await transaction(async (client) => {
+        const old = await client.query(`SELECT * FROM sprint_cadence WHERE id = 1`);
+
+        await client.query(`
+          INSERT INTO sprint_cadence (id, anchor_date, length_days, name_pattern, fiscal_year_start, runway_months, updated_by)
+          VALUES (1, $1, $2, $3, $4, $5, $6)
+          ON CONFLICT (id) DO UPDATE SET
+            anchor_date = EXCLUDED.anchor_date,
+            length_days = EXCLUDED.length_days,
+            name_pattern = EXCLUDED.name_pattern,
+            fiscal_year_start = EXCLUDED.fiscal_year_start,
+            runway_months = EXCLUDED.runway_months,
+            updated_by = EXCLUDED.updated_by,
+            updated_at = CURRENT_TIMESTAMP
+        `, [cadence.anchorDate, cadence.lengthDays, cadence.namePattern, cadence.fiscalYearStart, cadence.runwayMonths, changedBy]);
+
+        await logAudit('sprint_cadence', 1, old.rows.length ? 'UPDATE' : 'INSERT', old.rows[0] || null, cadence, changedBy, 'Sprint cadence saved');
+        return true;
+      });
+    }, 3, 'Save sprint cadence');
+  }
+};
+
 /**
  * Current State Repository
  */
@@ -430,7 +569,8 @@ const CurrentStateRepository = {
    */
   async get() {
     const result = await query(`
-      SELECT sprint_index, account_slack_id, producer_slack_id, po_slack_id, ui_eng_slack_id, be_eng_slack_id
+      SELECT sprint_index, account_slack_id, producer_slack_id, po_slack_id, ui_eng_slack_id, be_eng_slack_id,
+             assignments
       FROM current_state
       WHERE id = 1
     `);
@@ -447,13 +587,15 @@ const CurrentStateRepository = {
     }
     
     const row = result.rows[0];
+    // Legacy columns cover the original five roles; assignments holds every configured role.
     return {
       sprintIndex: row.sprint_index,
       account: row.account_slack_id,
       producer: row.producer_slack_id,
       po: row.po_slack_id,
       uiEng: row.ui_eng_slack_id,
-      beEng: row.be_eng_slack_id
+      beEng: row.be_eng_slack_id,
+      ...(row.assignments || {})
     };
   },
 
@@ -468,11 +610,13 @@ const CurrentStateRepository = {
           SELECT * FROM current_state WHERE id = 1
         `);
         
+        const { sprintIndex, ...assignments } = state;
+
         // Use upsert to handle concurrent updates
         await client.query(`
           INSERT INTO current_state (id, sprint_index, account_slack_id, producer_slack_id, 
-                                   po_slack_id, ui_eng_slack_id, be_eng_slack_id)
-          VALUES (1, $1, $2, $3, $4, $5, $6)
+                                   po_slack_id, ui_eng_slack_id, be_eng_slack_id, assignments)
+          VALUES (1, $1, $2, $3, $4, $5, $6, $7)
           ON CONFLICT (id) 
           DO UPDATE SET 
             sprint_index = EXCLUDED.sprint_index,
@@ -481,14 +625,16 @@ const CurrentStateRepository = {
             po_slack_id = EXCLUDED.po_slack_id,
             ui_eng_slack_id = EXCLUDED.ui_eng_slack_id,
             be_eng_slack_id = EXCLUDED.be_eng_slack_id,
+            assignments = EXCLUDED.assignments,
             updated_at = CURRENT_TIMESTAMP
         `, [
-          state.sprintIndex,
-          state.account,
-          state.producer,
-          state.po,
-          state.uiEng,
-          state.beEng
+          sprintIndex,
+          state.account ?? null,
+          state.producer ?? null,
+          state.po ?? null,
+          state.uiEng ?? null,
+          state.beEng ?? null,
+          JSON.stringify(assignments)
         ]);
         
         await logAudit('current_state', 1, 'UPSERT', 
@@ -501,6 +647,409 @@ const CurrentStateRepository = {
   }
 };
 
+/**
+ * Rotation Cursors Repository
+ * One row per role: who has served in the current cycle and the sprint of the latest assignment.
+ */
+const RotationCursorsRepository = {
+  /**
+   * Get all cursors keyed by role
+   */
+  async getAll() {
+    const result = await query(`
+      SELECT role, anchor_sprint_index, served
+      FROM rotation_cursors
+    `);
+
+    const cursors = {};
+    result.rows.forEach(row => {
+      cursors[row.role] = {
+        anchorSprintIndex: row.anchor_sprint_index,
+        served: Array.isArray(row.served) ? row.served : []
+      };
+    });
+    return cursors;
+  },
+
+  /**
+   * Upsert the cursor for a role
+   */
+  async upsert(role, cursor, changedBy = 'system', reason = 'Rotation cursor advanced') {
+    return await withRetry(async () => {
+      return await transaction(async (client) => {
+        const oldCursor = await client.query(`
+          SELECT * FROM rotation_cursors WHERE role = $1
+        `, [role]);
+
+        await client.query(`
+          INSERT INTO rotation_cursors (role, anchor_sprint_index, served)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (role)
+          DO UPDATE SET
+            anchor_sprint_index = EXCLUDED.anchor_sprint_index,
+            served = EXCLUDED.served,
+            updated_at = CURRENT_TIMESTAMP
+        `, [role, cursor.anchorSprintIndex, JSON.stringify(cursor.served || [])]);
+
+        await logAudit('rotation_cursors', null, 'UPSERT',
+          oldCursor.rows.length > 0 ? oldCursor.rows[0] : null,
+          { role, ...cursor }, changedBy, reason);
+
+        return true;
+      });
+    }, 3, `Upsert rotation cursor for ${role}`);
+  }
+};
+
+/**
+ * Unavailability (time off) Repository
+ */
+const UnavailabilityRepository = {
+  /**
+   * Get entries that end on or after fromDate (YYYY-MM-DD), soonest first
+   */
+  async getUpcoming(fromDate) {
+    const result = await query(`
+      SELECT id, slack_id, to_char(start_date, 'YYYY-MM-DD') AS start_date,
+             to_char(end_date, 'YYYY-MM-DD') AS end_date, reason, created_by, created_at
+      FROM unavailability
+      WHERE end_date >= $1
+      ORDER BY start_date, id
+    `, [fromDate]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      slackId: row.slack_id,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      reason: row.reason,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    }));
+  },
+
+  /**
+   * Add a time-off entry
+   */
+  async add(entry, changedBy = 'system') {
+    return await withRetry(async () => {
+      return await transaction(async (client) => {
+        const result = await client.query(`
+          INSERT INTO unavailability (slack_id, start_date, end_date, reason, created_by)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING id
+        `, [entry.slackId, entry.startDate, entry.endDate, entry.reason || null, changedBy]);
+
+        const id = result.rows[0].id;
+        await logAudit('unavailability', id, 'INSERT', null, entry, changedBy, 'Time off added');
+        return id;
+      });
+    }, 3, `Add time off for ${entry.slackId}`);
+  },
+
+  /**
+   * Delete a time-off entry. When slackId is given, only that member's entry is removed.
+   */
+  async deleteById(id, slackId = null, deletedBy = 'system') {
+    return await transaction(async (client) => {
+      const old = await client.query(`
+        SELECT * FROM unavailability WHERE id = $1 AND ($2::varchar IS NULL OR slack_id = $2)
+      `, [id, slackId]);
+
+      if (old.rows.length === 0) {
+        return false;
+      }
+
+      await client.query(`DELETE FROM unavailability WHERE id = $1`, [id]);
+      await logAudit('unavailability', id, 'DELETE', old.rows[0], null, deletedBy, 'Time off removed');
+      return true;
+    });
+  }
+};
+
+/**
+ * Coverage Credits Repository
+ */
+const CoverageCreditsRepository = {
+  /**
+   * Get every credit, oldest first
+   */
+  async getAll() {
+    const result = await query(`
+      SELECT id, slack_id, role, sprint_index, covered_slack_id, earned_at,
+             redeemed_sprint_index, redeemed_at, redeemed_by
+      FROM coverage_credits
+      ORDER BY earned_at, id
+    `);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      slackId: row.slack_id,
+      role: row.role,
+      sprintIndex: row.sprint_index,
+      coveredSlackId: row.covered_slack_id,
+      earnedAt: row.earned_at,
+      redeemedSprintIndex: row.redeemed_sprint_index,
+      redeemedAt: row.redeemed_at,
+      redeemedBy: row.redeemed_by
+    }));
+  },
+
+  /**
+   * Record a credit for covering (sprintIndex, role). Returns the new id, or null if it was already earned.
+   */
+  async earn(credit, changedBy = 'system') {
+    return await withRetry(async () => {
+      return await transaction(async (client) => {
+        const result = await client.query(`
+          INSERT INTO coverage_credits (slack_id, role, sprint_index, covered_slack_id)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (slack_id, sprint_index, role) DO NOTHING
+          RETURNING id
+        `, [credit.slackId, credit.role, credit.sprintIndex, credit.coveredSlackId || null]);
+
+        if (result.rows.length === 0) return null;
+        const id = result.rows[0].id;
+        await logAudit('coverage_credits', id, 'INSERT', null, credit, changedBy, 'Coverage credit earned');
+        return id;
+      });
+    }, 3, `Earn coverage credit for ${credit.slackId}`);
+  },
+
+  /**
+   * Redeem a credit against a sprint. Only an unredeemed credit is updated.
+   */
+  async redeem(id, sprintIndex, redeemedBy = 'system') {
+    return await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE coverage_credits
+        SET redeemed_sprint_index = $2, redeemed_at = CURRENT_TIMESTAMP, redeemed_by = $3
+        WHERE id = $1 AND redeemed_sprint_index IS NULL
+        RETURNING *
+      `, [id, sprintIndex, redeemedBy]);
+
+      if (result.rows.length === 0) return false;
+      await logAudit('coverage_credits', id, 'UPDATE', { redeemed_sprint_index: null }, {
+        redeemed_sprint_index: sprintIndex
+      }, redeemedBy, 'Coverage credit redeemed');
+      return true;
+    });
+  },
+
+  /**
+   * Delete the unredeemed credit earned for (slackId, sprintIndex, role), e.g. when the override is removed.
+   */
+  async revokeUnredeemed(slackId, sprintIndex, role, deletedBy = 'system') {
+    return await transaction(async (client) => {
+      const old = await client.query(`
+        DELETE FROM coverage_credits
+        WHERE slack_id = $1 AND sprint_index = $2 AND role = $3 AND redeemed_sprint_index IS NULL
+        RETURNING *
+      `, [slackId, sprintIndex, role]);
+
+      if (old.rows.length === 0) return false;
+      await logAudit('coverage_credits', old.rows[0].id, 'DELETE', old.rows[0], null, deletedBy, 'Coverage credit revoked');
+      return true;
+    });
+  }
+};
+
+/**
+ * Shadow Assignments Repository
+ */
+const ShadowAssignmentsRepository = {
+  /**
+   * Get shadows for sprints at or after fromSprintIndex, by sprint then as added
+   */
+  async getFrom(fromSprintIndex = 0) {
+    const result = await query(`
+      SELECT id, sprint_index, role, slack_id, in_user_group, created_by, created_at
+      FROM shadow_assignments
+      WHERE sprint_index >= $1
+      ORDER BY sprint_index, id
+    `, [fromSprintIndex]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      sprintIndex: row.sprint_index,
+      role: row.role,
+      slackId: row.slack_id,
+      inUserGroup: row.in_user_group,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    }));
+  },
+
+  /**
+   * Add a shadow, or move the person's shadow in that sprint to the given role
+   */
+  async upsert(shadow, changedBy = 'system') {
+    return await withRetry(async () => {
+      return await transaction(async (client) => {
+        const old = await client.query(
+          `SELECT * FROM shadow_assignments WHERE sprint_index = $1 AND slack_id = $2`,
+          [shadow.sprintIndex, shadow.slackId]
+        );
+        const result = await client.query(`
+          INSERT INTO shadow_assignments (sprint_index, role, slack_id, in_user_group, created_by)
+          VALUES ($1, $2, $3, $4, $5)
+          ON CONFLICT (sprint_index, slack_id) DO UPDATE SET
+            role = EXCLUDED.role,
+            in_user_group = EXCLUDED.in_user_group
+          RETURNING id
+        `, [shadow.sprintIndex, shadow.role, shadow.slackId, shadow.inUserGroup, changedBy]);
+
+        const id = result.rows[0].id;
+        await logAudit('shadow_assignments', id, old.rows.length ? 'UPDATE' : 'INSERT', old.rows[0] || null, shadow, changedBy, 'Shadow saved');
+        return id;
+      });
+    }, 3, `Save shadow ${shadow.slackId} for sprint ${shadow.sprintIndex}`);
+  },
+
+  /**
+   * Delete a shadow. Returns the deleted row ({ sprintIndex, role, slackId }) or null.
+   */
+  async deleteById(id, deletedBy = 'system') {
+    return await transaction(async (client) => {
+      const old = await client.query(`SELECT * FROM shadow_assignments WHERE id = $1`, [id]);
+      if (old.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(`DELETE FROM shadow_assignments WHERE id = $1`, [id]);
+      await logAudit('shadow_assignments', id, 'DELETE', old.rows[0], null, deletedBy, 'Shadow removed');
+      return { sprintIndex: old.rows[0].sprint_index, role: old.rows[0].role, slackId: old.rows[0].slack_id };
+    });
+  }
+};
+
+/**
+ * Holidays Repository
+ */
+const HolidaysRepository = {
+  /**
+   * Get holidays on or after fromDate (YYYY-MM-DD), soonest first
+   */
+  async getFrom(fromDate) {
+    const result = await query(`
+      SELECT id, to_char(date, 'YYYY-MM-DD') AS date, name, action, created_by, created_at
+      FROM holidays
+      WHERE date >= $1
+      ORDER BY date
+    `, [fromDate]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      date: row.date,
+      name: row.name,
+      action: row.action,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    }));
+  },
+
+  /**
+   * Add a holiday, or update the name and action of the holiday already on that date
+   */
+  async upsert(holiday, changedBy = 'system') {
+    return await withRetry(async () => {
+      return await transaction(async (client) => {
+        const old = await client.query(`SELECT * FROM holidays WHERE date = $1`, [holiday.date]);
+        const result = await client.query(`
+          INSERT INTO holidays (date, name, action, created_by)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (date) DO UPDATE SET
+            name = EXCLUDED.name,
+            action = EXCLUDED.action,
+            updated_at = CURRENT_TIMESTAMP
+          RETURNING id
+        `, [holiday.date, holiday.name, holiday.action, changedBy]);
+
+        const id = result.rows[0].id;
+        await logAudit('holidays', id, old.rows.length ? 'UPDATE' : 'INSERT', old.rows[0] || null, holiday, changedBy, 'Holiday saved');
+        return id;
+      });
+    }, 3, `Save holiday ${holiday.date}`);
+  },
+
+  /**
+   * Delete a holiday
+   */
+  async deleteById(id, deletedBy = 'system') {
+    return await transaction(async (client) => {
+      const old = await client.query(`SELECT * FROM holidays WHERE id = $1`, [id]);
+      if (old.rows.length === 0) {
+        return false;
+      }
+
+      await client.query(`DELETE FROM holidays WHERE id = $1`, [id]);
+      await logAudit('holidays', id, 'DELETE', old.rows[0], null, deletedBy, 'Holiday removed');
+      return true;
+    });
+  }
+};
+
+function toLeadIds(value) {
+  return Array.isArray(value) ? value.filter(Boolean) : [];
+}
+
+function mapPendingOverrideRow(row) {
+  return {
+    id: row.id,
+    sprintIndex: row.sprint_index,
+    role: row.role,
+    newSlackId: row.replacement_slack_id,
+    newName: row.replacement_name,
+    requestedBy: row.requested_by,
+    status: row.status,
+    approvalRoutedTo: row.approval_routed_to,
+    approvalLeadSlackIds: toLeadIds(row.approval_lead_slack_ids),
+    batchId: row.batch_id || null,
+    startDate: row.start_date,
+    endDate: row.end_date
+  };
+}
+
+/**
+ * Insert an override request, or reopen a finished one for the same slot and replacement with its
+ * routing, reminders and approval cleared. Returns the id, or null when the request is still open.
+ */
+async function upsertOverrideRequest(client, override) {
+  const result = await client.query(`
+    INSERT INTO overrides (sprint_index, role, original_slack_id, replacement_slack_id, 
+                          replacement_name, requested_by, status, start_date, end_date, batch_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    ON CONFLICT (sprint_index, role, requested_by, replacement_slack_id)
+    DO UPDATE SET 
+      original_slack_id = EXCLUDED.original_slack_id,
+      replacement_name = EXCLUDED.replacement_name,
+      status = EXCLUDED.status,
+      start_date = EXCLUDED.start_date,
+      end_date = EXCLUDED.end_date,
+      batch_id = EXCLUDED.batch_id,
+      swap_id = NULL,
+      approved_by = NULL, approval_timestamp = NULL,
+      approval_routed_to = NULL, approval_lead_slack_ids = '[]', approval_routed_at = NULL,
+      last_reminded_at = NULL, reminder_count = 0,
+      created_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE overrides.status <> ALL($11)
+    RETURNING id
+  `, [
+    override.sprintIndex,
+    override.role,
+    override.originalSlackId,
+    override.newSlackId,
+    override.newName,
+    override.requestedBy,
+    getOverrideStatus(override),
+    override.startDate || null,
+    override.endDate || null,
+    override.batchId || null,
+    OPEN_STATUSES
+  ]);
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
 /**
  * Overrides Repository
  */
@@ -511,8 +1060,10 @@ const OverridesRepository = {
   async getAll() {
     const result = await query(`
       SELECT id, sprint_index, role, original_slack_id, replacement_slack_id, 
-             replacement_name, requested_by, approved, approved_by, approval_timestamp,
-             created_at, updated_at
+             replacement_name, requested_by, status, approved_by, approval_timestamp,
+             approval_routed_to, approval_lead_slack_ids, batch_id, swap_id,
+             to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date,
+             created_at, to_char(updated_at, 'YYYY-MM-DD HH24:MI:SS.US') AS updated_at
       FROM overrides
       ORDER BY created_at DESC
     `);
@@ -525,40 +1076,33 @@ const OverridesRepository = {
       newSlackId: row.replacement_slack_id,
       newName: row.replacement_name,
       requestedBy: row.requested_by,
-      approved: row.approved,
+      status: getOverrideStatus(row),
+      approved: getOverrideStatus(row) === OVERRIDE_STATUSES.APPROVED,
       approvedBy: row.approved_by,
       approvalTimestamp: row.approval_timestamp,
-      timestamp: row.created_at
+      approvalRoutedTo: row.approval_routed_to || null,
+      approvalLeadSlackIds: toLeadIds(row.approval_lead_slack_ids),
+      batchId: row.batch_id || null,
+      swapId: row.swap_id || null,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      timestamp: row.created_at,
+      updatedAt: row.updated_at || null
     }));
   },
 
   /**
-   * Add an override request using upsert
+   * Add an override request. A finished request for the same slot and replacement (declined,
+   * expired, cancelled) is reopened from scratch: routing, reminders and approval are cleared.
+   * Returns the override id, or null when that request is still open or approved.
    */
   async addOverride(override, changedBy = 'system') {
     return await withRetry(async () => {
       return await transaction(async (client) => {
-        const result = await client.query(`
-          INSERT INTO overrides (sprint_index, role, original_slack_id, replacement_slack_id, 
-                                replacement_name, requested_by, approved)
-          VALUES ($1, $2, $3, $4, $5, $6, $7)
-          ON CONFLICT (sprint_index, role, requested_by, replacement_slack_id)
-          DO UPDATE SET 
-            replacement_name = EXCLUDED.replacement_name,
-            approved = EXCLUDED.approved,
-            updated_at = CURRENT_TIMESTAMP
-          RETURNING id
-        `, [
-          override.sprintIndex,
-          override.role,
-          override.originalSlackId,
-          override.newSlackId,
-          override.newName,
-          override.requestedBy,
-          override.approved || false
-        ]);
-        
-        const overrideId = result.rows[0].id;
+        const overrideId = await upsertOverrideRequest(client, override);
+        if (overrideId == null) {
+          return null;
+        }
         
         await logAudit('overrides', overrideId, 'UPSERT', null, override, changedBy, 'Override request created/updated');
         
@@ -568,15 +1112,38 @@ const OverridesRepository = {
   },
 
   /**
-   * Approve an override
+   * Add several override requests all or nothing (an I'm out batch), as addOverride does for one.
+   * Returns an id per request, null where that request is still open or approved.
+   */
+  async addOverrides(overrides, changedBy = 'system') {
+    return await withRetry(async () => {
+      return await transaction(async (client) => {
+        const ids = [];
+        for (const override of overrides) {
+          ids.push(await upsertOverrideRequest(client, override));
+        }
+
+        for (let i = 0; i < ids.length; i++) {
+          if (ids[i] != null) {
+            await logAudit('overrides', ids[i], 'UPSERT', null, overrides[i], changedBy, 'Override request created/updated');
+          }
+        }
+        return ids;
+      });
+    }, 3, `Add ${overrides.length} overrides`);
+  },
+
+  /**
+   * Approve an override the replacement has accepted (status pending_admin)
    */
   async approveOverride(sprintIndex, role, requestedBy, replacementSlackId, approvedBy) {
     return await transaction(async (client) => {
       const result = await client.query(`
         UPDATE overrides
-        SET approved = true, approved_by = $1, approval_timestamp = CURRENT_TIMESTAMP
+        SET status = 'approved', approved_by = $1, approval_timestamp = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
         WHERE sprint_index = $2 AND role = $3 AND requested_by = $4 
-              AND replacement_slack_id = $5 AND approved = false
+              AND replacement_slack_id = $5 AND status = 'pending_admin'
         RETURNING id, *
       `, [approvedBy, sprintIndex, role, requestedBy, replacementSlackId]);
       
@@ -587,9 +1154,9 @@ const OverridesRepository = {
       const override = result.rows[0];
       
       await logAudit('overrides', override.id, 'UPDATE', {
-        approved: false
+        status: OVERRIDE_STATUSES.PENDING_ADMIN
       }, {
-        approved: true,
+        status: OVERRIDE_STATUSES.APPROVED,
         approved_by: approvedBy,
         approval_timestamp: override.approval_timestamp
       }, approvedBy, 'Override approved');
@@ -599,50 +1166,339 @@ const OverridesRepository = {
   },
 
   /**
-   * Decline an override (remove it) — only deletes rows where approved = false.
+   * Move a request from one of `fromStatuses` to `toStatus`. Returns the updated row, or false when
+   * no request in those statuses matches (already answered, withdrawn or expired).
    */
-  async declineOverride(sprintIndex, role, requestedBy, replacementSlackId, declinedBy) {
+  async updateStatus(sprintIndex, role, requestedBy, replacementSlackId, fromStatuses, toStatus, changedBy, reason) {
     return await transaction(async (client) => {
-      const oldOverride = await client.query(`
-        SELECT * FROM overrides
-        WHERE sprint_index = $1 AND role = $2 AND requested_by = $3 
-              AND replacement_slack_id = $4 AND approved = false
-      `, [sprintIndex, role, requestedBy, replacementSlackId]);
-      
-      if (oldOverride.rows.length === 0) {
+      const existing = await client.query(`
+        SELECT id, status FROM overrides
+        WHERE sprint_index = $1 AND role = $2 AND requested_by = $3
+              AND replacement_slack_id = $4 AND status = ANY($5)
+        FOR UPDATE
+      `, [sprintIndex, role, requestedBy, replacementSlackId, fromStatuses]);
+
+      if (existing.rows.length === 0) {
         return false;
       }
-      
+
+      const previous = existing.rows[0];
+      const result = await client.query(`
+        UPDATE overrides
+        SET status = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING *
+      `, [toStatus, previous.id]);
+
+      await logAudit('overrides', previous.id, 'UPDATE', {
+        status: previous.status
+      }, {
+        status: toStatus
+      }, changedBy, reason || `Override ${toStatus}`);
+
+      return result.rows[0];
+    });
+  },
+
+  /**
+   * Give an open request (pending or approved) a new replacement. The request starts over: it
+   * waits on the new replacement, then goes for approval again. A finished request to the new
+   * replacement for the same slot (declined, expired, cancelled) is removed to free the key.
+   * Returns the updated row, or false when the request is no longer open.
+   */
+  async changeReplacement(sprintIndex, role, requestedBy, replacementSlackId, newReplacementSlackId, newReplacementName, changedBy) {
+    return await transaction(async (client) => {
+      const existing = await client.query(`
+        SELECT id, status FROM overrides
+        WHERE sprint_index = $1 AND role = $2 AND requested_by = $3
+              AND replacement_slack_id = $4 AND status = ANY($5)
+        FOR UPDATE
+      `, [sprintIndex, role, requestedBy, replacementSlackId, OPEN_STATUSES]);
+
+      if (existing.rows.length === 0) {
+        return false;
+      }
+
       await client.query(`
         DELETE FROM overrides
-        WHERE sprint_index = $1 AND role = $2 AND requested_by = $3 
-              AND replacement_slack_id = $4 AND approved = false
-      `, [sprintIndex, role, requestedBy, replacementSlackId]);
-      
-      await logAudit('overrides', oldOverride.rows[0].id, 'DELETE', 
-        oldOverride.rows[0], null, declinedBy, 'Override declined');
-      
+        WHERE sprint_index = $1 AND role = $2 AND requested_by = $3
+              AND replacement_slack_id = $4 AND status <> ALL($5)
+      `, [sprintIndex, role, requestedBy, newReplacementSlackId, OPEN_STATUSES]);
+
+      const previous = existing.rows[0];
+      const result = await client.query(`
+        UPDATE overrides
+        SET replacement_slack_id = $1, replacement_name = $2, status = 'pending_replacement',
+            approved_by = NULL, approval_timestamp = NULL,
+            approval_routed_to = NULL, approval_lead_slack_ids = '[]', approval_routed_at = NULL,
+            last_reminded_at = NULL, reminder_count = 0,
+            created_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING *
+      `, [newReplacementSlackId, newReplacementName, previous.id]);
+
+      await logAudit('overrides', previous.id, 'UPDATE', {
+        status: previous.status,
+        replacement_slack_id: replacementSlackId
+      }, {
+        status: OVERRIDE_STATUSES.PENDING_REPLACEMENT,
+        replacement_slack_id: newReplacementSlackId
+      }, changedBy, 'Override replacement changed by requester');
+
+      return result.rows[0];
+    });
+  },
+
+  /**
+   * Record where a request waiting for approval was sent ('lead', with the leads it reached, or 'admins').
+   */
+  async markApprovalRouted(sprintIndex, role, requestedBy, replacementSlackId, routedTo, leadSlackIds = []) {
+    const result = await query(`
+      UPDATE overrides
+      SET approval_routed_to = $1, approval_lead_slack_ids = $2::jsonb, approval_routed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE sprint_index = $3 AND role = $4 AND requested_by = $5
+            AND replacement_slack_id = $6 AND status = 'pending_admin'
+      RETURNING id
+    `, [routedTo, JSON.stringify(leadSlackIds || []), sprintIndex, role, requestedBy, replacementSlackId]);
+    return result.rows.length > 0;
+  },
+
+  /**
+   * Claim requests a lead has held since before `cutoff` and mark them routed to the admins.
+   * The update is the claim, so concurrent runners never post the same request twice.
+   */
+  async claimLeadApprovalTimeouts(cutoff) {
+    return await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE overrides
+        SET approval_routed_to = 'admins', approval_routed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'pending_admin' AND approval_routed_to = 'lead' AND approval_routed_at <= $1
+        RETURNING id, sprint_index, role, replacement_slack_id, replacement_name, requested_by,
+                  approval_lead_slack_ids, to_char(start_date, 'YYYY-MM-DD') AS start_date,
+                  to_char(end_date, 'YYYY-MM-DD') AS end_date
+      `, [cutoff]);
+
+      for (const row of result.rows) {
+        await logAudit('overrides', row.id, 'UPDATE', {
+          approval_routed_to: 'lead'
+        }, {
+          approval_routed_to: 'admins'
+        }, 'system', 'Override approval moved to admins after lead timeout');
+      }
+
+      return result.rows.map(row => ({
+        id: row.id,
+        sprintIndex: row.sprint_index,
+        role: row.role,
+        newSlackId: row.replacement_slack_id,
+        newName: row.replacement_name,
+        requestedBy: row.requested_by,
+        approvalLeadSlackIds: toLeadIds(row.approval_lead_slack_ids),
+        startDate: row.start_date,
+        endDate: row.end_date
+      }));
+    });
+  },
+
+  /**
+   * Claim a batch's accepted requests for the admin channel once no request in it is still
+   * waiting on a replacement. Only requests not yet sent for approval are claimed, so the batch
+   * is posted once however many replacements answer at the same time.
+   */
+  async claimBatchForApproval(batchId) {
+    return await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE overrides
+        SET approval_routed_to = 'admins', approval_routed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE batch_id = $1 AND status = 'pending_admin' AND approval_routed_to IS NULL
+              AND NOT EXISTS (
+                SELECT 1 FROM overrides waiting
+                WHERE waiting.batch_id = $1 AND waiting.status = 'pending_replacement'
+              )
+        RETURNING id, sprint_index, role, replacement_slack_id, replacement_name, requested_by, status,
+                  approval_routed_to, approval_lead_slack_ids, batch_id,
+                  to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+      `, [batchId]);
+
+      for (const row of result.rows) {
+        await logAudit('overrides', row.id, 'UPDATE', null, {
+          approval_routed_to: 'admins',
+          batch_id: batchId
+        }, 'system', 'Override batch sent to admins for approval');
+      }
+
+      return result.rows.map(mapPendingOverrideRow);
+    });
+  },
+
+  /**
+   * Requests still waiting on the replacement or an approver
+   */
+  async getPending() {
+    const result = await query(`
+      SELECT id, sprint_index, role, replacement_slack_id, replacement_name, requested_by, status,
+             approval_routed_to, approval_lead_slack_ids, batch_id,
+             to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+      FROM overrides
+      WHERE status = ANY($1)
+      ORDER BY created_at
+    `, [PENDING_STATUSES]);
+
+    return result.rows.map(mapPendingOverrideRow);
+  },
+
+  /**
+   * Expire a request that is still pending. Returns false when it was answered in the meantime.
+   */
+  async expireOverride(id, reason = 'Override expired before it was answered') {
+    return await transaction(async (client) => {
+      const existing = await client.query(`
+        SELECT id, status FROM overrides
+        WHERE id = $1 AND status = ANY($2)
+        FOR UPDATE
+      `, [id, PENDING_STATUSES]);
+
+      if (existing.rows.length === 0) {
+        return false;
+      }
+
+      await client.query(`
+        UPDATE overrides
+        SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [id]);
+
+      await logAudit('overrides', id, 'UPDATE', {
+        status: existing.rows[0].status
+      }, {
+        status: OVERRIDE_STATUSES.EXPIRED
+      }, 'system', reason);
+
       return true;
     });
   },
 
   /**
-   * Delete an override by id (admin remove) — deletes regardless of approved status.
+   * Claim pending requests last sent (or reminded) before `cutoff` and count a reminder for each.
+   * The update is the claim, so concurrent runners never send the same reminder twice. Accepted
+   * batch requests wait for the rest of their batch and are skipped until it goes for approval.
+   */
+  async claimDueReminders(cutoff) {
+    return await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE overrides
+        SET last_reminded_at = CURRENT_TIMESTAMP, reminder_count = reminder_count + 1
+        WHERE status = ANY($1)
+              AND COALESCE(GREATEST(last_reminded_at, approval_routed_at), created_at) <= $2
+              AND NOT (batch_id IS NOT NULL AND status = 'pending_admin' AND approval_routed_to IS NULL)
+        RETURNING id, sprint_index, role, replacement_slack_id, replacement_name, requested_by, status,
+                  approval_routed_to, approval_lead_slack_ids, batch_id, reminder_count,
+                  to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+      `, [PENDING_STATUSES, cutoff]);
+
+      for (const row of result.rows) {
+        await logAudit('overrides', row.id, 'UPDATE', null, {
+          status: row.status,
+          approval_routed_to: row.approval_routed_to,
+          reminder_count: row.reminder_count
+        }, 'system', `Override reminder ${row.reminder_count} sent`);
+      }
+
+      return result.rows.map(row => ({ ...mapPendingOverrideRow(row), reminderCount: row.reminder_count }));
+    });
+  },
+
+  /**
+   * Write a shift swap's overrides as approved, all or nothing. Fails (and writes nothing) if
+   * another approved override already covers one of the slots.
+   */
+  async applySwap(overrides, approvedBy) {
+    return await transaction(async (client) => {
+      const ids = [];
+      for (const override of overrides) {
+        const existing = await client.query(`
+          SELECT id FROM overrides
+          WHERE sprint_index = $1 AND role = $2 AND status = 'approved'
+          FOR UPDATE
+        `, [override.sprintIndex, override.role]);
+        if (existing.rows.length > 0) {
+          throw new Error(`Sprint ${override.sprintIndex} already has an approved ${override.role} override`);
+        }
+
+        const result = await client.query(`
+          INSERT INTO overrides (sprint_index, role, original_slack_id, replacement_slack_id,
+                                replacement_name, requested_by, status, approved_by, approval_timestamp, swap_id)
+          VALUES ($1, $2, $3, $4, $5, $6, 'approved', $7, CURRENT_TIMESTAMP, $8)
+          ON CONFLICT (sprint_index, role, requested_by, replacement_slack_id)
+          DO UPDATE SET
+            original_slack_id = EXCLUDED.original_slack_id,
+            replacement_name = EXCLUDED.replacement_name,
+            status = 'approved',
+            approved_by = EXCLUDED.approved_by,
+            approval_timestamp = CURRENT_TIMESTAMP,
+            start_date = NULL,
+            end_date = NULL,
+            swap_id = EXCLUDED.swap_id,
+            updated_at = CURRENT_TIMESTAMP
+          RETURNING id
+        `, [
+          override.sprintIndex,
+          override.role,
+          override.originalSlackId,
+          override.newSlackId,
+          override.newName,
+          override.requestedBy,
+          approvedBy,
+          override.swapId || null
+        ]);
+        ids.push(result.rows[0].id);
+      }
+
+      for (let i = 0; i < ids.length; i++) {
+        await logAudit('overrides', ids[i], 'UPSERT', null, overrides[i], approvedBy, 'Shift swap accepted');
+      }
+      return ids;
+    });
+  },
+
+  /**
+   * Decline a pending override (by the replacement or an admin). The row stays, marked declined.
+   */
+  async declineOverride(sprintIndex, role, requestedBy, replacementSlackId, declinedBy) {
+    const result = await OverridesRepository.updateStatus(
+      sprintIndex, role, requestedBy, replacementSlackId,
+      PENDING_STATUSES, OVERRIDE_STATUSES.DECLINED, declinedBy, 'Override declined'
+    );
+    return !!result;
+  },
+
+  /**
+   * Delete an override by id (admin remove) — deletes regardless of status. With expectedUpdatedAt,
+   * only while the row is unchanged since it was read; returns false otherwise.
    */
-  async deleteOverrideById(overrideId, deletedBy) {
+  async deleteOverrideById(overrideId, deletedBy, expectedUpdatedAt = undefined) {
     return await transaction(async (client) => {
       const oldOverride = await client.query(`
-        SELECT * FROM overrides WHERE id = $1
+        SELECT *, to_char(updated_at, 'YYYY-MM-DD HH24:MI:SS.US') AS updated_at_version
+        FROM overrides WHERE id = $1
+        FOR UPDATE
       `, [overrideId]);
       
       if (oldOverride.rows.length === 0) {
         return false;
       }
+
+      // Optimistic concurrency: the caller saw the row at expectedUpdatedAt (as returned by getAll)
+      const { updated_at_version: version, ...oldRow } = oldOverride.rows[0];
+      if (expectedUpdatedAt !== undefined && (version || null) !== expectedUpdatedAt) {
+        return false;
+      }
       
       await client.query(`DELETE FROM overrides WHERE id = $1`, [overrideId]);
       
       await logAudit('overrides', overrideId, 'DELETE', 
-        oldOverride.rows[0], null, deletedBy, 'Override removed by admin');
+        oldRow, null, deletedBy, 'Override removed by admin');
       
       return true;
     });
@@ -702,7 +1558,14 @@ const AdminMembershipRepository = {
 module.exports = {
   UsersRepository,
   SprintsRepository,
+  SprintCadenceRepository,
+  AfterHoursRotationRepository,
   CurrentStateRepository,
+  RotationCursorsRepository,
+  UnavailabilityRepository,
+  CoverageCreditsRepository,
+  ShadowAssignmentsRepository,
+  HolidaysRepository,
   OverridesRepository,
   AdminMembershipRepository,
   logAudit,
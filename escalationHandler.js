@@ -0,0 +1,54 @@
+/********************************
+ * escalationHandler.js
+ * Starts escalation for new bug posts in the triage channel and stops it on acknowledgement
+ * (a thread reply, a reaction on the post, or the Acknowledge button).
+ ********************************/
+const { slackApp } = require('./appHome');
+const { startEscalation, acknowledgeEscalation, ACK_ACTION_ID } = require('./services/escalation');
+const { postThreadReply } = require('./slackNotifier');
+
+function isTriageChannel(channelId) {
+  return !!channelId && channelId === process.env.BUG_TRIAGE_CHANNEL_ID;
+}
+
+slackApp.event('message', async ({ event, logger }) => {
+  if (!isTriageChannel(event?.channel)) return;
+  // Edits, joins and bot posts (including our own escalation replies) are neither reports nor acknowledgements.
+  if (event.subtype || event.bot_id || !event.user) return;
+
+  try {
+    if (!event.thread_ts || event.thread_ts === event.ts) {
+      await startEscalation({ channelId: event.channel, threadTs: event.ts, reporterSlackId: event.user });
+    } else {
+      await acknowledgeEscalation({ channelId: event.channel, threadTs: event.thread_ts, slackId: event.user });
+    }
+  } catch (error) {
+    logger?.error?.('[escalation] message handling failed', error);
+  }
+});
+
+slackApp.event('reaction_added', async ({ event, logger }) => {
+  if (event?.item?.type !== 'message' || !isTriageChannel(event.item.channel)) return;
+
+  try {
+    await acknowledgeEscalation({ channelId: event.item.channel, threadTs: event.item.ts, slackId: event.user });
+  } catch (error) {
+    logger?.error?.('[escalation] reaction handling failed', error);
+  }
+});
+
+slackApp.action(ACK_ACTION_ID, async ({ ack, body, action, logger }) => {
+  await ack();
+  const userId = body?.user?.id;
+  if (!userId) return;
+
+  try {
+    const { channelId, threadTs } = JSON.parse(action?.value || '{}');
+    const record = await acknowledgeEscalation({ channelId, threadTs, slackId: userId });
+    if (record) {
+      await postThreadReply(channelId, threadTs, `Acknowledged by <@${userId}>. Escalation stopped.`);
+    }
+  } catch (error) {
+    logger?.error?.('[escalation] acknowledge action failed', error);
+  }
+});
@@ -11,9 +11,11 @@ const {
   computeSnapshotHash,
   getWeekendCarryover,
 } = require('../services/notifications/snapshotService');
-const { shouldDeferNotification, nextBusinessDay } = require('../services/notifications/weekdayPolicy');
-const { notifyAdmins, updateOnCallUserGroup, updateChannelTopic } = require('../slackNotifier');
-const { refreshCurrentState } = require('../dataUtils');
+const { getDeferralReason, nextBusinessDay } = require('../services/notifications/weekdayPolicy');
+const { notifyAdmins, updateOnCallUserGroup, updateBackupUserGroup, updateChannelTopic } = require('../slackNotifier');
+const { findCurrentSprint, getSprintBackups, getSprintShadows, readHolidays } = require('../dataUtils');
+const { refreshSprintState, applyPartialOverrideHandoff } = require('../services/sprintHandoff');
+const { shadowUserGroupIds } = require('../services/shadows');
 
 function safeJson(value) {
   try {
@@ -48,6 +50,47 @@ function assignmentsToUserIds(assignments = {}) {
   return [...new Set(ids)];
 }
 
+async function resolveBackupUserIds(primaryIds = []) {
+  try {
+    const sprint = await findCurrentSprint();
+    if (!sprint || !Number.isFinite(Number(sprint.index))) return [];
+    const backups = await getSprintBackups(Number(sprint.index));
+    return assignmentsToUserIds(backups).filter(id => !primaryIds.includes(id));
+  } catch (error) {
+    logRailway('warn', 'failed to resolve backup on-call', { error: error?.message || String(error) });
+    return [];
+  }
+}
+
+// Shadows who opted in join the on-call group (not the topic).
+async function resolveShadowUserIds(primaryIds = []) {
+  try {
+    const sprint = await findCurrentSprint();
+    if (!sprint || !Number.isFinite(Number(sprint.index))) return [];
+    return shadowUserGroupIds(await getSprintShadows(Number(sprint.index)), primaryIds);
+  } catch (error) {
+    logRailway('warn', 'failed to resolve shadows', { error: error?.message || String(error) });
+    return [];
+  }
+}
+
+async function loadHolidays() {
+  try {
+    return await readHolidays();
+  } catch (error) {
+    logRailway('warn', 'failed to read holidays; deferring on weekends only', { error: error?.message || String(error) });
+    return [];
+  }
+}
+
+async function syncSlackRotation(userIds) {
+  const backupIds = await resolveBackupUserIds(userIds);
+  const shadowIds = await resolveShadowUserIds(userIds);
+  await updateOnCallUserGroup([...userIds, ...shadowIds]);
+  await updateBackupUserGroup(backupIds);
+  await updateChannelTopic(userIds, backupIds);
+}
+
 async function handleRailwayNotification(payload = {}) {
   const startedAtMs = Date.now();
   const triggerId = payload.trigger_id || crypto.randomUUID();
@@ -57,7 +100,8 @@ async function handleRailwayNotification(payload = {}) {
   });
 
   // Correct persisted sprint index by date so current_state stays in sync when calendar moves into a new sprint
-  const stateWasRefreshed = await refreshCurrentState();
+  // (and complete the hand-off when this run is the one that switches it)
+  const stateWasRefreshed = !!(await refreshSprintState());
 
   const existingAudit = await getCronTriggerAudit(triggerId);
   if (existingAudit && existingAudit.result && existingAudit.result !== 'pending') {
@@ -84,25 +128,29 @@ async function handleRailwayNotification(payload = {}) {
   }
 
   const scheduledTime = payload.scheduled_at ? new Date(payload.scheduled_at) : new Date();
+  const holidays = await loadHolidays();
+  const deferralReason = getDeferralReason(scheduledTime, holidays);
+  // Partial-sprint overrides change hands at the hand-off; a deferred day catches up on the next run.
+  // On a sprint switch the snapshot diff below DMs everyone, these roles included.
+  if (!deferralReason) await applyPartialOverrideHandoff({ notify: !stateWasRefreshed });
   const assignments = await getNotificationAssignments();
   const hash = computeSnapshotHash(assignments);
   const latestSnapshot = await getLatestSnapshot();
 
-  if (shouldDeferNotification(scheduledTime)) {
+  if (deferralReason) {
     if (stateWasRefreshed) {
       const userIdsDef = assignmentsToUserIds(assignments);
       if (userIdsDef.length > 0) {
-        await updateOnCallUserGroup(userIdsDef);
-        await updateChannelTopic(userIdsDef);
+        await syncSlackRotation(userIdsDef);
       }
     }
     const snapshot = await saveSnapshot({
       disciplineAssignments: assignments,
       hash,
       deliveryStatus: 'deferred',
-      deliveryReason: 'weekend defer',
+      deliveryReason: deferralReason,
       railwayTriggerId: triggerId,
-      nextDelivery: nextBusinessDay(scheduledTime),
+      nextDelivery: nextBusinessDay(scheduledTime, holidays),
     });
     await updateCronTriggerResult(triggerId, 'deferred', {
       snapshot_id: snapshot.id,
@@ -112,6 +160,7 @@ async function handleRailwayNotification(payload = {}) {
     logRailway('info', 'railway notification deferred', {
       trigger_id: triggerId,
       snapshot_id: snapshot.id,
+      reason: deferralReason,
       next_delivery: snapshot.nextDelivery,
       elapsed_ms: Date.now() - startedAtMs,
     });
@@ -160,8 +209,7 @@ async function handleRailwayNotification(payload = {}) {
   // Update Slack usergroup and channel topic whenever assignments changed (delivered path), so mid-sprint admin changes are reflected
   const userIds = assignmentsToUserIds(assignments);
   if (userIds.length > 0) {
-    await updateOnCallUserGroup(userIds);
-    await updateChannelTopic(userIds);
+    await syncSlackRotation(userIds);
   }
 
   const snapshot = await saveSnapshot({
@@ -184,7 +232,7 @@ async function handleRailwayNotification(payload = {}) {
     );
     if (carryover) {
       await notifyAdmins(
-        `[Railway Cron] Weekend changes summarized: ${JSON.stringify(carryover.diff)}`
+        `[Railway Cron] Changes while deferred (${latestSnapshot.deliveryReason || 'weekend defer'}) summarized: ${JSON.stringify(carryover.diff)}`
       );
     }
   }
@@ -5,13 +5,54 @@
 require('./loadEnv').loadEnv();
 const fs = require('fs');
 const path = require('path');
-const { slackApp, receiver, publishAppHomeForUser } = require('./appHome');
+const crypto = require('crypto');
+const { slackApp, receiver, publishAppHomeForUser, getUserUpcomingShifts } = require('./appHome');
 const { getEnvironmentCommand } = require('./commandUtils');
-const { buildOverrideRequestModal, buildOverrideStep2Modal, buildMinimalDebugModal } = require('./overrideModal');
+const {
+  buildOverrideRequestModal,
+  buildOverrideStep2Modal,
+  buildSwapRequestModal,
+  buildMyRequestsModal,
+  buildChangeReplacementModal,
+  buildOutOfOfficeModal,
+  buildOutOfOfficeShiftsModal,
+  buildMinimalDebugModal
+} = require('./overrideModal');
 const cache = require('./cache/redisClient');
-const { findCurrentSprint, getSprintUsers, readSprints, getRoleAndDisciplinesForUser } = require('./dataUtils');
+const {
+  findCurrentSprint,
+  getSprintUsers,
+  readSprints,
+  readOverrides,
+  formatSprintLabelPT,
+  formatSprintRangePT,
+  getRoleAndDisciplinesForUser,
+  readCoverageCredits,
+  readUnavailability,
+  earnCoverageCredit,
+  revokeCoverageCredit,
+  getTodayPT
+} = require('./dataUtils');
+const { summarizeLedger } = require('./services/coverageCredits');
+const { checkSwap, buildSwapOverrides, isSwapOverride } = require('./services/shiftSwap');
+const { isPartialOverride, validateOverrideRange } = require('./services/overrideRanges');
+const { OVERRIDE_STATUSES, PENDING_STATUSES, OPEN_STATUSES, withOverrideStatus, getStatusLabel } = require('./services/overrideStatus');
+const { getOverrideVersion, toOverrideRef, findCurrentOverride, filterOverrides, paginate } = require('./services/overrideList');
+const { getCoveredDays, rankReplacementCandidates, formatCandidateLabel } = require('./services/replacementRanking');
+const { getUnavailableSlackIds } = require('./services/availability');
+const { getServedHistory } = require('./services/servedHistory');
+const { findOtherRole } = require('./services/roleConflicts');
+const {
+  OUT_OF_OFFICE_MAX_SHIFTS,
+  validateOutOfOfficeRange,
+  findAffectedShifts,
+  suggestReplacements
+} = require('./services/outOfOffice');
 const { applyCurrentSprintRotation } = require('./triageLogic');
 const { isUserInAdminChannel, DEFAULT_TTL_MS } = require('./services/adminMembership');
+const { routeOverrideForApproval, routeOverrideBatchForApproval } = require('./services/overrideApproval');
+const { buildReplacementRequestBlocks, formatLeads } = require('./services/overrideApprovalPolicy');
+const { loadRoles, getRoleLeads, getRoleLabel } = require('./services/roles');
 
 // Import database repositories
 const { UsersRepository, OverridesRepository } = require('./db/repository');
@@ -31,7 +72,8 @@ const DUAL_WRITE_MODE = process.env.DUAL_WRITE_MODE !== 'false';
 function loadOverrides() {
   try {
     const data = fs.readFileSync(OVERRIDES_FILE, 'utf8');
-    return JSON.parse(data);
+    const overrides = JSON.parse(data);
+    return Array.isArray(overrides) ? overrides.map(withOverrideStatus) : [];
   } catch (err) {
     console.error("Error loading overrides:", err);
     return [];
@@ -40,7 +82,9 @@ function loadOverrides() {
 
 function saveOverrides(overrides) {
   try {
-    fs.writeFileSync(OVERRIDES_FILE, JSON.stringify(overrides, null, 2), 'utf8');
+    // `approved` is derived from `status` on load, so only the status is stored
+    const rows = overrides.map(({ approved, ...override }) => override);
+    fs.writeFileSync(OVERRIDES_FILE, JSON.stringify(rows, null, 2), 'utf8');
   } catch (err) {
     console.error("Error saving overrides:", err);
   }
@@ -81,6 +125,13 @@ function formatSprintLabel(sprintIndex) {
   return range ? `${name} (${range})` : name;
 }
 
+/**
+ * "Feb 5–Feb 7, 2026" for a partial-sprint override, or null when it covers the whole sprint.
+ */
+function formatCoverageDates(override) {
+  return isPartialOverride(override) ? formatSprintRangePT(override.startDate, override.endDate) : null;
+}
+
 /* =========================
    Database Helpers
    ========================= */
@@ -131,65 +182,138 @@ async function getUserRole(userId) {
   }
 }
 
-async function addOverrideRequest(overrideData) {
-  if (!USE_DATABASE) {
-    let overrides = loadOverrides();
-    if (!Array.isArray(overrides)) {
-      overrides = [];
+/**
+ * JSON side of addOverrideRequest: refuse while the same request is open, otherwise replace any
+ * finished one for the slot and replacement.
+ */
+function addJsonOverride(overrideData) {
+  return addJsonOverrides([overrideData])[0];
+}
+
+/**
+ * addJsonOverride for several requests in one write. Returns whether each was saved.
+ */
+function addJsonOverrides(list) {
+  const sameRequest = (a, b) => a.sprintIndex === b.sprintIndex && a.role === b.role &&
+    a.requestedBy === b.requestedBy && a.newSlackId === b.newSlackId;
+  const loaded = loadOverrides();
+  let overrides = Array.isArray(loaded) ? loaded : [];
+  const saved = list.map((overrideData) => {
+    if (overrides.some(o => sameRequest(o, overrideData) && OPEN_STATUSES.includes(withOverrideStatus(o).status))) {
+      return false;
     }
-    overrides.push(overrideData);
-    saveOverrides(overrides);
+    overrides = [...overrides.filter(o => !sameRequest(o, overrideData)), overrideData];
     return true;
+  });
+  if (saved.some(Boolean)) saveOverrides(overrides);
+  return saved;
+}
+
+/**
+ * Save a new override request. Returns false when the same request (slot and replacement) is
+ * still open or approved; nothing is written then.
+ */
+async function addOverrideRequest(overrideData) {
+  if (!USE_DATABASE) {
+    return addJsonOverride(overrideData);
   }
 
   try {
-    await OverridesRepository.addOverride(overrideData, overrideData.requestedBy);
+    const overrideId = await OverridesRepository.addOverride(overrideData, overrideData.requestedBy);
+    if (overrideId == null) return false;
     await cache.del('overrides:all');
     await cache.del(`sprintUsers:${overrideData.sprintIndex}`);
     
     // Dual-write to JSON if enabled
     if (DUAL_WRITE_MODE) {
-      let overrides = loadOverrides();
-      if (!Array.isArray(overrides)) {
-        overrides = [];
-      }
-      overrides.push(overrideData);
-      saveOverrides(overrides);
+      addJsonOverride(overrideData);
     }
     
     return true;
   } catch (error) {
     console.error('[addOverrideRequest] Database error:', error);
     // Fallback to JSON
-    let overrides = loadOverrides();
-    if (!Array.isArray(overrides)) {
-      overrides = [];
+    return addJsonOverride(overrideData);
+  }
+}
+
+/**
+ * Save several override requests all or nothing (an I'm out batch). Returns whether each was
+ * saved: false where the same request is still open or approved. Throws if nothing could be saved.
+ */
+async function addOverrideRequests(list) {
+  if (!USE_DATABASE) {
+    return addJsonOverrides(list);
+  }
+
+  try {
+    const ids = await OverridesRepository.addOverrides(list, list[0]?.requestedBy);
+    await cache.del('overrides:all');
+    for (const sprintIndex of new Set(list.map(o => o.sprintIndex))) {
+      await cache.del(`sprintUsers:${sprintIndex}`);
     }
-    overrides.push(overrideData);
-    saveOverrides(overrides);
-    return true;
+
+    const saved = ids.map(id => id != null);
+    if (DUAL_WRITE_MODE) {
+      addJsonOverrides(list.filter((o, i) => saved[i]));
+    }
+    return saved;
+  } catch (error) {
+    console.error('[addOverrideRequests] Database error:', error);
+    // Fallback to JSON
+    return addJsonOverrides(list);
   }
 }
 
+/**
+ * Approve a pending override and credit the replacement for covering the shift.
+ */
 async function approveOverride(sprintIndex, role, requestedBy, replacementSlackId, approvedBy) {
-  if (!USE_DATABASE) {
-    let overrides = loadOverrides();
-    const idx = overrides.findIndex(o =>
-      o.sprintIndex === sprintIndex &&
-      o.role === role &&
-      o.requestedBy === requestedBy &&
-      o.newSlackId === replacementSlackId &&
-      o.approved === false
-    );
-    
-    if (idx > -1) {
-      overrides[idx].approved = true;
-      overrides[idx].approvedBy = approvedBy;
-      overrides[idx].approvalTimestamp = new Date().toISOString();
-      saveOverrides(overrides);
-      return overrides[idx];
+  const result = await markOverrideApproved(sprintIndex, role, requestedBy, replacementSlackId, approvedBy);
+  if (result) {
+    try {
+      await earnCoverageCredit({
+        slackId: replacementSlackId,
+        role,
+        sprintIndex,
+        coveredSlackId: result.originalSlackId || result.original_slack_id || requestedBy
+      }, approvedBy);
+    } catch (error) {
+      console.error('[approveOverride] Failed to record coverage credit:', error);
     }
-    return null;
+  }
+  return result;
+}
+
+/**
+ * Apply `changes` to the JSON request in one of `fromStatuses`. Returns the updated row or null.
+ */
+function updateJsonOverride(sprintIndex, role, requestedBy, replacementSlackId, fromStatuses, changes) {
+  const overrides = loadOverrides();
+  const idx = overrides.findIndex(o =>
+    o.sprintIndex === sprintIndex &&
+    o.role === role &&
+    o.requestedBy === requestedBy &&
+    o.newSlackId === replacementSlackId &&
+    fromStatuses.includes(o.status)
+  );
+  if (idx === -1) return null;
+
+  overrides[idx] = withOverrideStatus({ ...overrides[idx], ...changes, updatedAt: new Date().toISOString() });
+  saveOverrides(overrides);
+  return overrides[idx];
+}
+
+async function markOverrideApproved(sprintIndex, role, requestedBy, replacementSlackId, approvedBy) {
+  const fromStatuses = [OVERRIDE_STATUSES.PENDING_ADMIN];
+  const jsonChanges = () => ({
+    status: OVERRIDE_STATUSES.APPROVED,
+    approvedBy,
+    approvalTimestamp: new Date().toISOString()
+  });
+
+  if (!USE_DATABASE) {
+    return updateJsonOverride(sprintIndex, role, requestedBy, replacementSlackId, fromStatuses, jsonChanges());
   }
 
   try {
@@ -201,59 +325,50 @@ async function approveOverride(sprintIndex, role, requestedBy, replacementSlackI
     
     // Dual-write to JSON if enabled
     if (DUAL_WRITE_MODE && result) {
-      let overrides = loadOverrides();
-      const idx = overrides.findIndex(o =>
-        o.sprintIndex === sprintIndex &&
-        o.role === role &&
-        o.requestedBy === requestedBy &&
-        o.newSlackId === replacementSlackId &&
-        o.approved === false
-      );
-      
-      if (idx > -1) {
-        overrides[idx].approved = true;
-        overrides[idx].approvedBy = approvedBy;
-        overrides[idx].approvalTimestamp = new Date().toISOString();
-        saveOverrides(overrides);
-      }
+      updateJsonOverride(sprintIndex, role, requestedBy, replacementSlackId, fromStatuses, jsonChanges());
     }
     
     return result;
   } catch (error) {
     console.error('[approveOverride] Database error:', error);
     // Fallback to JSON
-    let overrides = loadOverrides();
-    const idx = overrides.findIndex(o =>
-      o.sprintIndex === sprintIndex &&
-      o.role === role &&
-      o.requestedBy === requestedBy &&
-      o.newSlackId === replacementSlackId &&
-      o.approved === false
+    return updateJsonOverride(sprintIndex, role, requestedBy, replacementSlackId, fromStatuses, jsonChanges());
+  }
+}
+
+/**
+ * Move a request between statuses (replacement accepted, declined, ...). Returns the updated
+ * request, or null when it is no longer in one of `fromStatuses`.
+ */
+async function updateOverrideStatus(sprintIndex, role, requestedBy, replacementSlackId, fromStatuses, toStatus, changedBy) {
+  if (!USE_DATABASE) {
+    return updateJsonOverride(sprintIndex, role, requestedBy, replacementSlackId, fromStatuses, { status: toStatus });
+  }
+
+  try {
+    const result = await OverridesRepository.updateStatus(
+      sprintIndex, role, requestedBy, replacementSlackId, fromStatuses, toStatus, changedBy
     );
-    
-    if (idx > -1) {
-      overrides[idx].approved = true;
-      overrides[idx].approvedBy = approvedBy;
-      overrides[idx].approvalTimestamp = new Date().toISOString();
-      saveOverrides(overrides);
-      return overrides[idx];
+    await cache.del('overrides:all');
+    await cache.del(`sprintUsers:${sprintIndex}`);
+
+    if (DUAL_WRITE_MODE && result) {
+      updateJsonOverride(sprintIndex, role, requestedBy, replacementSlackId, fromStatuses, { status: toStatus });
     }
-    return null;
+
+    return result || null;
+  } catch (error) {
+    console.error('[updateOverrideStatus] Database error:', error);
+    // Fallback to JSON
+    return updateJsonOverride(sprintIndex, role, requestedBy, replacementSlackId, fromStatuses, { status: toStatus });
   }
 }
 
 async function declineOverride(sprintIndex, role, requestedBy, replacementSlackId, declinedBy) {
+  const jsonChanges = { status: OVERRIDE_STATUSES.DECLINED };
+
   if (!USE_DATABASE) {
-    let overrides = loadOverrides();
-    overrides = overrides.filter(o =>
-      !(o.sprintIndex === sprintIndex &&
-        o.role === role &&
-        o.requestedBy === requestedBy &&
-        o.newSlackId === replacementSlackId &&
-        o.approved === false)
-    );
-    saveOverrides(overrides);
-    return true;
+    return !!updateJsonOverride(sprintIndex, role, requestedBy, replacementSlackId, PENDING_STATUSES, jsonChanges);
   }
 
   try {
@@ -264,35 +379,130 @@ async function declineOverride(sprintIndex, role, requestedBy, replacementSlackI
     await cache.del(`sprintUsers:${sprintIndex}`);
     
     // Dual-write to JSON if enabled
-    if (DUAL_WRITE_MODE) {
-      let overrides = loadOverrides();
-      overrides = overrides.filter(o =>
-        !(o.sprintIndex === sprintIndex &&
-          o.role === role &&
-          o.requestedBy === requestedBy &&
-          o.newSlackId === replacementSlackId &&
-          o.approved === false)
-      );
-      saveOverrides(overrides);
+    if (DUAL_WRITE_MODE && result) {
+      updateJsonOverride(sprintIndex, role, requestedBy, replacementSlackId, PENDING_STATUSES, jsonChanges);
     }
     
     return result;
   } catch (error) {
     console.error('[declineOverride] Database error:', error);
     // Fallback to JSON
-    let overrides = loadOverrides();
-    overrides = overrides.filter(o =>
-      !(o.sprintIndex === sprintIndex &&
-        o.role === role &&
-        o.requestedBy === requestedBy &&
-        o.newSlackId === replacementSlackId &&
-        o.approved === false)
+    return !!updateJsonOverride(sprintIndex, role, requestedBy, replacementSlackId, PENDING_STATUSES, jsonChanges);
+  }
+}
+
+/**
+ * JSON side of changeOverrideReplacement: drop finished requests to the new replacement for the
+ * same slot, then restart the open request with them.
+ */
+function changeJsonReplacement(sprintIndex, role, requestedBy, replacementSlackId, newSlackId, newName) {
+  const sameSlot = (o) => o.sprintIndex === sprintIndex && o.role === role && o.requestedBy === requestedBy;
+  const overrides = loadOverrides();
+  if (!overrides.some(o => sameSlot(o) && o.newSlackId === replacementSlackId && OPEN_STATUSES.includes(o.status))) {
+    return null;
+  }
+  saveOverrides(overrides.filter(o => !(sameSlot(o) && o.newSlackId === newSlackId && !OPEN_STATUSES.includes(o.status))));
+  return updateJsonOverride(sprintIndex, role, requestedBy, replacementSlackId, OPEN_STATUSES, {
+    newSlackId,
+    newName,
+    status: OVERRIDE_STATUSES.PENDING_REPLACEMENT,
+    approvedBy: null,
+    approvalTimestamp: null,
+    approvalRoutedTo: null,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Move an open request (pending or approved) to a new replacement; it waits on them again.
+ * Returns the updated request, or null when it is no longer open.
+ */
+async function changeOverrideReplacement(sprintIndex, role, requestedBy, replacementSlackId, newSlackId, newName, changedBy) {
+  if (!USE_DATABASE) {
+    return changeJsonReplacement(sprintIndex, role, requestedBy, replacementSlackId, newSlackId, newName);
+  }
+
+  try {
+    const result = await OverridesRepository.changeReplacement(
+      sprintIndex, role, requestedBy, replacementSlackId, newSlackId, newName, changedBy
     );
-    saveOverrides(overrides);
-    return true;
+    await cache.del('overrides:all');
+    await cache.del(`sprintUsers:${sprintIndex}`);
+
+    if (DUAL_WRITE_MODE && result) {
+      changeJsonReplacement(sprintIndex, role, requestedBy, replacementSlackId, newSlackId, newName);
+    }
+
+    return result || null;
+  } catch (error) {
+    console.error('[changeOverrideReplacement] Database error:', error);
+    // Fallback to JSON
+    return changeJsonReplacement(sprintIndex, role, requestedBy, replacementSlackId, newSlackId, newName);
+  }
+}
+
+/**
+ * JSON side of claimOverrideBatch.
+ */
+function claimJsonBatch(batchId) {
+  const overrides = loadOverrides();
+  const batch = overrides.filter(o => o.batchId === batchId);
+  if (batch.some(o => o.status === OVERRIDE_STATUSES.PENDING_REPLACEMENT)) return [];
+
+  const claimed = batch.filter(o => o.status === OVERRIDE_STATUSES.PENDING_ADMIN && !o.approvalRoutedTo);
+  for (const o of claimed) {
+    o.approvalRoutedTo = 'admins';
+    o.updatedAt = new Date().toISOString();
+  }
+  if (claimed.length > 0) saveOverrides(overrides);
+  return claimed;
+}
+
+/**
+ * Claim an "I'm out" batch's accepted requests for approval once no replacement is left to
+ * answer. Returns the claimed requests (empty while someone is still deciding, or when another
+ * answer already claimed them).
+ */
+async function claimOverrideBatch(batchId) {
+  if (!USE_DATABASE) {
+    return claimJsonBatch(batchId);
+  }
+
+  try {
+    const claimed = await OverridesRepository.claimBatchForApproval(batchId);
+    await cache.del('overrides:all');
+
+    if (DUAL_WRITE_MODE && claimed.length > 0) {
+      claimJsonBatch(batchId);
+    }
+
+    return claimed;
+  } catch (error) {
+    console.error('[claimOverrideBatch] Database error:', error);
+    // Fallback to JSON
+    return claimJsonBatch(batchId);
   }
 }
 
+/**
+ * Once a batch request stops waiting on its replacement without an answer (cancelled or never
+ * delivered), the rest of the batch may have been waiting only on it: claim and route it.
+ * Returns the requests sent for approval.
+ */
+async function routeWaitingBatch(batchId) {
+  if (!batchId) return [];
+  const claimed = await claimOverrideBatch(batchId);
+  await routeOverrideBatchForApproval(claimed);
+  return claimed;
+}
+
+function isSameRequest(a, b) {
+  return Number(a.sprintIndex) === Number(b.sprintIndex) &&
+    a.role === b.role &&
+    a.requestedBy === b.requestedBy &&
+    a.newSlackId === b.newSlackId;
+}
+
 async function getAllOverrides() {
   if (!USE_DATABASE) {
     return loadOverrides();
@@ -308,10 +518,18 @@ async function getAllOverrides() {
       newSlackId: override.newSlackId,
       newName: override.newName,
       requestedBy: override.requestedBy,
+      status: override.status,
       approved: override.approved,
       approvedBy: override.approvedBy,
       approvalTimestamp: override.approvalTimestamp,
-      timestamp: override.timestamp
+      approvalRoutedTo: override.approvalRoutedTo || null,
+      approvalLeadSlackIds: Array.isArray(override.approvalLeadSlackIds) ? override.approvalLeadSlackIds : [],
+      batchId: override.batchId || null,
+      swapId: override.swapId || null,
+      startDate: override.startDate || null,
+      endDate: override.endDate || null,
+      timestamp: override.timestamp,
+      updatedAt: override.updatedAt || null
     }));
   } catch (error) {
     console.error('[getAllOverrides] Database error:', error);
@@ -320,6 +538,49 @@ async function getAllOverrides() {
   }
 }
 
+/**
+ * Apply a shift swap's overrides together: either both are saved as approved or neither is.
+ * @returns {Promise<boolean>}
+ */
+async function applySwap(overrides, acceptedBy) {
+  const saveToJson = () => {
+    let existing = loadOverrides();
+    if (!Array.isArray(existing)) {
+      existing = [];
+    }
+    const taken = overrides.some(o => existing.some(e =>
+      e.approved === true && Number(e.sprintIndex) === Number(o.sprintIndex) && e.role === o.role
+    ));
+    if (taken) return false;
+    const now = new Date().toISOString();
+    saveOverrides([
+      ...existing.filter(e => !overrides.some(o => isSameRequest(e, o))),
+      ...overrides.map(o => ({ ...o, approvedBy: acceptedBy, approvalTimestamp: now, timestamp: now }))
+    ]);
+    return true;
+  };
+
+  if (!USE_DATABASE) {
+    return saveToJson();
+  }
+
+  try {
+    await OverridesRepository.applySwap(overrides, acceptedBy);
+  } catch (error) {
+    // No JSON fallback here: a partial or conflicting swap must not be applied anywhere.
+    console.error('[applySwap] Database error:', error);
+    return false;
+  }
+  await cache.del('overrides:all');
+  for (const o of overrides) {
+    await cache.del(`sprintUsers:${o.sprintIndex}`);
+  }
+  if (DUAL_WRITE_MODE) {
+    saveToJson();
+  }
+  return true;
+}
+
 /* =========================
    /triage-override Command
    (User Flow)
@@ -333,10 +594,10 @@ slackApp.command(getEnvironmentCommand('triage-override'), async ({ command, ack
     null;
 
   // Resolve role and disciplines from same source as app (DB when USE_DATABASE)
-  const { role, disciplines } = await getRoleAndDisciplinesForUser(command.user_id);
+  const { role, disciplines, cursors, unavailability, credits } = await getRoleAndDisciplinesForUser(command.user_id);
 
   // Build the modal for requesting an override
-  const modalView = buildOverrideRequestModal(command.user_id, { role, disciplines });
+  const modalView = buildOverrideRequestModal(command.user_id, { role, disciplines, cursors, unavailability, credits });
 
   try {
     // Open minimal probe first, then update to the real modal.
@@ -380,8 +641,8 @@ slackApp.shortcut('request_coverage_shortcut', async ({ shortcut, ack, client, l
   await ack();
   try {
     const userId = shortcut.user.id;
-    const { role, disciplines } = await getRoleAndDisciplinesForUser(userId);
-    const modalView = buildOverrideRequestModal(userId, { role, disciplines });
+    const { role, disciplines, cursors, unavailability, credits } = await getRoleAndDisciplinesForUser(userId);
+    const modalView = buildOverrideRequestModal(userId, { role, disciplines, cursors, unavailability, credits });
     const probeView = buildMinimalDebugModal({
       title: 'Request Coverage',
       bodyText: 'Opening coverage request…',
@@ -464,9 +725,70 @@ slackApp.action('sprint_select', async ({ ack, body, client, logger }) => {
   }
 });
 
+/**
+ * The sprint and days a replacement picker is for: the request form's sprint and dates, the
+ * "I'm out" shift the picker belongs to, or the request whose replacement is being changed.
+ */
+function getPickerCoverage(body, metadata) {
+  const outShift = /^out_shift_(\d+)$/.exec(body?.block_id || '');
+  if (outShift) {
+    const shift = metadata.shifts?.[Number(outShift[1])];
+    return shift ? { sprintIndex: Number(shift.sprintIndex), startDate: shift.startDate, endDate: shift.endDate } : null;
+  }
+
+  const values = body?.view?.state?.values || {};
+  const selected = Number.parseInt(values.sprint_selection?.sprint_select?.selected_option?.value, 10);
+  const sprintIndex = Number.isFinite(selected) ? selected : Number.parseInt(metadata.sprintIndex, 10);
+  if (!Number.isFinite(sprintIndex)) return null;
+  return {
+    sprintIndex,
+    startDate: values.coverage_start?.coverage_start_date?.selected_date || null,
+    endDate: values.coverage_end?.coverage_end_date?.selected_date || null
+  };
+}
+
+/**
+ * The role's members ranked for a picker (see services/replacementRanking.js), or null when the
+ * sprint isn't known.
+ */
+async function rankReplacements(role, requesterSlackId, roleList, coverage) {
+  if (!coverage) return null;
+  const sprints = await readSprints();
+  const findSprint = (idx) => sprints.find(s => Number(s?.sprintIndex) === idx) || null;
+  const sprint = findSprint(coverage.sprintIndex);
+  if (!sprint) return null;
+
+  const idx = coverage.sprintIndex;
+  const [stints, unavailability, credits, currentSprint, sprintUsers, previousSprintUsers, nextSprintUsers] = await Promise.all([
+    getServedHistory(),
+    readUnavailability(),
+    readCoverageCredits(),
+    findCurrentSprint(),
+    getSprintUsers(idx),
+    findSprint(idx - 1) ? getSprintUsers(idx - 1) : {},
+    findSprint(idx + 1) ? getSprintUsers(idx + 1) : {}
+  ]);
+  const currentSprintIndex = Number.parseInt(currentSprint?.index, 10);
+
+  return rankReplacementCandidates({
+    roleList,
+    requesterId: requesterSlackId,
+    role,
+    ...getCoveredDays(sprint, coverage.startDate, coverage.endDate),
+    currentSprintIndex: Number.isFinite(currentSprintIndex) ? currentSprintIndex : null,
+    stints,
+    sprintUsers,
+    previousSprintUsers,
+    nextSprintUsers,
+    unavailability,
+    unavailableIds: getUnavailableSlackIds(unavailability, sprint, credits)
+  });
+}
+
 /**
  * external_select options handler for replacement search.
- * Returns up to 100 role-filtered user options (excluding requester).
+ * Returns up to 100 role-filtered user options (excluding requester), ranked for the sprint the
+ * picker is for, each with why it sits there.
  */
 slackApp.options('replacement_select', async ({ ack, body, payload, logger }) => {
   const t0 = Date.now();
@@ -514,8 +836,17 @@ slackApp.options('replacement_select', async ({ ack, body, payload, logger }) =>
     const disciplines = USE_DATABASE ? await UsersRepository.getDisciplines() : getDisciplines();
     const roleList = Array.isArray(disciplines?.[role]) ? disciplines[role] : [];
 
-    const matches = roleList
+    let ranked = null;
+    try {
+      ranked = await rankReplacements(role, requesterSlackId, roleList, getPickerCoverage(body, metadata));
+    } catch (rankError) {
+      logger?.warn?.('[replacement_select] ranking failed; using roster order', { error: rankError?.message || String(rankError) });
+    }
+    const candidates = ranked || roleList
       .filter(u => u && u.slackId && u.slackId !== requesterSlackId)
+      .map(u => ({ slackId: u.slackId, name: u.name, warning: null, reasons: [] }));
+
+    const matches = candidates
       .filter(u => {
         if (!query) return true;
         const name = (u.name || '').toString().toLowerCase();
@@ -524,10 +855,10 @@ slackApp.options('replacement_select', async ({ ack, body, payload, logger }) =>
       })
       .slice(0, 100)
       .map(u => {
-        const name = (u.name || u.slackId || 'Unknown').toString();
-        const safeName = name.length > 75 ? `${name.slice(0, 72)}...` : name;
+        const label = formatCandidateLabel({ ...u, name: u.name || u.slackId || 'Unknown' });
+        const safeLabel = label.length > 75 ? `${label.slice(0, 72)}...` : label;
         return {
-          text: { type: 'plain_text', text: safeName },
+          text: { type: 'plain_text', text: safeLabel },
           value: u.slackId.toString()
         };
       });
@@ -582,7 +913,20 @@ slackApp.options('replacement_select', async ({ ack, body, payload, logger }) =>
  * (existing flow: user picks sprint + replacement)
  * -> Notifies admin channel with Approve/Decline
  */
-slackApp.view('override_request_modal', async ({ ack, body, view, client, logger }) => {
+async function handleOverrideRequestSubmit({ ack, body, view, client, logger }) {
+  // Optional partial-sprint dates are checked against the sprint before acknowledging.
+  const values = view.state.values;
+  const startDate = values.coverage_start?.coverage_start_date?.selected_date || null;
+  const endDate = values.coverage_end?.coverage_end_date?.selected_date || null;
+  if (startDate || endDate) {
+    const selectedIndex = Number.parseInt(values.sprint_selection?.sprint_select?.selected_option?.value, 10);
+    const sprint = (await readSprints()).find(s => Number(s?.sprintIndex) === selectedIndex);
+    const rangeError = validateOverrideRange(startDate, endDate, sprint);
+    if (rangeError) {
+      await ack({ response_action: 'errors', errors: { [endDate ? 'coverage_end' : 'coverage_start']: rangeError } });
+      return;
+    }
+  }
   await ack();
   try {
     // Parse private_metadata
@@ -593,7 +937,10 @@ slackApp.view('override_request_modal', async ({ ack, body, view, client, logger
     // Extract the selected sprint index
     const sprintIndexStr = view.state.values.sprint_selection.sprint_select.selected_option.value;
     const sprintIndex = parseInt(sprintIndexStr, 10);
-    const sprintLabel = formatSprintLabel(sprintIndex);
+    const coverageDates = startDate && endDate ? formatSprintRangePT(startDate, endDate) : null;
+    const sprintLabel = coverageDates
+      ? `${formatSprintLabel(sprintIndex)}, ${coverageDates} only`
+      : formatSprintLabel(sprintIndex);
 
     // Extract the replacement Slack ID
     const replacementSlackId = view.state.values.replacement.replacement_select.selected_option.value;
@@ -607,204 +954,1210 @@ slackApp.view('override_request_modal', async ({ ack, body, view, client, logger
       replacementName = replacementObj.name;
     }
 
-    // Create override object
+    // Create override object; the replacement is asked before admins see it
     const override = {
       sprintIndex,
       role: requesterRole,
       newSlackId: replacementSlackId,
       newName: replacementName,
       requestedBy: requesterId,
-      approved: false,
+      status: OVERRIDE_STATUSES.PENDING_REPLACEMENT,
+      startDate: coverageDates ? startDate : null,
+      endDate: coverageDates ? endDate : null,
       timestamp: new Date().toISOString()
     };
 
     // Save override using database or JSON
-    await addOverrideRequest(override);
+    if (!(await addOverrideRequest(override))) {
+      await client.chat.postMessage({
+        channel: requesterId,
+        text: `You already have an open request for <@${replacementSlackId}> to cover ${getRoleLabel(requesterRole)} on ${sprintLabel}. You can follow it under My Requests.`
+      });
+      return;
+    }
+
+    const requestInfo = {
+      sprintIndex,
+      sprintLabel,
+      role: requesterRole,
+      replacementSlackId,
+      replacementName,
+      requesterId
+    };
 
-    // Notify admin channel with Approve/Decline buttons
+    // Ask the replacement with Accept/Decline buttons
+    try {
+      await client.chat.postMessage({
+        channel: replacementSlackId,
+        text: `<@${requesterId}> asked you to cover *${getRoleLabel(requesterRole)}* on *${sprintLabel}*. Do you accept?`,
+        blocks: buildReplacementRequestBlocks(requestInfo, 'If you accept, the request goes on for approval.')
+      });
+    } catch (error) {
+      // Nobody can answer a request they never got; cancel it rather than leave it waiting.
+      logger.error('[override_request_modal] asking the replacement failed', error);
+      await updateOverrideStatus(
+        sprintIndex, requesterRole, requesterId, replacementSlackId,
+        PENDING_STATUSES, OVERRIDE_STATUSES.CANCELLED, requesterId
+      );
+      await client.chat.postMessage({
+        channel: requesterId,
+        text: `<@${replacementSlackId}> could not be messaged, so your override request for ${getRoleLabel(requesterRole)} on ${sprintLabel} was cancelled. Please request cover again.`
+      });
+      return;
+    }
     await client.chat.postMessage({
-      channel: process.env.ADMIN_CHANNEL_ID,
-      text: `Override Request: <@${requesterId}> has requested an override for *${requesterRole}* on *${sprintLabel}*. Replacement: <@${replacementSlackId}> (${replacementName}). Please review and approve.`,
-      blocks: [
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `Override Request: <@${requesterId}> has requested an override for *${requesterRole}* on *${sprintLabel}*.\nReplacement: <@${replacementSlackId}> (${replacementName}).`
-          }
-        },
-        {
-          type: "actions",
-          elements: [
-            {
-              type: "button",
-              text: { type: "plain_text", text: "Approve" },
-              style: "primary",
-              action_id: "approve_override",
-              value: JSON.stringify({ 
-                sprintIndex, 
-                sprintLabel,
-                role: requesterRole, 
-                replacementSlackId, 
-                replacementName, 
-                requesterId 
-              })
-            },
-            {
-              type: "button",
-              text: { type: "plain_text", text: "Decline" },
-              style: "danger",
-              action_id: "decline_override",
-              value: JSON.stringify({ 
-                sprintIndex, 
-                sprintLabel,
-                role: requesterRole, 
-                replacementSlackId, 
-                requesterId 
-              })
-            }
-          ]
-        }
-      ]
+      channel: requesterId,
+      text: `Your override request for ${getRoleLabel(requesterRole)} on ${sprintLabel} was sent to <@${replacementSlackId}>. Once they accept, it goes to the admins for approval.`
     });
   } catch (error) {
     logger.error("Error in override_request_modal handler:", error);
   }
-});
+}
+slackApp.view('override_request_modal', handleOverrideRequestSubmit);
 
 /* =========================
-   Action: approve_override
-   (Admin channel flow)
+   Actions: accept_override_replacement / decline_override_replacement
+   (Replacement's DM: consent before admin approval)
    ========================= */
-async function handleApproveOverride({ ack, body, client, logger }) {
+async function handleAcceptOverrideReplacement({ ack, body, client, logger }) {
   await ack();
   try {
-    const overrideInfo = JSON.parse(body.actions[0].value);
-    const sprintLabel = overrideInfo.sprintLabel || formatSprintLabel(overrideInfo.sprintIndex);
-
-    const result = await approveOverride(
-      overrideInfo.sprintIndex,
-      overrideInfo.role,
-      overrideInfo.requesterId,
-      overrideInfo.replacementSlackId,
+    const requestInfo = JSON.parse(body.actions[0].value);
+    if (body.user.id !== requestInfo.replacementSlackId) return;
+    const sprintLabel = requestInfo.sprintLabel || formatSprintLabel(requestInfo.sprintIndex);
+
+    const result = await updateOverrideStatus(
+      requestInfo.sprintIndex,
+      requestInfo.role,
+      requestInfo.requesterId,
+      requestInfo.replacementSlackId,
+      [OVERRIDE_STATUSES.PENDING_REPLACEMENT],
+      OVERRIDE_STATUSES.PENDING_ADMIN,
       body.user.id
     );
 
-    if (result) {
-      // Notify the requester and replacement
-      await client.chat.postMessage({
-        channel: overrideInfo.requesterId,
-        text: `Your override request for ${overrideInfo.role} on ${sprintLabel} has been approved.`
-      });
+    const text = result
+      ? `You accepted covering *${getRoleLabel(requestInfo.role)}* on *${sprintLabel}* for <@${requestInfo.requesterId}>. It's now waiting for approval.`
+      : `This request is no longer waiting for you (it was withdrawn, expired or already answered).`;
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text,
+      blocks: [{ type: "section", text: { type: "mrkdwn", text } }]
+    });
+    if (!result) return;
+
+    const batchId = result.batchId || result.batch_id || null;
+    if (batchId) {
+      const claimed = await claimOverrideBatch(batchId);
+      await routeOverrideBatchForApproval(claimed);
       await client.chat.postMessage({
-        channel: overrideInfo.replacementSlackId,
-        text: `You have been approved as the replacement for ${overrideInfo.role} on ${sprintLabel}.`
+        channel: requestInfo.requesterId,
+        text: `<@${requestInfo.replacementSlackId}> accepted covering ${getRoleLabel(requestInfo.role)} on ${sprintLabel}. ` +
+          (claimed.length > 0
+            ? 'Every replacement has answered, so your I\'m out requests are now waiting for approval from the admins.'
+            : 'It goes to the admins with the rest of your I\'m out requests once every replacement has answered.')
       });
+      return;
+    }
 
-      // Update the admin channel message
-      await client.chat.update({
-        channel: body.channel.id,
-        ts: body.message.ts,
-        text: "Override Approved",
-        blocks: [
-          {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text:
-                `*Override Approved*\n` +
-                `Sprint: ${sprintLabel}\n` +
-                `Role: ${overrideInfo.role}\n` +
-                `Requested By: <@${overrideInfo.requesterId}>\n` +
-                `Replacement: <@${overrideInfo.replacementSlackId}> (${overrideInfo.replacementName || overrideInfo.replacementSlackId})\n` +
-                `Approved By: <@${body.user.id}> at ${result.approvalTimestamp || new Date().toISOString()}`
-            }
-          }
-        ]
-      });
+    const { routedTo, leadSlackIds } = await routeOverrideForApproval({ ...requestInfo, sprintLabel });
+    const approver = routedTo === 'lead' ? formatLeads(leadSlackIds, getRoleLabel(requestInfo.role)) : 'the admins';
+    await client.chat.postMessage({
+      channel: requestInfo.requesterId,
+      text: `<@${requestInfo.replacementSlackId}> accepted covering ${getRoleLabel(requestInfo.role)} on ${sprintLabel}. Your request is now waiting for approval from ${approver}.`
+    });
+  } catch (error) {
+    logger.error("Error accepting override as replacement:", error);
+  }
+}
+slackApp.action('accept_override_replacement', handleAcceptOverrideReplacement);
 
-      // If override affects current sprint: sync state, user group, channel topic, notify, refresh App Home
-      try {
-        const currentSprint = await findCurrentSprint();
-        if (currentSprint && Number(overrideInfo.sprintIndex) === Number(currentSprint.index)) {
-          const { updated, affectedUserIds } = await applyCurrentSprintRotation();
-          if (updated) {
-            const newRoles = await getSprintUsers(currentSprint.index);
-            const onCallIds = Object.values(newRoles).filter(Boolean);
-            const toRefresh = new Set([
-              ...(affectedUserIds || []),
-              ...onCallIds,
-              body.user?.id
-            ].filter(Boolean));
-            for (const uid of toRefresh) {
-              try {
-                await publishAppHomeForUser(client, uid);
-              } catch (err) {
-                logger.error('[approve_override] Failed to refresh App Home for user:', uid, err);
-              }
-            }
-          }
+async function handleDeclineOverrideReplacement({ ack, body, client, logger }) {
+  await ack();
+  try {
+    const requestInfo = JSON.parse(body.actions[0].value);
+    if (body.user.id !== requestInfo.replacementSlackId) return;
+    const sprintLabel = requestInfo.sprintLabel || formatSprintLabel(requestInfo.sprintIndex);
+
+    const result = await updateOverrideStatus(
+      requestInfo.sprintIndex,
+      requestInfo.role,
+      requestInfo.requesterId,
+      requestInfo.replacementSlackId,
+      [OVERRIDE_STATUSES.PENDING_REPLACEMENT],
+      OVERRIDE_STATUSES.DECLINED,
+      body.user.id
+    );
+
+    const text = result
+      ? `You declined covering *${getRoleLabel(requestInfo.role)}* on *${sprintLabel}* for <@${requestInfo.requesterId}>.`
+      : `This request is no longer waiting for you (it was withdrawn, expired or already answered).`;
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text,
+      blocks: [{ type: "section", text: { type: "mrkdwn", text } }]
+    });
+    if (!result) return;
+
+    await client.chat.postMessage({
+      channel: requestInfo.requesterId,
+      text: `<@${requestInfo.replacementSlackId}> declined covering ${getRoleLabel(requestInfo.role)} on ${sprintLabel}. You can request someone else with ${getEnvironmentCommand('triage-override')}.`
+    });
+
+    // The rest of an "I'm out" batch may have been waiting on this answer
+    const batchId = result.batchId || result.batch_id || null;
+    if (batchId) {
+      const claimed = await claimOverrideBatch(batchId);
+      if (claimed.length > 0) {
+        await routeOverrideBatchForApproval(claimed);
+        await client.chat.postMessage({
+          channel: requestInfo.requesterId,
+          text: `Every other replacement has answered, so your accepted I'm out requests are now waiting for approval from the admins.`
+        });
+      }
+    }
+  } catch (error) {
+    logger.error("Error declining override as replacement:", error);
+  }
+}
+slackApp.action('decline_override_replacement', handleDeclineOverrideReplacement);
+
+/**
+ * When an approved change touches the current sprint, re-apply the rotation (state, user group,
+ * channel topic, notifications) and refresh App Home for everyone affected.
+ */
+async function syncCurrentSprintAfterOverride(client, sprintIndexes, actorId, logger) {
+  try {
+    const currentSprint = await findCurrentSprint();
+    if (!currentSprint || !sprintIndexes.some(idx => Number(idx) === Number(currentSprint.index))) return;
+
+    const { updated, affectedUserIds } = await applyCurrentSprintRotation();
+    if (updated) {
+      const newRoles = await getSprintUsers(currentSprint.index);
+      const onCallIds = Object.values(newRoles).filter(Boolean);
+      const toRefresh = new Set([
+        ...(affectedUserIds || []),
+        ...onCallIds,
+        actorId
+      ].filter(Boolean));
+      for (const uid of toRefresh) {
+        try {
+          await publishAppHomeForUser(client, uid);
+        } catch (err) {
+          logger.error('[syncCurrentSprintAfterOverride] Failed to refresh App Home for user:', uid, err);
+        }
+      }
+    }
+  } catch (syncErr) {
+    logger.error('[syncCurrentSprintAfterOverride] Sync/refresh after approve failed:', syncErr);
+  }
+}
+
+/**
+ * Buttons in a lead's DM only work while they are still one of the role's leads (admins can always answer).
+ * Otherwise the message is replaced with a note and false is returned.
+ */
+async function ensureLeadCanAnswer({ client, body, role, logger }) {
+  const userId = body.user.id;
+  await loadRoles();
+  if (getRoleLeads(role).includes(userId)) return true;
+
+  const adminChannelId = process.env.ADMIN_CHANNEL_ID;
+  const membership = adminChannelId
+    ? await isUserInAdminChannel({ client, userId, adminChannelId, ttlMs: DEFAULT_TTL_MS, logger })
+    : null;
+  if (membership?.isMember === true) return true;
+
+  const text = `You're no longer a ${getRoleLabel(role)} lead, so this request is left to the other leads or the admins.`;
+  await client.chat.update({
+    channel: body.channel.id,
+    ts: body.message.ts,
+    text,
+    blocks: [{ type: "section", text: { type: "mrkdwn", text } }]
+  });
+  return false;
+}
+
+/**
+ * Replace approval buttons once the request was answered elsewhere (the lead or another admin).
+ */
+async function markAlreadyAnswered(client, body, sprintLabel) {
+  const text = `This override request for ${sprintLabel} was already answered, withdrawn or expired.`;
+  await client.chat.update({
+    channel: body.channel.id,
+    ts: body.message.ts,
+    text,
+    blocks: [{ type: "section", text: { type: "mrkdwn", text } }]
+  });
+}
+
+/**
+ * The other role the replacement already holds in the override's sprint, or null. Approving would
+ * put one person in two roles, so the approval is blocked (see services/roleConflicts.js).
+ */
+async function findReplacementConflict(sprintIndex, role, replacementSlackId) {
+  return findOtherRole(await getSprintUsers(sprintIndex), replacementSlackId, role);
+}
+
+/**
+ * Tell the approver (only) why they can't approve; the request stays pending so it can still be
+ * declined, or the requester can change the replacement.
+ */
+async function explainApprovalBlocked(client, body, lines) {
+  await client.chat.postEphemeral({
+    channel: body.channel.id,
+    user: body.user.id,
+    text: `Can't approve: ${lines.join(' ')} Nobody can hold two roles in one sprint; decline, or ask the requester to change the replacement.`
+  });
+}
+
+/* =========================
+   Action: approve_override
+   (Admin channel or discipline lead DM)
+   ========================= */
+async function handleApproveOverride({ ack, body, client, logger }) {
+  await ack();
+  try {
+    const overrideInfo = JSON.parse(body.actions[0].value);
+    const sprintLabel = overrideInfo.sprintLabel || formatSprintLabel(overrideInfo.sprintIndex);
+    if (overrideInfo.viaLead && !(await ensureLeadCanAnswer({ client, body, role: overrideInfo.role, logger }))) return;
+
+    const otherRole = await findReplacementConflict(overrideInfo.sprintIndex, overrideInfo.role, overrideInfo.replacementSlackId);
+    if (otherRole) {
+      await explainApprovalBlocked(client, body, [`<@${overrideInfo.replacementSlackId}> is already on call as ${getRoleLabel(otherRole)} for ${sprintLabel}.`]);
+      return;
+    }
+
+    const result = await approveOverride(
+      overrideInfo.sprintIndex,
+      overrideInfo.role,
+      overrideInfo.requesterId,
+      overrideInfo.replacementSlackId,
+      body.user.id
+    );
+
+    if (result) {
+      // Notify the requester and replacement
+      await client.chat.postMessage({
+        channel: overrideInfo.requesterId,
+        text: `Your override request for ${getRoleLabel(overrideInfo.role)} on ${sprintLabel} has been approved.`
+      });
+      await client.chat.postMessage({
+        channel: overrideInfo.replacementSlackId,
+        text: `You have been approved as the replacement for ${getRoleLabel(overrideInfo.role)} on ${sprintLabel}.`
+      });
+
+      // Update the admin channel message
+      await client.chat.update({
+        channel: body.channel.id,
+        ts: body.message.ts,
+        text: "Override Approved",
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text:
+                `*Override Approved*\n` +
+                `Sprint: ${sprintLabel}\n` +
+                `Role: ${getRoleLabel(overrideInfo.role)}\n` +
+                `Requested By: <@${overrideInfo.requesterId}>\n` +
+                `Replacement: <@${overrideInfo.replacementSlackId}> (${overrideInfo.replacementName || overrideInfo.replacementSlackId})\n` +
+                `Approved By: <@${body.user.id}> at ${result.approvalTimestamp || new Date().toISOString()}`
+            }
+          }
+        ]
+      });
+
+      // If override affects current sprint: sync state, user group, channel topic, notify, refresh App Home
+      await syncCurrentSprintAfterOverride(client, [overrideInfo.sprintIndex], body.user?.id, logger);
+    } else {
+      await markAlreadyAnswered(client, body, sprintLabel);
+    }
+  } catch (error) {
+    logger.error("Error approving override:", error);
+  }
+}
+slackApp.action('approve_override', handleApproveOverride);
+
+/* =========================
+   Action: decline_override
+   (Admin channel or discipline lead DM)
+   ========================= */
+async function handleDeclineOverride({ ack, body, client, logger }) {
+  await ack();
+  try {
+    const overrideInfo = JSON.parse(body.actions[0].value);
+    const sprintLabel = overrideInfo.sprintLabel || formatSprintLabel(overrideInfo.sprintIndex);
+    if (overrideInfo.viaLead && !(await ensureLeadCanAnswer({ client, body, role: overrideInfo.role, logger }))) return;
+
+    const result = await declineOverride(
+      overrideInfo.sprintIndex,
+      overrideInfo.role,
+      overrideInfo.requesterId,
+      overrideInfo.replacementSlackId,
+      body.user.id
+    );
+
+    if (result) {
+      await client.chat.postMessage({
+        channel: overrideInfo.requesterId,
+        text: `Your override request for ${getRoleLabel(overrideInfo.role)} on ${sprintLabel} has been declined.`
+      });
+
+      await client.chat.update({
+        channel: body.channel.id,
+        ts: body.message.ts,
+        text: "Override Declined",
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text:
+                `*Override Declined*\n` +
+                `Sprint: ${sprintLabel}\n` +
+                `Role: ${getRoleLabel(overrideInfo.role)}\n` +
+                `Requested By: <@${overrideInfo.requesterId}>\n` +
+                `Replacement: <@${overrideInfo.replacementSlackId}>\n` +
+                `Declined By: <@${body.user.id}> at ${new Date().toISOString()}`
+            }
+          }
+        ]
+      });
+    } else {
+      await markAlreadyAnswered(client, body, sprintLabel);
+    }
+  } catch (error) {
+    logger.error("Error declining override:", error);
+  }
+}
+slackApp.action('decline_override', handleDeclineOverride);
+
+/* =========================
+   Actions: approve_override_batch / decline_override_batch
+   (Admin channel: every request of an "I'm out" batch at once)
+   ========================= */
+async function getBatchAwaitingApproval(batchId) {
+  const overrides = await getAllOverrides();
+  return overrides.filter(o =>
+    o.batchId === batchId &&
+    o.status === OVERRIDE_STATUSES.PENDING_ADMIN &&
+    o.approvalRoutedTo === 'admins'
+  );
+}
+
+function formatBatchLines(overrides) {
+  return overrides.map(o => `• ${getRoleLabel(o.role)} on ${formatRequestLabel(o)}: <@${o.newSlackId}>`).join('\n');
+}
+
+async function handleApproveOverrideBatch({ ack, body, client, logger }) {
+  await ack();
+  try {
+    const { batchId, requesterId } = JSON.parse(body.actions[0].value);
+    const pending = await getBatchAwaitingApproval(batchId);
+    const blocked = [];
+    for (const o of pending) {
+      const otherRole = await findReplacementConflict(o.sprintIndex, o.role, o.newSlackId);
+      if (otherRole) blocked.push(`<@${o.newSlackId}> is already on call as ${getRoleLabel(otherRole)} for ${formatRequestLabel(o)}.`);
+    }
+    if (blocked.length > 0) {
+      await explainApprovalBlocked(client, body, blocked);
+      return;
+    }
+
+    const approved = [];
+    for (const o of pending) {
+      const result = await approveOverride(o.sprintIndex, o.role, o.requestedBy, o.newSlackId, body.user.id);
+      if (!result) continue;
+      approved.push(o);
+      await client.chat.postMessage({
+        channel: o.newSlackId,
+        text: `You have been approved as the replacement for ${getRoleLabel(o.role)} on ${formatRequestLabel(o)}.`
+      });
+    }
+
+    if (approved.length === 0) {
+      await markAlreadyAnswered(client, body, `<@${requesterId}>'s shifts`);
+      return;
+    }
+
+    const lines = formatBatchLines(approved);
+    await client.chat.postMessage({
+      channel: requesterId,
+      text: `Your I'm out requests have been approved:\n${lines}`
+    });
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: "Override Batch Approved",
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `*Override Batch Approved*\nRequested By: <@${requesterId}>\n${lines}\nApproved By: <@${body.user.id}> at ${new Date().toISOString()}`
+          }
+        }
+      ]
+    });
+
+    await syncCurrentSprintAfterOverride(client, approved.map(o => o.sprintIndex), body.user?.id, logger);
+  } catch (error) {
+    logger.error("Error approving override batch:", error);
+  }
+}
+slackApp.action('approve_override_batch', handleApproveOverrideBatch);
+
+async function handleDeclineOverrideBatch({ ack, body, client, logger }) {
+  await ack();
+  try {
+    const { batchId, requesterId } = JSON.parse(body.actions[0].value);
+    const declined = [];
+    for (const o of await getBatchAwaitingApproval(batchId)) {
+      if (await declineOverride(o.sprintIndex, o.role, o.requestedBy, o.newSlackId, body.user.id)) {
+        declined.push(o);
+      }
+    }
+
+    if (declined.length === 0) {
+      await markAlreadyAnswered(client, body, `<@${requesterId}>'s shifts`);
+      return;
+    }
+
+    const lines = formatBatchLines(declined);
+    await client.chat.postMessage({
+      channel: requesterId,
+      text: `Your I'm out requests have been declined:\n${lines}`
+    });
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: "Override Batch Declined",
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `*Override Batch Declined*\nRequested By: <@${requesterId}>\n${lines}\nDeclined By: <@${body.user.id}> at ${new Date().toISOString()}`
+          }
+        }
+      ]
+    });
+  } catch (error) {
+    logger.error("Error declining override batch:", error);
+  }
+}
+slackApp.action('decline_override_batch', handleDeclineOverrideBatch);
+
+/* =========================
+   Shift swaps
+   (User flow: requester picks both shifts, counterparty accepts by DM)
+   ========================= */
+const SWAP_SPRINT_WINDOW = 26;
+
+async function getRoleNames(role) {
+  const disciplines = USE_DATABASE ? await UsersRepository.getDisciplines() : getDisciplines();
+  const roleList = Array.isArray(disciplines?.[role]) ? disciplines[role] : [];
+  return Object.fromEntries(roleList.filter(u => u?.slackId).map(u => [u.slackId, u.name || u.slackId]));
+}
+
+/**
+ * Who holds the swap's role in each of its sprints right now, plus all overrides (for checkSwap).
+ */
+async function loadSwapState(swap) {
+  const assignments = {};
+  for (const side of [swap.requester, swap.counterparty]) {
+    const roles = await getSprintUsers(side.sprintIndex);
+    assignments[Number(side.sprintIndex)] = roles?.[swap.role] || null;
+  }
+  return { assignments, overrides: await readOverrides() };
+}
+
+/**
+ * "Swap shifts instead" from the coverage request modal.
+ */
+slackApp.action('open_swap_request', async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    const userId = body?.user?.id;
+    const view = body?.view;
+    if (!userId || !view?.id) return;
+
+    const { role, disciplines, cursors, unavailability, credits } = await getRoleAndDisciplinesForUser(userId);
+    await client.views.update({
+      view_id: view.id,
+      hash: view.hash,
+      view: buildSwapRequestModal(userId, { role, disciplines, cursors, unavailability, credits })
+    });
+  } catch (error) {
+    logger.error('[overrideHandler] Error opening swap modal:', error);
+  }
+});
+
+/**
+ * external_select options for the teammate's shift: upcoming sprints (current included) where
+ * someone else holds the requester's role and no approved override is in place.
+ */
+slackApp.options('swap_target_select', async ({ ack, body, payload, logger }) => {
+  try {
+    const query = (payload?.value || body?.value || '').toString().trim().toLowerCase();
+    let metadata = {};
+    try {
+      metadata = JSON.parse(body?.view?.private_metadata || '{}');
+    } catch {
+      metadata = {};
+    }
+
+    const requesterSlackId = metadata.requester || body?.user?.id;
+    const role = metadata.role || (requesterSlackId ? await getUserRole(requesterSlackId) : null);
+    if (!role) {
+      await ack({ options: [] });
+      return;
+    }
+
+    const [sprints, overrides, currentSprint, names] = await Promise.all([
+      readSprints(),
+      readOverrides(),
+      findCurrentSprint(),
+      getRoleNames(role)
+    ]);
+    const currentIndex = currentSprint ? Number(currentSprint.index) : -1;
+    const taken = new Set((overrides || [])
+      .filter(o => o?.approved === true && o.role === role)
+      .map(o => Number(o.sprintIndex)));
+
+    const upcoming = (Array.isArray(sprints) ? sprints : [])
+      .filter(s => Number.isFinite(Number(s?.sprintIndex)) && Number(s.sprintIndex) >= currentIndex && !taken.has(Number(s.sprintIndex)))
+      .sort((a, b) => Number(a.sprintIndex) - Number(b.sprintIndex))
+      .slice(0, SWAP_SPRINT_WINDOW);
+
+    const options = [];
+    for (const sprint of upcoming) {
+      const idx = Number(sprint.sprintIndex);
+      const slackId = (await getSprintUsers(idx))?.[role];
+      if (!slackId || slackId === requesterSlackId) continue;
+      const name = String(names[slackId] || slackId);
+      if (query && !name.toLowerCase().includes(query) && !slackId.toLowerCase().includes(query)) continue;
+      const text = `${name} · ${formatSprintLabelPT(sprint.sprintName, sprint.startDate, sprint.endDate)}`;
+      options.push({
+        text: { type: 'plain_text', text: text.length > 75 ? `${text.slice(0, 72)}...` : text },
+        value: `${idx}:${slackId}`
+      });
+    }
+
+    await ack({ options: options.slice(0, 100) });
+  } catch (error) {
+    logger.error('[overrideHandler] Error serving swap options:', error);
+    await ack({ options: [] });
+  }
+});
+
+/**
+ * handle swap_request_modal view submission
+ * -> DMs the counterparty with Accept/Decline
+ */
+slackApp.view('swap_request_modal', async ({ ack, body, view, client, logger }) => {
+  let metadata = {};
+  try {
+    metadata = JSON.parse(view.private_metadata || '{}');
+  } catch {
+    metadata = {};
+  }
+  const values = view.state.values;
+  const mySprintValue = values.swap_my_sprint?.swap_my_sprint_select?.selected_option?.value;
+  const targetValue = values.swap_target?.swap_target_select?.selected_option?.value || '';
+  const [targetSprintValue, counterpartyId] = targetValue.split(':');
+
+  const swap = {
+    role: metadata.role,
+    requester: { slackId: metadata.requester || body.user.id, sprintIndex: Number.parseInt(mySprintValue, 10) },
+    counterparty: { slackId: counterpartyId, sprintIndex: Number.parseInt(targetSprintValue, 10) }
+  };
+
+  if (!Number.isFinite(swap.requester.sprintIndex)) {
+    await ack({ response_action: 'errors', errors: { swap_my_sprint: 'Pick one of your sprints.' } });
+    return;
+  }
+  if (!counterpartyId || !Number.isFinite(swap.counterparty.sprintIndex)) {
+    await ack({ response_action: 'errors', errors: { swap_target: 'Pick a teammate’s shift.' } });
+    return;
+  }
+  if (swap.requester.sprintIndex === swap.counterparty.sprintIndex) {
+    await ack({ response_action: 'errors', errors: { swap_target: 'Pick a shift in a different sprint.' } });
+    return;
+  }
+  await ack();
+
+  try {
+    const requesterLabel = formatSprintLabel(swap.requester.sprintIndex);
+    const counterpartyLabel = formatSprintLabel(swap.counterparty.sprintIndex);
+    const problem = checkSwap(swap, await loadSwapState(swap));
+    if (problem) {
+      await client.chat.postMessage({
+        channel: swap.requester.slackId,
+        text: `Your shift swap request was not sent: ${problem}`
+      });
+      return;
+    }
+
+    const text =
+      `<@${swap.requester.slackId}> would like to swap *${getRoleLabel(swap.role)}* shifts with you.\n` +
+      `• You would take *${requesterLabel}*\n` +
+      `• They would take your *${counterpartyLabel}*`;
+    await client.chat.postMessage({
+      channel: swap.counterparty.slackId,
+      text: `Shift swap request from <@${swap.requester.slackId}>`,
+      blocks: [
+        { type: "section", text: { type: "mrkdwn", text } },
+        {
+          type: "actions",
+          elements: [
+            {
+              type: "button",
+              text: { type: "plain_text", text: "Accept swap" },
+              style: "primary",
+              action_id: "accept_shift_swap",
+              value: JSON.stringify(swap)
+            },
+            {
+              type: "button",
+              text: { type: "plain_text", text: "Decline" },
+              action_id: "decline_shift_swap",
+              value: JSON.stringify(swap)
+            }
+          ]
+        }
+      ]
+    });
+    await client.chat.postMessage({
+      channel: swap.requester.slackId,
+      text: `Swap request sent to <@${swap.counterparty.slackId}>: your *${requesterLabel}* for their *${counterpartyLabel}*. Nothing changes until they accept.`
+    });
+  } catch (error) {
+    logger.error("Error in swap_request_modal handler:", error);
+  }
+});
+
+/* =========================
+   Action: accept_shift_swap
+   (Counterparty DM flow)
+   ========================= */
+async function handleAcceptShiftSwap({ ack, body, client, logger }) {
+  await ack();
+  try {
+    const swap = JSON.parse(body.actions[0].value);
+    if (body.user.id !== swap.counterparty?.slackId) return;
+
+    const requesterLabel = formatSprintLabel(swap.requester.sprintIndex);
+    const counterpartyLabel = formatSprintLabel(swap.counterparty.sprintIndex);
+
+    let problem = checkSwap(swap, await loadSwapState(swap));
+    if (!problem) {
+      const applied = await applySwap(buildSwapOverrides(swap, await getRoleNames(swap.role), crypto.randomUUID()), body.user.id);
+      if (!applied) problem = 'The swap could not be saved, so nothing was changed.';
+    }
+
+    if (problem) {
+      await client.chat.update({
+        channel: body.channel.id,
+        ts: body.message.ts,
+        text: "Shift swap not applied",
+        blocks: [{ type: "section", text: { type: "mrkdwn", text: `*Shift swap not applied*\n${problem}` } }]
+      });
+      await client.chat.postMessage({
+        channel: swap.requester.slackId,
+        text: `Your shift swap with <@${swap.counterparty.slackId}> was not applied: ${problem}`
+      });
+      return;
+    }
+
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: "Shift swap accepted",
+      blocks: [{
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Shift swap accepted*\nYou now have *${getRoleLabel(swap.role)}* on *${requesterLabel}*; <@${swap.requester.slackId}> has *${counterpartyLabel}*.`
+        }
+      }]
+    });
+    await client.chat.postMessage({
+      channel: swap.requester.slackId,
+      text: `<@${swap.counterparty.slackId}> accepted your shift swap. You now have ${getRoleLabel(swap.role)} on ${counterpartyLabel}; they have ${requesterLabel}.`
+    });
+    if (process.env.ADMIN_CHANNEL_ID) {
+      await client.chat.postMessage({
+        channel: process.env.ADMIN_CHANNEL_ID,
+        text: `Shift swap (${getRoleLabel(swap.role)}): <@${swap.requester.slackId}> now has ${counterpartyLabel}; <@${swap.counterparty.slackId}> now has ${requesterLabel}.`
+      });
+    }
+
+    await syncCurrentSprintAfterOverride(
+      client,
+      [swap.requester.sprintIndex, swap.counterparty.sprintIndex],
+      body.user.id,
+      logger
+    );
+    for (const uid of [swap.requester.slackId, swap.counterparty.slackId]) {
+      await publishAppHomeForUser(client, uid);
+    }
+  } catch (error) {
+    logger.error("Error accepting shift swap:", error);
+  }
+}
+slackApp.action('accept_shift_swap', handleAcceptShiftSwap);
+
+/* =========================
+   Action: decline_shift_swap
+   (Counterparty DM flow)
+   ========================= */
+async function handleDeclineShiftSwap({ ack, body, client, logger }) {
+  await ack();
+  try {
+    const swap = JSON.parse(body.actions[0].value);
+    if (body.user.id !== swap.counterparty?.slackId) return;
+
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: "Shift swap declined",
+      blocks: [{
+        type: "section",
+        text: { type: "mrkdwn", text: `*Shift swap declined*\nYou kept *${formatSprintLabel(swap.counterparty.sprintIndex)}*.` }
+      }]
+    });
+    await client.chat.postMessage({
+      channel: swap.requester.slackId,
+      text: `<@${swap.counterparty.slackId}> declined your shift swap for ${formatSprintLabel(swap.counterparty.sprintIndex)}.`
+    });
+  } catch (error) {
+    logger.error("Error declining shift swap:", error);
+  }
+}
+slackApp.action('decline_shift_swap', handleDeclineShiftSwap);
+
+/* =========================
+   My requests
+   (User flow: the requester cancels an open request or changes its replacement)
+   ========================= */
+function formatRequestLabel(override) {
+  const coverageDates = formatCoverageDates(override);
+  return coverageDates
+    ? `${formatSprintLabel(override.sprintIndex)}, ${coverageDates} only`
+    : formatSprintLabel(override.sprintIndex);
+}
+
+async function buildMyRequestsView(userId) {
+  const [overrides, sprints] = await Promise.all([getAllOverrides(), readSprints()]);
+  return buildMyRequestsModal({ userId, overrides, sprints, today: getTodayPT().format('YYYY-MM-DD') });
+}
+
+/**
+ * The requester's open request for a My requests button value, or null.
+ */
+async function findMyOpenRequest(userId, { sprintIndex, role, replacementSlackId }) {
+  const overrides = await getAllOverrides();
+  return overrides.find(o =>
+    Number(o.sprintIndex) === Number(sprintIndex) &&
+    o.role === role &&
+    o.requestedBy === userId &&
+    o.newSlackId === replacementSlackId &&
+    OPEN_STATUSES.includes(o.status)
+  ) || null;
+}
+
+/**
+ * Tell whoever was deciding on the request: the lead holding it, or the admin channel once it
+ * was posted there or approved. Requests still with the replacement have no approver yet.
+ */
+async function notifyApprovers(client, request, text) {
+  const leadSlackIds = Array.isArray(request.approvalLeadSlackIds) ? request.approvalLeadSlackIds : [];
+  if (request.status === OVERRIDE_STATUSES.PENDING_ADMIN && request.approvalRoutedTo === 'lead' && leadSlackIds.length > 0) {
+    for (const leadSlackId of leadSlackIds) {
+      await client.chat.postMessage({ channel: leadSlackId, text });
+    }
+    return;
+  }
+  if (request.status === OVERRIDE_STATUSES.PENDING_REPLACEMENT || !process.env.ADMIN_CHANNEL_ID) return;
+  await client.chat.postMessage({ channel: process.env.ADMIN_CHANNEL_ID, text });
+}
+
+/**
+ * After the requester withdraws an approved override: take back the replacement's coverage
+ * credit and re-apply the rotation if the sprint is in progress.
+ */
+async function undoApprovedRequest(client, request, actorId, logger) {
+  if (request.approved !== true) return;
+  await revokeCoverageCredit({ slackId: request.newSlackId, role: request.role, sprintIndex: request.sprintIndex }, actorId);
+  await syncCurrentSprintAfterOverride(client, [request.sprintIndex], actorId, logger);
+  for (const uid of [actorId, request.newSlackId]) {
+    try {
+      await publishAppHomeForUser(client, uid);
+    } catch (err) {
+      logger.error('[myRequests] Failed to refresh App Home for user:', uid, err);
+    }
+  }
+}
+
+/* App Home quick action and the /triage-override modal both open the list. */
+slackApp.action('open_my_requests', async ({ ack, body, client, logger }) => {
+  await ack();
+  const triggerId = body?.trigger_id;
+  const userId = body?.user?.id;
+  if (!triggerId || !userId) return;
+
+  try {
+    const view = await buildMyRequestsView(userId);
+    if (body.view?.type === 'modal') {
+      await client.views.push({ trigger_id: triggerId, view });
+    } else {
+      await client.views.open({ trigger_id: triggerId, view });
+    }
+  } catch (error) {
+    logger.error('[open_my_requests] failed', error);
+  }
+});
+
+async function handleMyRequestCancel({ ack, body, action, client, logger }) {
+  await ack();
+  const userId = body?.user?.id;
+  if (!userId) return;
+
+  try {
+    const key = JSON.parse(action.value);
+    const request = await findMyOpenRequest(userId, key);
+    // Swap halves have no Cancel button; an admin undoes a swap
+    if (request && !isSwapOverride(request)) {
+      const result = await updateOverrideStatus(
+        request.sprintIndex, request.role, userId, request.newSlackId,
+        OPEN_STATUSES, OVERRIDE_STATUSES.CANCELLED, userId
+      );
+      if (result) {
+        const label = formatRequestLabel(request);
+        await client.chat.postMessage({
+          channel: request.newSlackId,
+          text: `<@${userId}> cancelled their request for you to cover ${getRoleLabel(request.role)} on ${label}. You're no longer needed${request.approved ? ' and are not on call for it' : ''}.`
+        });
+        await notifyApprovers(client, request, `<@${userId}> cancelled their override request for ${getRoleLabel(request.role)} on ${label} (replacement <@${request.newSlackId}>, was ${getStatusLabel(request.status).toLowerCase()}).`);
+        await undoApprovedRequest(client, request, userId, logger);
+
+        if (request.status === OVERRIDE_STATUSES.PENDING_REPLACEMENT) {
+          const claimed = await routeWaitingBatch(request.batchId);
+          if (claimed.length > 0) {
+            await client.chat.postMessage({
+              channel: userId,
+              text: `Every other replacement has answered, so your accepted I'm out requests are now waiting for approval from the admins.`
+            });
+          }
         }
-      } catch (syncErr) {
-        logger.error('[approve_override] Sync/refresh after approve failed:', syncErr);
       }
     }
+
+    if (body.view?.id) {
+      await client.views.update({ view_id: body.view.id, view: await buildMyRequestsView(userId) });
+    }
   } catch (error) {
-    logger.error("Error approving override:", error);
+    logger.error('[my_request_cancel] failed', error);
   }
 }
-slackApp.action('approve_override', handleApproveOverride);
+slackApp.action('my_request_cancel', handleMyRequestCancel);
 
-/* =========================
-   Action: decline_override
-   (Admin channel flow)
-   ========================= */
-async function handleDeclineOverride({ ack, body, client, logger }) {
+slackApp.action('my_request_change_replacement', async ({ ack, body, action, client, logger }) => {
   await ack();
+  const triggerId = body?.trigger_id;
+  const userId = body?.user?.id;
+  if (!triggerId || !userId) return;
+
   try {
-    const overrideInfo = JSON.parse(body.actions[0].value);
-    const sprintLabel = overrideInfo.sprintLabel || formatSprintLabel(overrideInfo.sprintIndex);
+    const key = JSON.parse(action.value);
+    await client.views.push({
+      trigger_id: triggerId,
+      view: buildChangeReplacementModal({ requesterSlackId: userId, ...key, parentViewId: body.view?.id || null })
+    });
+  } catch (error) {
+    logger.error('[my_request_change_replacement] failed', error);
+  }
+});
 
-    const result = await declineOverride(
-      overrideInfo.sprintIndex,
-      overrideInfo.role,
-      overrideInfo.requesterId,
-      overrideInfo.replacementSlackId,
-      body.user.id
-    );
+async function handleMyRequestChangeReplacementSubmit({ ack, body, view, client, logger }) {
+  const userId = body.user.id;
+  const meta = JSON.parse(view.private_metadata || '{}');
+  const newSlackId = view.state.values?.replacement?.replacement_select?.selected_option?.value || null;
+
+  // Checked before acknowledging so the modal can show the problem
+  const [request, clash] = await Promise.all([
+    findMyOpenRequest(userId, meta),
+    newSlackId ? findMyOpenRequest(userId, { ...meta, replacementSlackId: newSlackId }) : null
+  ]);
+  let error = null;
+  if (!request || isSwapOverride(request)) error = 'This request is no longer open.';
+  else if (newSlackId === request.newSlackId) error = 'This person is already the replacement.';
+  else if (clash) error = 'You already have an open request with this person for this sprint.';
+  if (error) {
+    await ack({ response_action: 'errors', errors: { replacement: error } });
+    return;
+  }
+  await ack();
 
+  try {
+    const disciplines = USE_DATABASE ? await UsersRepository.getDisciplines() : getDisciplines();
+    const newName = (disciplines[request.role] || []).find(u => u.slackId === newSlackId)?.name || newSlackId;
+
+    const result = await changeOverrideReplacement(
+      request.sprintIndex, request.role, userId, request.newSlackId, newSlackId, newName, userId
+    );
     if (result) {
+      const label = formatRequestLabel(request);
       await client.chat.postMessage({
-        channel: overrideInfo.requesterId,
-        text: `Your override request for ${overrideInfo.role} on ${sprintLabel} has been declined.`
+        channel: request.newSlackId,
+        text: `<@${userId}> asked someone else to cover ${getRoleLabel(request.role)} on ${label}, so you're no longer needed${request.approved ? ' and are not on call for it' : ''}.`
+      });
+      await notifyApprovers(client, request, `<@${userId}> changed the replacement for ${getRoleLabel(request.role)} on ${label} from <@${request.newSlackId}> to <@${newSlackId}>. The earlier request is withdrawn; the new one comes for approval once <@${newSlackId}> accepts.`);
+      await undoApprovedRequest(client, request, userId, logger);
+
+      const requestInfo = {
+        sprintIndex: request.sprintIndex,
+        sprintLabel: label,
+        role: request.role,
+        replacementSlackId: newSlackId,
+        replacementName: newName,
+        requesterId: userId
+      };
+      await client.chat.postMessage({
+        channel: newSlackId,
+        text: `<@${userId}> asked you to cover *${getRoleLabel(request.role)}* on *${label}*. Do you accept?`,
+        blocks: buildReplacementRequestBlocks(requestInfo, 'If you accept, the request goes on for approval.')
+      });
+      await client.chat.postMessage({
+        channel: userId,
+        text: `Your override request for ${getRoleLabel(request.role)} on ${label} was sent to <@${newSlackId}> instead of <@${request.newSlackId}>. Once they accept, it goes for approval.`
       });
+    }
 
-      await client.chat.update({
-        channel: body.channel.id,
-        ts: body.message.ts,
-        text: "Override Declined",
-        blocks: [
-          {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text:
-                `*Override Declined*\n` +
-                `Sprint: ${sprintLabel}\n` +
-                `Role: ${overrideInfo.role}\n` +
-                `Requested By: <@${overrideInfo.requesterId}>\n` +
-                `Replacement: <@${overrideInfo.replacementSlackId}>\n` +
-                `Declined By: <@${body.user.id}> at ${new Date().toISOString()}`
-            }
-          }
-        ]
+    if (meta.parentViewId) {
+      await client.views.update({ view_id: meta.parentViewId, view: await buildMyRequestsView(userId) });
+    }
+  } catch (err) {
+    logger.error('[my_request_change_replacement_modal] failed', err);
+  }
+}
+slackApp.view('my_request_change_replacement_modal', handleMyRequestChangeReplacementSubmit);
+
+/* =========================
+   I'm out
+   (User flow: pick the days away, get every shift they take you off with a suggested
+   replacement, and send the requests as one batch the admins approve together)
+   ========================= */
+
+/**
+ * The user's shifts between startDate and endDate: those a request can be sent for, each with a
+ * label and suggested replacement, and notes on the ones it can't.
+ */
+async function planOutOfOffice(userId, startDate, endDate) {
+  const [sprints, disciplines, overrides, unavailability] = await Promise.all([
+    readSprints(),
+    USE_DATABASE ? UsersRepository.getDisciplines() : getDisciplines(),
+    getAllOverrides(),
+    readUnavailability()
+  ]);
+  const upcoming = await getUserUpcomingShifts(userId, sprints, disciplines, { includeCurrent: true });
+  const role = upcoming[0]?.role || await getUserRole(userId);
+
+  const notes = [];
+  const requestable = [];
+  for (const shift of findAffectedShifts(upcoming, startDate, endDate)) {
+    const label = formatRequestLabel(shift.wholeSprint ? { sprintIndex: shift.sprintIndex } : shift);
+    if (shift.coveringFor) {
+      notes.push(`You're covering ${label} for <@${shift.coveringFor}>; let them know so they can find someone else.`);
+      continue;
+    }
+    const open = overrides.find(o =>
+      Number(o.sprintIndex) === Number(shift.sprintIndex) &&
+      o.role === shift.role &&
+      o.requestedBy === userId &&
+      PENDING_STATUSES.includes(o.status)
+    );
+    if (open) {
+      notes.push(`${label}: you already asked <@${open.newSlackId}> (${getStatusLabel(open.status).toLowerCase()}).`);
+      continue;
+    }
+    requestable.push({ ...shift, label });
+  }
+
+  const roleList = Array.isArray(disciplines?.[role]) ? disciplines[role] : [];
+  const suggestions = suggestReplacements(requestable, roleList, { requesterId: userId, unavailability });
+  const shifts = requestable.map((shift, i) => {
+    const slackId = suggestions[i];
+    const member = slackId ? roleList.find(u => u.slackId === slackId) : null;
+    return { ...shift, suggestion: slackId ? { slackId, name: member?.name || slackId } : null };
+  });
+
+  return { role, shifts, notes };
+}
+
+slackApp.action('open_im_out', async ({ ack, body, client, logger }) => {
+  await ack();
+  const triggerId = body?.trigger_id;
+  if (!triggerId) return;
+
+  try {
+    await client.views.open({ trigger_id: triggerId, view: buildOutOfOfficeModal() });
+  } catch (error) {
+    logger.error('[open_im_out] failed', error);
+  }
+});
+
+slackApp.view('out_of_office_modal', async ({ ack, body, view, logger }) => {
+  const userId = body.user.id;
+  const values = view.state.values;
+  const startDate = values.out_start?.out_start_date?.selected_date || null;
+  const endDate = values.out_end?.out_end_date?.selected_date || null;
+
+  const rangeError = validateOutOfOfficeRange(startDate, endDate, getTodayPT().format('YYYY-MM-DD'));
+  if (rangeError) {
+    await ack({ response_action: 'errors', errors: { [startDate ? 'out_end' : 'out_start']: rangeError } });
+    return;
+  }
+
+  // The shifts are worked out before acknowledging so problems show on the date fields
+  let response;
+  try {
+    const { role, shifts, notes } = await planOutOfOffice(userId, startDate, endDate);
+    let error = null;
+    if (!role) error = "You're not on a triage rotation list.";
+    else if (shifts.length === 0 && notes.length > 0) error = "None of your shifts in these dates need a new request; check My Requests.";
+    else if (shifts.length === 0) error = 'You have no shifts between these dates.';
+    else if (shifts.length > OUT_OF_OFFICE_MAX_SHIFTS) error = `That's ${shifts.length} shifts; pick dates covering ${OUT_OF_OFFICE_MAX_SHIFTS} or fewer at a time.`;
+
+    response = error
+      ? { response_action: 'errors', errors: { out_end: error } }
+      : {
+          response_action: 'update',
+          view: buildOutOfOfficeShiftsModal({
+            requesterSlackId: userId,
+            role,
+            rangeLabel: formatSprintRangePT(startDate, endDate),
+            shifts,
+            notes
+          })
+        };
+  } catch (error) {
+    logger.error('[out_of_office_modal] failed', error);
+    response = { response_action: 'errors', errors: { out_end: 'Something went wrong finding your shifts. Please try again.' } };
+  }
+  await ack(response);
+});
+
+async function handleOutOfOfficeShiftsSubmit({ ack, body, view, client, logger }) {
+  const userId = body.user.id;
+  const meta = JSON.parse(view.private_metadata || '{}');
+  const shifts = (Array.isArray(meta.shifts) ? meta.shifts : []).map((shift, i) => ({
+    ...shift,
+    replacementSlackId: view.state.values?.[`out_shift_${i}`]?.replacement_select?.selected_option?.value || null
+  }));
+
+  const errors = {};
+  shifts.forEach((shift, i) => {
+    if (!shift.replacementSlackId) errors[`out_shift_${i}`] = 'Pick a replacement.';
+    else if (shift.replacementSlackId === userId) errors[`out_shift_${i}`] = "You can't cover your own shift.";
+  });
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+  await ack();
+
+  try {
+    const disciplines = USE_DATABASE ? await UsersRepository.getDisciplines() : getDisciplines();
+    const roleList = disciplines[meta.role] || [];
+    const batchId = crypto.randomUUID();
+    const intro = `<@${userId}> is out for ${shifts.length} shift${shifts.length === 1 ? '' : 's'}. If you accept, this one goes to the admins with the rest once every replacement has answered.`;
+    const overrides = shifts.map(shift => ({
+      sprintIndex: shift.sprintIndex,
+      role: meta.role,
+      newSlackId: shift.replacementSlackId,
+      newName: roleList.find(u => u.slackId === shift.replacementSlackId)?.name || shift.replacementSlackId,
+      requestedBy: userId,
+      status: OVERRIDE_STATUSES.PENDING_REPLACEMENT,
+      startDate: shift.wholeSprint ? null : shift.startDate,
+      endDate: shift.wholeSprint ? null : shift.endDate,
+      batchId,
+      timestamp: new Date().toISOString()
+    }));
+
+    // File the whole batch before anyone is asked, so a failure never leaves half of it behind.
+    let saved;
+    try {
+      saved = await addOverrideRequests(overrides);
+    } catch (error) {
+      logger.error('[out_of_office_shifts_modal] saving the batch failed', error);
+      await client.chat.postMessage({
+        channel: userId,
+        text: `Your I'm out requests for ${getRoleLabel(meta.role)} could not be saved, so nothing was sent. Please try again.`
       });
+      return;
+    }
+
+    const sent = [];
+    const alreadyOpen = [];
+    const failed = [];
+    for (let i = 0; i < overrides.length; i++) {
+      const override = overrides[i];
+      const line = `• ${formatRequestLabel(override)}: <@${override.newSlackId}>`;
+      if (!saved[i]) {
+        alreadyOpen.push(line);
+        continue;
+      }
+      try {
+        await client.chat.postMessage({
+          channel: override.newSlackId,
+          text: `<@${userId}> asked you to cover *${getRoleLabel(meta.role)}* on *${formatRequestLabel(override)}*. Do you accept?`,
+          blocks: buildReplacementRequestBlocks({
+            sprintIndex: override.sprintIndex,
+            sprintLabel: formatRequestLabel(override),
+            role: meta.role,
+            replacementSlackId: override.newSlackId,
+            replacementName: override.newName,
+            requesterId: userId
+          }, intro)
+        });
+        sent.push(line);
+      } catch (error) {
+        // Nobody can answer a request they never got; cancel it so the rest of the batch can go on.
+        logger.error('[out_of_office_shifts_modal] asking the replacement failed', error);
+        await updateOverrideStatus(
+          override.sprintIndex, override.role, userId, override.newSlackId,
+          PENDING_STATUSES, OVERRIDE_STATUSES.CANCELLED, userId
+        );
+        failed.push(line);
+      }
+    }
+
+    const sections = [];
+    if (sent.length > 0) {
+      sections.push(`Your I'm out requests for ${getRoleLabel(meta.role)} were sent:\n${sent.join('\n')}\nOnce every replacement has answered, the admins approve them together. You can follow them under My Requests.`);
+    }
+    if (failed.length > 0) {
+      sections.push(`These replacements could not be messaged, so those requests were cancelled. Please request cover for them again:\n${failed.join('\n')}`);
+    }
+    if (alreadyOpen.length > 0) {
+      sections.push(`These were already open, so they were not sent again:\n${alreadyOpen.join('\n')}`);
     }
+    // Replacements may already have answered everything that did go out
+    if (failed.length > 0 && (await routeWaitingBatch(batchId)).length > 0) {
+      sections.push(`Every replacement who was reached has answered, so those requests are now waiting for approval from the admins.`);
+    }
+    await client.chat.postMessage({ channel: userId, text: sections.join('\n\n') });
   } catch (error) {
-    logger.error("Error declining override:", error);
+    logger.error('[out_of_office_shifts_modal] failed', error);
   }
 }
-slackApp.action('decline_override', handleDeclineOverride);
+slackApp.view('out_of_office_shifts_modal', handleOutOfOfficeShiftsSubmit);
 
 /* =========================
    /override-list
@@ -896,26 +2249,113 @@ slackApp.action('admin_hub_open_overrides', async ({ ack, body, client, logger }
   }
 });
 
+/**
+ * Coverage credit ledger for the override list: unredeemed credits and upcoming skips per holder.
+ */
+async function buildCoverageCreditBlocks(sprints) {
+  let ledger = [];
+  try {
+    const [credits, currentSprint] = await Promise.all([readCoverageCredits(), findCurrentSprint()]);
+    ledger = summarizeLedger(credits, currentSprint ? Number(currentSprint.index) : -1);
+  } catch (error) {
+    console.error('[buildCoverageCreditBlocks] Failed to load coverage credits:', error);
+  }
+  if (ledger.length === 0) return [];
+
+  const sprintName = (idx) => {
+    const sprint = Array.isArray(sprints) ? sprints.find(s => Number(s.sprintIndex) === Number(idx)) : null;
+    return sprint?.sprintName || `Sprint ${idx}`;
+  };
+  const lines = ledger.slice(0, 30).map(e =>
+    `• <@${e.slackId}>: ${e.available} credit${e.available === 1 ? '' : 's'} available${e.skips.length ? `; skipping ${e.skips.map(sprintName).join(', ')}` : ''}`
+  );
+  return [
+    { type: "header", text: { type: "plain_text", text: "Coverage Credits" } },
+    { type: "section", text: { type: "mrkdwn", text: lines.join('\n') } },
+    { type: "context", elements: [{ type: "mrkdwn", text: "Covering an override earns a credit; redeeming one skips the holder's next scheduled turn." }] }
+  ];
+}
+
+const OVERRIDE_LIST_STATUSES = Object.values(OVERRIDE_STATUSES);
+
+function parseOverrideListMetadata(view) {
+  try {
+    const meta = JSON.parse(view?.private_metadata || '{}');
+    return { filters: meta.filters || {}, page: Number(meta.page) || 0 };
+  } catch {
+    return { filters: {}, page: 0 };
+  }
+}
+
+/**
+ * Filter controls for the override list. Option values are strings; "all" clears the filter.
+ */
+function buildOverrideFilterBlocks(overrides, filters, sprintDisplay) {
+  const allOption = (text) => ({ text: { type: "plain_text", text }, value: "all" });
+  const option = (text, value) => ({ text: { type: "plain_text", text: truncateOptionText(text) }, value: String(value) });
+  const select = (actionId, placeholder, options, selectedValue) => {
+    const element = { type: "static_select", action_id: actionId, placeholder: { type: "plain_text", text: placeholder }, options };
+    const initial = options.find(o => o.value === String(selectedValue ?? 'all'));
+    if (initial) element.initial_option = initial;
+    return element;
+  };
+
+  const sprintIndexes = [...new Set(overrides.map(o => Number(o.sprintIndex)))].sort((a, b) => b - a).slice(0, 99);
+  const roles = [...new Set(overrides.map(o => o.role).filter(Boolean))].sort();
+  const futureOption = { text: { type: "plain_text", text: "Current and upcoming sprints only" }, value: "future" };
+  const futureOnly = {
+    type: "checkboxes",
+    action_id: "admin_override_filter_future",
+    options: [futureOption]
+  };
+  if (filters.futureOnly) futureOnly.initial_options = [futureOption];
+
+  return [
+    {
+      type: "actions",
+      block_id: "override_filters",
+      elements: [
+        select("admin_override_filter_sprint", "Sprint", [allOption("All sprints"), ...sprintIndexes.map(idx => option(sprintDisplay(idx), idx))], filters.sprintIndex),
+        select("admin_override_filter_role", "Role", [allOption("All roles"), ...roles.map(role => option(role, role))], filters.role),
+        select("admin_override_filter_status", "Status", [allOption("All statuses"), ...OVERRIDE_LIST_STATUSES.map(status => option(getStatusLabel(status), status))], filters.status),
+        futureOnly
+      ]
+    }
+  ];
+}
+
+function truncateOptionText(text) {
+  const str = String(text ?? '');
+  return str.length > 75 ? `${str.slice(0, 72)}...` : str;
+}
+
 /**
  * buildOverrideListModal:
- * Lists all overrides in a single modal. Each override can be "removed" (decline).
+ * Lists overrides with filters (sprint, role, status, current and upcoming only) and pages of
+ * OVERRIDE_LIST_PAGE_SIZE. Remove buttons carry the row's id and updatedAt (see services/overrideList).
  * Shows sprint name (and date range when available) instead of sprint index.
+ * @param {Array} overrides all overrides; filtering happens here
+ * @param {{ filters?: object, page?: number, notice?: string }} [options]
  */
-async function buildOverrideListModal(overrides) {
+async function buildOverrideListModal(overrides, { filters = {}, page = 0, notice = null } = {}) {
+  const sprints = await readSprints();
+  const creditBlocks = await buildCoverageCreditBlocks(sprints);
+  const noticeBlocks = notice ? [{ type: "context", elements: [{ type: "mrkdwn", text: `:warning: ${notice}` }] }] : [];
   if (!overrides || overrides.length === 0) {
     return {
       type: "modal",
       title: { type: "plain_text", text: "Override List" },
       close: { type: "plain_text", text: "Close" },
       blocks: [
+        ...noticeBlocks,
         {
           type: "section",
           text: { type: "mrkdwn", text: "No overrides found." }
-        }
+        },
+        ...creditBlocks
       ]
     };
   }
-  const sprints = await readSprints();
   const sprintLabel = (sprintIndex) => {
     const idx = Number(sprintIndex);
     const sprint = Array.isArray(sprints) ? sprints.find(s => Number(s.sprintIndex) === idx) : null;
@@ -927,17 +2367,34 @@ async function buildOverrideListModal(overrides) {
     return range ? `${name} (${range})` : name;
   };
 
+  let currentSprintIndex = null;
+  if (filters.futureOnly) {
+    const currentSprint = await findCurrentSprint();
+    currentSprintIndex = currentSprint ? Number(currentSprint.index) : null;
+  }
+  const shown = paginate(filterOverrides(overrides, filters, { currentSprintIndex }), page);
+
   const blocks = [
     {
       type: "header",
       text: { type: "plain_text", text: "Current Overrides" }
     },
+    ...buildOverrideFilterBlocks(overrides, filters, sprintLabel),
+    ...noticeBlocks,
+    {
+      type: "context",
+      elements: [{
+        type: "mrkdwn",
+        text: shown.total === 0 ? "No overrides match these filters." : `Showing ${shown.start}–${shown.end} of ${shown.total}`
+      }]
+    },
     { type: "divider" }
   ];
 
-  overrides.forEach((o, idx) => {
+  shown.items.forEach((o) => {
     const sprintDisplay = sprintLabel(o.sprintIndex);
-    const desc = `*Sprint:* ${sprintDisplay}\n*Role:* ${o.role}\n*Requested By:* <@${o.requestedBy}>\n*Replacement:* <@${o.newSlackId}> (${o.newName || o.newSlackId})\n*Approved:* ${o.approved ? "Yes" : "No"}`;
+    const coverageDates = formatCoverageDates(o);
+    const desc = `*Sprint:* ${sprintDisplay}\n${coverageDates ? `*Dates:* ${coverageDates} only\n` : ''}*Role:* ${getRoleLabel(o.role)}\n*Requested By:* <@${o.requestedBy}>\n*Replacement:* <@${o.newSlackId}> (${o.newName || o.newSlackId})\n*Status:* ${getStatusLabel(o.status)}`;
     blocks.push({
       type: "section",
       text: { type: "mrkdwn", text: desc },
@@ -946,115 +2403,189 @@ async function buildOverrideListModal(overrides) {
         text: { type: "plain_text", text: "Remove" },
         style: "danger",
         action_id: "admin_remove_override",
-        value: JSON.stringify({ index: idx })
+        value: JSON.stringify(toOverrideRef(o))
       }
     });
     blocks.push({ type: "divider" });
   });
 
+  if (shown.pageCount > 1) {
+    const pageButtons = [];
+    if (shown.page > 0) {
+      pageButtons.push({ type: "button", text: { type: "plain_text", text: "Previous" }, action_id: "admin_override_page_prev", value: String(shown.page - 1) });
+    }
+    if (shown.page < shown.pageCount - 1) {
+      pageButtons.push({ type: "button", text: { type: "plain_text", text: "Next" }, action_id: "admin_override_page_next", value: String(shown.page + 1) });
+    }
+    blocks.push({ type: "actions", block_id: "override_pages", elements: pageButtons });
+  }
+  blocks.push(...creditBlocks);
+
   return {
     type: "modal",
     callback_id: "admin_override_list_modal",
+    private_metadata: JSON.stringify({ filters, page: shown.page }),
     title: { type: "plain_text", text: "Override List" },
     close: { type: "plain_text", text: "Close" },
     blocks
   };
 }
 
+/**
+ * Re-render the open override list with changed filters or page.
+ */
+async function updateOverrideListView(client, body, { filters, page, notice = null }) {
+  const overrides = await getAllOverrides();
+  const view = await buildOverrideListModal(overrides, { filters, page, notice });
+  await client.views.update({ view_id: body.view.id, view });
+}
+
+function handleOverrideFilter(applyFilter) {
+  return async ({ ack, body, action, client, logger }) => {
+    await ack();
+    try {
+      const { filters } = parseOverrideListMetadata(body.view);
+      // Any filter change starts again from the first page
+      await updateOverrideListView(client, body, { filters: applyFilter({ ...filters }, action), page: 0 });
+    } catch (err) {
+      logger.error('[override list] Error applying filter:', err);
+    }
+  };
+}
+
+const selectedValue = (action) => {
+  const value = action?.selected_option?.value;
+  return value && value !== 'all' ? value : null;
+};
+
+slackApp.action('admin_override_filter_sprint', handleOverrideFilter((filters, action) => {
+  const value = selectedValue(action);
+  return { ...filters, sprintIndex: value == null ? null : Number(value) };
+}));
+slackApp.action('admin_override_filter_role', handleOverrideFilter((filters, action) => ({ ...filters, role: selectedValue(action) })));
+slackApp.action('admin_override_filter_status', handleOverrideFilter((filters, action) => ({ ...filters, status: selectedValue(action) })));
+slackApp.action('admin_override_filter_future', handleOverrideFilter((filters, action) => ({
+  ...filters,
+  futureOnly: (action?.selected_options || []).some(o => o.value === 'future')
+})));
+
+async function handleOverridePage({ ack, body, action, client, logger }) {
+  await ack();
+  try {
+    const { filters } = parseOverrideListMetadata(body.view);
+    await updateOverrideListView(client, body, { filters, page: Number(action.value) || 0 });
+  } catch (err) {
+    logger.error('[override list] Error changing page:', err);
+  }
+}
+slackApp.action('admin_override_page_prev', handleOverridePage);
+slackApp.action('admin_override_page_next', handleOverridePage);
+
+/**
+ * Remove the row `ref` points at, only while it is unchanged since the list was rendered.
+ * In database mode a failed delete throws and leaves the JSON copy alone.
+ * @returns {Promise<object|null>} the removed override, or null when it changed or is gone
+ */
+async function removeOverrideByRef(ref, removedBy) {
+  const overrides = await getAllOverrides();
+  const current = findCurrentOverride(overrides, ref);
+  if (!current) return null;
+
+  const removeFromJson = ({ matchVersion }) => {
+    const rows = loadOverrides();
+    const remaining = rows.filter(o => !(
+      isSameRequest(o, current) && (!matchVersion || getOverrideVersion(o) === ref.updatedAt)
+    ));
+    if (remaining.length === rows.length) return false;
+    saveOverrides(remaining);
+    return true;
+  };
+
+  // JSON rows have no id; duplicates of a key (re-requests) are told apart by their version
+  if (!USE_DATABASE || current.id == null) {
+    return removeFromJson({ matchVersion: true }) ? current : null;
+  }
+
+  // No JSON fallback: the database row would still be there, so the override was not removed
+  const deleted = await OverridesRepository.deleteOverrideById(current.id, removedBy, ref.updatedAt);
+  await cache.del('overrides:all');
+  await cache.del(`sprintUsers:${current.sprintIndex}`);
+  if (deleted && DUAL_WRITE_MODE) {
+    removeFromJson({ matchVersion: false });
+  }
+  return deleted ? current : null;
+}
+
 /**
  * admin_remove_override:
- * Removes an override from the array. If you want to revert on-call state,
- * you could optionally call rotation logic or direct user updates here.
+ * Removes the override the button was rendered for. If it changed or was removed since the list
+ * was loaded, nothing is removed and the refreshed list says so.
  */
-slackApp.action('admin_remove_override', async ({ ack, body, client, logger }) => {
+async function handleAdminRemoveOverride({ ack, body, client, logger }) {
   await ack();
   try {
-    const { index } = JSON.parse(body.actions[0].value);
-    const overrides = await getAllOverrides();
-    
-    if (index < 0 || index >= overrides.length) {
-      logger.error("Invalid override index:", index);
+    const ref = JSON.parse(body.actions[0].value);
+    const { filters, page } = parseOverrideListMetadata(body.view);
+    let removed;
+    try {
+      removed = await removeOverrideByRef(ref, body.user.id);
+    } catch (error) {
+      logger.error('[admin_remove_override] Database error:', error);
+      await updateOverrideListView(client, body, {
+        filters,
+        page,
+        notice: "The override could not be removed because of a database error. Nothing was changed; please try again."
+      });
       return;
     }
-    
-    const removed = overrides[index];
-    
-    // Remove from database or JSON
-    if (USE_DATABASE) {
-      try {
-        // Delete by id so approved overrides are removed too (declineOverride only removes approved = false)
-        const deleted = removed.id != null
-          ? await OverridesRepository.deleteOverrideById(removed.id, body.user.id)
-          : await OverridesRepository.declineOverride(
-              removed.sprintIndex,
-              removed.role,
-              removed.requestedBy,
-              removed.newSlackId,
-              body.user.id
-            );
-        if (!deleted) {
-          logger.warn('[admin_remove_override] No row deleted for override', { removed: { id: removed.id, sprintIndex: removed.sprintIndex, role: removed.role } });
-        }
-        await cache.del('overrides:all');
-        await cache.del(`sprintUsers:${removed.sprintIndex}`);
-      } catch (error) {
-        console.error('[admin_remove_override] Database error:', error);
-        // Fallback to JSON removal
-        overrides.splice(index, 1);
-        saveOverrides(overrides);
-      }
-    } else {
-      overrides.splice(index, 1);
-      saveOverrides(overrides);
+
+    if (!removed) {
+      await updateOverrideListView(client, body, {
+        filters,
+        page,
+        notice: "That override changed or was removed since the list was loaded, so nothing was removed. Here is the current list."
+      });
+      return;
+    }
+
+    if (removed.approved === true) {
+      await revokeCoverageCredit({ slackId: removed.newSlackId, role: removed.role, sprintIndex: removed.sprintIndex }, body.user.id);
     }
 
-    // Optionally notify the parties that the override was forcibly removed
+    // Notify the parties that the override was removed
+    const label = formatRequestLabel(removed);
     await client.chat.postMessage({
       channel: removed.requestedBy,
-      text: `The override for *${removed.role}* on sprint index ${removed.sprintIndex} was removed by an admin. You are on call.`
+      text: `The override for *${getRoleLabel(removed.role)}* on ${label} was removed by an admin. You are on call.`
     });
     await client.chat.postMessage({
       channel: removed.newSlackId,
-      text: `The override for *${removed.role}* on sprint index ${removed.sprintIndex} was removed by an admin. You are not on call.`
+      text: `The override for *${getRoleLabel(removed.role)}* on ${label} was removed by an admin. You are not on call.`
     });
 
     // If removed override affected current sprint: sync state, user group, channel topic, refresh App Home
-    try {
-      const currentSprint = await findCurrentSprint();
-      if (currentSprint && Number(removed.sprintIndex) === Number(currentSprint.index)) {
-        const { updated, affectedUserIds } = await applyCurrentSprintRotation();
-        if (updated) {
-          const newRoles = await getSprintUsers(currentSprint.index);
-          const onCallIds = Object.values(newRoles).filter(Boolean);
-          const toRefresh = new Set([
-            ...(affectedUserIds || []),
-            ...onCallIds,
-            body.user?.id
-          ].filter(Boolean));
-          for (const uid of toRefresh) {
-            try {
-              await publishAppHomeForUser(client, uid);
-            } catch (err) {
-              logger.error('[admin_remove_override] Failed to refresh App Home for user:', uid, err);
-            }
-          }
-        }
-      }
-    } catch (syncErr) {
-      logger.error('[admin_remove_override] Sync/refresh after remove failed:', syncErr);
-    }
+    await syncCurrentSprintAfterOverride(client, [removed.sprintIndex], body.user?.id, logger);
 
-    // Refresh the modal
-    const updatedOverrides = await getAllOverrides();
-    const updatedView = await buildOverrideListModal(updatedOverrides);
-    await client.views.update({
-      view_id: body.view.id,
-      hash: body.view?.hash,
-      view: updatedView
-    });
+    await updateOverrideListView(client, body, { filters, page });
   } catch (err) {
     logger.error("Error removing override from /override-list modal:", err);
   }
-});
-
-module.exports = { buildOverrideListModal, handleApproveOverride, handleDeclineOverride };
\ No newline at end of file
+}
+slackApp.action('admin_remove_override', handleAdminRemoveOverride);
+
+module.exports = {
+  buildOverrideListModal,
+  handleAdminRemoveOverride,
+  handleApproveOverride,
+  handleDeclineOverride,
+  handleApproveOverrideBatch,
+  handleDeclineOverrideBatch,
+  handleAcceptOverrideReplacement,
+  handleDeclineOverrideReplacement,
+  handleAcceptShiftSwap,
+  handleDeclineShiftSwap,
+  handleOverrideRequestSubmit,
+  handleMyRequestCancel,
+  handleMyRequestChangeReplacementSubmit,
+  handleOutOfOfficeShiftsSubmit
+};
\ No newline at end of file
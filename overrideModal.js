@@ -8,6 +8,14 @@ const timezone = require('dayjs/plugin/timezone');
 dayjs.extend(utc);
 dayjs.extend(timezone);
 
+const { getEligibleAssignee } = require('./services/rotationCursor');
+const { getUnavailableSlackIds, unavailableBySprint } = require('./services/availability');
+const { getTeamTimezone } = require('./services/teamTimezone');
+const { isOpenOverride, getStatusLabel } = require('./services/overrideStatus');
+const { isPartialOverride } = require('./services/overrideRanges');
+const { isSwapOverride } = require('./services/shiftSwap');
+const { getRoleLabel } = require('./services/roles');
+
 const DISCIPLINES_FILE = path.join(__dirname, 'disciplines.json');
 const SPRINTS_FILE = path.join(__dirname, 'sprints.json');
 
@@ -67,8 +75,9 @@ function getUserRole(userId) {
  * buildUserSprintOptions:
  * For the given requester (by Slack ID), build select options for each sprint
  * in which the requester is scheduled for the role.
- * Uses default rotation logic: assigned user = roleList[sprintIndex % roleList.length].
- * Optional context: { role, disciplines } overrides file-based lookup (e.g. from DB).
+ * Uses the role's rotation cursor when context.cursors has one (legacy roleList[sprintIndex % n] otherwise)
+ * and skips sprints the requester's time off or coverage credits already hand to someone else.
+ * Optional context: { role, disciplines, cursors, unavailability, credits } overrides file-based lookup (e.g. from DB).
  */
 function buildUserSprintOptions(requesterSlackId, context = {}) {
   const role = context.role ?? getUserRole(requesterSlackId);
@@ -86,18 +95,22 @@ function buildUserSprintOptions(requesterSlackId, context = {}) {
   const allSprints = getAllSprints();
   const disciplines = context.disciplines ?? getDisciplines();
   const roleList = Array.isArray(disciplines?.[role]) ? disciplines[role] : [];
+  const cursor = context.cursors?.[role] || null;
+  const unavailableFor = unavailableBySprint(context.unavailability, allSprints, context.credits);
   const options = [];
 
   // For each sprint, check if the rotation assigns the requester.
-  allSprints.forEach((sprint, index) => {
+  allSprints.forEach((sprint, position) => {
+    const index = Number.isFinite(Number(sprint?.sprintIndex)) ? Number(sprint.sprintIndex) : position;
     if (roleList.length > 0) {
-      const assigned = roleList[index % roleList.length];
-      if (assigned && assigned.slackId === requesterSlackId) {
+      const unavailableIds = getUnavailableSlackIds(context.unavailability, sprint, context.credits);
+      const assigned = getEligibleAssignee(index, roleList, cursor, unavailableIds, unavailableFor).slackId;
+      if (assigned && assigned === requesterSlackId) {
         const startFormatted = dayjs(sprint.startDate)
-          .tz("America/Los_Angeles")
+          .tz(getTeamTimezone())
           .format("MM/DD/YYYY");
         const endFormatted = dayjs(sprint.endDate)
-          .tz("America/Los_Angeles")
+          .tz(getTeamTimezone())
           .format("MM/DD/YYYY");
         const sprintName = truncatePlainText(sprint?.sprintName || `Sprint ${index}`, 45);
         const optionText = truncatePlainText(`${sprintName} (${startFormatted} - ${endFormatted})`, 75);
@@ -238,6 +251,22 @@ function buildOverrideStep1Modal(requesterSlackId, context = {}) {
                 : "If you don’t see the right sprint, contact an admin to verify the sprint schedule and rotation lists."
           }
         ]
+      },
+      {
+        type: "actions",
+        block_id: "swap_entry",
+        elements: [
+          {
+            type: "button",
+            text: { type: "plain_text", text: "Swap shifts instead" },
+            action_id: "open_swap_request"
+          },
+          {
+            type: "button",
+            text: { type: "plain_text", text: "My requests" },
+            action_id: "open_my_requests"
+          }
+        ]
       }
     ]
   };
@@ -245,9 +274,86 @@ function buildOverrideStep1Modal(requesterSlackId, context = {}) {
   return modal;
 }
 
+/**
+ * buildSwapRequestModal:
+ * Trade one of the requester's sprints for a teammate's sprint in the same role.
+ * The teammate's shift comes from an external_select (`swap_target_select`, value "<sprintIndex>:<slackId>").
+ * Optional context: { role, disciplines, cursors, unavailability, credits } as for buildUserSprintOptions.
+ */
+function buildSwapRequestModal(requesterSlackId, context = {}) {
+  const role = context.role ?? getUserRole(requesterSlackId);
+
+  if (!role) {
+    return buildInfoModal({
+      title: "Swap Shifts",
+      bodyText:
+        "*You’re not currently on a triage rotation list.*\n\nPlease contact an admin to add you to the appropriate role before swapping shifts."
+    });
+  }
+
+  const sprintOptionsAll = buildUserSprintOptions(requesterSlackId, { ...context, role });
+  if (sprintOptionsAll.length === 1 && sprintOptionsAll[0].value === "none") {
+    return buildInfoModal({
+      title: "Swap Shifts",
+      bodyText: "*No scheduled sprints found for you.*\n\nYou need a shift of your own to offer in a swap."
+    });
+  }
+
+  return {
+    type: "modal",
+    callback_id: "swap_request_modal",
+    private_metadata: JSON.stringify({ role, requester: requesterSlackId }),
+    title: { type: "plain_text", text: "Swap Shifts" },
+    submit: { type: "plain_text", text: "Send request" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "Pick your shift and the teammate shift you want instead. They’ll get a DM to accept; once they do, both changes apply together."
+        }
+      },
+      {
+        type: "input",
+        block_id: "swap_my_sprint",
+        element: {
+          type: "static_select",
+          action_id: "swap_my_sprint_select",
+          placeholder: { type: "plain_text", text: "Select your sprint" },
+          options: sprintOptionsAll.slice(0, 100)
+        },
+        label: { type: "plain_text", text: "Your shift" }
+      },
+      {
+        type: "input",
+        block_id: "swap_target",
+        element: {
+          type: "external_select",
+          action_id: "swap_target_select",
+          placeholder: { type: "plain_text", text: "Search by teammate" },
+          min_query_length: 0
+        },
+        label: { type: "plain_text", text: "Their shift" }
+      },
+      {
+        type: "context",
+        block_id: "note",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "Only upcoming shifts in your role without an approved override are listed."
+          }
+        ]
+      }
+    ]
+  };
+}
+
 /**
  * buildOverrideStep2Modal:
- * Step 2 (choose replacement + submit). Uses external_select for replacement.
+ * Step 2 (choose replacement + submit). Uses external_select for replacement and optional
+ * datepickers (`coverage_start` / `coverage_end`) for covering part of the sprint.
  *
  * IMPORTANT: Keeps block_ids/action_ids stable so the existing view submission handler
  * (`override_request_modal`) can continue to read `view.state.values`.
@@ -269,8 +375,8 @@ function buildOverrideStep2Modal({ requesterSlackId, role, sprintIndex, context
     const allSprints = getAllSprints();
     const sprint = allSprints?.[Number.parseInt(String(sprintIndex), 10)];
     if (sprint) {
-      const startFormatted = dayjs(sprint.startDate).tz("America/Los_Angeles").format("MM/DD/YYYY");
-      const endFormatted = dayjs(sprint.endDate).tz("America/Los_Angeles").format("MM/DD/YYYY");
+      const startFormatted = dayjs(sprint.startDate).tz(getTeamTimezone()).format("MM/DD/YYYY");
+      const endFormatted = dayjs(sprint.endDate).tz(getTeamTimezone()).format("MM/DD/YYYY");
       const sprintName = truncatePlainText(sprint?.sprintName || `Sprint ${sprintIndex}`, 45);
       const optionText = truncatePlainText(`${sprintName} (${startFormatted} - ${endFormatted})`, 75);
       const forced = {
@@ -314,6 +420,28 @@ function buildOverrideStep2Modal({ requesterSlackId, role, sprintIndex, context
         },
         label: { type: "plain_text", text: "Replacement" }
       },
+      {
+        type: "input",
+        block_id: "coverage_start",
+        optional: true,
+        element: {
+          type: "datepicker",
+          action_id: "coverage_start_date",
+          placeholder: { type: "plain_text", text: "First day covered" }
+        },
+        label: { type: "plain_text", text: "From" }
+      },
+      {
+        type: "input",
+        block_id: "coverage_end",
+        optional: true,
+        element: {
+          type: "datepicker",
+          action_id: "coverage_end_date",
+          placeholder: { type: "plain_text", text: "Last day covered" }
+        },
+        label: { type: "plain_text", text: "Through" }
+      },
       {
         type: "context",
         block_id: "note",
@@ -321,7 +449,8 @@ function buildOverrideStep2Modal({ requesterSlackId, role, sprintIndex, context
           {
             type: "mrkdwn",
             text:
-              "Start typing to search within your role. If the right person doesn’t appear, contact an admin to update the rotation list."
+              "Start typing to search within your role. If the right person doesn’t appear, contact an admin to update the rotation list.\n" +
+              "Leave the dates empty to hand off the whole sprint. Each covered day runs from that day’s hand-off to the next one."
           }
         ]
       }
@@ -329,6 +458,238 @@ function buildOverrideStep2Modal({ requesterSlackId, role, sprintIndex, context
   };
 }
 
+/**
+ * buildMyRequestsModal:
+ * The requester's open overrides (pending or approved) whose coverage has not ended, with
+ * Change replacement and Cancel. Swap halves are listed without actions: undoing one side
+ * of a swap is an admin job.
+ * Button values are { sprintIndex, role, replacementSlackId }; the requester is the clicking user.
+ */
+function buildMyRequestsModal({ userId, overrides = [], sprints = [], today }) {
+  const findSprint = (idx) => (Array.isArray(sprints) ? sprints : []).find(s => Number(s?.sprintIndex) === Number(idx)) || null;
+  const dateOnly = (value) => (value ? String(value).split("T")[0] : null);
+  const shortDate = (value) => dayjs.tz(dateOnly(value), getTeamTimezone()).format("MM/DD/YYYY");
+
+  const mine = (Array.isArray(overrides) ? overrides : [])
+    .filter(o => o && o.requestedBy === userId && isOpenOverride(o))
+    .filter(o => {
+      const end = isPartialOverride(o) ? o.endDate : findSprint(o.sprintIndex)?.endDate;
+      return !end || !today || dateOnly(end) >= today;
+    })
+    .sort((a, b) => Number(a.sprintIndex) - Number(b.sprintIndex));
+
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "Your coverage requests that are still pending or approved. Changing the replacement sends the request to them to accept, then for approval again."
+      }
+    },
+    { type: "divider" }
+  ];
+
+  if (mine.length === 0) {
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: "_You have no pending or approved coverage requests._" } });
+  }
+
+  for (const o of mine.slice(0, 30)) {
+    const sprint = findSprint(o.sprintIndex);
+    const sprintName = sprint?.sprintName || `Sprint ${o.sprintIndex}`;
+    const range = sprint?.startDate && sprint?.endDate ? ` (${shortDate(sprint.startDate)} - ${shortDate(sprint.endDate)})` : "";
+    const dates = isPartialOverride(o) ? `
+*Dates:* ${shortDate(o.startDate)} - ${shortDate(o.endDate)} only` : "";
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${sprintName}*${range}${dates}
+*Role:* ${getRoleLabel(o.role)}
+*Replacement:* <@${o.newSlackId}>
+*Status:* ${getStatusLabel(o.status)}`
+      }
+    });
+
+    if (isSwapOverride(o)) {
+      blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: "Part of a shift swap. Ask an admin to undo it." }] });
+    } else {
+      const value = JSON.stringify({ sprintIndex: o.sprintIndex, role: o.role, replacementSlackId: o.newSlackId });
+      blocks.push({
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            text: { type: "plain_text", text: "Change replacement" },
+            action_id: "my_request_change_replacement",
+            value
+          },
+          {
+            type: "button",
+            text: { type: "plain_text", text: "Cancel request" },
+            style: "danger",
+            action_id: "my_request_cancel",
+            value,
+            confirm: {
+              title: { type: "plain_text", text: "Cancel this request?" },
+              text: { type: "mrkdwn", text: `<@${o.newSlackId}> will no longer cover *${getRoleLabel(o.role)}* on *${sprintName}*${o.approved ? ", and you will be on call again" : ""}.` },
+              confirm: { type: "plain_text", text: "Cancel request" },
+              deny: { type: "plain_text", text: "Keep it" }
+            }
+          }
+        ]
+      });
+    }
+    blocks.push({ type: "divider" });
+  }
+
+  return {
+    type: "modal",
+    callback_id: "my_requests_modal",
+    title: { type: "plain_text", text: "My Requests" },
+    close: { type: "plain_text", text: "Close" },
+    blocks
+  };
+}
+
+/**
+ * buildChangeReplacementModal:
+ * Pick a new replacement for one of the requester's open overrides. Reuses the
+ * `replacement_select` options (role + requester from private_metadata).
+ */
+function buildChangeReplacementModal({ requesterSlackId, sprintIndex, role, replacementSlackId, parentViewId = null }) {
+  return {
+    type: "modal",
+    callback_id: "my_request_change_replacement_modal",
+    private_metadata: JSON.stringify({ role, requester: requesterSlackId, sprintIndex, replacementSlackId, parentViewId }),
+    title: { type: "plain_text", text: "Change Replacement" },
+    submit: { type: "plain_text", text: "Send request" },
+    close: { type: "plain_text", text: "Back" },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `<@${replacementSlackId}> is covering *${getRoleLabel(role)}* for you. Pick someone else; they'll get a DM to accept, then the request goes for approval again.`
+        }
+      },
+      {
+        type: "input",
+        block_id: "replacement",
+        element: {
+          type: "external_select",
+          action_id: "replacement_select",
+          placeholder: { type: "plain_text", text: "Search for a replacement" },
+          min_query_length: 0
+        },
+        label: { type: "plain_text", text: "New replacement" }
+      }
+    ]
+  };
+}
+
+/**
+ * "I'm out", step 1: the days the user is away.
+ */
+function buildOutOfOfficeModal({ startDate = null, endDate = null } = {}) {
+  const datepicker = (actionId, placeholder, initialDate) => ({
+    type: "datepicker",
+    action_id: actionId,
+    placeholder: { type: "plain_text", text: placeholder },
+    ...(initialDate ? { initial_date: initialDate } : {})
+  });
+  return {
+    type: "modal",
+    callback_id: "out_of_office_modal",
+    title: { type: "plain_text", text: "I'm Out" },
+    submit: { type: "plain_text", text: "Find my shifts" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "Pick the days you're away. You'll see every shift you hold in that window with a suggested replacement, and can send all the requests at once."
+        }
+      },
+      {
+        type: "input",
+        block_id: "out_start",
+        element: datepicker("out_start_date", "First day out", startDate),
+        label: { type: "plain_text", text: "Start Date" }
+      },
+      {
+        type: "input",
+        block_id: "out_end",
+        element: datepicker("out_end_date", "Last day out", endDate),
+        label: { type: "plain_text", text: "End Date" }
+      }
+    ]
+  };
+}
+
+/**
+ * "I'm out", step 2: one replacement picker per affected shift, preset to the suggestion.
+ * The pickers reuse the replacement_select options handler (role and requester in metadata).
+ * @param {Object} params
+ * @param {Array<{ sprintIndex, label, startDate, endDate, wholeSprint, suggestion: { slackId, name }|null }>} params.shifts
+ * @param {string[]} [params.notes] - Shifts in the range that can't be requested from here
+ */
+function buildOutOfOfficeShiftsModal({ requesterSlackId, role, rangeLabel, shifts, notes = [] }) {
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `You're out *${rangeLabel}*, which takes you off ${shifts.length} *${getRoleLabel(role)}* shift${shifts.length === 1 ? '' : 's'}. ` +
+          "Each replacement gets a DM to accept; once they've all answered, the admins approve the requests together."
+      }
+    }
+  ];
+
+  shifts.forEach((shift, i) => {
+    const element = {
+      type: "external_select",
+      action_id: "replacement_select",
+      placeholder: { type: "plain_text", text: "Search for a replacement" },
+      min_query_length: 0
+    };
+    if (shift.suggestion) {
+      element.initial_option = {
+        text: { type: "plain_text", text: truncatePlainText(shift.suggestion.name || shift.suggestion.slackId) },
+        value: shift.suggestion.slackId
+      };
+    }
+    blocks.push({
+      type: "input",
+      block_id: `out_shift_${i}`,
+      element,
+      label: { type: "plain_text", text: truncatePlainText(shift.label, 2000) },
+      ...(shift.suggestion ? {} : { hint: { type: "plain_text", text: "Nobody in the rotation is free for these days; pick someone anyway." } })
+    });
+  });
+
+  if (notes.length > 0) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: notes.join('\n') }]
+    });
+  }
+
+  return {
+    type: "modal",
+    callback_id: "out_of_office_shifts_modal",
+    private_metadata: JSON.stringify({
+      role,
+      requester: requesterSlackId,
+      shifts: shifts.map(({ sprintIndex, startDate, endDate, wholeSprint }) => ({ sprintIndex, startDate, endDate, wholeSprint }))
+    }),
+    title: { type: "plain_text", text: "I'm Out" },
+    submit: { type: "plain_text", text: "Send requests" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks
+  };
+}
+
 // Backwards compatible export name: existing callers open Step 1 first.
 // Optional context: { role, disciplines } so modal uses same source as app (e.g. DB).
 function buildOverrideRequestModal(requesterSlackId, context = {}) {
@@ -364,5 +725,10 @@ module.exports = {
   buildOverrideStep1Modal,
   buildOverrideStep2Modal,
   buildOverrideRequestModalForSprint,
+  buildSwapRequestModal,
+  buildMyRequestsModal,
+  buildChangeReplacementModal,
+  buildOutOfOfficeModal,
+  buildOutOfOfficeShiftsModal,
   buildMinimalDebugModal
 };
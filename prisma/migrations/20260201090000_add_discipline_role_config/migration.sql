@@ -0,0 +1,48 @@
+-- Make rotation roles data-driven: each "discipline" row is a role with a
+-- display label, sort order and per-environment enablement. "name" is the
+-- role key used by users.discipline and overrides.role.
+
+ALTER TABLE "discipline"
+ADD COLUMN IF NOT EXISTS "label" VARCHAR(50),
+ADD COLUMN IF NOT EXISTS "sort_order" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS "enabled" BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- The old seed wrote one row per person (name = person's name). Those are not roles:
+-- drop every row that is neither one of the five keys nor a discipline users are filed under.
+DELETE FROM "discipline"
+WHERE "name" NOT IN ('account', 'producer', 'po', 'uiEng', 'beEng')
+  AND "name" NOT IN (SELECT DISTINCT "discipline" FROM "users");
+
+-- Seed the original five roles for both environments and fix up rows that already exist
+INSERT INTO "discipline" ("id", "name", "env", "label", "sort_order", "enabled")
+SELECT 'role_' || r.name || '_' || e.env, r.name, e.env, r.label, r.sort_order, TRUE
+FROM (VALUES
+  ('account', 'Account', 10),
+  ('producer', 'Producer', 20),
+  ('po', 'PO', 30),
+  ('uiEng', 'UI Engineer', 40),
+  ('beEng', 'BE Engineer', 50)
+) AS r(name, label, sort_order)
+CROSS JOIN (VALUES ('production'), ('staging')) AS e(env)
+ON CONFLICT ("name", "env") DO UPDATE
+SET "label" = EXCLUDED."label", "sort_order" = EXCLUDED."sort_order";
+
+-- Any other discipline users are filed under sorts after the five
+UPDATE "discipline"
+SET "label" = "name", "sort_order" = 100
+WHERE "label" IS NULL;
+
+-- Current state keeps one assignment per role key so new roles need no new columns.
+-- The legacy per-role columns are still written for the original five roles.
+ALTER TABLE "current_state"
+ADD COLUMN IF NOT EXISTS "assignments" JSONB NOT NULL DEFAULT '{}';
+
+UPDATE "current_state"
+SET "assignments" = jsonb_strip_nulls(jsonb_build_object(
+  'account', "account_slack_id",
+  'producer', "producer_slack_id",
+  'po', "po_slack_id",
+  'uiEng', "ui_eng_slack_id",
+  'beEng', "be_eng_slack_id"
+))
+WHERE "assignments" = '{}'::jsonb;
@@ -0,0 +1,10 @@
+-- Persisted rotation pointer per role so roster edits only affect members who
+-- have not served yet in the current cycle (instead of sprintIndex % rosterSize).
+
+CREATE TABLE IF NOT EXISTS "rotation_cursors" (
+  "role" VARCHAR(20) NOT NULL,
+  "anchor_sprint_index" INTEGER NOT NULL,
+  "served" JSONB NOT NULL DEFAULT '[]',
+  "updated_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT "rotation_cursors_pkey" PRIMARY KEY ("role")
+);
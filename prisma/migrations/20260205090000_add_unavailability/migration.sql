@@ -0,0 +1,17 @@
+-- Time off / unavailability entered from App Home. The rotation skips a member whose
+-- entries cover a whole sprint and assigns the next eligible person instead.
+
+CREATE TABLE IF NOT EXISTS "unavailability" (
+  "id" SERIAL NOT NULL,
+  "slack_id" VARCHAR(50) NOT NULL,
+  "start_date" DATE NOT NULL,
+  "end_date" DATE NOT NULL,
+  "reason" VARCHAR(200),
+  "created_by" VARCHAR(50),
+  "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT "unavailability_pkey" PRIMARY KEY ("id"),
+  CONSTRAINT "unavailability_range_check" CHECK ("end_date" >= "start_date")
+);
+
+CREATE INDEX IF NOT EXISTS "idx_unavailability_slack_id" ON "unavailability"("slack_id");
+CREATE INDEX IF NOT EXISTS "idx_unavailability_end_date" ON "unavailability"("end_date");
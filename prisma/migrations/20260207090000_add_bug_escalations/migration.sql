@@ -0,0 +1,25 @@
+-- Escalation chain for bug posts in the triage channel. One row per bug thread tracks
+-- the last step notified (primary, backup, lead, admins) so a restart resumes where it left off.
+
+CREATE TABLE IF NOT EXISTS "bug_escalations" (
+  "id" SERIAL NOT NULL,
+  "channel_id" VARCHAR(50) NOT NULL,
+  "thread_ts" VARCHAR(32) NOT NULL,
+  "reporter_slack_id" VARCHAR(50),
+  "status" VARCHAR(20) NOT NULL DEFAULT 'open',
+  "step" INTEGER NOT NULL DEFAULT -1,
+  "steps" JSONB NOT NULL DEFAULT '[]',
+  "next_step_at" TIMESTAMPTZ(6),
+  "acknowledged_by" VARCHAR(50),
+  "acknowledged_at" TIMESTAMPTZ(6),
+  "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updated_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT "bug_escalations_pkey" PRIMARY KEY ("id"),
+  CONSTRAINT "bug_escalations_thread_unique" UNIQUE ("channel_id", "thread_ts")
+);
+
+CREATE INDEX IF NOT EXISTS "idx_bug_escalations_due" ON "bug_escalations"("status", "next_step_at");
+
+-- Discipline leads are the third escalation step.
+ALTER TABLE "discipline"
+ADD COLUMN IF NOT EXISTS "lead_slack_id" VARCHAR(50);
@@ -0,0 +1,16 @@
+-- Holiday calendar. 'defer' holds rotation notifications until the next business day;
+-- 'shift' moves a sprint hand-off that lands on the holiday to the next business day.
+
+CREATE TABLE IF NOT EXISTS "holidays" (
+  "id" SERIAL NOT NULL,
+  "date" DATE NOT NULL,
+  "name" VARCHAR(200) NOT NULL,
+  "action" VARCHAR(10) NOT NULL DEFAULT 'defer',
+  "created_by" VARCHAR(50),
+  "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+  "updated_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT "holidays_pkey" PRIMARY KEY ("id"),
+  CONSTRAINT "holidays_action_check" CHECK ("action" IN ('defer', 'shift'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "holidays_date_key" ON "holidays"("date");
@@ -0,0 +1,14 @@
+-- Sprint cadence used to generate future sprints (single row, id = 1).
+
+CREATE TABLE IF NOT EXISTS "sprint_cadence" (
+  "id" INTEGER NOT NULL DEFAULT 1,
+  "anchor_date" DATE,
+  "length_days" INTEGER NOT NULL DEFAULT 14,
+  "name_pattern" VARCHAR(50) NOT NULL DEFAULT 'FY{fy} Sp{n}',
+  "fiscal_year_start" VARCHAR(5) NOT NULL DEFAULT '04-01',
+  "runway_months" INTEGER NOT NULL DEFAULT 6,
+  "updated_by" VARCHAR(50),
+  "updated_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT "sprint_cadence_pkey" PRIMARY KEY ("id"),
+  CONSTRAINT "sprint_cadence_single_row" CHECK ("id" = 1)
+);
@@ -0,0 +1,16 @@
+-- Secret tokens for per-user iCalendar feeds. A user has at most one active token;
+-- resetting the link revokes it and issues a new one.
+
+CREATE TABLE IF NOT EXISTS "calendar_feed_tokens" (
+  "id" SERIAL NOT NULL,
+  "token" VARCHAR(64) NOT NULL,
+  "slack_id" VARCHAR(50) NOT NULL,
+  "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "last_used_at" TIMESTAMPTZ(6),
+  "revoked_at" TIMESTAMPTZ(6),
+  CONSTRAINT "calendar_feed_tokens_pkey" PRIMARY KEY ("id"),
+  CONSTRAINT "calendar_feed_tokens_token_unique" UNIQUE ("token")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "calendar_feed_tokens_active_user"
+  ON "calendar_feed_tokens"("slack_id") WHERE "revoked_at" IS NULL;
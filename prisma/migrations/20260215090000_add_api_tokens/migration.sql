@@ -0,0 +1,16 @@
+-- Admin-managed tokens for the read-only schedule API and the team calendar feed.
+-- Only a SHA-256 hash of each token is stored; the token itself is shown once on creation.
+
+CREATE TABLE IF NOT EXISTS "api_tokens" (
+  "id" SERIAL NOT NULL,
+  "name" VARCHAR(100) NOT NULL,
+  "token_hash" CHAR(64) NOT NULL,
+  "token_prefix" VARCHAR(16) NOT NULL,
+  "created_by" VARCHAR(50),
+  "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "last_used_at" TIMESTAMPTZ(6),
+  "revoked_by" VARCHAR(50),
+  "revoked_at" TIMESTAMPTZ(6),
+  CONSTRAINT "api_tokens_pkey" PRIMARY KEY ("id"),
+  CONSTRAINT "api_tokens_hash_unique" UNIQUE ("token_hash")
+);
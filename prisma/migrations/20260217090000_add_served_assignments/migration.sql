@@ -0,0 +1,21 @@
+-- Who actually served each role in each sprint. A row is one stint: it opens when the person
+-- takes the role (sprint start, override, admin change) and closes when someone else does or
+-- the sprint hands off. Unlike current_state, rows are never overwritten.
+
+CREATE TABLE IF NOT EXISTS "served_assignments" (
+  "id" SERIAL NOT NULL,
+  "sprint_index" INTEGER NOT NULL,
+  "role" VARCHAR(50) NOT NULL,
+  "slack_id" VARCHAR(50) NOT NULL,
+  "started_at" TIMESTAMPTZ(6) NOT NULL,
+  "ended_at" TIMESTAMPTZ(6),
+  "source" VARCHAR(30) NOT NULL,
+  "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT "served_assignments_pkey" PRIMARY KEY ("id"),
+  CONSTRAINT "served_assignments_range" CHECK ("ended_at" IS NULL OR "ended_at" >= "started_at")
+);
+
+CREATE INDEX IF NOT EXISTS "idx_served_assignments_sprint" ON "served_assignments"("sprint_index", "role");
+CREATE INDEX IF NOT EXISTS "idx_served_assignments_slack_id" ON "served_assignments"("slack_id");
+CREATE UNIQUE INDEX IF NOT EXISTS "served_assignments_open_role"
+  ON "served_assignments"("sprint_index", "role") WHERE "ended_at" IS NULL;
@@ -0,0 +1,19 @@
+-- Coverage credits: a member earns one for each override they are approved to cover, and can
+-- redeem it to skip their next scheduled turn. A redeemed credit names the sprint being skipped;
+-- the rotation treats the holder like someone on time off for that sprint.
+
+CREATE TABLE IF NOT EXISTS "coverage_credits" (
+  "id" SERIAL NOT NULL,
+  "slack_id" VARCHAR(50) NOT NULL,
+  "role" VARCHAR(50) NOT NULL,
+  "sprint_index" INTEGER NOT NULL,
+  "covered_slack_id" VARCHAR(50),
+  "earned_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+  "redeemed_sprint_index" INTEGER,
+  "redeemed_at" TIMESTAMP(6),
+  "redeemed_by" VARCHAR(50),
+  CONSTRAINT "coverage_credits_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "coverage_credits_earned_unique" ON "coverage_credits"("slack_id", "sprint_index", "role");
+CREATE INDEX IF NOT EXISTS "idx_coverage_credits_redeemed_sprint" ON "coverage_credits"("redeemed_sprint_index");
@@ -0,0 +1,5 @@
+-- Partial-sprint overrides: optional inclusive date range inside the sprint. Both NULL means the
+-- override covers the whole sprint, as before.
+
+ALTER TABLE "overrides" ADD COLUMN IF NOT EXISTS "start_date" DATE;
+ALTER TABLE "overrides" ADD COLUMN IF NOT EXISTS "end_date" DATE;
@@ -0,0 +1,24 @@
+-- Override requests move through a status instead of the approved flag:
+-- pending_replacement -> pending_admin -> approved, or declined / expired along the way.
+-- Existing rows keep their meaning: approved rows become 'approved', the rest were waiting on an admin.
+
+ALTER TABLE "overrides" ADD COLUMN IF NOT EXISTS "status" VARCHAR(30) NOT NULL DEFAULT 'pending_admin';
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'overrides' AND column_name = 'approved'
+  ) THEN
+    UPDATE "overrides" SET "status" = 'approved' WHERE "approved" = TRUE;
+  END IF;
+END $$;
+
+DROP INDEX IF EXISTS "idx_overrides_approved";
+ALTER TABLE "overrides" DROP COLUMN IF EXISTS "approved";
+
+ALTER TABLE "overrides" DROP CONSTRAINT IF EXISTS "overrides_status_check";
+ALTER TABLE "overrides" ADD CONSTRAINT "overrides_status_check"
+  CHECK ("status" IN ('pending_replacement', 'pending_admin', 'approved', 'declined', 'expired'));
+
+CREATE INDEX IF NOT EXISTS "idx_overrides_status" ON "overrides"("status");
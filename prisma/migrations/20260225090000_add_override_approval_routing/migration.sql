@@ -0,0 +1,8 @@
+-- Where a request waiting for approval was sent: 'lead' (the discipline lead, by DM) or 'admins'
+-- (the admin channel), and when. Requests still with the lead after the timeout move to the admins.
+
+ALTER TABLE "overrides" ADD COLUMN IF NOT EXISTS "approval_routed_to" VARCHAR(20);
+ALTER TABLE "overrides" ADD COLUMN IF NOT EXISTS "approval_lead_slack_id" VARCHAR(50);
+ALTER TABLE "overrides" ADD COLUMN IF NOT EXISTS "approval_routed_at" TIMESTAMPTZ(6);
+
+CREATE INDEX IF NOT EXISTS "idx_overrides_approval_routing" ON "overrides"("status", "approval_routed_to", "approval_routed_at");
@@ -0,0 +1,6 @@
+-- Reminders sent for a request still waiting on the replacement or an approver. The sweep reminds
+-- again once the last reminder, or the request reaching its current approver, is older than the
+-- reminder interval.
+
+ALTER TABLE "overrides" ADD COLUMN IF NOT EXISTS "last_reminded_at" TIMESTAMPTZ(6);
+ALTER TABLE "overrides" ADD COLUMN IF NOT EXISTS "reminder_count" INTEGER NOT NULL DEFAULT 0;
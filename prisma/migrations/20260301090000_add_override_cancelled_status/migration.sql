@@ -0,0 +1,5 @@
+-- Requesters can cancel their own pending or approved overrides; the row is kept as 'cancelled'.
+
+ALTER TABLE "overrides" DROP CONSTRAINT IF EXISTS "overrides_status_check";
+ALTER TABLE "overrides" ADD CONSTRAINT "overrides_status_check"
+  CHECK ("status" IN ('pending_replacement', 'pending_admin', 'approved', 'declined', 'expired', 'cancelled'));
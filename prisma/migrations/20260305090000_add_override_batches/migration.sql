@@ -0,0 +1,6 @@
+-- Requests filed together from "I'm out" share a batch id, so admins can approve or decline them
+-- in one action once every replacement has answered.
+
+ALTER TABLE "overrides" ADD COLUMN IF NOT EXISTS "batch_id" VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS "idx_overrides_batch_id" ON "overrides"("batch_id");
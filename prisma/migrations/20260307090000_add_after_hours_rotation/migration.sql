@@ -0,0 +1,18 @@
+-- After-hours rotation (single row, id = 1): its own roster and weekly shift, separate from the sprint rotation.
+-- announced_start is the start of the last shift the job has announced, so each shift is announced once.
+
+CREATE TABLE IF NOT EXISTS "after_hours_rotation" (
+  "id" INTEGER NOT NULL DEFAULT 1,
+  "enabled" BOOLEAN NOT NULL DEFAULT false,
+  "roster" JSONB NOT NULL DEFAULT '[]',
+  "start_day" INTEGER NOT NULL DEFAULT 5,
+  "start_hour" INTEGER NOT NULL DEFAULT 17,
+  "end_day" INTEGER NOT NULL DEFAULT 1,
+  "end_hour" INTEGER NOT NULL DEFAULT 8,
+  "anchor_date" DATE,
+  "announced_start" TIMESTAMPTZ(6),
+  "updated_by" VARCHAR(50),
+  "updated_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT "after_hours_rotation_pkey" PRIMARY KEY ("id"),
+  CONSTRAINT "after_hours_rotation_single_row" CHECK ("id" = 1)
+);
@@ -0,0 +1,16 @@
+-- Shadow assignments: a new hire shadows a role for one sprint alongside whoever is on call.
+-- Shadows get the rotation DMs but never count as the assignee; in_user_group adds them to the
+-- on-call user group for that sprint.
+
+CREATE TABLE IF NOT EXISTS "shadow_assignments" (
+  "id" SERIAL NOT NULL,
+  "sprint_index" INTEGER NOT NULL,
+  "role" VARCHAR(50) NOT NULL,
+  "slack_id" VARCHAR(50) NOT NULL,
+  "in_user_group" BOOLEAN NOT NULL DEFAULT false,
+  "created_by" VARCHAR(50),
+  "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT "shadow_assignments_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "shadow_assignments_sprint_user_unique" ON "shadow_assignments"("sprint_index", "slack_id");
@@ -0,0 +1,20 @@
+-- A discipline can have several leads. Each of them gets the override requests routed to the
+-- leads and any of them can approve; the bug escalation lead step mentions all of them.
+ALTER TABLE "discipline"
+ADD COLUMN IF NOT EXISTS "lead_slack_ids" JSONB NOT NULL DEFAULT '[]';
+
+UPDATE "discipline"
+SET "lead_slack_ids" = jsonb_build_array("lead_slack_id")
+WHERE "lead_slack_id" IS NOT NULL AND "lead_slack_ids" = '[]'::jsonb;
+
+ALTER TABLE "discipline" DROP COLUMN IF EXISTS "lead_slack_id";
+
+-- Requests routed to the leads remember every lead they were sent to.
+ALTER TABLE "overrides"
+ADD COLUMN IF NOT EXISTS "approval_lead_slack_ids" JSONB NOT NULL DEFAULT '[]';
+
+UPDATE "overrides"
+SET "approval_lead_slack_ids" = jsonb_build_array("approval_lead_slack_id")
+WHERE "approval_lead_slack_id" IS NOT NULL AND "approval_lead_slack_ids" = '[]'::jsonb;
+
+ALTER TABLE "overrides" DROP COLUMN IF EXISTS "approval_lead_slack_id";
@@ -0,0 +1,17 @@
+-- Store only a SHA-256 hash of each calendar feed token, like api_tokens. Existing
+-- links keep working: the hash of the token in the URL matches the backfilled hash.
+
+ALTER TABLE "calendar_feed_tokens"
+ADD COLUMN IF NOT EXISTS "token_hash" CHAR(64);
+
+UPDATE "calendar_feed_tokens"
+SET "token_hash" = encode(sha256(convert_to("token", 'UTF8')), 'hex')
+WHERE "token_hash" IS NULL;
+
+ALTER TABLE "calendar_feed_tokens" ALTER COLUMN "token_hash" SET NOT NULL;
+
+ALTER TABLE "calendar_feed_tokens" DROP CONSTRAINT IF EXISTS "calendar_feed_tokens_token_unique";
+ALTER TABLE "calendar_feed_tokens" DROP COLUMN IF EXISTS "token";
+
+ALTER TABLE "calendar_feed_tokens"
+ADD CONSTRAINT "calendar_feed_tokens_hash_unique" UNIQUE ("token_hash");
@@ -0,0 +1,16 @@
+-- Both overrides written for an accepted shift swap share a swap id, so the requester-facing flows
+-- tell swap halves from ordinary requests without guessing from original_slack_id.
+
+ALTER TABLE "overrides" ADD COLUMN IF NOT EXISTS "swap_id" VARCHAR(64);
+
+-- Existing swaps: two approved rows of one role, each person covering the other's sprint.
+UPDATE "overrides" AS o
+SET "swap_id" = 'swap-' || LEAST(o."id", other."id")
+FROM "overrides" AS other
+WHERE o."swap_id" IS NULL
+  AND o."id" <> other."id"
+  AND o."role" = other."role"
+  AND o."status" = 'approved' AND other."status" = 'approved'
+  AND o."original_slack_id" IS NOT NULL
+  AND o."original_slack_id" = other."replacement_slack_id"
+  AND other."original_slack_id" = o."replacement_slack_id";
@@ -0,0 +1,90 @@
+const { query } = require('../db/connection');
+
+function mapTokenRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    tokenPrefix: row.token_prefix,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedBy: row.revoked_by,
+    revokedAt: row.revoked_at,
+  };
+}
+
+/**
+ * Active tokens, newest first. Hashes are never returned.
+ */
+async function listActiveApiTokens() {
+  const res = await query(
+    `SELECT * FROM api_tokens WHERE revoked_at IS NULL ORDER BY created_at DESC`
+  );
+
+  return res.rows.map(mapTokenRow);
+}
+
+/**
+ * Store a new token.
+ * @param {Object} params
+ * @param {string} params.name - What the token is for.
+ * @param {string} params.tokenHash - SHA-256 hex of the token.
+ * @param {string} params.tokenPrefix - Leading characters shown to admins to tell tokens apart.
+ * @param {string} [params.createdBy]
+ * @returns {Promise<Object>}
+ */
+async function insertApiToken({ name, tokenHash, tokenPrefix, createdBy = null }) {
+  const res = await query(
+    `
+      INSERT INTO api_tokens (name, token_hash, token_prefix, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `,
+    [name, tokenHash, tokenPrefix, createdBy]
+  );
+
+  return mapTokenRow(res.rows[0]);
+}
+
+/**
+ * Look up an active token by hash and record that it was used.
+ * @returns {Promise<Object|null>} null when unknown or revoked.
+ */
+async function useApiToken(tokenHash) {
+  const res = await query(
+    `
+      UPDATE api_tokens
+      SET last_used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1 AND revoked_at IS NULL
+      RETURNING *
+    `,
+    [tokenHash]
+  );
+
+  return res.rows.length ? mapTokenRow(res.rows[0]) : null;
+}
+
+/**
+ * Revoke a token. Returns the revoked row, or null when it was already revoked or unknown.
+ */
+async function revokeApiToken(id, revokedBy = null) {
+  const res = await query(
+    `
+      UPDATE api_tokens
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING *
+    `,
+    [id, revokedBy]
+  );
+
+  return res.rows.length ? mapTokenRow(res.rows[0]) : null;
+}
+
+module.exports = {
+  listActiveApiTokens,
+  insertApiToken,
+  useApiToken,
+  revokeApiToken,
+};
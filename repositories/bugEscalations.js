@@ -0,0 +1,127 @@
+const { query } = require('../db/connection');
+
+function mapEscalationRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    channelId: row.channel_id,
+    threadTs: row.thread_ts,
+    reporterSlackId: row.reporter_slack_id,
+    status: row.status,
+    step: row.step,
+    steps: Array.isArray(row.steps) ? row.steps : [],
+    nextStepAt: row.next_step_at,
+    acknowledgedBy: row.acknowledged_by,
+    acknowledgedAt: row.acknowledged_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Start tracking a bug thread. Returns null when the thread is already tracked.
+ * @param {Object} params
+ * @param {string} params.channelId
+ * @param {string} params.threadTs - ts of the bug post (thread root).
+ * @param {string} [params.reporterSlackId]
+ * @param {Date} params.nextStepAt - When the first step is due.
+ * @returns {Promise<Object|null>}
+ */
+async function insertEscalation({ channelId, threadTs, reporterSlackId = null, nextStepAt }) {
+  const res = await query(
+    `
+      INSERT INTO bug_escalations (channel_id, thread_ts, reporter_slack_id, next_step_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (channel_id, thread_ts) DO NOTHING
+      RETURNING *
+    `,
+    [channelId, threadTs, reporterSlackId, nextStepAt]
+  );
+
+  return res.rows.length ? mapEscalationRow(res.rows[0]) : null;
+}
+
+async function getEscalationByThread(channelId, threadTs) {
+  const res = await query(
+    `SELECT * FROM bug_escalations WHERE channel_id = $1 AND thread_ts = $2`,
+    [channelId, threadTs]
+  );
+
+  return res.rows.length ? mapEscalationRow(res.rows[0]) : null;
+}
+
+/**
+ * Open escalations whose next step is due at or before `now`, oldest first.
+ */
+async function getDueEscalations(now = new Date(), limit = 50) {
+  const res = await query(
+    `
+      SELECT * FROM bug_escalations
+      WHERE status = 'open' AND next_step_at IS NOT NULL AND next_step_at <= $1
+      ORDER BY next_step_at ASC
+      LIMIT $2
+    `,
+    [now, limit]
+  );
+
+  return res.rows.map(mapEscalationRow);
+}
+
+/**
+ * Claim and record the next step. The update only applies while the row is still open
+ * at `fromStep`, so two runners (in-app cron and Railway) cannot send the same step twice.
+ * @param {number} id
+ * @param {number} fromStep - Step index the caller read.
+ * @param {Object} entry - Appended to `steps` ({ step, notified, at, skipped }).
+ * @param {Date|null} nextStepAt - When the following step is due (null when none).
+ * @param {string} status - 'open', or 'exhausted' after the last step.
+ * @returns {Promise<Object|null>} Updated row, or null when another runner or an acknowledgement got there first.
+ */
+async function recordEscalationStep(id, fromStep, entry, nextStepAt, status) {
+  const res = await query(
+    `
+      UPDATE bug_escalations
+      SET step = $2 + 1,
+          steps = steps || $3::jsonb,
+          next_step_at = $4,
+          status = $5,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND step = $2 AND status = 'open'
+      RETURNING *
+    `,
+    [id, fromStep, JSON.stringify([entry]), nextStepAt, status]
+  );
+
+  return res.rows.length ? mapEscalationRow(res.rows[0]) : null;
+}
+
+/**
+ * Mark a thread acknowledged. The reporter cannot acknowledge their own post.
+ * @returns {Promise<Object|null>} Updated row, or null when the thread is not open or not tracked.
+ */
+async function acknowledgeEscalation(channelId, threadTs, slackId) {
+  const res = await query(
+    `
+      UPDATE bug_escalations
+      SET status = 'acknowledged',
+          acknowledged_by = $3,
+          acknowledged_at = CURRENT_TIMESTAMP,
+          next_step_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE channel_id = $1 AND thread_ts = $2 AND status = 'open'
+        AND (reporter_slack_id IS NULL OR reporter_slack_id <> $3)
+      RETURNING *
+    `,
+    [channelId, threadTs, slackId]
+  );
+
+  return res.rows.length ? mapEscalationRow(res.rows[0]) : null;
+}
+
+module.exports = {
+  insertEscalation,
+  getEscalationByThread,
+  getDueEscalations,
+  recordEscalationStep,
+  acknowledgeEscalation,
+};
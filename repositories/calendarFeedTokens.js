@@ -0,0 +1,81 @@
+const { query, transaction } = require('../db/connection');
+
+function mapTokenRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    slackId: row.slack_id,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+/**
+ * The user's active (not revoked) feed token, or null. Hashes are never returned.
+ */
+async function getActiveTokenForUser(slackId) {
+  const res = await query(
+    `SELECT * FROM calendar_feed_tokens WHERE slack_id = $1 AND revoked_at IS NULL`,
+    [slackId]
+  );
+
+  return res.rows.length ? mapTokenRow(res.rows[0]) : null;
+}
+
+/**
+ * Look up an active token by hash and record that it was used.
+ * @returns {Promise<Object|null>} The token row, or null when unknown or revoked.
+ */
+async function useActiveToken(tokenHash) {
+  const res = await query(
+    `
+      UPDATE calendar_feed_tokens
+      SET last_used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1 AND revoked_at IS NULL
+      RETURNING *
+    `,
+    [tokenHash]
+  );
+
+  return res.rows.length ? mapTokenRow(res.rows[0]) : null;
+}
+
+/**
+ * Revoke the user's active token (if any) and store a new one.
+ * @param {string} slackId
+ * @param {string} tokenHash - SHA-256 hex of the new token.
+ * @returns {Promise<Object>} The new token row.
+ */
+async function replaceTokenForUser(slackId, tokenHash) {
+  return transaction(async (client) => {
+    await client.query(
+      `UPDATE calendar_feed_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE slack_id = $1 AND revoked_at IS NULL`,
+      [slackId]
+    );
+    const res = await client.query(
+      `INSERT INTO calendar_feed_tokens (token_hash, slack_id) VALUES ($1, $2) RETURNING *`,
+      [tokenHash, slackId]
+    );
+    return mapTokenRow(res.rows[0]);
+  });
+}
+
+/**
+ * Revoke the user's active token. Returns true when one was revoked.
+ */
+async function revokeTokensForUser(slackId) {
+  const res = await query(
+    `UPDATE calendar_feed_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE slack_id = $1 AND revoked_at IS NULL`,
+    [slackId]
+  );
+
+  return res.rowCount > 0;
+}
+
+module.exports = {
+  getActiveTokenForUser,
+  useActiveToken,
+  replaceTokenForUser,
+  revokeTokensForUser,
+};
@@ -2,9 +2,30 @@ const prisma = require('../lib/prisma-client');
 const config = require('../config');
 
 async function getDisciplinesForCurrentEnv() {
-  return prisma.discipline.findMany({ where: { env: config.env }, orderBy: { name: 'asc' } });
+  return prisma.discipline.findMany({
+    where: { env: config.env },
+    orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+  });
+}
+
+/**
+ * Upsert a role definition for the current environment.
+ * @param {{ key: string, label?: string, sortOrder?: number, enabled?: boolean, leadSlackIds?: string[] }} role
+ */
+async function upsertDisciplineForCurrentEnv({ key, label, sortOrder, enabled, leadSlackIds }) {
+  const data = {};
+  if (label !== undefined) data.label = label;
+  if (sortOrder !== undefined) data.sortOrder = sortOrder;
+  if (enabled !== undefined) data.enabled = enabled;
+  if (leadSlackIds !== undefined) data.leadSlackIds = leadSlackIds;
+  return prisma.discipline.upsert({
+    where: { name_env: { name: key, env: config.env } },
+    update: data,
+    create: { name: key, env: config.env, ...data },
+  });
 }
 
 module.exports = {
   getDisciplinesForCurrentEnv,
+  upsertDisciplineForCurrentEnv,
 };
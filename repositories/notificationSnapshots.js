@@ -138,6 +138,21 @@ async function getSnapshots(limit = 10) {
   return res.rows.map(mapSnapshotRow);
 }
 
+/**
+ * Fetch every snapshot, oldest first (served-history backfill).
+ */
+async function getAllSnapshotsAscending() {
+  const res = await query(
+    `
+      SELECT *
+      FROM notification_snapshots
+      ORDER BY captured_at ASC, id ASC
+    `
+  );
+
+  return res.rows.map(mapSnapshotRow);
+}
+
 /**
  * Map DB audit row to camelCase object.
  */
@@ -177,5 +192,6 @@ module.exports = {
   insertNotificationSnapshot,
   getLatestSnapshot,
   getSnapshots,
+  getAllSnapshotsAscending,
 };
 
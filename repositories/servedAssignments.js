@@ -0,0 +1,129 @@
+const { query, transaction } = require('../db/connection');
+
+function mapStintRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    sprintIndex: row.sprint_index,
+    role: row.role,
+    slackId: row.slack_id,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    source: row.source,
+  };
+}
+
+/**
+ * Record who is serving the sprint's roles as of `at`. Open stints for other sprints are closed
+ * (the hand-off happened); a role whose person changed has its stint closed and a new one opened.
+ * Roles missing from `roles` are left as they are.
+ * @param {Object} params
+ * @param {number} params.sprintIndex
+ * @param {Object<string, string|null>} params.roles - Role key -> Slack ID
+ * @param {string} params.source - What caused the change (e.g. 'sprint_start', 'admin')
+ * @param {Date} [params.at]
+ * @returns {Promise<{ opened: number, closed: number }>}
+ */
+async function recordServedAssignments({ sprintIndex, roles, source, at = new Date() }) {
+  return transaction(async (client) => {
+    const ended = await client.query(
+      `UPDATE served_assignments SET ended_at = GREATEST($2, started_at) WHERE ended_at IS NULL AND sprint_index <> $1`,
+      [sprintIndex, at]
+    );
+    let closed = ended.rowCount || 0;
+    let opened = 0;
+
+    const open = await client.query(
+      `SELECT * FROM served_assignments WHERE ended_at IS NULL AND sprint_index = $1 FOR UPDATE`,
+      [sprintIndex]
+    );
+    const openByRole = new Map(open.rows.map(r => [r.role, r]));
+
+    for (const [role, slackId] of Object.entries(roles || {})) {
+      const current = openByRole.get(role);
+      if (current && current.slack_id === slackId) continue;
+      if (current) {
+        await client.query(`UPDATE served_assignments SET ended_at = GREATEST($2, started_at) WHERE id = $1`, [current.id, at]);
+        closed += 1;
+      }
+      if (slackId) {
+        await client.query(
+          `INSERT INTO served_assignments (sprint_index, role, slack_id, started_at, source) VALUES ($1, $2, $3, $4, $5)`,
+          [sprintIndex, role, slackId, at, source]
+        );
+        opened += 1;
+      }
+    }
+
+    return { opened, closed };
+  });
+}
+
+/**
+ * Insert reconstructed stints (backfill) in one transaction.
+ * @param {Array<{ sprintIndex: number, role: string, slackId: string, startedAt: Date, endedAt: Date|null, source: string }>} stints
+ * @returns {Promise<number>} Rows inserted
+ */
+async function insertServedStints(stints) {
+  if (!Array.isArray(stints) || stints.length === 0) return 0;
+  return transaction(async (client) => {
+    for (const s of stints) {
+      await client.query(
+        `
+          INSERT INTO served_assignments (sprint_index, role, slack_id, started_at, ended_at, source)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `,
+        [s.sprintIndex, s.role, s.slackId, s.startedAt, s.endedAt, s.source]
+      );
+    }
+    return stints.length;
+  });
+}
+
+/**
+ * Stints, oldest first, optionally for one sprint or one person.
+ */
+async function getServedAssignments({ sprintIndex = null, slackId = null } = {}) {
+  const res = await query(
+    `
+      SELECT * FROM served_assignments
+      WHERE ($1::int IS NULL OR sprint_index = $1)
+        AND ($2::varchar IS NULL OR slack_id = $2)
+      ORDER BY sprint_index ASC, role ASC, started_at ASC
+    `,
+    [sprintIndex, slackId]
+  );
+
+  return res.rows.map(mapStintRow);
+}
+
+/**
+ * Sprint indexes that already have history (the backfill leaves these alone).
+ */
+async function getSprintIndexesWithHistory() {
+  const res = await query(`SELECT DISTINCT sprint_index FROM served_assignments`);
+  return new Set(res.rows.map(r => Number(r.sprint_index)));
+}
+
+/**
+ * current_state writes from audit_logs, oldest first ({ at, state }).
+ */
+async function listCurrentStateAudits() {
+  const res = await query(
+    `
+      SELECT changed_at, new_values FROM audit_logs
+      WHERE table_name = 'current_state' AND new_values IS NOT NULL
+      ORDER BY changed_at ASC, id ASC
+    `
+  );
+
+  return res.rows.map(r => ({ at: r.changed_at, state: r.new_values }));
+}
+
+module.exports = {
+  recordServedAssignments,
+  insertServedStints,
+  getServedAssignments,
+  getSprintIndexesWithHistory,
+  listCurrentStateAudits,
+};
@@ -0,0 +1,58 @@
+/**
+ * Calendar feeds (iCalendar) for subscribing to triage shifts.
+ *
+ * - Mounted at /calendar → GET /calendar/users/<token>.ics serves one user's shifts.
+ * - GET /calendar/team/<api token>.ics serves every role for every upcoming sprint
+ *   (tokens from Admin Hub → API tokens, shared with /api/schedule).
+ * - The token is the only credential; unknown or revoked tokens get 404 so they cannot be probed.
+ * - Tokens are never logged.
+ */
+const express = require('express');
+const router = express.Router();
+const { readSprints, readDisciplines, readHolidays } = require('../dataUtils');
+const { getUserUpcomingShifts } = require('../appHome');
+const { isWellFormedToken, resolveUserFeedToken, buildUserCalendar, buildTeamCalendar } = require('../services/calendarFeed');
+const { verifyApiToken } = require('../services/apiTokens');
+const { getUpcomingSchedule } = require('../services/schedule');
+
+router.get('/users/:token.ics', async (req, res) => {
+  const { token } = req.params;
+  try {
+    const slackId = isWellFormedToken(token) ? await resolveUserFeedToken(token) : null;
+    if (!slackId) {
+      res.status(404).type('text/plain').send('Not found');
+      return;
+    }
+
+    const [sprints, disciplines, holidays] = await Promise.all([readSprints(), readDisciplines(), readHolidays()]);
+    const shifts = await getUserUpcomingShifts(slackId, sprints, disciplines, { includeCurrent: true });
+    const body = buildUserCalendar({ slackId, shifts, holidays });
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.type('text/calendar; charset=utf-8').send(body);
+  } catch (error) {
+    console.error('[calendarFeed] Failed to build user feed:', error);
+    res.status(500).type('text/plain').send('Calendar unavailable');
+  }
+});
+
+router.get('/team/:token.ics', async (req, res) => {
+  try {
+    const record = await verifyApiToken(req.params.token);
+    if (!record) {
+      res.status(404).type('text/plain').send('Not found');
+      return;
+    }
+
+    const [schedule, holidays] = await Promise.all([getUpcomingSchedule(), readHolidays()]);
+    const body = buildTeamCalendar({ schedule, holidays });
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.type('text/calendar; charset=utf-8').send(body);
+  } catch (error) {
+    console.error('[calendarFeed] Failed to build team feed:', error);
+    res.status(500).type('text/plain').send('Calendar unavailable');
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,27 @@
 /**
- * Railway Cron: rotation notification trigger.
+ * Railway Cron: rotation notification trigger, bug escalation check and pending override sweep.
  *
  * Contract (see specs/004-notification-updates/contracts/railway-cron.md):
  * - Mounted at /jobs → full path POST /jobs/railway/notify-rotation (must match RAILWAY_CRON_TARGET in railway.json).
+ * - POST /jobs/railway/escalate advances due bug escalations; schedule it every few minutes.
+ * - POST /jobs/railway/override-approvals sweeps pending override requests: expires those whose
+ *   coverage has started, sends those a discipline lead has not answered in time to the admin
+ *   channel, and sends reminders; schedule it every few minutes.
+ * - POST /jobs/railway/after-hours announces the after-hours shift when it starts; schedule it hourly.
  * - Auth: X-Railway-Cron-Signature header must equal RAILWAY_CRON_SECRET (required in production).
  * - Request body: optional { trigger_id?, scheduled_at?, environment? }.
- * - Success: 202 with { status: 'accepted', result, notifications_sent?, snapshot_id?, nextDelivery? }.
+ * - Success: 202 with { status: 'accepted', result, notifications_sent?, snapshot_id?, nextDelivery? }
+ *   (escalate: { status: 'accepted', enabled, checked, escalated };
+ *   override-approvals: { status: 'accepted', enabled, expired, escalated, reminded };
+ *   after-hours: { status: 'accepted', enabled, announced, slackId? }).
  * - Errors: 401 invalid/missing signature, 500 handler throw.
  */
 const express = require('express');
 const router = express.Router();
 const { handleRailwayNotification } = require('../jobs/railwayNotifyRotation');
+const { runEscalationCheck } = require('../services/escalation');
+const { runPendingOverrideSweep } = require('../services/overrideApproval');
+const { runAfterHoursCheck } = require('../services/afterHoursRotation');
 const { railwayCronSecret } = require('../config');
 
 function safeJson(value) {
@@ -41,6 +52,26 @@ function logRailway(level, message, meta = {}) {
   console.log(output);
 }
 
+/**
+ * Sends 401 and returns true when the request is not signed with the cron secret.
+ */
+function rejectUnsigned(req, res, triggerId, startedAtMs) {
+  if (!railwayCronSecret) return false;
+  const signature = req.get('X-Railway-Cron-Signature');
+  if (signature && signature === railwayCronSecret) return false;
+
+  logRailway('warn', 'railway cron unauthorized', {
+    trigger_id: triggerId,
+    path: req.path,
+    elapsed_ms: Date.now() - startedAtMs,
+  });
+  res.status(401).json({
+    status: 'unauthorized',
+    message: 'Invalid Railway cron signature',
+  });
+  return true;
+}
+
 // Ensure JSON bodies are parsed for Railway webhook requests.
 router.use(express.json());
 
@@ -53,19 +84,7 @@ router.post('/railway/notify-rotation', async (req, res) => {
     method: req.method,
   });
   try {
-    if (railwayCronSecret) {
-      const signature = req.get('X-Railway-Cron-Signature');
-      if (!signature || signature !== railwayCronSecret) {
-        logRailway('warn', 'railway cron unauthorized', {
-          trigger_id: triggerId,
-          elapsed_ms: Date.now() - startedAtMs,
-        });
-        return res.status(401).json({
-          status: 'unauthorized',
-          message: 'Invalid Railway cron signature',
-        });
-      }
-    }
+    if (rejectUnsigned(req, res, triggerId, startedAtMs)) return;
 
     logRailway('info', 'railway cron executing notification job', {
       trigger_id: triggerId,
@@ -93,5 +112,92 @@ router.post('/railway/notify-rotation', async (req, res) => {
   }
 });
 
+router.post('/railway/escalate', async (req, res) => {
+  const startedAtMs = Date.now();
+  const triggerId = req.body?.trigger_id || `route-${startedAtMs}`;
+  try {
+    if (rejectUnsigned(req, res, triggerId, startedAtMs)) return;
+
+    const result = await runEscalationCheck();
+    logRailway('info', 'railway escalation check completed', {
+      trigger_id: triggerId,
+      elapsed_ms: Date.now() - startedAtMs,
+      result: safeJson(result),
+    });
+    res.status(202).json({
+      status: 'accepted',
+      ...result,
+    });
+  } catch (error) {
+    logRailway('error', 'railway escalation check failed', {
+      trigger_id: triggerId,
+      elapsed_ms: Date.now() - startedAtMs,
+      error: error instanceof Error ? error.message : String(error),
+    });
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+    });
+  }
+});
+
+router.post('/railway/override-approvals', async (req, res) => {
+  const startedAtMs = Date.now();
+  const triggerId = req.body?.trigger_id || `route-${startedAtMs}`;
+  try {
+    if (rejectUnsigned(req, res, triggerId, startedAtMs)) return;
+
+    const result = await runPendingOverrideSweep();
+    logRailway('info', 'railway pending override sweep completed', {
+      trigger_id: triggerId,
+      elapsed_ms: Date.now() - startedAtMs,
+      result: safeJson(result),
+    });
+    res.status(202).json({
+      status: 'accepted',
+      ...result,
+    });
+  } catch (error) {
+    logRailway('error', 'railway pending override sweep failed', {
+      trigger_id: triggerId,
+      elapsed_ms: Date.now() - startedAtMs,
+      error: error instanceof Error ? error.message : String(error),
+    });
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+    });
+  }
+});
+
+router.post('/railway/after-hours', async (req, res) => {
+  const startedAtMs = Date.now();
+  const triggerId = req.body?.trigger_id || `route-${startedAtMs}`;
+  try {
+    if (rejectUnsigned(req, res, triggerId, startedAtMs)) return;
+
+    const result = await runAfterHoursCheck();
+    logRailway('info', 'railway after-hours check completed', {
+      trigger_id: triggerId,
+      elapsed_ms: Date.now() - startedAtMs,
+      result: safeJson(result),
+    });
+    res.status(202).json({
+      status: 'accepted',
+      ...result,
+    });
+  } catch (error) {
+    logRailway('error', 'railway after-hours check failed', {
+      trigger_id: triggerId,
+      elapsed_ms: Date.now() - startedAtMs,
+      error: error instanceof Error ? error.message : String(error),
+    });
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+    });
+  }
+});
+
 module.exports = router;
 
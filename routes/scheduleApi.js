@@ -0,0 +1,107 @@
+/**
+ * Read-only schedule API for internal tools.
+ *
+ * - Mounted at /api/schedule. Every request needs `Authorization: Bearer <token>` with a token
+ *   from Admin Hub → API tokens (database only; 503 in JSON mode).
+ * - GET /sprints[?upcoming=true]            → { sprints: [{ index, name, startDate, endDate }] }
+ * - GET /sprints/:index/assignments         → { sprint, assignments: [{ role, roleLabel, slackId, name }] }
+ * - GET /assignments?date=YYYY-MM-DD        → same shape, for the sprint covering the date (default today)
+ * - GET /on-call                            → same shape, for the sprint on call now
+ * - Errors: 401 missing/invalid token, 400 bad input, 404 no sprint, 500 handler throw.
+ */
+const express = require('express');
+const router = express.Router();
+const { getTodayPT } = require('../dataUtils');
+const { isApiTokensEnabled, verifyApiToken, readBearerToken } = require('../services/apiTokens');
+const {
+  listSprints,
+  getAssignmentsForSprint,
+  getAssignmentsForDate,
+  getCurrentOnCall
+} = require('../services/schedule');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+router.use(async (req, res, next) => {
+  if (!isApiTokensEnabled()) {
+    res.status(503).json({ status: 'unavailable', message: 'The schedule API requires the database' });
+    return;
+  }
+  try {
+    const record = await verifyApiToken(readBearerToken(req.get('Authorization')));
+    if (!record) {
+      res.set('WWW-Authenticate', 'Bearer');
+      res.status(401).json({ status: 'unauthorized', message: 'Missing or invalid API token' });
+      return;
+    }
+    req.apiToken = record;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/sprints', async (req, res, next) => {
+  try {
+    res.json({ sprints: await listSprints({ upcoming: req.query.upcoming === 'true' }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/sprints/:index/assignments', async (req, res, next) => {
+  try {
+    const index = Number.parseInt(req.params.index, 10);
+    if (!Number.isFinite(index)) {
+      res.status(400).json({ status: 'error', message: 'Sprint index must be a number' });
+      return;
+    }
+    const result = await getAssignmentsForSprint(index);
+    if (!result) {
+      res.status(404).json({ status: 'not_found', message: `No sprint with index ${index}` });
+      return;
+    }
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/assignments', async (req, res, next) => {
+  try {
+    const date = req.query.date ? String(req.query.date) : getTodayPT().format('YYYY-MM-DD');
+    if (!DATE_PATTERN.test(date)) {
+      res.status(400).json({ status: 'error', message: 'date must be YYYY-MM-DD' });
+      return;
+    }
+    const result = await getAssignmentsForDate(date);
+    if (!result) {
+      res.status(404).json({ status: 'not_found', message: `No sprint covers ${date}` });
+      return;
+    }
+    res.json({ date, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/on-call', async (req, res, next) => {
+  try {
+    const result = await getCurrentOnCall();
+    if (!result) {
+      res.status(404).json({ status: 'not_found', message: 'No sprint is on call' });
+      return;
+    }
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// eslint-disable-next-line no-unused-vars
+router.use((error, req, res, next) => {
+  console.error('[scheduleApi] Request failed:', error);
+  res.status(500).json({ status: 'error', message: 'Schedule unavailable' });
+});
+
+module.exports = router;
@@ -7,10 +7,14 @@ const { getEnvironmentCommand } = require('./commandUtils');
 const { 
   readSprints, 
   getSprintUsers,
+  getSprintBackups,
   parsePTDate,
   formatPTDate,
   getTodayPT
 } = require('./dataUtils');
+const { getRoles } = require('./services/roles');
+const { getTeamTimezone } = require('./services/teamTimezone');
+const { loadAfterHoursShiftsOnDate } = require('./services/afterHoursRotation');
 const dayjs = require('dayjs');
 const timezone = require('dayjs/plugin/timezone');
 
@@ -21,7 +25,7 @@ dayjs.extend(timezone);
  */
 async function findSprintForDate(targetDate) {
   const sprints = await readSprints();
-  const datePT = dayjs.tz(targetDate, "America/Los_Angeles");
+  const datePT = dayjs.tz(targetDate, getTeamTimezone());
   
   for (let i = 0; i < sprints.length; i++) {
     const { sprintName, startDate, endDate } = sprints[i];
@@ -72,8 +76,10 @@ async function getUserNames(client, userIds) {
 
 /**
  * Build the schedule display modal
+ * @param {Object} backupNames - Optional role -> { slackId, name } for each role's backup
+ * @param {Array} afterHoursShifts - Optional after-hours shifts overlapping the date (loadAfterHoursShiftsOnDate)
  */
-function buildScheduleModal(date, sprint, userNames) {
+function buildScheduleModal(date, sprint, userNames, backupNames = {}, afterHoursShifts = []) {
   const formattedDate = formatPTDate(date, 'dddd, MMMM DD, YYYY');
   
   const blocks = [
@@ -91,23 +97,17 @@ function buildScheduleModal(date, sprint, userNames) {
     { type: "divider" }
   ];
 
-  // Add each discipline with assigned user
-  const disciplines = {
-    account: "Account",
-    producer: "Producer", 
-    po: "Product Owner",
-    uiEng: "UI Engineering",
-    beEng: "Backend Engineering"
-  };
-
-  for (const [role, displayName] of Object.entries(disciplines)) {
+  // Add each enabled role (in sort order) with assigned user
+  for (const { key: role, label: displayName } of getRoles()) {
     const user = userNames[role];
+    const backup = backupNames[role];
     if (user) {
+      const backupLine = backup ? `\nBackup: <@${backup.slackId}> (${backup.name})` : '';
       blocks.push({
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `*${displayName}:*\n<@${user.slackId}> (${user.name})`
+          text: `*${displayName}:*\n<@${user.slackId}> (${user.name})${backupLine}`
         }
       });
     } else {
@@ -121,6 +121,17 @@ function buildScheduleModal(date, sprint, userNames) {
     }
   }
 
+  if (afterHoursShifts.length > 0) {
+    const lines = afterHoursShifts.map(s => `${s.slackId ? `<@${s.slackId}>` : 'Nobody available'} · ${s.range}`);
+    blocks.push(
+      { type: "divider" },
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: `*After hours:*\n${lines.join('\n')}` }
+      }
+    );
+  }
+
   return {
     type: "modal",
     title: { type: "plain_text", text: "Triage Schedule" },
@@ -182,7 +193,7 @@ slackApp.view('schedule_date_modal', async ({ ack, body, view, client, logger })
     
     // Validate date
     const today = getTodayPT();
-    const targetDate = dayjs.tz(selectedDate, "America/Los_Angeles");
+    const targetDate = dayjs.tz(selectedDate, getTeamTimezone());
     
     if (targetDate.isBefore(today, 'day')) {
       await ack();
@@ -230,9 +241,26 @@ slackApp.view('schedule_date_modal', async ({ ack, body, view, client, logger })
     
     // Get user names from Slack IDs
     const userNames = await getUserNames(client, assignments);
+
+    // Backups are next in line for each role; leave them out rather than fail the lookup
+    let backupNames = {};
+    try {
+      const backups = await getSprintBackups(sprint.index, assignments);
+      backupNames = await getUserNames(client, backups);
+    } catch (error) {
+      logger.warn("Could not resolve backups for schedule:", error);
+    }
+
+    // After-hours shifts are shown when that rotation is on; leave them out rather than fail the lookup
+    let afterHoursShifts = [];
+    try {
+      afterHoursShifts = await loadAfterHoursShiftsOnDate(selectedDate);
+    } catch (error) {
+      logger.warn("Could not load after-hours shifts for schedule:", error);
+    }
     
     // Build and display the schedule modal by updating the pushed view via external_id
-    const scheduleModal = buildScheduleModal(selectedDate, sprint, userNames);
+    const scheduleModal = buildScheduleModal(selectedDate, sprint, userNames, backupNames, afterHoursShifts);
 
     await client.views.update({
       external_id: externalId,
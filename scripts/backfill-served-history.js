@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/* Reconstruct served_assignments for past sprints from audit_logs (current_state writes) and
+ * notification_snapshots. Sprints that already have history are left alone, so it is safe to re-run.
+ *
+ * audit_logs.changed_at has no time zone; it is read as UTC (the database default on Railway).
+ *
+ * Usage: node scripts/backfill-served-history.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { closePool } = require('../db/connection');
+const { readSprints, readHolidays, resolveCurrentSprintForNow } = require('../dataUtils');
+const { loadRoles, getRoleKeys } = require('../services/roles');
+const { reconstructStints, sprintEndHandoff } = require('../services/servedHistory');
+const servedAssignments = require('../repositories/servedAssignments');
+const { getAllSnapshotsAscending } = require('../repositories/notificationSnapshots');
+
+function asUtc(value) {
+  if (value instanceof Date) {
+    return new Date(Date.UTC(
+      value.getFullYear(), value.getMonth(), value.getDate(),
+      value.getHours(), value.getMinutes(), value.getSeconds(), value.getMilliseconds()
+    ));
+  }
+  return new Date(`${String(value).replace(' ', 'T')}Z`);
+}
+
+function pickRoles(source, roleKeys) {
+  const roles = {};
+  for (const key of roleKeys) {
+    if (source && Object.prototype.hasOwnProperty.call(source, key)) roles[key] = source[key] || null;
+  }
+  return roles;
+}
+
+(async () => {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  let exitCode = 0;
+  try {
+    await loadRoles();
+    const roleKeys = getRoleKeys();
+    const [sprints, holidays, audits, snapshots, existing] = await Promise.all([
+      readSprints(),
+      readHolidays(),
+      servedAssignments.listCurrentStateAudits(),
+      getAllSnapshotsAscending(),
+      servedAssignments.getSprintIndexesWithHistory()
+    ]);
+
+    const observations = [];
+    for (const audit of audits) {
+      const state = typeof audit.state === 'string' ? JSON.parse(audit.state) : audit.state;
+      const sprintIndex = Number(state?.sprintIndex ?? state?.sprint_index);
+      if (!Number.isFinite(sprintIndex)) continue;
+      observations.push({ at: asUtc(audit.at), sprintIndex, roles: pickRoles(state, roleKeys), source: 'backfill_audit' });
+    }
+    for (const snapshot of snapshots) {
+      const sprint = resolveCurrentSprintForNow(sprints, snapshot.capturedAt, holidays);
+      if (!sprint) continue;
+      observations.push({
+        at: new Date(snapshot.capturedAt),
+        sprintIndex: Number(sprint.index),
+        roles: pickRoles(snapshot.disciplineAssignments, roleKeys),
+        source: 'backfill_snapshot'
+      });
+    }
+
+    const sprintEnds = {};
+    sprints.forEach((sprint, i) => {
+      const index = Number(sprint.sprintIndex ?? sprint.index ?? i);
+      if (sprint.endDate) sprintEnds[index] = sprintEndHandoff(sprint, holidays);
+    });
+
+    const stints = reconstructStints(observations, { sprintEnds }).filter(s => !existing.has(s.sprintIndex));
+    for (const s of stints) {
+      const end = s.endedAt ? s.endedAt.toISOString() : 'open';
+      console.log(`[backfill-served-history] Sprint ${s.sprintIndex} ${s.role} ${s.slackId} ${s.startedAt.toISOString()} -> ${end} (${s.source})`);
+    }
+    console.log(`[backfill-served-history] ${observations.length} observation(s), ${stints.length} stint(s) to add; ${existing.size} sprint(s) already have history`);
+
+    if (dryRun) {
+      console.log('[backfill-served-history] Dry run; nothing written');
+    } else {
+      const inserted = await servedAssignments.insertServedStints(stints);
+      console.log(`[backfill-served-history] Inserted ${inserted} stint(s)`);
+    }
+  } catch (error) {
+    console.error('[backfill-served-history] Failed:', error.message);
+    exitCode = 1;
+  }
+  await closePool().catch(() => {});
+  process.exit(exitCode);
+})();
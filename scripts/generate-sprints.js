@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/* Preview (default) or create the sprints the saved cadence needs to keep its runway.
+ *
+ * Usage: node scripts/generate-sprints.js [--commit]
+ */
+
+require('dotenv').config();
+const { closePool } = require('../db/connection');
+const { previewGeneratedSprints, commitGeneratedSprints } = require('../dataUtils');
+
+(async () => {
+  const commit = process.argv.slice(2).includes('--commit');
+
+  let exitCode = 0;
+  try {
+    const preview = await previewGeneratedSprints();
+    for (const s of preview.sprints) {
+      console.log(`[generate-sprints] ${s.sprintIndex} ${s.sprintName} ${s.startDate} -> ${s.endDate}`);
+    }
+    for (const conflict of preview.conflicts) {
+      console.error(`[generate-sprints] Conflict: ${conflict}`);
+    }
+    console.log(`[generate-sprints] ${preview.sprints.length} sprint(s) needed for runway through ${preview.runwayUntil}`);
+
+    if (preview.conflicts.length > 0) {
+      exitCode = 1;
+    } else if (commit && preview.sprints.length > 0) {
+      const result = await commitGeneratedSprints({ cadence: preview.cadence }, 'generate-sprints');
+      if (!result.ok) throw new Error(result.error || `Only ${result.created} sprint(s) created`);
+      console.log(`[generate-sprints] Created ${result.created} sprint(s)`);
+    } else if (!commit) {
+      console.log('[generate-sprints] Preview only; re-run with --commit to create them');
+    }
+  } catch (error) {
+    console.error('[generate-sprints] Failed:', error.message);
+    exitCode = 1;
+  }
+  await closePool().catch(() => {});
+  process.exit(exitCode);
+})();
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/* Import holidays from an iCalendar (.ics) file. Existing dates get the new name and action.
+ *
+ * Usage: node scripts/import-holidays.js <file.ics> [--action=defer|shift] [--dry-run]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { closePool } = require('../db/connection');
+const { saveHolidays } = require('../dataUtils');
+const { HOLIDAY_ACTIONS, DEFAULT_HOLIDAY_ACTION, isHolidayAction, parseIcsHolidays } = require('../services/holidays');
+
+function parseArgs(argv) {
+  const flags = argv.filter(a => a.startsWith('--'));
+  const [file] = argv.filter(a => !a.startsWith('--'));
+  const actionFlag = flags.find(f => f.startsWith('--action='));
+  return {
+    file,
+    action: actionFlag ? actionFlag.slice('--action='.length) : DEFAULT_HOLIDAY_ACTION,
+    dryRun: flags.includes('--dry-run')
+  };
+}
+
+(async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file || !isHolidayAction(args.action)) {
+    console.error(`Usage: node scripts/import-holidays.js <file.ics> [--action=${HOLIDAY_ACTIONS.join('|')}] [--dry-run]`);
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+  try {
+    const { holidays, skipped } = parseIcsHolidays(fs.readFileSync(args.file, 'utf8'), args.action);
+    for (const h of holidays) {
+      console.log(`[import-holidays] ${h.date} ${h.name} (${h.action})`);
+    }
+    console.log(`[import-holidays] ${holidays.length} holiday(s) parsed, ${skipped} event(s) skipped`);
+
+    if (!args.dryRun && holidays.length > 0) {
+      const result = await saveHolidays(holidays, 'import-holidays');
+      if (!result.ok) throw new Error(result.error);
+      console.log(`[import-holidays] Saved ${result.saved} holiday(s)`);
+    }
+  } catch (error) {
+    console.error('[import-holidays] Failed:', error.message);
+    exitCode = 1;
+  }
+  await closePool().catch(() => {});
+  process.exit(exitCode);
+})();
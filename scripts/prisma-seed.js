@@ -1,11 +1,12 @@
 #!/usr/bin/env node
-/* Seed environment-specific disciplines using Prisma */
+/* Seed environment-specific roles (discipline rows) using Prisma */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const prisma = require('../lib/prisma-client');
+const { DEFAULT_ROLES } = require('../services/roles');
 
 function loadDisciplinesData(appEnv) {
   // Prefer explicit staging file; default to disciplines.json for production if available
@@ -62,29 +63,17 @@ async function upsertDisciplines(appEnv, data) {
     throw e;
   }
 
-  for (const role of roles) {
-    const entries = Array.isArray(data[role]) ? data[role] : [];
-
-    for (const entry of entries) {
-      const name = entry.name || entry.discipline || role;
-      // Upsert by (name, env) logical key
-      await prisma.discipline.upsert({
-        where: {
-          // Composite unique assumed: name_env or fallback to cuid if schema differs
-          // If your schema uses a different unique constraint, adjust accordingly
-          name_env: { name, env: appEnv },
-        },
-        update: {
-          name,
-          env: appEnv,
-        },
-        create: {
-          name,
-          env: appEnv,
-        },
-      });
-      count += 1;
-    }
+  // One row per role key; the people listed under each key live in the users table.
+  for (const [index, role] of roles.entries()) {
+    const known = DEFAULT_ROLES.find(r => r.key === role);
+    const label = known ? known.label : role;
+    const sortOrder = known ? known.sortOrder : 100 + index;
+    await prisma.discipline.upsert({
+      where: { name_env: { name: role, env: appEnv } },
+      update: { label, sortOrder },
+      create: { name: role, env: appEnv, label, sortOrder },
+    });
+    count += 1;
   }
   return count;
 }
@@ -112,7 +101,7 @@ function isForceSeed() {
 
     const data = loadDisciplinesData(appEnv);
     const count = await upsertDisciplines(appEnv, data);
-    console.log(`[seed] Upserted ${count} disciplines for env=${appEnv}`);
+    console.log(`[seed] Upserted ${count} roles for env=${appEnv}`);
     process.exit(0);
   } catch (err) {
     console.error('[seed] Failed:', err.message);
@@ -12,6 +12,8 @@ const isolatedSuites = new Set([
   'tests/unit/a02-triageLogic.overrides.test.js',
   'tests/unit/a03-dataUtils.readOverrides.test.js',
   'tests/unit/a04-triageLogic.scheduler.test.js',
+  'tests/unit/a05-teamTimezone.cutover.test.js',
+  'tests/unit/a06-holidays.cutover.test.js',
 ]);
 
 function walk(dir) {
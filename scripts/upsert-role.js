@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/* Add or update a rotation role (discipline) for the current APP_ENV.
+ *
+ * Usage: node scripts/upsert-role.js <key> [label] [sortOrder] [--disable|--enable] [--lead=<slackId>[,<slackId>...]|--no-lead]
+ *
+ * --lead replaces the role's leads with the listed Slack IDs; --no-lead clears them.
+ */
+
+require('dotenv').config();
+const config = require('../config');
+const prisma = require('../lib/prisma-client');
+const { upsertDisciplineForCurrentEnv } = require('../repositories/disciplines');
+
+function parseArgs(argv) {
+  const flags = argv.filter(a => a.startsWith('--'));
+  const [key, label, sortOrder] = argv.filter(a => !a.startsWith('--'));
+  let enabled;
+  if (flags.includes('--disable')) enabled = false;
+  if (flags.includes('--enable')) enabled = true;
+  let leadSlackIds;
+  const leadFlag = flags.find(f => f.startsWith('--lead='));
+  if (leadFlag) leadSlackIds = leadFlag.slice('--lead='.length).split(',').map(id => id.trim()).filter(Boolean);
+  if (flags.includes('--no-lead')) leadSlackIds = [];
+  return {
+    key,
+    label,
+    sortOrder: sortOrder !== undefined ? Number.parseInt(sortOrder, 10) : undefined,
+    enabled,
+    leadSlackIds
+  };
+}
+
+(async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.key || (args.sortOrder !== undefined && !Number.isFinite(args.sortOrder))) {
+    console.error('Usage: node scripts/upsert-role.js <key> [label] [sortOrder] [--disable|--enable] [--lead=<slackId>[,<slackId>...]|--no-lead]');
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+  try {
+    const row = await upsertDisciplineForCurrentEnv(args);
+    console.log(`[upsert-role] env=${config.env} ${row.name}: label="${row.label}" sortOrder=${row.sortOrder} enabled=${row.enabled} leads=${(Array.isArray(row.leadSlackIds) ? row.leadSlackIds : []).join(',') || '-'}`);
+  } catch (error) {
+    console.error('[upsert-role] Failed:', error.message);
+    exitCode = 1;
+  }
+  await prisma.$disconnect().catch(() => {});
+  process.exit(exitCode);
+})();
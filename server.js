@@ -41,6 +41,18 @@ require('./botMentionHandler');
 // require Schedule Command Handler for date-based queries
 require('./scheduleCommandHandler');
 
+// require Time Off Handler (App Home "My Time Off")
+require('./timeOffHandler');
+
+// require Escalation Handler (bug posts in the triage channel)
+require('./escalationHandler');
+
+// require Calendar Feed Handler (App Home "Subscribe in calendar")
+require('./calendarFeedHandler');
+
+// require Coverage Credit Handler (App Home "Skip my next turn")
+require('./coverageCreditHandler');
+
 // Import our Slack Bolt app, its receiver, and receiver mode
 const { slackApp, receiver, receiverMode } = require('./appHome');
 
@@ -49,6 +61,8 @@ const { testConnection, getHealthStatus } = require('./db/connection');
 const { runMigrations } = require('./db/migrate');
 const { setupDatabase } = require('./setup-database');
 const railwayCronRouter = require('./routes/railwayCron');
+const calendarFeedRouter = require('./routes/calendarFeed');
+const scheduleApiRouter = require('./routes/scheduleApi');
 
 const app = express();
 
@@ -83,6 +97,8 @@ app.use((req, res, next) => {
 // Mount test routes on the same Express app that the Slack receiver uses
 app.use('/test', testRoutes);
 app.use('/jobs', railwayCronRouter);
+app.use('/calendar', calendarFeedRouter);
+app.use('/api/schedule', scheduleApiRouter);
 
 // Health check route with database status
 app.get('/', async (req, res) => {
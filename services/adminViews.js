@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
 
 const { UsersRepository } = require('../db/repository');
 const {
@@ -8,19 +11,39 @@ const {
   readCurrentState,
   findCurrentSprint,
   findNextSprint,
+  formatSprintRangePT,
+  formatPTDate,
+  getTodayPT,
+  readUnavailability,
+  readHolidays,
+  readAfterHoursRotation,
+  readShadowAssignments,
   loadJSON
 } = require('../dataUtils');
+const { previewRosterChange } = require('./rotationPreview');
+const { findCoverageGaps } = require('./coverageGaps');
+const { upcomingHolidays, findHoliday, getCutoverDate } = require('./holidays');
+const { digestSprints } = require('./sprintCadence');
+const { isApiTokensEnabled, listApiTokens } = require('./apiTokens');
+const { getTeamTimezone } = require('./teamTimezone');
+const { loadFairnessReport } = require('./fairnessReport');
+const { isServedHistoryEnabled } = require('./servedHistory');
+const { DAY_NAMES } = require('./afterHours');
+const { loadUpcomingAfterHoursShifts } = require('./afterHoursRotation');
 
 const { warnIfNonSlackMarkdown } = require('./slackMrkdwn');
+const { loadRoles, getRoles, getRoleKeys, getRoleLabel, getRoleLeads } = require('./roles');
 const config = require('../config');
 
-const DISCIPLINE_OPTIONS = [
-  { label: 'Account', value: 'account' },
-  { label: 'Producer', value: 'producer' },
-  { label: 'PO', value: 'po' },
-  { label: 'UI Engineer', value: 'uiEng' },
-  { label: 'BE Engineer', value: 'beEng' },
-];
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Discipline select options ({ label, value }) for the enabled roles, in sort order.
+ */
+function getDisciplineOptions() {
+  return getRoles().map(r => ({ label: r.label, value: r.key }));
+}
 
 function getDisciplinesSourceFile() {
   const isStaging = config.isStaging;
@@ -71,7 +94,8 @@ async function getDisciplineMembersIncludingInactive(discipline) {
 }
 
 async function buildAdminDisciplinesModalView({ discipline, showInactive }) {
-  const selected = discipline || 'account';
+  await loadRoles();
+  const selected = discipline || getRoleKeys()[0];
   const { active, inactive } = await getDisciplineMembersIncludingInactive(selected);
 
   warnIfNonSlackMarkdown(
@@ -79,12 +103,13 @@ async function buildAdminDisciplinesModalView({ discipline, showInactive }) {
     'adminViews.buildAdminDisciplinesModalView(intro)'
   );
 
-  const selectOptions = DISCIPLINE_OPTIONS.map(o => ({
+  const selectOptions = getDisciplineOptions().map(o => ({
     text: { type: 'plain_text', text: o.label },
     value: o.value
   }));
 
   const selectedOption = selectOptions.find(o => o.value === selected) || selectOptions[0];
+  const leads = getRoleLeads(selected);
 
   const blocks = [
     { type: 'header', text: { type: 'plain_text', text: 'Discipline Management' } },
@@ -102,6 +127,19 @@ async function buildAdminDisciplinesModalView({ discipline, showInactive }) {
         initial_option: selectedOption
       }
     },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Leads:* ${leads.length ? leads.map(id => `<@${id}>`).join(', ') : '_None_'}\nAny lead can approve this discipline's override requests before they go to the admins; all of them are the lead step of bug escalation.`
+      },
+      accessory: {
+        type: 'multi_users_select',
+        action_id: 'admin_disciplines_set_leads',
+        placeholder: { type: 'plain_text', text: 'Choose leads' },
+        ...(leads.length ? { initial_users: leads } : {})
+      }
+    },
     {
       type: 'actions',
       elements: [
@@ -112,13 +150,6 @@ async function buildAdminDisciplinesModalView({ discipline, showInactive }) {
     { type: 'section', text: { type: 'mrkdwn', text: `*Active members* (${active.length})` } },
   ];
 
-  const deactivateConfirm = buildConfirm({
-    title: 'Remove from rotations',
-    bodyText:
-      'This will deactivate the user and remove them from all rotations.\n\nThen:\n- They will not appear in any discipline rotation until reactivated.\n\nNote: This does not delete the user.',
-    confirmText: 'Remove'
-  });
-
   active.slice(0, 40).forEach(u => {
     blocks.push({
       type: 'section',
@@ -128,8 +159,7 @@ async function buildAdminDisciplinesModalView({ discipline, showInactive }) {
         text: { type: 'plain_text', text: 'Remove from rotations' },
         style: 'danger',
         action_id: 'admin_disciplines_deactivate',
-        value: JSON.stringify({ slackId: u.slackId, discipline: selected }),
-        confirm: deactivateConfirm
+        value: JSON.stringify({ slackId: u.slackId, discipline: selected })
       }
     });
   });
@@ -150,12 +180,6 @@ async function buildAdminDisciplinesModalView({ discipline, showInactive }) {
     }
   });
 
-  const reactivateConfirm = buildConfirm({
-    title: 'Reactivate user',
-    bodyText: 'This will reactivate the user and include them in rotations again.',
-    confirmText: 'Reactivate'
-  });
-
   if (showInactive) {
     inactive.slice(0, 40).forEach(u => {
       blocks.push({
@@ -166,8 +190,7 @@ async function buildAdminDisciplinesModalView({ discipline, showInactive }) {
           text: { type: 'plain_text', text: 'Reactivate' },
           style: 'primary',
           action_id: 'admin_disciplines_reactivate',
-          value: JSON.stringify({ slackId: u.slackId, discipline: selected }),
-          confirm: reactivateConfirm
+          value: JSON.stringify({ slackId: u.slackId, discipline: selected })
         }
       });
     });
@@ -195,6 +218,131 @@ async function buildAdminDisciplinesModalView({ discipline, showInactive }) {
   };
 }
 
+/**
+ * Blocks listing the upcoming sprints whose assignee changes with a roster edit.
+ * @param {{ changes: Array<Object>, inspected: number }} preview - Result of previewRosterChange
+ */
+function buildRosterPreviewBlocks(preview) {
+  const changes = preview?.changes || [];
+  const inspected = preview?.inspected || 0;
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: '*Schedule impact*' } }];
+
+  if (changes.length === 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `No assignment changes in the next ${inspected} sprint(s).` }]
+    });
+    return blocks;
+  }
+
+  const who = (slackId) => (slackId ? `<@${slackId}>` : '_Unassigned_');
+  const lines = changes.slice(0, 15).map(c =>
+    `• *${c.sprintName || `Sprint ${c.sprintIndex}`}* (${formatSprintRangePT(c.startDate, c.endDate)}): ${who(c.before)} → ${who(c.after)}`
+  );
+  blocks.push({ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } });
+  blocks.push({
+    type: 'context',
+    elements: [{
+      type: 'mrkdwn',
+      text: `${changes.length} of the next ${inspected} sprint(s) change. The current sprint and sprints with approved overrides are unaffected.`
+    }]
+  });
+  return blocks;
+}
+
+/**
+ * Add-member form for a discipline. Picking a user re-renders the form with a schedule preview.
+ */
+async function buildAdminAddMemberModalView({ parentViewId, discipline, showInactive, slackId = null }) {
+  await loadRoles();
+  const selectOptions = getDisciplineOptions().map(o => ({
+    text: { type: 'plain_text', text: o.label },
+    value: o.value
+  }));
+  const initialOption = selectOptions.find(o => o.value === discipline) || selectOptions[0];
+  const selectedDiscipline = initialOption?.value || discipline;
+
+  const blocks = [
+    {
+      type: 'input',
+      block_id: 'discipline_select',
+      dispatch_action: true,
+      label: { type: 'plain_text', text: 'Discipline' },
+      element: {
+        type: 'static_select',
+        action_id: 'discipline_select_input',
+        options: selectOptions,
+        initial_option: initialOption
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'member_slack_id',
+      dispatch_action: true,
+      label: { type: 'plain_text', text: 'Slack user' },
+      element: {
+        type: 'users_select',
+        action_id: 'member_slack_id_input',
+        ...(slackId ? { initial_user: slackId } : {})
+      }
+    }
+  ];
+
+  if (slackId) {
+    const preview = await previewRosterChange({ role: selectedDiscipline, add: [{ slackId }] });
+    blocks.push({ type: 'divider' }, ...buildRosterPreviewBlocks(preview));
+  } else {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: 'Pick a user to preview which upcoming sprints would change.' }]
+    });
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'admin_disciplines_add_member_modal',
+    title: { type: 'plain_text', text: 'Add member' },
+    submit: { type: 'plain_text', text: 'Add' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    private_metadata: JSON.stringify({ parentViewId, discipline: selectedDiscipline, showInactive: !!showInactive }),
+    blocks
+  };
+}
+
+/**
+ * Review step before removing or reactivating a member: shows the schedule impact, then commits on submit.
+ * @param {{ op: 'deactivate'|'reactivate', slackId: string, discipline: string, parentViewId: string, showInactive: boolean }} params
+ */
+async function buildAdminRosterChangeReviewModalView({ op, slackId, discipline, parentViewId, showInactive }) {
+  const isDeactivate = op === 'deactivate';
+  let preview;
+  if (isDeactivate) {
+    preview = await previewRosterChange({ role: discipline, remove: [slackId] });
+  } else {
+    const { inactive } = await getDisciplineMembersIncludingInactive(discipline);
+    const member = inactive.find(u => u.slackId === slackId);
+    preview = await previewRosterChange({ role: discipline, add: [{ slackId, name: member?.name }] });
+  }
+
+  const intro = isDeactivate
+    ? `Remove <@${slackId}> from all rotations? They stay in the system and can be reactivated later.`
+    : `Reactivate <@${slackId}> and include them in rotations again?`;
+
+  return {
+    type: 'modal',
+    callback_id: 'admin_disciplines_review_modal',
+    title: { type: 'plain_text', text: isDeactivate ? 'Remove from rotations' : 'Reactivate user' },
+    submit: { type: 'plain_text', text: isDeactivate ? 'Remove' : 'Reactivate' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    private_metadata: JSON.stringify({ op, slackId, discipline, parentViewId, showInactive: !!showInactive }),
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: intro } },
+      { type: 'divider' },
+      ...buildRosterPreviewBlocks(preview)
+    ]
+  };
+}
+
 async function buildAdminSprintsModalView({ page = 0, pageSize = 12 } = {}) {
   const raw = await readSprints();
   const all = Array.isArray(raw) ? raw : [];
@@ -255,6 +403,12 @@ async function buildAdminSprintsModalView({ page = 0, pageSize = 12 } = {}) {
           action_id: 'admin_sprints_add',
           value: JSON.stringify({ page: safePage, pageSize: safePageSize })
         },
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Generate sprints' },
+          action_id: 'admin_sprints_generate',
+          value: JSON.stringify({ page: safePage, pageSize: safePageSize })
+        },
         ...(safePage > 0
           ? [
               {
@@ -427,15 +581,14 @@ async function buildAdminUsersModalView() {
   };
 }
 
-const ROLES_ORDER = ['account', 'producer', 'po', 'uiEng', 'beEng'];
-const ROLE_LABELS = { account: 'Account', producer: 'Producer', po: 'PO', uiEng: 'UI Engineer', beEng: 'BE Engineer' };
 const UNASSIGNED_VALUE = '__none__';
 
 /**
  * Build modal for admins to change on-call participants for the current sprint.
- * One static_select per role (Account, Producer, PO, UI Engineer, BE Engineer).
+ * One static_select per enabled role, in role sort order.
  */
 async function buildAdminOnCallModalView() {
+  await loadRoles();
   const [currentState, currentSprint] = await Promise.all([
     readCurrentState(),
     findCurrentSprint()
@@ -466,7 +619,7 @@ async function buildAdminOnCallModalView() {
     elements: [{ type: 'mrkdwn', text: `Current sprint: *${sprintLabel}*` }]
   });
 
-  for (const role of ROLES_ORDER) {
+  for (const role of getRoleKeys()) {
     const { active } = await getDisciplineMembersIncludingInactive(role);
     const options = [
       { text: { type: 'plain_text', text: 'Unassigned' }, value: UNASSIGNED_VALUE }
@@ -484,7 +637,7 @@ async function buildAdminOnCallModalView() {
     blocks.push({
       type: 'section',
       block_id: `oncall_${role}`,
-      text: { type: 'mrkdwn', text: `*${ROLE_LABELS[role]}*` },
+      text: { type: 'mrkdwn', text: `*${getRoleLabel(role)}*` },
       accessory: {
         type: 'static_select',
         action_id: `oncall_${role}_select`,
@@ -504,13 +657,709 @@ async function buildAdminOnCallModalView() {
   };
 }
 
+/**
+ * Admin report: upcoming sprints where time off leaves a role with nobody eligible,
+ * plus the time off on file so admins can plan overrides.
+ */
+async function buildAdminCoverageGapsModalView() {
+  await loadRoles();
+  const [report, entries] = await Promise.all([findCoverageGaps(), readUnavailability()]);
+
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: 'Coverage gaps' } },
+    {
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `Next ${report.inspected} sprint(s). The rotation skips members whose time off covers a whole sprint; a gap means nobody in the role is left.`
+      }]
+    },
+    { type: 'divider' }
+  ];
+
+  if (report.gaps.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: 'No coverage gaps. Every role has someone available.' } });
+  } else {
+    const lines = report.gaps.slice(0, 20).map(g =>
+      `• *${g.sprintName || `Sprint ${g.sprintIndex}`}* (${formatSprintRangePT(g.startDate, g.endDate)}): *${getRoleLabel(g.role)}* has no one available`
+    );
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } });
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: 'Use /triage-override or Change on-call to assign someone for these sprints.' }]
+    });
+  }
+
+  blocks.push({ type: 'divider' });
+  blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '*Upcoming time off*' } });
+  if (!Array.isArray(entries) || entries.length === 0) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: 'No time off entered.' }] });
+  } else {
+    const lines = entries.slice(0, 25).map(e =>
+      `• <@${e.slackId}> ${formatSprintRangePT(e.startDate, e.endDate)}${e.reason ? ` (${e.reason})` : ''}`
+    );
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } });
+    if (entries.length > 25) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${entries.length - 25} more.` }] });
+    }
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'admin_coverage_gaps_modal',
+    title: { type: 'plain_text', text: 'Coverage gaps' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks
+  };
+}
+
+const HOLIDAY_ACTION_LABELS = {
+  defer: 'Defer notifications',
+  shift: 'Shift hand-off to next business day'
+};
+
+function holidayActionOptions() {
+  return Object.entries(HOLIDAY_ACTION_LABELS).map(([value, text]) => ({ text: { type: 'plain_text', text }, value }));
+}
+
+/**
+ * Admin holiday calendar: upcoming holidays with their action, and the sprint hand-offs they move.
+ */
+async function buildAdminHolidaysModalView() {
+  const [holidays, sprints] = await Promise.all([readHolidays(), readSprints()]);
+  const today = getTodayPT().format('YYYY-MM-DD');
+  const upcoming = upcomingHolidays(holidays, today);
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Defer* holds rotation notifications until the next business day. *Shift* moves a sprint hand-off that lands on the holiday to 8AM on the next business day.'
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        { type: 'button', text: { type: 'plain_text', text: 'Add holiday' }, style: 'primary', action_id: 'admin_holidays_add' },
+        { type: 'button', text: { type: 'plain_text', text: 'Import ICS' }, action_id: 'admin_holidays_import' }
+      ]
+    },
+    { type: 'divider' }
+  ];
+
+  if (upcoming.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_No upcoming holidays._' } });
+  } else {
+    for (const holiday of upcoming.slice(0, 40)) {
+      const options = [
+        ...holidayActionOptions().filter(o => o.value !== holiday.action),
+        { text: { type: 'plain_text', text: 'Remove' }, value: 'remove' }
+      ].map(o => ({ ...o, value: JSON.stringify({ id: holiday.id, op: o.value }) }));
+
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${formatPTDate(holiday.date)}* ${holiday.name}
+_${HOLIDAY_ACTION_LABELS[holiday.action] || holiday.action}_`
+        },
+        accessory: { type: 'overflow', action_id: 'admin_holidays_row', options }
+      });
+    }
+    if (upcoming.length > 40) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${upcoming.length - 40} more.` }] });
+    }
+  }
+
+  const shifted = (Array.isArray(sprints) ? sprints : [])
+    .filter(s => String(s.startDate || '') >= today && findHoliday(s.startDate, holidays, 'shift'))
+    .map(s => `• *${s.sprintName || `Sprint ${s.sprintIndex}`}* hand-off moves to ${formatPTDate(getCutoverDate(s.startDate, holidays))} at 8AM`);
+  if (shifted.length > 0) {
+    blocks.push({ type: 'divider' });
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Shifted hand-offs*\n${shifted.join('\n')}` } });
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'admin_holidays_modal',
+    title: { type: 'plain_text', text: 'Holidays' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks
+  };
+}
+
+function buildHolidayActionInput() {
+  const options = holidayActionOptions();
+  return {
+    type: 'input',
+    block_id: 'holiday_action',
+    element: { type: 'radio_buttons', action_id: 'holiday_action_input', options, initial_option: options[0] },
+    label: { type: 'plain_text', text: 'On this day' }
+  };
+}
+
+function buildAdminAddHolidayModalView({ parentViewId }) {
+  return {
+    type: 'modal',
+    callback_id: 'admin_holidays_add_modal',
+    private_metadata: JSON.stringify({ parentViewId }),
+    title: { type: 'plain_text', text: 'Add holiday' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'holiday_date',
+        element: { type: 'datepicker', action_id: 'holiday_date_input', placeholder: { type: 'plain_text', text: 'Holiday' } },
+        label: { type: 'plain_text', text: 'Date' }
+      },
+      {
+        type: 'input',
+        block_id: 'holiday_name',
+        element: { type: 'plain_text_input', action_id: 'holiday_name_input', max_length: 200, placeholder: { type: 'plain_text', text: 'e.g. Thanksgiving' } },
+        label: { type: 'plain_text', text: 'Name' }
+      },
+      buildHolidayActionInput()
+    ]
+  };
+}
+
+function buildAdminImportHolidaysModalView({ parentViewId }) {
+  return {
+    type: 'modal',
+    callback_id: 'admin_holidays_import_modal',
+    private_metadata: JSON.stringify({ parentViewId }),
+    title: { type: 'plain_text', text: 'Import holidays' },
+    submit: { type: 'plain_text', text: 'Import' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'holiday_ics',
+        element: { type: 'plain_text_input', action_id: 'holiday_ics_input', multiline: true, max_length: 3000 },
+        label: { type: 'plain_text', text: 'ICS contents' },
+        hint: { type: 'plain_text', text: 'Paste the .ics file. Each event becomes a holiday; existing dates are updated. For large calendars use scripts/import-holidays.js.' }
+      },
+      buildHolidayActionInput()
+    ]
+  };
+}
+
+/**
+ * Cadence form; submitting it shows the generated sprints for review before anything is saved.
+ */
+function buildAdminSprintCadenceModalView({ cadence, parentViewId, page = 0, pageSize = 12 }) {
+  const textInput = (blockId, label, value, hint, extra = {}) => ({
+    type: 'input',
+    block_id: blockId,
+    element: { type: 'plain_text_input', action_id: `${blockId}_input`, initial_value: String(value ?? ''), ...extra },
+    label: { type: 'plain_text', text: label },
+    hint: { type: 'plain_text', text: hint }
+  });
+
+  return {
+    type: 'modal',
+    callback_id: 'admin_sprints_cadence_modal',
+    private_metadata: JSON.stringify({ parentViewId, page, pageSize }),
+    title: { type: 'plain_text', text: 'Sprint cadence' },
+    submit: { type: 'plain_text', text: 'Preview' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: 'Sprints are generated after the latest existing sprint. Nothing is saved until you confirm the preview.' }]
+      },
+      {
+        type: 'input',
+        block_id: 'cadence_anchor',
+        optional: true,
+        element: {
+          type: 'datepicker',
+          action_id: 'cadence_anchor_input',
+          ...(cadence.anchorDate ? { initial_date: cadence.anchorDate } : {}),
+          placeholder: { type: 'plain_text', text: 'Latest sprint start' }
+        },
+        label: { type: 'plain_text', text: 'Anchor date' },
+        hint: { type: 'plain_text', text: 'Any sprint start on the grid. Leave empty to continue from the latest sprint.' }
+      },
+      textInput('cadence_length', 'Length (days)', cadence.lengthDays, 'Between 7 and 56.', { max_length: 2 }),
+      textInput('cadence_name', 'Name pattern', cadence.namePattern, '{n} is the sprint number in the fiscal year, {fy} the two-digit fiscal year, {fyyyy} the four-digit one.', { max_length: 40 }),
+      textInput('cadence_fiscal_start', 'Fiscal year start (MM-DD)', cadence.fiscalYearStart, 'Numbering restarts here. The fiscal year is named for the year it ends in.', { max_length: 5 }),
+      textInput('cadence_runway', 'Runway (months)', cadence.runwayMonths, 'Keep sprints defined at least this far ahead.', { max_length: 2 })
+    ]
+  };
+}
+
+/**
+ * Generated sprints for review. Submitting creates them (adminCommands re-checks the calendar first).
+ */
+function buildAdminSprintPreviewModalView({ preview, parentViewId, page = 0, pageSize = 12, notice = null }) {
+  const { cadence, sprints, runwayUntil, conflicts } = preview;
+  const canCreate = sprints.length > 0 && conflicts.length === 0;
+
+  const blocks = [];
+  if (notice) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `:warning: ${notice}` } });
+  }
+  blocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `*Runway:* through ${runwayUntil}  •  *Length:* ${cadence.lengthDays} days  •  *Pattern:* ${cadence.namePattern}` }]
+  });
+
+  if (sprints.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `_Existing sprints already cover the runway through ${runwayUntil}. Nothing to generate._` } });
+  } else {
+    // Sections hold up to 3000 characters; 20 short lines stay well under that.
+    for (let i = 0; i < sprints.length; i += 20) {
+      const lines = sprints.slice(i, i + 20)
+        .map(s => `• *${s.sprintName}*  ${s.startDate} → ${s.endDate}  _(index ${s.sprintIndex})_`);
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } });
+    }
+  }
+
+  if (conflicts.length > 0) {
+    blocks.push({ type: 'divider' });
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Conflicts with existing sprints* (nothing can be created):\n${conflicts.slice(0, 10).map(c => `• ${c}`).join('\n')}` +
+          (conflicts.length > 10 ? `\n_…and ${conflicts.length - 10} more_` : '')
+      }
+    });
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'admin_sprints_preview_modal',
+    private_metadata: JSON.stringify({ parentViewId, page, pageSize, cadence, digest: digestSprints(sprints) }),
+    title: { type: 'plain_text', text: 'Preview sprints' },
+    ...(canCreate ? { submit: { type: 'plain_text', text: `Create ${sprints.length} sprint${sprints.length === 1 ? '' : 's'}` } } : {}),
+    close: { type: 'plain_text', text: 'Back' },
+    blocks
+  };
+}
+
+function formatTokenTime(value) {
+  return value ? formatPTDate(dayjs(value).tz(getTeamTimezone()).format('YYYY-MM-DD')) : 'never';
+}
+
+/**
+ * Active API tokens for the schedule API and team calendar feed, with create/revoke controls.
+ */
+async function buildAdminApiTokensModalView() {
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'Tokens give read-only access to the schedule API (`/api/schedule`) and the team calendar feed. A token is shown once when created; revoke any that are no longer used.'
+      }
+    }
+  ];
+
+  if (!isApiTokensEnabled()) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_API tokens require the database._' } });
+  } else {
+    blocks.push(
+      {
+        type: 'actions',
+        elements: [{ type: 'button', text: { type: 'plain_text', text: 'Create token' }, style: 'primary', action_id: 'admin_api_tokens_create' }]
+      },
+      { type: 'divider' }
+    );
+
+    const tokens = await listApiTokens();
+    if (tokens.length === 0) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_No active tokens._' } });
+    }
+    for (const token of tokens.slice(0, 40)) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${token.name}*  \`${token.tokenPrefix}…\`\nCreated ${formatTokenTime(token.createdAt)}${token.createdBy ? ` by <@${token.createdBy}>` : ''}  •  Last used ${formatTokenTime(token.lastUsedAt)}`
+        },
+        accessory: {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Revoke' },
+          style: 'danger',
+          action_id: 'admin_api_tokens_revoke',
+          value: String(token.id),
+          confirm: buildConfirm({
+            title: 'Revoke token?',
+            bodyText: `Anything using "${token.name}" will lose access immediately.`,
+            confirmText: 'Revoke'
+          })
+        }
+      });
+    }
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'admin_api_tokens_modal',
+    title: { type: 'plain_text', text: 'API tokens' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks
+  };
+}
+
+function buildAdminCreateApiTokenModalView({ parentViewId }) {
+  return {
+    type: 'modal',
+    callback_id: 'admin_api_tokens_create_modal',
+    private_metadata: JSON.stringify({ parentViewId }),
+    title: { type: 'plain_text', text: 'Create API token' },
+    submit: { type: 'plain_text', text: 'Create' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'api_token_name',
+        element: { type: 'plain_text_input', action_id: 'api_token_name_input', max_length: 100, placeholder: { type: 'plain_text', text: 'e.g. Manager calendar, Status dashboard' } },
+        label: { type: 'plain_text', text: 'Name' },
+        hint: { type: 'plain_text', text: 'What the token is for, so it can be revoked later.' }
+      }
+    ]
+  };
+}
+
+/**
+ * Shown once after creating a token: the token itself, the team feed URL and an API example.
+ */
+function buildAdminApiTokenCreatedModalView({ token, record }) {
+  const base = config.publicBaseUrl || '<PUBLIC_BASE_URL>';
+  return {
+    type: 'modal',
+    callback_id: 'admin_api_tokens_created_modal',
+    title: { type: 'plain_text', text: 'Token created' },
+    close: { type: 'plain_text', text: 'Done' },
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `:key: *${record.name}*. Copy the token now; it will not be shown again.` }
+      },
+      { type: 'section', text: { type: 'mrkdwn', text: `\`\`\`${token}\`\`\`` } },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*Team calendar feed*\n\`\`\`${base}/calendar/team/${token}.ics\`\`\`` }
+      },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*Schedule API*\n\`\`\`curl -H "Authorization: Bearer ${token}" ${base}/api/schedule/on-call\`\`\`` }
+      }
+    ]
+  };
+}
+
+/**
+ * Fairness report for one fiscal quarter (newest by default): per discipline, each member's shifts
+ * served, covered for others and handed off, with anyone more than 1σ above the mean flagged.
+ */
+async function buildAdminFairnessModalView({ quarterKey = null } = {}) {
+  const report = await loadFairnessReport();
+  const quarter = report.find(q => q.key === quarterKey) || report[0] || null;
+
+  const blocks = [
+    {
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: 'Served counts come from the served history; covered and handed-off counts from approved overrides. :warning: marks anyone more than one standard deviation above their discipline\'s mean.'
+      }]
+    }
+  ];
+  if (!isServedHistoryEnabled()) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: '_Served history requires the database; only overrides are counted._' }] });
+  }
+
+  if (!quarter) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_Nothing recorded yet._' } });
+  } else {
+    const options = report.slice(0, 100).map(q => ({ text: { type: 'plain_text', text: q.label }, value: q.key }));
+    blocks.push({
+      type: 'actions',
+      elements: [
+        {
+          type: 'static_select',
+          action_id: 'admin_fairness_quarter',
+          options,
+          initial_option: options.find(o => o.value === quarter.key)
+        },
+        { type: 'button', text: { type: 'plain_text', text: 'Download CSV' }, action_id: 'admin_fairness_csv' }
+      ]
+    });
+
+    for (const group of quarter.disciplines.slice(0, 40)) {
+      const lines = group.people.slice(0, 30).map(p =>
+        `${p.flagged ? ':warning: ' : '• '}${p.name || `<@${p.slackId}>`}: ${p.served} served, ${p.covered} covered, ${p.handedOff} handed off`
+      );
+      if (group.people.length > 30) lines.push(`…and ${group.people.length - 30} more (see the CSV).`);
+      blocks.push(
+        { type: 'divider' },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `*${getRoleLabel(group.discipline)}*  mean ${group.mean.toFixed(1)}, σ ${group.stdDev.toFixed(1)}\n${lines.join('\n')}`
+          }
+        }
+      );
+    }
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'admin_fairness_modal',
+    private_metadata: JSON.stringify({ quarterKey: quarter ? quarter.key : null }),
+    title: { type: 'plain_text', text: 'Fairness report' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks
+  };
+}
+
+/**
+ * Sprints a shadow can be attached to: the current one onward, soonest first.
+ */
+async function readShadowableSprints() {
+  const [sprints, current] = await Promise.all([readSprints(), findCurrentSprint().catch(() => null)]);
+  const fromSprintIndex = Number.isFinite(Number(current?.index)) ? Number(current.index) : 0;
+  const upcoming = (Array.isArray(sprints) ? sprints : [])
+    .filter(s => Number(s?.sprintIndex) >= fromSprintIndex)
+    .sort((a, b) => Number(a.sprintIndex) - Number(b.sprintIndex));
+  return { fromSprintIndex, upcoming };
+}
+
+/**
+ * Admin shadows: who shadows which role, from the current sprint on.
+ */
+async function buildAdminShadowsModalView() {
+  const { fromSprintIndex, upcoming } = await readShadowableSprints();
+  const shadows = await readShadowAssignments({ fromSprintIndex });
+  const sprintName = (idx) => upcoming.find(s => Number(s.sprintIndex) === Number(idx))?.sprintName || `Sprint ${idx}`;
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'A shadow gets the same heads-up and start/end DMs as whoever is on call in that role, but is never the assignee. They can also join the on-call user group for the sprint.'
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        { type: 'button', text: { type: 'plain_text', text: 'Add shadow' }, style: 'primary', action_id: 'admin_shadows_add' }
+      ]
+    },
+    { type: 'divider' }
+  ];
+
+  if (shadows.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_No upcoming shadows._' } });
+  } else {
+    for (const shadow of shadows.slice(0, 40)) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${sprintName(shadow.sprintIndex)}* · ${getRoleLabel(shadow.role)}\n<@${shadow.slackId}>${shadow.inUserGroup ? ' · in the on-call user group' : ''}`
+        },
+        accessory: {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Remove' },
+          action_id: 'admin_shadows_remove',
+          value: String(shadow.id),
+          confirm: buildConfirm({ title: 'Remove shadow?', bodyText: 'They will no longer get the rotation DMs for that sprint.', confirmText: 'Remove' })
+        }
+      });
+    }
+    if (shadows.length > 40) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${shadows.length - 40} more.` }] });
+    }
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'admin_shadows_modal',
+    title: { type: 'plain_text', text: 'Shadows' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks
+  };
+}
+
+async function buildAdminAddShadowModalView({ parentViewId }) {
+  const { upcoming } = await readShadowableSprints();
+  const sprintOptions = upcoming.slice(0, 26).map(s => ({
+    text: { type: 'plain_text', text: `${s.sprintName || `Sprint ${s.sprintIndex}`} (${formatSprintRangePT(s.startDate, s.endDate)})`.slice(0, 75) },
+    value: String(s.sprintIndex)
+  }));
+  const roleOptions = getDisciplineOptions().map(o => ({ text: { type: 'plain_text', text: o.label }, value: o.value }));
+
+  return {
+    type: 'modal',
+    callback_id: 'admin_shadows_add_modal',
+    private_metadata: JSON.stringify({ parentViewId }),
+    title: { type: 'plain_text', text: 'Add shadow' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'shadow_user',
+        element: { type: 'users_select', action_id: 'shadow_user_input', placeholder: { type: 'plain_text', text: 'Who shadows' } },
+        label: { type: 'plain_text', text: 'Shadow' }
+      },
+      {
+        type: 'input',
+        block_id: 'shadow_sprint',
+        element: {
+          type: 'static_select',
+          action_id: 'shadow_sprint_input',
+          options: sprintOptions,
+          ...(sprintOptions[0] ? { initial_option: sprintOptions[0] } : {})
+        },
+        label: { type: 'plain_text', text: 'Sprint' }
+      },
+      {
+        type: 'input',
+        block_id: 'shadow_role',
+        element: { type: 'static_select', action_id: 'shadow_role_input', options: roleOptions },
+        label: { type: 'plain_text', text: 'Role' },
+        hint: { type: 'plain_text', text: 'They shadow whoever is on call in this role.' }
+      },
+      {
+        type: 'input',
+        block_id: 'shadow_user_group',
+        optional: true,
+        element: {
+          type: 'checkboxes',
+          action_id: 'shadow_user_group_input',
+          options: [{ text: { type: 'plain_text', text: 'Add to the on-call user group for the sprint' }, value: 'on' }]
+        },
+        label: { type: 'plain_text', text: 'User group' }
+      }
+    ]
+  };
+}
+
+function formatHour(hour) {
+  const h = hour % 12 === 0 ? 12 : hour % 12;
+  return `${h}${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * After-hours rotation settings (see services/afterHours.js), with the next shifts when it is on.
+ */
+async function buildAdminAfterHoursModalView() {
+  const [rotation, upcoming] = await Promise.all([readAfterHoursRotation(), loadUpcomingAfterHoursShifts()]);
+
+  const dayOptions = DAY_NAMES.map((name, i) => ({ text: { type: 'plain_text', text: name }, value: String(i) }));
+  const hourOptions = Array.from({ length: 24 }, (_, i) => ({ text: { type: 'plain_text', text: formatHour(i) }, value: String(i) }));
+  const select = (blockId, label, options, value) => ({
+    type: 'input',
+    block_id: blockId,
+    element: {
+      type: 'static_select',
+      action_id: `${blockId}_input`,
+      options,
+      ...(options[value] ? { initial_option: options[value] } : {})
+    },
+    label: { type: 'plain_text', text: label }
+  });
+  const enabledOption = { text: { type: 'plain_text', text: 'Run the after-hours rotation' }, value: 'on' };
+
+  const blocks = [
+    {
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `Separate from the sprint rotation. Each week one person covers from the start to the end below (${getTeamTimezone()}); they get a DM when the shift starts and join the after-hours user group.`
+      }]
+    },
+    {
+      type: 'input',
+      block_id: 'after_hours_enabled',
+      optional: true,
+      element: {
+        type: 'checkboxes',
+        action_id: 'after_hours_enabled_input',
+        options: [enabledOption],
+        ...(rotation.enabled ? { initial_options: [enabledOption] } : {})
+      },
+      label: { type: 'plain_text', text: 'Status' }
+    },
+    {
+      type: 'input',
+      block_id: 'after_hours_roster',
+      optional: true,
+      element: {
+        type: 'multi_users_select',
+        action_id: 'after_hours_roster_input',
+        ...(rotation.roster.length ? { initial_users: rotation.roster } : {})
+      },
+      label: { type: 'plain_text', text: 'Roster' },
+      hint: { type: 'plain_text', text: 'Shifts go to these people in order, one per week. Anyone with time off during a shift is skipped.' }
+    },
+    select('after_hours_start_day', 'Starts on', dayOptions, rotation.startDay),
+    select('after_hours_start_hour', 'Starts at', hourOptions, rotation.startHour),
+    select('after_hours_end_day', 'Ends on', dayOptions, rotation.endDay),
+    select('after_hours_end_hour', 'Ends at', hourOptions, rotation.endHour),
+    {
+      type: 'input',
+      block_id: 'after_hours_anchor',
+      optional: true,
+      element: {
+        type: 'datepicker',
+        action_id: 'after_hours_anchor_input',
+        ...(rotation.anchorDate ? { initial_date: rotation.anchorDate } : {})
+      },
+      label: { type: 'plain_text', text: 'First shift' },
+      hint: { type: 'plain_text', text: 'The shift starting the week of this date goes to the first person in the roster.' }
+    }
+  ];
+
+  if (upcoming.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: upcoming.map(s => `${s.slackId ? `<@${s.slackId}>` : '_Nobody_'}: ${s.range}`).join('\n') }]
+    });
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'admin_after_hours_modal',
+    title: { type: 'plain_text', text: 'After-hours rotation' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks
+  };
+}
+
 module.exports = {
-  DISCIPLINE_OPTIONS,
+  getDisciplineOptions,
   getDisciplinesSourceFile,
   buildConfirm,
   buildAdminDisciplinesModalView,
+  buildAdminAddMemberModalView,
+  buildAdminRosterChangeReviewModalView,
   buildAdminSprintsModalView,
+  buildAdminSprintCadenceModalView,
+  buildAdminSprintPreviewModalView,
   buildAdminUsersModalView,
-  buildAdminOnCallModalView
+  buildAdminOnCallModalView,
+  buildAdminCoverageGapsModalView,
+  buildAdminHolidaysModalView,
+  buildAdminAddHolidayModalView,
+  buildAdminImportHolidaysModalView,
+  buildAdminApiTokensModalView,
+  buildAdminCreateApiTokenModalView,
+  buildAdminApiTokenCreatedModalView,
+  buildAdminFairnessModalView,
+  buildAdminAfterHoursModalView,
+  buildAdminShadowsModalView,
+  buildAdminAddShadowModalView
 };
 
@@ -0,0 +1,195 @@
+/**
+ * services/afterHours.js
+ * After-hours rotation: weekly shifts outside business hours, separate from the sprint rotation
+ * (pure functions, no I/O).
+ *
+ * A rotation is { enabled, roster, startDay, startHour, endDay, endHour, anchorDate }:
+ *  - Every week a shift runs from `startDay` at `startHour` to the following `endDay` at `endHour`
+ *    in the team timezone (days 0-6, Sunday first), e.g. Friday 5PM to Monday 8AM.
+ *  - `roster` is a list of Slack IDs in rotation order. The shift starting in the week of
+ *    `anchorDate` goes to the first of them, the next week's to the second, and so on.
+ *  - Someone with time off during a shift is skipped for the next person in the roster.
+ */
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { toDateOnly, hasTimeOffDuring } = require('./availability');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DEFAULT_AFTER_HOURS = {
+  enabled: false,
+  roster: [],
+  startDay: 5,
+  startHour: 17,
+  endDay: 1,
+  endHour: 8,
+  anchorDate: null // null: DEFAULT_ANCHOR_DATE
+};
+
+// Any fixed date works; it only decides who goes first when no anchor was picked.
+const DEFAULT_ANCHOR_DATE = '2026-01-02';
+const MAX_ROSTER = 50;
+
+function normalizeAfterHours(rotation = {}) {
+  const merged = { ...DEFAULT_AFTER_HOURS, ...(rotation || {}) };
+  const roster = (Array.isArray(merged.roster) ? merged.roster : [])
+    .map(id => (typeof id === 'string' ? id : id?.slackId))
+    .filter(Boolean);
+  return {
+    enabled: merged.enabled === true,
+    roster: [...new Set(roster)],
+    startDay: Number(merged.startDay),
+    startHour: Number(merged.startHour),
+    endDay: Number(merged.endDay),
+    endHour: Number(merged.endHour),
+    anchorDate: toDateOnly(merged.anchorDate)
+  };
+}
+
+function isDay(n) {
+  return Number.isInteger(n) && n >= 0 && n <= 6;
+}
+
+function isHour(n) {
+  return Number.isInteger(n) && n >= 0 && n <= 23;
+}
+
+/**
+ * Shift length in hours (1 to 167); the end is the first `endDay` `endHour` after the start.
+ */
+function shiftLengthHours(rotation) {
+  const r = normalizeAfterHours(rotation);
+  const length = ((r.endDay * 24 + r.endHour) - (r.startDay * 24 + r.startHour) + 168) % 168;
+  return length === 0 ? 168 : length;
+}
+
+/**
+ * Validate a rotation. Returns { field: message } (empty when valid).
+ */
+function validateAfterHours(rotation) {
+  const r = normalizeAfterHours(rotation);
+  const errors = {};
+  if (r.enabled && r.roster.length === 0) errors.roster = 'Add at least one person to turn the rotation on.';
+  if (r.roster.length > MAX_ROSTER) errors.roster = `At most ${MAX_ROSTER} people.`;
+  if (!isDay(r.startDay) || !isHour(r.startHour)) errors.start = 'Pick the day and hour shifts start.';
+  if (!isDay(r.endDay) || !isHour(r.endHour)) errors.end = 'Pick the day and hour shifts end.';
+  if (!errors.start && !errors.end && shiftLengthHours(r) === 168) errors.end = 'A shift must end before the next one starts.';
+  if (rotation?.anchorDate && !r.anchorDate) errors.anchorDate = 'First shift must be a date (YYYY-MM-DD).';
+  return errors;
+}
+
+// Wall-clock hours in the team timezone, so a shift spanning a DST change still ends at endHour.
+function atHour(date, hour, tz) {
+  return dayjs.tz(`${date} ${String(hour).padStart(2, '0')}:00`, tz);
+}
+
+/**
+ * Start of the latest shift starting at or before `at`, as a dayjs in the team timezone.
+ */
+function latestShiftStart(at, rotation, tz) {
+  const r = normalizeAfterHours(rotation);
+  const local = dayjs(at).tz(tz);
+  const daysBack = (local.day() - r.startDay + 7) % 7;
+  const startDate = dayjs(local.format('YYYY-MM-DD')).subtract(daysBack, 'day');
+  const start = atHour(startDate.format('YYYY-MM-DD'), r.startHour, tz);
+  return start.isAfter(dayjs(at)) ? atHour(startDate.subtract(7, 'day').format('YYYY-MM-DD'), r.startHour, tz) : start;
+}
+
+function weekIndex(startDate, rotation) {
+  const anchor = normalizeAfterHours(rotation).anchorDate || DEFAULT_ANCHOR_DATE;
+  return Math.floor(dayjs(startDate).diff(dayjs(anchor), 'day') / 7);
+}
+
+/**
+ * Who covers the shift starting on startDate (YYYY-MM-DD) and ending on endDate, skipping
+ * people with time off during it. Null when the roster is empty.
+ */
+function getShiftAssignee(rotation, startDate, endDate, unavailability = []) {
+  const { roster } = normalizeAfterHours(rotation);
+  if (roster.length === 0) return null;
+  const n = roster.length;
+  const base = ((weekIndex(startDate, rotation) % n) + n) % n;
+  for (let k = 0; k < n; k++) {
+    const slackId = roster[(base + k) % n];
+    if (!hasTimeOffDuring(unavailability, slackId, startDate, endDate)) return slackId;
+  }
+  return roster[base];
+}
+
+function buildShift(start, rotation, tz, unavailability) {
+  const r = normalizeAfterHours(rotation);
+  const startDate = start.format('YYYY-MM-DD');
+  const endDate = dayjs(startDate).add(Math.floor((r.startHour + shiftLengthHours(r)) / 24), 'day').format('YYYY-MM-DD');
+  const end = atHour(endDate, r.endHour, tz);
+  return {
+    start: start.toISOString(),
+    end: end.toISOString(),
+    startDate,
+    endDate,
+    slackId: getShiftAssignee(rotation, startDate, endDate, unavailability)
+  };
+}
+
+/**
+ * The shift running at `at`, or null between shifts.
+ * @returns {{ start: string, end: string, startDate: string, endDate: string, slackId: string|null }|null}
+ */
+function getActiveShift(rotation, at, tz, unavailability = []) {
+  const start = latestShiftStart(at, rotation, tz);
+  const shift = buildShift(start, rotation, tz, unavailability);
+  return dayjs(at).isBefore(dayjs(shift.end)) ? shift : null;
+}
+
+/**
+ * Shifts still running or starting after `from`, soonest first.
+ */
+function listShifts(rotation, from, tz, { count = 4, unavailability = [] } = {}) {
+  const { startHour } = normalizeAfterHours(rotation);
+  let start = latestShiftStart(from, rotation, tz);
+  const shifts = [];
+  for (let i = 0; shifts.length < count && i < count + 1; i++) {
+    const shift = buildShift(start, rotation, tz, unavailability);
+    if (dayjs(from).isBefore(dayjs(shift.end))) shifts.push(shift);
+    start = atHour(dayjs(shift.startDate).add(7, 'day').format('YYYY-MM-DD'), startHour, tz);
+  }
+  return shifts;
+}
+
+/**
+ * Shifts overlapping a calendar day (YYYY-MM-DD) in the team timezone.
+ */
+function shiftsOnDate(rotation, date, tz, unavailability = []) {
+  const dayStart = dayjs.tz(`${toDateOnly(date)} 00:00`, tz);
+  const dayEnd = dayStart.add(1, 'day');
+  return listShifts(rotation, dayStart, tz, { count: 2, unavailability })
+    .filter(s => dayjs(s.start).isBefore(dayEnd));
+}
+
+/**
+ * A shift's bounds for copy, e.g. "Fri Mar 6, 5PM – Mon Mar 9, 8AM".
+ */
+function formatShiftRange(shift, tz) {
+  const fmt = (iso) => {
+    const t = dayjs(iso).tz(tz);
+    const hour = t.hour() % 12 === 0 ? 12 : t.hour() % 12;
+    return `${t.format('ddd MMM D')}, ${hour}${t.hour() < 12 ? 'AM' : 'PM'}`;
+  };
+  return `${fmt(shift.start)} – ${fmt(shift.end)}`;
+}
+
+module.exports = {
+  DAY_NAMES,
+  DEFAULT_AFTER_HOURS,
+  normalizeAfterHours,
+  validateAfterHours,
+  shiftLengthHours,
+  getShiftAssignee,
+  getActiveShift,
+  listShifts,
+  shiftsOnDate,
+  formatShiftRange,
+};
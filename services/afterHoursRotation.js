@@ -0,0 +1,85 @@
+/**
+ * services/afterHoursRotation.js
+ * Runs the after-hours rotation (see services/afterHours.js): announces each shift as it starts
+ * and loads shifts for App Home and /triage-schedule.
+ *
+ * When a shift starts, its person gets a DM and becomes the after-hours user group
+ * (SLACK_AFTER_HOURS_USERGROUP_ID); the next shift's person gets a heads-up. The group keeps that
+ * person until the next shift starts. Each shift is announced once, however often the check runs.
+ */
+const {
+  readAfterHoursRotation,
+  claimAfterHoursAnnouncement,
+  readUnavailability
+} = require('../dataUtils');
+const { notifyUser, updateAfterHoursUserGroup } = require('../slackNotifier');
+const { getActiveShift, listShifts, shiftsOnDate, formatShiftRange } = require('./afterHours');
+const { getTeamTimezone, getTeamTimezoneLabel } = require('./teamTimezone');
+const SLA_GUIDELINES = require('../sla-guidelines.json');
+
+function isRunning(rotation) {
+  return rotation.enabled === true && rotation.roster.length > 0;
+}
+
+function formatRange(shift) {
+  return `${formatShiftRange(shift, getTeamTimezone())} ${getTeamTimezoneLabel(new Date(shift.start))}`;
+}
+
+/**
+ * Announce the shift running now, if it hasn't been yet.
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<{ enabled: boolean, announced: boolean, slackId?: string }>}
+ */
+async function runAfterHoursCheck({ now = new Date() } = {}) {
+  const rotation = await readAfterHoursRotation();
+  if (!isRunning(rotation)) return { enabled: false, announced: false };
+
+  const tz = getTeamTimezone();
+  const unavailability = await readUnavailability();
+  const shift = getActiveShift(rotation, now, tz, unavailability);
+  if (!shift?.slackId) return { enabled: true, announced: false };
+  if (!(await claimAfterHoursAnnouncement(shift.start))) return { enabled: true, announced: false };
+
+  await updateAfterHoursUserGroup([shift.slackId]);
+  const responseTime = SLA_GUIDELINES?.severity1?.response_time;
+  await notifyUser(
+    shift.slackId,
+    `You're on after-hours triage duty now, ${formatRange(shift)}.` +
+    (responseTime ? ` Severity 1 response time: ${responseTime}.` : '')
+  );
+
+  const [next] = listShifts(rotation, shift.end, tz, { count: 1, unavailability });
+  if (next?.slackId) {
+    await notifyUser(next.slackId, `Heads up: you have the next after-hours triage shift, ${formatRange(next)}.`);
+  }
+
+  console.log(`[runAfterHoursCheck] Announced after-hours shift starting ${shift.start}: ${shift.slackId}`);
+  return { enabled: true, announced: true, slackId: shift.slackId };
+}
+
+/**
+ * Shifts still running or coming up, each with `range` for copy; empty when the rotation is off.
+ * @param {{ from?: Date, count?: number }} [options]
+ */
+async function loadUpcomingAfterHoursShifts({ from = new Date(), count = 2 } = {}) {
+  const rotation = await readAfterHoursRotation();
+  if (!isRunning(rotation)) return [];
+  const shifts = listShifts(rotation, from, getTeamTimezone(), { count, unavailability: await readUnavailability() });
+  return shifts.map(s => ({ ...s, range: formatRange(s) }));
+}
+
+/**
+ * Shifts overlapping a day (YYYY-MM-DD), each with `range`; empty when the rotation is off.
+ */
+async function loadAfterHoursShiftsOnDate(date) {
+  const rotation = await readAfterHoursRotation();
+  if (!isRunning(rotation)) return [];
+  const shifts = shiftsOnDate(rotation, date, getTeamTimezone(), await readUnavailability());
+  return shifts.map(s => ({ ...s, range: formatRange(s) }));
+}
+
+module.exports = {
+  runAfterHoursCheck,
+  loadUpcomingAfterHoursShifts,
+  loadAfterHoursShiftsOnDate,
+};
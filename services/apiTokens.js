@@ -0,0 +1,94 @@
+/**
+ * services/apiTokens.js
+ * Admin-managed tokens for the read-only schedule API (/api/schedule) and the team calendar
+ * feed (/calendar/team/<token>.ics).
+ *
+ * Tokens look like "t1t_<random>". Only a SHA-256 hash is stored, so the token is shown once
+ * when created; admins tell tokens apart by name and prefix. Database only.
+ */
+const crypto = require('crypto');
+const apiTokens = require('../repositories/apiTokens');
+
+const USE_DATABASE = process.env.USE_DATABASE !== 'false';
+const TOKEN_PREFIX = 't1t_';
+const TOKEN_PATTERN = /^t1t_[A-Za-z0-9_-]{32,64}$/;
+const PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+
+function isApiTokensEnabled() {
+  return USE_DATABASE;
+}
+
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isWellFormedApiToken(token) {
+  return TOKEN_PATTERN.test(String(token || ''));
+}
+
+/**
+ * Validate a token name. Returns an error message, or null when valid.
+ */
+function validateApiTokenName(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return 'A name is required.';
+  if (trimmed.length > 100) return 'Name must be 100 characters or fewer.';
+  return null;
+}
+
+/**
+ * Create a token.
+ * @returns {Promise<{ token: string, record: Object }>} The plain token (not stored) and its record
+ */
+async function createApiToken(name, createdBy = null) {
+  const error = validateApiTokenName(name);
+  if (error) throw new Error(error);
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = await apiTokens.insertApiToken({
+    name: String(name).trim(),
+    tokenHash: hashApiToken(token),
+    tokenPrefix: token.slice(0, PREFIX_LENGTH),
+    createdBy
+  });
+  console.log(`[apiTokens] Token ${record.id} (${record.name}) created by ${createdBy || 'system'}`);
+  return { token, record };
+}
+
+/**
+ * The active token record for a presented token, or null.
+ */
+async function verifyApiToken(token) {
+  if (!isApiTokensEnabled() || !isWellFormedApiToken(token)) return null;
+  return apiTokens.useApiToken(hashApiToken(token));
+}
+
+async function listApiTokens() {
+  return isApiTokensEnabled() ? apiTokens.listActiveApiTokens() : [];
+}
+
+async function revokeApiToken(id, revokedBy = null) {
+  const record = await apiTokens.revokeApiToken(Number(id), revokedBy);
+  if (record) console.log(`[apiTokens] Token ${record.id} (${record.name}) revoked by ${revokedBy || 'system'}`);
+  return record;
+}
+
+/**
+ * Token from an `Authorization: Bearer <token>` header, or null.
+ */
+function readBearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(String(header || '').trim());
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  isApiTokensEnabled,
+  hashApiToken,
+  isWellFormedApiToken,
+  validateApiTokenName,
+  createApiToken,
+  verifyApiToken,
+  listApiTokens,
+  revokeApiToken,
+  readBearerToken,
+};
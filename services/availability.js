@@ -0,0 +1,142 @@
+/**
+ * services/availability.js
+ * Time-off / unavailability helpers (pure functions, no I/O).
+ *
+ * An entry is { id, slackId, startDate, endDate, reason } with inclusive YYYY-MM-DD dates.
+ * A member is unavailable for a sprint when their entries cover every weekday of the sprint
+ * from startDate up to (not including) endDate, the hand-off day shared with the next sprint.
+ * Partial absences are left to /triage-override.
+ */
+const dayjs = require('dayjs');
+const { getCreditSkipIds } = require('./coverageCredits');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toDateOnly(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  const str = String(value).split('T')[0];
+  return DATE_PATTERN.test(str) ? str : null;
+}
+
+/**
+ * Validate a time-off range. Returns an error message, or null when valid.
+ */
+function validateRange(startDate, endDate) {
+  const start = toDateOnly(startDate);
+  const end = toDateOnly(endDate);
+  if (!start || !end) return 'Start and end dates are required (YYYY-MM-DD).';
+  if (end < start) return 'End date must be on or after the start date.';
+  return null;
+}
+
+/**
+ * Weekdays (YYYY-MM-DD) a member is expected to cover in a sprint.
+ */
+function sprintWorkdays(sprint) {
+  const start = toDateOnly(sprint?.startDate);
+  const end = toDateOnly(sprint?.endDate);
+  if (!start || !end) return [];
+
+  const days = [];
+  const last = dayjs(end);
+  let day = dayjs(start);
+  // Single-day sprints still need that day covered.
+  const exclusiveEnd = last.isAfter(day) ? last : last.add(1, 'day');
+  while (day.isBefore(exclusiveEnd)) {
+    const dow = day.day();
+    if (dow !== 0 && dow !== 6) days.push(day.format('YYYY-MM-DD'));
+    day = day.add(1, 'day');
+  }
+  return days;
+}
+
+function entryCovers(entry, date) {
+  const start = toDateOnly(entry?.startDate);
+  const end = toDateOnly(entry?.endDate);
+  return !!start && !!end && start <= date && date <= end;
+}
+
+/**
+ * True when the member's entries cover every workday of the sprint.
+ */
+function isUnavailableForSprint(entries, slackId, sprint) {
+  const mine = (Array.isArray(entries) ? entries : []).filter(e => e?.slackId === slackId);
+  if (mine.length === 0) return false;
+  const days = sprintWorkdays(sprint);
+  if (days.length === 0) return false;
+  return days.every(date => mine.some(e => entryCovers(e, date)));
+}
+
+/**
+ * True when any of the member's entries overlaps startDate..endDate (inclusive).
+ */
+function hasTimeOffDuring(entries, slackId, startDate, endDate) {
+  const start = toDateOnly(startDate);
+  const end = toDateOnly(endDate);
+  if (!start || !end) return false;
+  return (Array.isArray(entries) ? entries : []).some(e =>
+    e?.slackId === slackId &&
+    !!toDateOnly(e.startDate) && !!toDateOnly(e.endDate) &&
+    toDateOnly(e.startDate) <= end && start <= toDateOnly(e.endDate)
+  );
+}
+
+/**
+ * Slack IDs unavailable for the whole sprint, plus anyone skipping it with a redeemed coverage credit.
+ * @param {Array} [credits] - Coverage credits (see services/coverageCredits.js)
+ * @returns {Set<string>}
+ */
+function getUnavailableSlackIds(entries, sprint, credits = []) {
+  const ids = getCreditSkipIds(credits, sprint);
+  const list = Array.isArray(entries) ? entries : [];
+  for (const slackId of new Set(list.map(e => e?.slackId).filter(Boolean))) {
+    if (isUnavailableForSprint(list, slackId, sprint)) ids.add(slackId);
+  }
+  return ids;
+}
+
+/**
+ * getUnavailableSlackIds per sprint index, for projecting a rotation cursor across several sprints.
+ * Each set carries `creditSkips`, the members skipping that sprint with a redeemed credit, so the
+ * cursor can count the skip as their turn (see rotationCursor.stepCursor). Unknown sprints have nobody out.
+ * @returns {(sprintIndex: number) => Set<string> & { creditSkips: Set<string> }}
+ */
+function unavailableBySprint(entries, sprints, credits = []) {
+  const byIndex = new Map();
+  for (const sprint of Array.isArray(sprints) ? sprints : []) {
+    if (Number.isFinite(Number(sprint?.sprintIndex))) byIndex.set(Number(sprint.sprintIndex), sprint);
+  }
+  const memo = new Map();
+  return (sprintIndex) => {
+    const idx = Number(sprintIndex);
+    if (!memo.has(idx)) {
+      const sprint = byIndex.get(idx);
+      const ids = sprint ? getUnavailableSlackIds(entries, sprint, credits) : new Set();
+      ids.creditSkips = sprint ? getCreditSkipIds(credits, sprint) : new Set();
+      memo.set(idx, ids);
+    }
+    return memo.get(idx);
+  };
+}
+
+/**
+ * Entries that have not ended before `today` (YYYY-MM-DD), soonest first.
+ */
+function upcomingEntries(entries, today) {
+  const from = toDateOnly(today);
+  return (Array.isArray(entries) ? entries : [])
+    .filter(e => !from || (toDateOnly(e?.endDate) || '') >= from)
+    .sort((a, b) => String(a.startDate).localeCompare(String(b.startDate)));
+}
+
+module.exports = {
+  toDateOnly,
+  validateRange,
+  sprintWorkdays,
+  isUnavailableForSprint,
+  hasTimeOffDuring,
+  getUnavailableSlackIds,
+  unavailableBySprint,
+  upcomingEntries,
+};
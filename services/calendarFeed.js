@@ -0,0 +1,149 @@
+/**
+ * services/calendarFeed.js
+ * iCalendar feeds of triage shifts: one per user, plus a team feed with every role.
+ *
+ * Each user gets a secret feed URL (/calendar/users/<token>.ics). Only a SHA-256 hash of the
+ * token is stored, so the URL is shown once when it is issued; resetting the link revokes the
+ * old token and issues a new one, so a leaked or lost URL stops working. Shifts come from getUserUpcomingShifts
+ * (appHome.js) and run from the 8AM hand-off on the start date to the 8AM hand-off on the
+ * end date in the team timezone, moved past 'shift' holidays like the cutover itself.
+ * The team feed (/calendar/team/<api token>.ics) uses an admin-managed API token instead.
+ * Feeds are database-only and need a public base URL (config.publicBaseUrl).
+ */
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const config = require('../config');
+const feedTokens = require('../repositories/calendarFeedTokens');
+const { getTeamTimezone, formatTeamHour } = require('./teamTimezone');
+const { getCutoverDate } = require('./holidays');
+const { buildCalendar } = require('./icsCalendar');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const USE_DATABASE = process.env.USE_DATABASE !== 'false';
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{20,64}$/;
+const HANDOFF_HOUR = 8;
+
+function isCalendarFeedEnabled() {
+  return USE_DATABASE && !!config.publicBaseUrl;
+}
+
+function generateFeedToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isWellFormedToken(token) {
+  return TOKEN_PATTERN.test(String(token || ''));
+}
+
+function buildUserFeedUrl(token) {
+  return `${config.publicBaseUrl}/calendar/users/${token}.ics`;
+}
+
+async function issueUserFeed(slackId) {
+  const token = generateFeedToken();
+  await feedTokens.replaceTokenForUser(slackId, hashFeedToken(token));
+  return { url: buildUserFeedUrl(token) };
+}
+
+/**
+ * The user's feed, issuing a token on first use. `url` is only set when the token was issued
+ * now: an existing link can't be read back, only reset.
+ * @returns {Promise<{ url: string|null }|null>} null when feeds are disabled
+ */
+async function getUserFeed(slackId) {
+  if (!isCalendarFeedEnabled() || !slackId) return null;
+  const existing = await feedTokens.getActiveTokenForUser(slackId);
+  if (existing) return { url: null };
+  return issueUserFeed(slackId);
+}
+
+/**
+ * Revoke the user's current feed URL and issue a new one.
+ * @returns {Promise<{ url: string }|null>} The new feed, or null when feeds are disabled
+ */
+async function resetUserFeed(slackId) {
+  if (!isCalendarFeedEnabled() || !slackId) return null;
+  const feed = await issueUserFeed(slackId);
+  console.log(`[calendarFeed] Feed link reset for ${slackId}`);
+  return feed;
+}
+
+/**
+ * Slack ID that owns an active feed token, or null.
+ */
+async function resolveUserFeedToken(token) {
+  if (!USE_DATABASE || !isWellFormedToken(token)) return null;
+  const row = await feedTokens.useActiveToken(hashFeedToken(token));
+  return row ? row.slackId : null;
+}
+
+function handoffAt(date, holidays) {
+  return dayjs.tz(`${getCutoverDate(date, holidays)} ${String(HANDOFF_HOUR).padStart(2, '0')}:00`, getTeamTimezone());
+}
+
+/**
+ * Calendar event for one shift from getUserUpcomingShifts.
+ */
+function shiftToEvent(shift, slackId, holidays = []) {
+  const startDate = String(shift.startDate).slice(0, 10);
+  const endDate = String(shift.endDate).slice(0, 10);
+  return {
+    uid: `shift-${shift.sprintIndex}-${shift.role}-${slackId}@t1-triage-bot`,
+    start: handoffAt(startDate, holidays).toDate(),
+    end: handoffAt(endDate, holidays).toDate(),
+    summary: `Triage on call: ${shift.roleDisplay || shift.role} (${shift.sprintName})`,
+    description: `${shift.sprintName}, ${startDate} to ${endDate}. Hand-off at ${formatTeamHour(HANDOFF_HOUR)}.`
+  };
+}
+
+/**
+ * One event per assigned role in each sprint, from services/schedule getUpcomingSchedule().
+ */
+function buildTeamCalendar({ schedule, holidays = [], now = new Date() }) {
+  const events = [];
+  for (const { sprint, assignments } of Array.isArray(schedule) ? schedule : []) {
+    if (!sprint?.startDate || !sprint?.endDate) continue;
+    for (const a of assignments) {
+      if (!a.slackId) continue;
+      events.push({
+        uid: `sprint-${sprint.index}-${a.role}@t1-triage-bot`,
+        start: handoffAt(sprint.startDate, holidays).toDate(),
+        end: handoffAt(sprint.endDate, holidays).toDate(),
+        summary: `${a.roleLabel}: ${a.name || a.slackId} (${sprint.name})`,
+        description: `${sprint.name}, ${sprint.startDate} to ${sprint.endDate}. Hand-off at ${formatTeamHour(HANDOFF_HOUR)}.`
+      });
+    }
+  }
+  return buildCalendar({ name: 'Triage rotation', events, now });
+}
+
+/**
+ * ICS document for a user's shifts.
+ */
+function buildUserCalendar({ slackId, shifts, holidays = [], now = new Date() }) {
+  return buildCalendar({
+    name: 'Triage shifts',
+    events: (Array.isArray(shifts) ? shifts : []).map(shift => shiftToEvent(shift, slackId, holidays)),
+    now
+  });
+}
+
+module.exports = {
+  isCalendarFeedEnabled,
+  hashFeedToken,
+  isWellFormedToken,
+  getUserFeed,
+  resetUserFeed,
+  resolveUserFeedToken,
+  shiftToEvent,
+  buildUserCalendar,
+  buildTeamCalendar,
+};
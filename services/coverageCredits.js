@@ -0,0 +1,74 @@
+/**
+ * services/coverageCredits.js
+ * Coverage credit ledger helpers (pure functions, no I/O).
+ *
+ * A credit is { id, slackId, role, sprintIndex, coveredSlackId, earnedAt, redeemedSprintIndex, redeemedAt }.
+ * Covering someone's shift through an approved override earns one credit for (sprintIndex, role).
+ * Redeeming sets redeemedSprintIndex to the holder's next scheduled turn; the rotation then skips
+ * them for that sprint and, unlike time off, counts the skip as their turn in the cycle.
+ */
+
+function sprintIndexOf(sprint) {
+  if (sprint && typeof sprint === 'object') {
+    const idx = Number.isFinite(Number(sprint.sprintIndex)) ? Number(sprint.sprintIndex) : Number(sprint.index);
+    return Number.isFinite(idx) ? idx : null;
+  }
+  return Number.isFinite(Number(sprint)) ? Number(sprint) : null;
+}
+
+function isRedeemed(credit) {
+  return credit?.redeemedSprintIndex !== null && credit?.redeemedSprintIndex !== undefined;
+}
+
+/**
+ * Slack IDs skipping a sprint (sprint row or index) with a redeemed credit.
+ * @returns {Set<string>}
+ */
+function getCreditSkipIds(credits, sprint) {
+  const idx = sprintIndexOf(sprint);
+  const ids = new Set();
+  if (idx === null) return ids;
+  for (const c of Array.isArray(credits) ? credits : []) {
+    if (c?.slackId && isRedeemed(c) && Number(c.redeemedSprintIndex) === idx) ids.add(c.slackId);
+  }
+  return ids;
+}
+
+/**
+ * A member's ledger: unredeemed credits (oldest first) and redeemed ones by the sprint they skip.
+ * @returns {{ available: Array, redeemed: Array }}
+ */
+function summarizeCredits(credits, slackId) {
+  const mine = (Array.isArray(credits) ? credits : []).filter(c => c?.slackId === slackId);
+  return {
+    available: mine.filter(c => !isRedeemed(c)),
+    redeemed: mine.filter(isRedeemed).sort((a, b) => Number(a.redeemedSprintIndex) - Number(b.redeemedSprintIndex))
+  };
+}
+
+/**
+ * Holders with unredeemed credits or skips in upcoming sprints (index > afterSprintIndex).
+ * @returns {Array<{ slackId: string, available: number, skips: number[] }>} Most credits first
+ */
+function summarizeLedger(credits, afterSprintIndex = -1) {
+  const byHolder = new Map();
+  for (const c of Array.isArray(credits) ? credits : []) {
+    if (!c?.slackId) continue;
+    const upcomingSkip = isRedeemed(c) && Number(c.redeemedSprintIndex) > afterSprintIndex;
+    if (isRedeemed(c) && !upcomingSkip) continue;
+    if (!byHolder.has(c.slackId)) byHolder.set(c.slackId, { slackId: c.slackId, available: 0, skips: [] });
+    const entry = byHolder.get(c.slackId);
+    if (upcomingSkip) entry.skips.push(Number(c.redeemedSprintIndex));
+    else entry.available += 1;
+  }
+  return [...byHolder.values()]
+    .map(e => ({ ...e, skips: e.skips.sort((a, b) => a - b) }))
+    .sort((a, b) => (b.available - a.available) || a.slackId.localeCompare(b.slackId));
+}
+
+module.exports = {
+  isRedeemed,
+  getCreditSkipIds,
+  summarizeCredits,
+  summarizeLedger,
+};
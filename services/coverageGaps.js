@@ -0,0 +1,86 @@
+/**
+ * services/coverageGaps.js
+ * Admin report: upcoming sprints where time off (or redeemed coverage credits) leaves a role with no eligible member.
+ *
+ * Uses the same rules as getSprintUsers: an approved override fills the slot, otherwise
+ * a role has a gap when every active member is unavailable for the whole sprint.
+ */
+const {
+  readSprints,
+  readDisciplines,
+  readOverrides,
+  readUnavailability,
+  readCoverageCredits,
+  findCurrentSprint
+} = require('../dataUtils');
+const { loadRoles } = require('./roles');
+const { getUnavailableSlackIds } = require('./availability');
+const { isRedeemed } = require('./coverageCredits');
+const { isPartialOverride } = require('./overrideRanges');
+
+const DEFAULT_REPORT_SPRINTS = 12;
+
+/**
+ * @param {{ limit?: number }} [options] - How many upcoming sprints to inspect
+ * @returns {Promise<{ gaps: Array<{ sprintIndex: number, sprintName: string, startDate: string, endDate: string, role: string, unavailable: string[] }>, inspected: number }>}
+ */
+async function findCoverageGaps({ limit = DEFAULT_REPORT_SPRINTS } = {}) {
+  const [roles, sprints, disciplines, overrides, unavailability, credits, currentSprint] = await Promise.all([
+    loadRoles(),
+    readSprints(),
+    readDisciplines(),
+    readOverrides(),
+    readUnavailability(),
+    readCoverageCredits(),
+    findCurrentSprint()
+  ]);
+
+  const currentIndex = currentSprint && Number.isFinite(Number(currentSprint.index))
+    ? Number(currentSprint.index)
+    : -1;
+
+  const covered = new Set();
+  for (const o of Array.isArray(overrides) ? overrides : []) {
+    // Partial-sprint overrides leave the rest of the sprint to the rotation.
+    if (o?.approved === true && !isPartialOverride(o)) covered.add(`${Number(o.sprintIndex)}:${o.role}`);
+  }
+
+  const upcoming = (Array.isArray(sprints) ? sprints : [])
+    .filter(s => Number.isFinite(Number(s?.sprintIndex)) && Number(s.sprintIndex) > currentIndex)
+    .sort((a, b) => Number(a.sprintIndex) - Number(b.sprintIndex))
+    .slice(0, limit);
+
+  const gaps = [];
+  const hasCreditSkips = (Array.isArray(credits) ? credits : []).some(isRedeemed);
+  if ((!Array.isArray(unavailability) || unavailability.length === 0) && !hasCreditSkips) {
+    return { gaps, inspected: upcoming.length };
+  }
+
+  for (const sprint of upcoming) {
+    const idx = Number(sprint.sprintIndex);
+    const unavailableIds = getUnavailableSlackIds(unavailability, sprint, credits);
+    if (unavailableIds.size === 0) continue;
+
+    for (const { key: role } of roles) {
+      const roster = (Array.isArray(disciplines?.[role]) ? disciplines[role] : []).filter(u => u?.slackId);
+      if (roster.length === 0 || covered.has(`${idx}:${role}`)) continue;
+      if (roster.every(u => unavailableIds.has(u.slackId))) {
+        gaps.push({
+          sprintIndex: idx,
+          sprintName: sprint.sprintName,
+          startDate: sprint.startDate,
+          endDate: sprint.endDate,
+          role,
+          unavailable: roster.map(u => u.slackId)
+        });
+      }
+    }
+  }
+
+  return { gaps, inspected: upcoming.length };
+}
+
+module.exports = {
+  findCoverageGaps,
+  DEFAULT_REPORT_SPRINTS
+};
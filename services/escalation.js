@@ -0,0 +1,188 @@
+/**
+ * services/escalation.js
+ * Escalation chain for bug posts in the triage channel that nobody acknowledges.
+ *
+ * Steps run in order: the on-call primaries, their backups, the discipline leads, then the
+ * admin channel via notifyAdmins. Each step waits the configured minutes after the previous
+ * one (config.escalation). A step with nobody to notify (e.g. no leads set) is recorded as
+ * skipped and the next step runs right away. State lives in bug_escalations so a restart
+ * resumes the chain; escalation is database-only.
+ */
+const config = require('../config');
+const bugEscalations = require('../repositories/bugEscalations');
+const { findCurrentSprint, getSprintUsers, getSprintBackups } = require('../dataUtils');
+const { loadRoles } = require('./roles');
+const { notifyAdmins, postThreadReply, getMessagePermalink } = require('../slackNotifier');
+const { ESCALATION_STEPS, planNextStep, recipientsForStep } = require('./escalationPolicy');
+
+const USE_DATABASE = process.env.USE_DATABASE !== 'false';
+const ACK_ACTION_ID = 'bug_escalation_ack';
+
+function isEscalationEnabled() {
+  return config.escalation.enabled && USE_DATABASE;
+}
+
+function buildStepText(step, recipients, policy = config.escalation) {
+  const mentions = recipients.map(id => `<@${id}>`).join(' ');
+  switch (step) {
+    case 'primary':
+      return `${mentions} New bug report. Please acknowledge by replying in this thread, reacting to the post, or using the button below.`;
+    case 'backup':
+      return `No acknowledgement after ${policy.backupAfterMinutes} minutes. Escalating to backup on-call: ${mentions}`;
+    case 'lead':
+      return `Still unacknowledged after another ${policy.leadAfterMinutes} minutes. Escalating to discipline leads: ${mentions}`;
+    default:
+      return 'Still unacknowledged. Escalated to the admin channel.';
+  }
+}
+
+function buildStepBlocks(text, record) {
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text } },
+    {
+      type: 'actions',
+      elements: [{
+        type: 'button',
+        text: { type: 'plain_text', text: 'Acknowledge' },
+        style: 'primary',
+        action_id: ACK_ACTION_ID,
+        value: JSON.stringify({ channelId: record.channelId, threadTs: record.threadTs })
+      }]
+    }
+  ];
+}
+
+/**
+ * Current sprint primaries and backups, plus roles (for leads).
+ */
+async function loadRotation() {
+  const [sprint, roles] = await Promise.all([findCurrentSprint(), loadRoles()]);
+  let primaries = {};
+  let backups = {};
+  if (sprint && Number.isFinite(Number(sprint.index))) {
+    primaries = await getSprintUsers(sprint.index);
+    backups = await getSprintBackups(sprint.index, primaries);
+  }
+  return { primaries, backups, roles };
+}
+
+async function notifyStep(record, step, recipients, now) {
+  const text = buildStepText(step, recipients);
+  await postThreadReply(record.channelId, record.threadTs, text, buildStepBlocks(text, record));
+
+  if (step === 'admins') {
+    const permalink = await getMessagePermalink(record.channelId, record.threadTs);
+    const minutes = record.createdAt ? Math.round((now.getTime() - new Date(record.createdAt).getTime()) / 60000) : null;
+    await notifyAdmins(
+      `Bug report in <#${record.channelId}> has not been acknowledged` +
+      (minutes != null ? ` after ${minutes} minutes` : '') +
+      `: ${permalink || record.threadTs}`
+    );
+  }
+}
+
+/**
+ * Run the next step for an open escalation, and any skipped steps after it.
+ * @returns {Promise<Object|null>} Updated record, or null when another runner or an acknowledgement got there first
+ */
+async function advanceEscalation(record, { now = new Date(), rotation = null } = {}) {
+  let current = record;
+  let context = rotation;
+
+  while (current && current.status === 'open') {
+    const plan = planNextStep(current, now);
+    if (!plan) return current;
+
+    context = context || await loadRotation();
+    const recipients = recipientsForStep(plan.step, context);
+    const skipped = plan.step !== 'admins' && recipients.length === 0;
+
+    const updated = await bugEscalations.recordEscalationStep(
+      current.id,
+      current.step,
+      { step: plan.step, notified: recipients, at: now.toISOString(), skipped },
+      skipped ? now : plan.nextStepAt,
+      plan.status
+    );
+    if (!updated) return null;
+
+    if (!skipped) {
+      await notifyStep(updated, plan.step, recipients, now);
+      return updated;
+    }
+    console.log(`[escalation] ${current.channelId}/${current.threadTs}: nobody to notify for ${plan.step}, moving on`);
+    current = updated;
+  }
+
+  return current;
+}
+
+/**
+ * Start tracking a new bug post and notify the primaries.
+ * @returns {Promise<Object|null>} The escalation record, or null when disabled or already tracked
+ */
+async function startEscalation({ channelId, threadTs, reporterSlackId = null }) {
+  if (!isEscalationEnabled() || !channelId || !threadTs) return null;
+
+  const record = await bugEscalations.insertEscalation({
+    channelId,
+    threadTs,
+    reporterSlackId,
+    nextStepAt: new Date()
+  });
+  if (!record) return null;
+  return advanceEscalation(record);
+}
+
+/**
+ * Stop the chain for a bug thread. The reporter cannot acknowledge their own post.
+ * @returns {Promise<Object|null>} The acknowledged record, or null when nothing changed
+ */
+async function acknowledgeEscalation({ channelId, threadTs, slackId }) {
+  if (!isEscalationEnabled() || !channelId || !threadTs || !slackId) return null;
+
+  const record = await bugEscalations.acknowledgeEscalation(channelId, threadTs, slackId);
+  if (record) {
+    console.log(`[escalation] ${channelId}/${threadTs} acknowledged by ${slackId} at step ${record.step}`);
+  }
+  return record;
+}
+
+/**
+ * Advance every escalation whose next step is due. Run from the in-app cron or the Railway job route.
+ * @returns {Promise<{ enabled: boolean, checked: number, escalated: number }>}
+ */
+async function runEscalationCheck(now = new Date()) {
+  if (!isEscalationEnabled()) {
+    return { enabled: false, checked: 0, escalated: 0 };
+  }
+
+  const due = await bugEscalations.getDueEscalations(now);
+  let rotation = null;
+  let escalated = 0;
+
+  for (const record of due) {
+    try {
+      rotation = rotation || await loadRotation();
+      if (await advanceEscalation(record, { now, rotation })) escalated += 1;
+    } catch (error) {
+      console.error(`[escalation] Failed to advance ${record.channelId}/${record.threadTs}:`, error);
+    }
+  }
+
+  if (due.length > 0) {
+    console.log(`[escalation] Checked ${due.length} due escalation(s), advanced ${escalated}`);
+  }
+  return { enabled: true, checked: due.length, escalated };
+}
+
+module.exports = {
+  ESCALATION_STEPS,
+  ACK_ACTION_ID,
+  isEscalationEnabled,
+  buildStepText,
+  startEscalation,
+  acknowledgeEscalation,
+  advanceEscalation,
+  runEscalationCheck
+};
@@ -0,0 +1,58 @@
+/**
+ * services/escalationPolicy.js
+ * Bug escalation steps and timing (pure functions, no I/O).
+ *
+ * A record's `step` is the index of the last step notified (-1 before the first).
+ * Policy delays come from config.escalation and count from the previous step.
+ */
+const config = require('../config');
+
+const ESCALATION_STEPS = ['primary', 'backup', 'lead', 'admins'];
+
+/**
+ * Minutes to wait after the previous step before running `step` (the primary step runs at once).
+ */
+function stepDelayMinutes(step, policy = config.escalation) {
+  switch (step) {
+    case 'backup': return policy.backupAfterMinutes;
+    case 'lead': return policy.leadAfterMinutes;
+    case 'admins': return policy.adminsAfterMinutes;
+    default: return 0;
+  }
+}
+
+/**
+ * Plan the step after record.step.
+ * @returns {{ step: string, nextStepAt: Date|null, status: string }|null} null once every step has run
+ */
+function planNextStep(record, now = new Date(), policy = config.escalation) {
+  const stepIndex = Number(record?.step ?? -1) + 1;
+  const step = ESCALATION_STEPS[stepIndex];
+  if (!step) return null;
+  const following = ESCALATION_STEPS[stepIndex + 1];
+  return {
+    step,
+    nextStepAt: following ? new Date(now.getTime() + stepDelayMinutes(following, policy) * 60 * 1000) : null,
+    status: following ? 'open' : 'exhausted'
+  };
+}
+
+/**
+ * Slack IDs a step mentions. Admins are reached through the admin channel, not by ID.
+ * @param {string} step
+ * @param {{ primaries?: Object, backups?: Object, roles?: Array<{ leadSlackIds?: string[] }> }} rotation
+ */
+function recipientsForStep(step, { primaries = {}, backups = {}, roles = [] } = {}) {
+  let ids = [];
+  if (step === 'primary') ids = Object.values(primaries || {});
+  if (step === 'backup') ids = Object.values(backups || {});
+  if (step === 'lead') ids = (roles || []).flatMap(r => r?.leadSlackIds || []);
+  return [...new Set(ids.filter(Boolean))];
+}
+
+module.exports = {
+  ESCALATION_STEPS,
+  stepDelayMinutes,
+  planNextStep,
+  recipientsForStep,
+};
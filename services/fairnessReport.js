@@ -0,0 +1,181 @@
+/**
+ * services/fairnessReport.js
+ * Per-person load by fiscal quarter: shifts served, shifts covered for others and shifts handed off.
+ *
+ * - A shift is one sprint in one role. Served shifts come from the served history (a person who
+ *   held a role twice in the same sprint served one shift); quarters follow the sprint start date
+ *   and the cadence's fiscal year.
+ * - Covered and handed-off shifts come from approved overrides (the replacement covered; the
+ *   original assignee, or the requester when that is unknown, handed off).
+ * - Everyone is compared with the active members of their own discipline in the same quarter, and
+ *   flagged when they served more than one standard deviation above the discipline mean.
+ */
+const dayjs = require('dayjs');
+const {
+  readSprints,
+  readOverrides,
+  readDisciplines,
+  readSprintCadence
+} = require('../dataUtils');
+const { getServedHistory } = require('./servedHistory');
+const { fiscalYearOf } = require('./sprintCadence');
+const { toDateOnly } = require('./availability');
+const { loadRoles, getRoleLabel, compareRoleKeys } = require('./roles');
+
+/**
+ * Fiscal quarter containing `date`: { key, label, start, end } (end is exclusive).
+ */
+function fiscalQuarterOf(date, fiscalYearStart) {
+  const fy = fiscalYearOf(date, fiscalYearStart);
+  const quarter = Math.floor(dayjs(toDateOnly(date)).diff(dayjs(fy.start), 'month') / 3) + 1;
+  const start = dayjs(fy.start).add((quarter - 1) * 3, 'month');
+  return {
+    key: `FY${fy.year}-Q${quarter}`,
+    label: `FY${String(fy.year % 100).padStart(2, '0')} Q${quarter}`,
+    start: start.format('YYYY-MM-DD'),
+    end: start.add(3, 'month').format('YYYY-MM-DD')
+  };
+}
+
+function meanAndStdDev(values) {
+  if (values.length === 0) return { mean: 0, stdDev: 0 };
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return { mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * Build the report (pure).
+ * @param {Object} params
+ * @param {Array} params.sprints - Sprint rows (sprintIndex/index, startDate)
+ * @param {Array} params.stints - Served history ({ sprintIndex, role, slackId })
+ * @param {Array} params.overrides - Override rows ({ sprintIndex, role, originalSlackId, newSlackId, requestedBy, approved })
+ * @param {Object} params.disciplines - Discipline key -> [{ slackId, name }] (active members)
+ * @param {string} params.fiscalYearStart - MM-DD
+ * @returns {Array<{ key, label, start, end, disciplines: Array<{ discipline, mean, stdDev, people: Array }> }>} Newest quarter first
+ */
+function buildFairnessReport({ sprints = [], stints = [], overrides = [], disciplines = {}, fiscalYearStart }) {
+  const sprintStarts = new Map();
+  sprints.forEach((s, i) => {
+    const index = Number.isFinite(Number(s?.sprintIndex)) ? Number(s.sprintIndex)
+      : Number.isFinite(Number(s?.index)) ? Number(s.index) : i;
+    const start = toDateOnly(s?.startDate);
+    if (start) sprintStarts.set(index, start);
+  });
+
+  const memberOf = new Map();
+  const names = new Map();
+  for (const [discipline, users] of Object.entries(disciplines || {})) {
+    for (const u of Array.isArray(users) ? users : []) {
+      if (!u?.slackId) continue;
+      if (!memberOf.has(u.slackId)) memberOf.set(u.slackId, discipline);
+      if (u.name && !names.has(u.slackId)) names.set(u.slackId, u.name);
+    }
+  }
+
+  const quarters = new Map();
+  const rowFor = (sprintIndex, slackId, fallbackDiscipline) => {
+    const start = sprintStarts.get(Number(sprintIndex));
+    if (!start || !slackId) return null;
+    const q = fiscalQuarterOf(start, fiscalYearStart);
+    if (!quarters.has(q.key)) quarters.set(q.key, { ...q, rows: new Map() });
+    const rows = quarters.get(q.key).rows;
+    const discipline = memberOf.get(slackId) || fallbackDiscipline;
+    const key = `${discipline}:${slackId}`;
+    if (!rows.has(key)) {
+      rows.set(key, { slackId, name: names.get(slackId) || null, discipline, shifts: new Set(), served: 0, covered: 0, handedOff: 0 });
+    }
+    return rows.get(key);
+  };
+
+  for (const stint of stints) {
+    const row = rowFor(stint.sprintIndex, stint.slackId, stint.role);
+    if (row) row.shifts.add(`${stint.sprintIndex}:${stint.role}`);
+  }
+  for (const o of overrides) {
+    if (!o?.approved) continue;
+    const covering = rowFor(o.sprintIndex, o.newSlackId, o.role);
+    if (covering) covering.covered += 1;
+    const handing = rowFor(o.sprintIndex, o.originalSlackId || o.requestedBy, o.role);
+    if (handing) handing.handedOff += 1;
+  }
+
+  return [...quarters.values()]
+    .sort((a, b) => b.start.localeCompare(a.start))
+    .map(q => {
+      // Members with nothing recorded still count toward their discipline's mean.
+      for (const [slackId, discipline] of memberOf) {
+        const key = `${discipline}:${slackId}`;
+        if (!q.rows.has(key)) {
+          q.rows.set(key, { slackId, name: names.get(slackId) || null, discipline, shifts: new Set(), served: 0, covered: 0, handedOff: 0 });
+        }
+      }
+
+      const byDiscipline = new Map();
+      for (const row of q.rows.values()) {
+        row.served = row.shifts.size;
+        if (!byDiscipline.has(row.discipline)) byDiscipline.set(row.discipline, []);
+        byDiscipline.get(row.discipline).push(row);
+      }
+
+      const groups = [...byDiscipline.entries()]
+        .sort(([a], [b]) => compareRoleKeys(a, b) || a.localeCompare(b))
+        .map(([discipline, rows]) => {
+          const { mean, stdDev } = meanAndStdDev(rows.map(r => r.served));
+          const people = rows
+            .map(({ shifts, ...r }) => ({ ...r, flagged: stdDev > 0 && r.served > mean + stdDev }))
+            .sort((a, b) => (b.served - a.served) || (b.covered - a.covered) || String(a.name || a.slackId).localeCompare(String(b.name || b.slackId)));
+          return { discipline, mean, stdDev, people };
+        });
+
+      return { key: q.key, label: q.label, start: q.start, end: q.end, disciplines: groups };
+    });
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV for the report: one row per person per quarter.
+ */
+function toFairnessCsv(report) {
+  const lines = [[
+    'quarter', 'quarter_start', 'discipline', 'slack_id', 'name', 'shifts_served',
+    'shifts_covered_for_others', 'shifts_handed_off', 'discipline_mean', 'discipline_std_dev', 'flagged'
+  ].join(',')];
+  for (const q of report) {
+    for (const group of q.disciplines) {
+      for (const p of group.people) {
+        lines.push([
+          q.label, q.start, getRoleLabel(group.discipline), p.slackId, p.name, p.served, p.covered, p.handedOff,
+          group.mean.toFixed(2), group.stdDev.toFixed(2), p.flagged ? 'yes' : 'no'
+        ].map(csvCell).join(','));
+      }
+    }
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Load everything and build the report.
+ */
+async function loadFairnessReport() {
+  await loadRoles();
+  const [sprints, stints, overrides, disciplines, cadence] = await Promise.all([
+    readSprints(),
+    getServedHistory(),
+    readOverrides(),
+    readDisciplines(),
+    readSprintCadence()
+  ]);
+  return buildFairnessReport({ sprints, stints, overrides, disciplines, fiscalYearStart: cadence.fiscalYearStart });
+}
+
+module.exports = {
+  fiscalQuarterOf,
+  buildFairnessReport,
+  toFairnessCsv,
+  loadFairnessReport,
+};
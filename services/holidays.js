@@ -0,0 +1,168 @@
+/**
+ * services/holidays.js
+ * Holiday calendar helpers (pure functions, no I/O).
+ *
+ * A holiday is { id, date, name, action } with a YYYY-MM-DD date in the team timezone.
+ * `action` is chosen per holiday:
+ *  - 'defer': rotation notifications that would go out that day wait for the next business day.
+ *  - 'shift': a sprint hand-off that falls on the holiday moves to 8AM on the next business day.
+ * Business days are weekdays that are not holidays (of either kind).
+ */
+const dayjs = require('dayjs');
+const { toDateOnly } = require('./availability');
+
+const HOLIDAY_ACTIONS = ['defer', 'shift'];
+const DEFAULT_HOLIDAY_ACTION = 'defer';
+
+function isHolidayAction(value) {
+  return HOLIDAY_ACTIONS.includes(value);
+}
+
+/**
+ * Validate a holiday. Returns an error message, or null when valid.
+ */
+function validateHoliday({ date, name, action } = {}) {
+  if (!toDateOnly(date)) return 'A date is required (YYYY-MM-DD).';
+  if (!name || !String(name).trim()) return 'A name is required.';
+  if (action != null && !isHolidayAction(action)) return `Action must be one of: ${HOLIDAY_ACTIONS.join(', ')}.`;
+  return null;
+}
+
+function normalizeHoliday({ date, name, action } = {}) {
+  return {
+    date: toDateOnly(date),
+    name: String(name || '').trim().slice(0, 200),
+    action: isHolidayAction(action) ? action : DEFAULT_HOLIDAY_ACTION
+  };
+}
+
+/**
+ * The holiday on a date (YYYY-MM-DD), optionally only for one action.
+ */
+function findHoliday(date, holidays, action = null) {
+  const day = toDateOnly(date);
+  if (!day) return null;
+  return (Array.isArray(holidays) ? holidays : [])
+    .find(h => toDateOnly(h?.date) === day && (!action || (h.action || DEFAULT_HOLIDAY_ACTION) === action)) || null;
+}
+
+function isBusinessDate(date, holidays) {
+  const day = toDateOnly(date);
+  if (!day) return false;
+  const dow = dayjs(day).day();
+  return dow !== 0 && dow !== 6 && !findHoliday(day, holidays);
+}
+
+/**
+ * First business day after `date` (YYYY-MM-DD).
+ */
+function nextBusinessDate(date, holidays) {
+  let day = dayjs(toDateOnly(date)).add(1, 'day');
+  // A year of consecutive holidays is a data error, not a calendar.
+  for (let i = 0; i < 366 && !isBusinessDate(day.format('YYYY-MM-DD'), holidays); i++) {
+    day = day.add(1, 'day');
+  }
+  return day.format('YYYY-MM-DD');
+}
+
+/**
+ * Date of the 8AM hand-off into a sprint starting on `startDate`: the start date itself,
+ * or the next business day when the start date is a 'shift' holiday.
+ */
+function getCutoverDate(startDate, holidays) {
+  const day = toDateOnly(startDate);
+  if (!day || !findHoliday(day, holidays, 'shift')) return day;
+  return nextBusinessDate(day, holidays);
+}
+
+/**
+ * Holidays on or after `today` (YYYY-MM-DD), soonest first.
+ */
+function upcomingHolidays(holidays, today) {
+  const from = toDateOnly(today);
+  return (Array.isArray(holidays) ? holidays : [])
+    .filter(h => !from || (toDateOnly(h?.date) || '') >= from)
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+function unfoldIcsLines(text) {
+  // RFC 5545: long lines continue on the next line after a single space or tab.
+  return String(text || '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+function unescapeIcsText(value) {
+  return String(value || '')
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(String(value || '').trim());
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Holidays from an iCalendar (ICS) file. Each VEVENT becomes one holiday per day it covers
+ * (DTEND is exclusive); the SUMMARY is the name. Timed events use the date part of DTSTART.
+ * @param {string} text - ICS file contents
+ * @param {string} [action] - Action given to every imported holiday
+ * @returns {{ holidays: Array<{ date: string, name: string, action: string }>, skipped: number }}
+ */
+function parseIcsHolidays(text, action = DEFAULT_HOLIDAY_ACTION) {
+  const byDate = new Map();
+  let skipped = 0;
+  let event = null;
+
+  for (const line of unfoldIcsLines(text)) {
+    const trimmed = line.trim();
+    if (trimmed === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+    if (trimmed === 'END:VEVENT') {
+      const start = parseIcsDate(event?.DTSTART);
+      if (!start || !event?.SUMMARY) {
+        skipped += 1;
+      } else {
+        const end = parseIcsDate(event.DTEND);
+        let day = dayjs(start);
+        const last = end && end > start ? dayjs(end).subtract(1, 'day') : day;
+        // Guard against multi-month events swallowing the calendar.
+        for (let i = 0; i < 31 && !day.isAfter(last); i++) {
+          const holiday = normalizeHoliday({ date: day.format('YYYY-MM-DD'), name: unescapeIcsText(event.SUMMARY), action });
+          if (!byDate.has(holiday.date)) byDate.set(holiday.date, holiday);
+          day = day.add(1, 'day');
+        }
+      }
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+
+    const colon = trimmed.indexOf(':');
+    if (colon === -1) continue;
+    // Property parameters (e.g. DTSTART;VALUE=DATE) are not needed for all-day dates.
+    const key = trimmed.slice(0, colon).split(';')[0].toUpperCase();
+    if (['DTSTART', 'DTEND', 'SUMMARY'].includes(key)) {
+      event[key] = trimmed.slice(colon + 1);
+    }
+  }
+
+  const holidays = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+  return { holidays, skipped };
+}
+
+module.exports = {
+  HOLIDAY_ACTIONS,
+  DEFAULT_HOLIDAY_ACTION,
+  isHolidayAction,
+  validateHoliday,
+  normalizeHoliday,
+  findHoliday,
+  isBusinessDate,
+  nextBusinessDate,
+  getCutoverDate,
+  upcomingHolidays,
+  parseIcsHolidays,
+};
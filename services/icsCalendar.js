@@ -0,0 +1,94 @@
+/**
+ * services/icsCalendar.js
+ * Minimal iCalendar (RFC 5545) writer for published feeds (pure functions, no I/O).
+ *
+ * Events are { uid, start, end, summary, description? } with Date (or dayjs) start/end.
+ * Times are written in UTC so clients show them in their own zone.
+ */
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+
+dayjs.extend(utc);
+
+const PRODID = '-//t1-triage-bot//Triage rotation//EN';
+const REFRESH_INTERVAL = 'PT6H';
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function formatUtc(value) {
+  return dayjs(value).utc().format('YYYYMMDD[T]HHmmss[Z]');
+}
+
+/**
+ * Fold a content line to 75 octets per physical line (continuations start with a space),
+ * without splitting multi-byte characters.
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Build a VCALENDAR document.
+ * @param {Object} params
+ * @param {string} params.name - Calendar name shown by clients (X-WR-CALNAME)
+ * @param {Array<{ uid: string, start: Date, end: Date, summary: string, description?: string }>} params.events
+ * @param {Date} [params.now] - DTSTAMP for every event
+ * @returns {string}
+ */
+function buildCalendar({ name, events = [], now = new Date() }) {
+  const stamp = formatUtc(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatUtc(event.start)}`,
+      `DTEND:${formatUtc(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar,
+};
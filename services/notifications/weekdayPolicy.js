@@ -1,30 +1,46 @@
 /**
  * Weekday policy helpers control when notifications should be deferred.
- * Full business logic will be implemented during User Story 3.
+ * Weekends and 'defer' holidays (services/holidays.js) defer; the caller passes the holiday list.
  */
 const dayjs = require('dayjs');
 const utc = require('dayjs/plugin/utc');
 const timezone = require('dayjs/plugin/timezone');
+const { getTeamTimezone } = require('../teamTimezone');
+const { findHoliday, isBusinessDate } = require('../holidays');
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
 
-function shouldDeferNotification(executedAt = new Date()) {
-  const timestamp = dayjs(executedAt).tz('America/Los_Angeles');
+function isWeekend(timestamp) {
   const day = timestamp.day(); // 0 (Sunday) -> 6 (Saturday)
   return day === 0 || day === 6;
 }
 
-function nextBusinessDay(executedAt = new Date()) {
-  let timestamp = dayjs(executedAt).tz('America/Los_Angeles').add(1, 'day');
-  while (timestamp.day() === 0 || timestamp.day() === 6) {
+/**
+ * Why a notification at `executedAt` should wait, or null when it can go out.
+ * @returns {string|null} e.g. 'weekend defer' or 'holiday defer: Thanksgiving'
+ */
+function getDeferralReason(executedAt = new Date(), holidays = []) {
+  const timestamp = dayjs(executedAt).tz(getTeamTimezone());
+  if (isWeekend(timestamp)) return 'weekend defer';
+  const holiday = findHoliday(timestamp.format('YYYY-MM-DD'), holidays, 'defer');
+  return holiday ? `holiday defer: ${holiday.name}` : null;
+}
+
+function shouldDeferNotification(executedAt = new Date(), holidays = []) {
+  return getDeferralReason(executedAt, holidays) !== null;
+}
+
+function nextBusinessDay(executedAt = new Date(), holidays = []) {
+  let timestamp = dayjs(executedAt).tz(getTeamTimezone()).add(1, 'day');
+  while (!isBusinessDate(timestamp.format('YYYY-MM-DD'), holidays)) {
     timestamp = timestamp.add(1, 'day');
   }
   return timestamp.startOf('day').toDate();
 }
 
 module.exports = {
+  getDeferralReason,
   shouldDeferNotification,
   nextBusinessDay,
 };
-
@@ -0,0 +1,109 @@
+/**
+ * services/outOfOffice.js
+ * "I'm out": the shifts a date range takes someone off, and who to suggest covering each
+ * (pure functions, no I/O).
+ *
+ * A shift runs from the sprint's first day up to its hand-off day (see services/overrideRanges.js).
+ * When the range covers all of it the request is for the whole sprint; otherwise it is a partial
+ * override for the days inside the range.
+ */
+const dayjs = require('dayjs');
+const { toDateOnly, hasTimeOffDuring } = require('./availability');
+
+// Each shift is two blocks in the modal; keeps it well under Slack's 100-block limit.
+const OUT_OF_OFFICE_MAX_SHIFTS = 10;
+
+/**
+ * Validate an "I'm out" range. Coverage can't start today: the shift would start before anyone
+ * could answer. Returns an error message, or null when valid.
+ * @param {string} today YYYY-MM-DD
+ */
+function validateOutOfOfficeRange(startDate, endDate, today) {
+  const start = toDateOnly(startDate);
+  const end = toDateOnly(endDate);
+  if (!start || !end) return 'Pick the first and last day you are out.';
+  if (end < start) return 'End date must be on or after the start date.';
+  if (today && start <= today) return 'Start from tomorrow or later; for today, ask someone to cover you directly.';
+  return null;
+}
+
+function lastShiftDay(shift) {
+  const handOff = toDateOnly(shift?.endDate);
+  return handOff ? dayjs(handOff).subtract(1, 'day').format('YYYY-MM-DD') : null;
+}
+
+/**
+ * Shifts from getUserUpcomingShifts that overlap the range, with the days to cover.
+ * Days the user covers for a teammate (partial shifts) come back with `coveringFor` set: the
+ * override belongs to that teammate, so it can't be filed from here.
+ * @returns {Array<{ sprintIndex, sprintName, role, startDate, endDate, wholeSprint, rotationUsers, coveringFor }>}
+ */
+function findAffectedShifts(shifts, startDate, endDate) {
+  const start = toDateOnly(startDate);
+  const end = toDateOnly(endDate);
+  if (!start || !end) return [];
+
+  const affected = [];
+  for (const shift of Array.isArray(shifts) ? shifts : []) {
+    const shiftStart = toDateOnly(shift?.startDate);
+    const shiftEnd = lastShiftDay(shift);
+    if (!shiftStart || !shiftEnd || shiftEnd < shiftStart) continue;
+
+    const from = start > shiftStart ? start : shiftStart;
+    const to = end < shiftEnd ? end : shiftEnd;
+    if (from > to) continue;
+
+    const wholeSprint = !shift.partial && from === shiftStart && to === shiftEnd;
+    affected.push({
+      sprintIndex: shift.sprintIndex,
+      sprintName: shift.sprintName,
+      role: shift.role,
+      startDate: from,
+      endDate: to,
+      wholeSprint,
+      rotationUsers: shift.rotationUsers || null,
+      coveringFor: shift.partial ? (shift.coveringFor || null) : null
+    });
+  }
+  return affected;
+}
+
+/**
+ * A suggested replacement per affected shift (Slack ID, or null when nobody fits). Candidates are
+ * the role's members in rotation order after the requester, leaving out anyone with time off
+ * during the shift's days or already on call that sprint. The batch is spread out: the member
+ * suggested fewest times so far wins.
+ * @param {Array} affected - From findAffectedShifts
+ * @param {Array<{ slackId: string }>} roleList - The role's rotation list
+ * @param {{ requesterId: string, unavailability?: Array }} options
+ * @returns {Array<string|null>}
+ */
+function suggestReplacements(affected, roleList, { requesterId, unavailability = [] }) {
+  const members = (Array.isArray(roleList) ? roleList : []).filter(u => u?.slackId);
+  const requesterIndex = members.findIndex(u => u.slackId === requesterId);
+  const inRotationOrder = requesterIndex === -1
+    ? members
+    : [...members.slice(requesterIndex + 1), ...members.slice(0, requesterIndex)];
+
+  const picks = new Map();
+  return (Array.isArray(affected) ? affected : []).map(shift => {
+    const onCall = new Set(Object.values(shift.rotationUsers || {}).filter(Boolean));
+    const candidates = inRotationOrder.filter(u =>
+      u.slackId !== requesterId &&
+      !onCall.has(u.slackId) &&
+      !hasTimeOffDuring(unavailability, u.slackId, shift.startDate, shift.endDate)
+    );
+    if (candidates.length === 0) return null;
+
+    const best = candidates.reduce((a, b) => ((picks.get(b.slackId) || 0) < (picks.get(a.slackId) || 0) ? b : a));
+    picks.set(best.slackId, (picks.get(best.slackId) || 0) + 1);
+    return best.slackId;
+  });
+}
+
+module.exports = {
+  OUT_OF_OFFICE_MAX_SHIFTS,
+  validateOutOfOfficeRange,
+  findAffectedShifts,
+  suggestReplacements,
+};
@@ -0,0 +1,274 @@
+/**
+ * services/overrideApproval.js
+ * Who approves an override request once the replacement has accepted it.
+ *
+ * A role with a lead sends the request to the lead by DM first. When the lead has not answered
+ * within config.overrideApproval.leadTimeoutMinutes it is posted to the admin channel too, and the
+ * first answer wins. Roles without a lead, requests the lead is part of, and JSON mode (nothing
+ * to run the timeout from) go straight to the admin channel. Admins can approve any request.
+ * Requests filed together from "I'm out" share a batch id and reach the admin channel as one
+ * message once none of them waits on its replacement (answered, cancelled or expired); batches skip
+ * the lead, since they can span several sprints and are answered in one action.
+ *
+ * The pending sweep also reminds whoever a request waits on every
+ * config.overrideApproval.reminderIntervalMinutes and expires requests whose coverage has started.
+ * Each step is claimed in the database and written to audit_logs.
+ */
+const config = require('../config');
+const { OverridesRepository } = require('../db/repository');
+const { readSprints, formatSprintLabelPT, formatSprintRangePT, getShiftDatePT } = require('../dataUtils');
+const { loadRoles, getRoleLeads, getRoleLabel } = require('./roles');
+const { isPartialOverride } = require('./overrideRanges');
+const { postChannelMessage } = require('../slackNotifier');
+const { OVERRIDE_STATUSES } = require('./overrideStatus');
+const {
+  pickApprovalLeads,
+  formatLeads,
+  formatWait,
+  buildApprovalBlocks,
+  buildBatchApprovalBlocks,
+  buildReplacementRequestBlocks,
+  hasCoverageStarted,
+} = require('./overrideApprovalPolicy');
+
+const USE_DATABASE = process.env.USE_DATABASE !== 'false';
+
+function isLeadRoutingEnabled() {
+  return USE_DATABASE;
+}
+
+async function postToAdmins(request, intro) {
+  return postChannelMessage(
+    process.env.ADMIN_CHANNEL_ID,
+    `Override Request: <@${request.requesterId}> has requested an override for *${getRoleLabel(request.role)}* on *${request.sprintLabel}*. Please review and approve.`,
+    buildApprovalBlocks(request, intro)
+  );
+}
+
+/**
+ * DM a request to each lead with Approve/Decline. Returns the leads the DM reached.
+ */
+async function postToLeads(leadSlackIds, request, intro, text) {
+  const reached = [];
+  for (const leadSlackId of leadSlackIds) {
+    const ts = await postChannelMessage(leadSlackId, text, buildApprovalBlocks(request, intro, { viaLead: true }));
+    if (ts) reached.push(leadSlackId);
+    else console.warn(`[overrideApproval] Could not DM lead ${leadSlackId}`);
+  }
+  return reached;
+}
+
+/**
+ * Send a request the replacement accepted to its approvers: every lead of the role (the first
+ * answer wins), or the admin channel when there are none or none of them could be reached.
+ * @returns {Promise<{ routedTo: 'lead'|'admins', leadSlackIds: string[] }>}
+ */
+async function routeOverrideForApproval(request) {
+  await loadRoles();
+  const leadSlackIds = isLeadRoutingEnabled() ? pickApprovalLeads(request, getRoleLeads(request.role)) : [];
+  const key = [request.sprintIndex, request.role, request.requesterId, request.replacementSlackId];
+
+  if (leadSlackIds.length > 0) {
+    const { leadTimeoutMinutes } = config.overrideApproval;
+    const intro = `As a ${getRoleLabel(request.role)} lead, you can approve this request. ` +
+      `If no lead has answered in ${formatWait(leadTimeoutMinutes)}, it goes to the admins as well.`;
+    const reached = await postToLeads(
+      leadSlackIds,
+      request,
+      intro,
+      `<@${request.requesterId}> asked <@${request.replacementSlackId}> to cover ${getRoleLabel(request.role)} on ${request.sprintLabel}. Please approve or decline.`
+    );
+    if (reached.length > 0) {
+      await OverridesRepository.markApprovalRouted(...key, 'lead', reached);
+      return { routedTo: 'lead', leadSlackIds: reached };
+    }
+    console.warn('[overrideApproval] Could not DM any lead; sending to the admins instead');
+  }
+
+  await postToAdmins(request, 'The replacement has accepted. Please review.');
+  if (isLeadRoutingEnabled()) {
+    await OverridesRepository.markApprovalRouted(...key, 'admins');
+  }
+  return { routedTo: 'admins', leadSlackIds: [] };
+}
+
+function findSprint(sprints, sprintIndex) {
+  return (Array.isArray(sprints) ? sprints : []).find(s => Number(s?.sprintIndex) === Number(sprintIndex)) || null;
+}
+
+/**
+ * The request fields the Slack messages use, from a pending override row.
+ */
+function toRequest(o, sprints) {
+  const sprint = findSprint(sprints, o.sprintIndex);
+  const label = sprint
+    ? formatSprintLabelPT(sprint.sprintName, sprint.startDate, sprint.endDate)
+    : `Sprint ${o.sprintIndex}`;
+  return {
+    sprintIndex: o.sprintIndex,
+    sprintLabel: isPartialOverride(o) ? `${label}, ${formatSprintRangePT(o.startDate, o.endDate)} only` : label,
+    role: o.role,
+    replacementSlackId: o.newSlackId,
+    replacementName: o.newName,
+    requesterId: o.requestedBy
+  };
+}
+
+function postBatchToAdmins(overrides, sprints, intro) {
+  const [first] = overrides;
+  return postChannelMessage(
+    process.env.ADMIN_CHANNEL_ID,
+    `Override Request: <@${first.requestedBy}> is out and asked for cover on ${overrides.length} shift${overrides.length === 1 ? '' : 's'}. Please review and approve.`,
+    buildBatchApprovalBlocks({
+      batchId: first.batchId,
+      requesterId: first.requestedBy,
+      requests: overrides.map(o => toRequest(o, sprints))
+    }, intro)
+  );
+}
+
+/**
+ * Post a batch's requests, claimed for approval once every replacement answered, to the admin
+ * channel as one message.
+ * @param {Array} overrides - Pending rows from one batch
+ */
+async function routeOverrideBatchForApproval(overrides) {
+  if (!Array.isArray(overrides) || overrides.length === 0) return null;
+  const sprints = await readSprints();
+  return postBatchToAdmins(overrides, sprints, 'Every replacement has answered. Please review.');
+}
+
+/**
+ * Expire pending requests whose coverage has started and tell the requester.
+ */
+async function expireStartedRequests(sprints, now) {
+  const shiftDate = getShiftDatePT(now);
+  const pending = await OverridesRepository.getPending();
+  const batchIds = new Set();
+  let expired = 0;
+
+  for (const o of pending) {
+    if (!hasCoverageStarted(o, findSprint(sprints, o.sprintIndex), shiftDate)) continue;
+    const onReplacement = o.status === OVERRIDE_STATUSES.PENDING_REPLACEMENT;
+    const claimed = await OverridesRepository.expireOverride(
+      o.id,
+      `Override expired: coverage started while waiting for ${onReplacement ? 'the replacement' : 'approval'}`
+    );
+    if (!claimed) continue;
+    expired++;
+    if (onReplacement && o.batchId) batchIds.add(o.batchId);
+
+    const request = toRequest(o, sprints);
+    await postChannelMessage(
+      o.requestedBy,
+      `Your override request for ${getRoleLabel(request.role)} on ${request.sprintLabel} expired: the shift started while it was still waiting for ${onReplacement ? `<@${o.newSlackId}> to accept` : 'approval'}. The rotation is unchanged; send a new request if you still need cover.`
+    );
+  }
+
+  // The rest of a batch may have been waiting only on a replacement who never answered
+  for (const batchId of batchIds) {
+    const claimed = await OverridesRepository.claimBatchForApproval(batchId);
+    await routeOverrideBatchForApproval(claimed);
+  }
+  return expired;
+}
+
+/**
+ * Post requests a lead has held past the timeout to the admin channel.
+ */
+async function escalateLeadTimeouts(sprints, now) {
+  const { leadTimeoutMinutes } = config.overrideApproval;
+  const cutoff = new Date(now.getTime() - leadTimeoutMinutes * 60 * 1000);
+  const due = await OverridesRepository.claimLeadApprovalTimeouts(cutoff);
+
+  for (const o of due) {
+    const leads = formatLeads(o.approvalLeadSlackIds);
+    const ts = await postToAdmins(toRequest(o, sprints), `${leads} ${o.approvalLeadSlackIds.length === 1 ? "hasn't" : "haven't"} answered in ${formatWait(leadTimeoutMinutes)}.`);
+    if (!ts) {
+      console.error(`[overrideApproval] Failed to post override ${o.id} to the admins`);
+    }
+  }
+  return due.length;
+}
+
+/**
+ * Re-send requests nobody has answered within the reminder interval to whoever they wait on:
+ * the replacement, the lead, or the admin channel.
+ */
+async function sendReminders(sprints, now) {
+  const { reminderIntervalMinutes } = config.overrideApproval;
+  if (reminderIntervalMinutes === 0) return 0;
+
+  const cutoff = new Date(now.getTime() - reminderIntervalMinutes * 60 * 1000);
+  const due = await OverridesRepository.claimDueReminders(cutoff);
+
+  // Batches waiting on the admins get one reminder for the whole batch.
+  const batches = new Map();
+  for (const o of due) {
+    if (o.batchId && o.status === OVERRIDE_STATUSES.PENDING_ADMIN) {
+      if (!batches.has(o.batchId)) batches.set(o.batchId, []);
+      batches.get(o.batchId).push(o);
+    }
+  }
+  for (const [batchId, overrides] of batches) {
+    const ts = await postBatchToAdmins(overrides, sprints, 'Reminder: these requests are still waiting for approval.');
+    if (!ts) {
+      console.error(`[overrideApproval] Failed to send reminder for override batch ${batchId}`);
+    }
+  }
+
+  for (const o of due) {
+    if (o.batchId && o.status === OVERRIDE_STATUSES.PENDING_ADMIN) continue;
+    const request = toRequest(o, sprints);
+    let ts;
+    if (o.status === OVERRIDE_STATUSES.PENDING_REPLACEMENT) {
+      ts = await postChannelMessage(
+        o.newSlackId,
+        `Reminder: <@${o.requestedBy}> is still waiting for your answer on covering ${getRoleLabel(o.role)} on ${request.sprintLabel}.`,
+        buildReplacementRequestBlocks(request, 'Reminder: this request is still waiting for your answer.')
+      );
+    } else if (o.approvalRoutedTo === 'lead' && o.approvalLeadSlackIds.length > 0) {
+      const reached = await postToLeads(
+        o.approvalLeadSlackIds,
+        request,
+        'Reminder: this request is still waiting for your approval.',
+        `Reminder: <@${o.requestedBy}>'s override request for ${getRoleLabel(o.role)} on ${request.sprintLabel} is still waiting for your approval.`
+      );
+      ts = reached.length > 0;
+    } else {
+      ts = await postToAdmins(request, 'Reminder: this request is still waiting for approval.');
+    }
+    if (!ts) {
+      console.error(`[overrideApproval] Failed to send reminder ${o.reminderCount} for override ${o.id}`);
+    }
+  }
+  return due.length;
+}
+
+/**
+ * Sweep requests that are still pending: expire those whose coverage has started, move requests
+ * a lead has held past the timeout to the admins, then remind whoever the rest are waiting on.
+ * Run from the in-app cron or the Railway job route.
+ * @returns {Promise<{ enabled: boolean, expired: number, escalated: number, reminded: number }>}
+ */
+async function runPendingOverrideSweep(now = new Date()) {
+  if (!USE_DATABASE) {
+    return { enabled: false, expired: 0, escalated: 0, reminded: 0 };
+  }
+
+  const sprints = await readSprints();
+  const expired = await expireStartedRequests(sprints, now);
+  const escalated = await escalateLeadTimeouts(sprints, now);
+  const reminded = await sendReminders(sprints, now);
+
+  if (expired || escalated || reminded) {
+    console.log(`[overrideApproval] Expired ${expired}, moved ${escalated} to the admins, reminded ${reminded}`);
+  }
+  return { enabled: true, expired, escalated, reminded };
+}
+
+module.exports = {
+  routeOverrideForApproval,
+  routeOverrideBatchForApproval,
+  runPendingOverrideSweep,
+};
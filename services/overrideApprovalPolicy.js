@@ -0,0 +1,179 @@
+/**
+ * services/overrideApprovalPolicy.js
+ * Who approves an override request, the messages they get, and when a request is past
+ * answering (pure functions, no I/O).
+ */
+const { isPartialOverride } = require('./overrideRanges');
+const { getRoleLabel } = require('./roles');
+
+/**
+ * The leads to ask first; empty to go straight to the admins. A lead who requested the
+ * override or is covering it doesn't approve it.
+ * @param {{ requesterId: string, replacementSlackId: string }} request
+ * @param {string[]} leadSlackIds
+ */
+function pickApprovalLeads(request, leadSlackIds) {
+  return [...new Set((Array.isArray(leadSlackIds) ? leadSlackIds : []).filter(Boolean))]
+    .filter(id => id !== request.requesterId && id !== request.replacementSlackId);
+}
+
+/**
+ * Who holds a request routed to leads: "<@L1> (lead)", "<@L1> and <@L2> (PO leads)".
+ * @param {string[]} leadSlackIds
+ * @param {string} [roleLabel]
+ */
+function formatLeads(leadSlackIds, roleLabel = '') {
+  const mentions = (Array.isArray(leadSlackIds) ? leadSlackIds : []).map(id => `<@${id}>`);
+  const list = mentions.length > 1
+    ? `${mentions.slice(0, -1).join(', ')} and ${mentions[mentions.length - 1]}`
+    : mentions.join('');
+  const noun = mentions.length === 1 ? 'lead' : 'leads';
+  return `${list} (${roleLabel ? `${roleLabel} ${noun}` : noun})`;
+}
+
+function formatWait(minutes) {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minutes`;
+}
+
+/**
+ * Request text plus Approve/Decline buttons. `viaLead` marks a lead's DM, where the handler
+ * checks the clicker is still one of the role's leads.
+ * @param {{ sprintIndex, sprintLabel, role, replacementSlackId, replacementName, requesterId }} request
+ */
+function buildApprovalBlocks(request, intro, { viaLead = false } = {}) {
+  const { sprintIndex, sprintLabel, role, replacementSlackId, replacementName, requesterId } = request;
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${intro}\nOverride Request: <@${requesterId}> has requested an override for *${getRoleLabel(role)}* on *${sprintLabel}*.\nReplacement: <@${replacementSlackId}> (${replacementName || replacementSlackId}) has accepted.`
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Approve' },
+          style: 'primary',
+          action_id: 'approve_override',
+          value: JSON.stringify({ sprintIndex, sprintLabel, role, replacementSlackId, replacementName, requesterId, viaLead })
+        },
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Decline' },
+          style: 'danger',
+          action_id: 'decline_override',
+          value: JSON.stringify({ sprintIndex, sprintLabel, role, replacementSlackId, requesterId, viaLead })
+        }
+      ]
+    }
+  ];
+}
+
+/**
+ * One message for an "I'm out" batch: every accepted request, with Approve all/Decline all.
+ * The buttons carry only the batch id; the handler acts on the batch's requests still waiting
+ * for approval when clicked.
+ * @param {{ batchId: string, requesterId: string, requests: Array<{ sprintLabel, role, replacementSlackId, replacementName }> }} batch
+ */
+function buildBatchApprovalBlocks(batch, intro) {
+  const { batchId, requesterId, requests } = batch;
+  const lines = requests.map(r =>
+    `• *${getRoleLabel(r.role)}* on *${r.sprintLabel}*: <@${r.replacementSlackId}> (${r.replacementName || r.replacementSlackId})`
+  );
+  const value = JSON.stringify({ batchId, requesterId });
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${intro}\n<@${requesterId}> is out and asked for cover on ${requests.length} shift${requests.length === 1 ? '' : 's'}. The replacements have accepted:\n${lines.join('\n')}`
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Approve all' },
+          style: 'primary',
+          action_id: 'approve_override_batch',
+          value
+        },
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Decline all' },
+          style: 'danger',
+          action_id: 'decline_override_batch',
+          value
+        }
+      ]
+    }
+  ];
+}
+
+/**
+ * Request text plus Accept/Decline buttons for the replacement.
+ * @param {{ sprintIndex, sprintLabel, role, replacementSlackId, replacementName, requesterId }} request
+ */
+function buildReplacementRequestBlocks(request, intro) {
+  const { sprintIndex, sprintLabel, role, replacementSlackId, replacementName, requesterId } = request;
+  const value = JSON.stringify({ sprintIndex, sprintLabel, role, replacementSlackId, replacementName, requesterId });
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `<@${requesterId}> asked you to cover *${getRoleLabel(role)}* on *${sprintLabel}*.\n${intro}`
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Accept' },
+          style: 'primary',
+          action_id: 'accept_override_replacement',
+          value
+        },
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Decline' },
+          action_id: 'decline_override_replacement',
+          value
+        }
+      ]
+    }
+  ];
+}
+
+/**
+ * Whether the coverage a request asks for has started, so it can no longer be answered: the
+ * first covered day of a partial override, otherwise the sprint's first day, compared with the
+ * shift running now (getShiftDatePT, which moves at the 8AM hand-off).
+ * @param {{ startDate?: string, endDate?: string }} override
+ * @param {{ startDate: string }|null} sprint
+ * @param {string} shiftDate YYYY-MM-DD
+ */
+function hasCoverageStarted(override, sprint, shiftDate) {
+  const start = isPartialOverride(override) ? override.startDate : sprint?.startDate;
+  if (!start || !shiftDate) return false;
+  return String(start).split('T')[0] <= shiftDate;
+}
+
+module.exports = {
+  pickApprovalLeads,
+  formatLeads,
+  formatWait,
+  buildApprovalBlocks,
+  buildBatchApprovalBlocks,
+  buildReplacementRequestBlocks,
+  hasCoverageStarted,
+};
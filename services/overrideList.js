@@ -0,0 +1,88 @@
+/**
+ * services/overrideList.js
+ * Filtering, paging and row identity for the admin override list (pure functions, no I/O).
+ *
+ * List buttons carry the row's id (the sprint/role/requester/replacement key in JSON mode,
+ * where rows have no id) and its updatedAt. An action only applies when the row still has that
+ * updatedAt, so a list rendered before someone else changed the row can't act on the new state.
+ */
+
+const OVERRIDE_LIST_PAGE_SIZE = 10;
+
+/**
+ * Version to compare on click: updatedAt from the database, else the JSON row's last write.
+ */
+function getOverrideVersion(override) {
+  return override?.updatedAt || override?.timestamp || null;
+}
+
+/**
+ * Button value identifying a row.
+ */
+function toOverrideRef(override) {
+  return {
+    id: override.id ?? null,
+    key: override.id == null
+      ? { sprintIndex: override.sprintIndex, role: override.role, requestedBy: override.requestedBy, newSlackId: override.newSlackId }
+      : null,
+    updatedAt: getOverrideVersion(override)
+  };
+}
+
+function isSameRow(override, ref) {
+  if (ref.id != null) return override.id === ref.id;
+  const key = ref.key || {};
+  return Number(override.sprintIndex) === Number(key.sprintIndex) &&
+    override.role === key.role &&
+    override.requestedBy === key.requestedBy &&
+    override.newSlackId === key.newSlackId;
+}
+
+/**
+ * The row `ref` points at, or null when it is gone or has changed since the list was rendered.
+ */
+function findCurrentOverride(overrides, ref) {
+  if (!ref) return null;
+  return (Array.isArray(overrides) ? overrides : [])
+    .find(o => o && isSameRow(o, ref) && getOverrideVersion(o) === ref.updatedAt) || null;
+}
+
+/**
+ * @param {{ sprintIndex?: number|null, role?: string|null, status?: string|null, futureOnly?: boolean }} filters
+ * @param {{ currentSprintIndex?: number|null }} context futureOnly keeps the current sprint and later
+ */
+function filterOverrides(overrides, filters = {}, { currentSprintIndex = null } = {}) {
+  return (Array.isArray(overrides) ? overrides : []).filter(o => {
+    if (filters.sprintIndex != null && Number(o.sprintIndex) !== Number(filters.sprintIndex)) return false;
+    if (filters.role && o.role !== filters.role) return false;
+    if (filters.status && o.status !== filters.status) return false;
+    if (filters.futureOnly && currentSprintIndex != null && Number(o.sprintIndex) < Number(currentSprintIndex)) return false;
+    return true;
+  });
+}
+
+/**
+ * One page of `items`; `page` is clamped to the pages there are.
+ */
+function paginate(items, page = 0, pageSize = OVERRIDE_LIST_PAGE_SIZE) {
+  const total = items.length;
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const current = Math.min(Math.max(0, Number(page) || 0), pageCount - 1);
+  return {
+    items: items.slice(current * pageSize, (current + 1) * pageSize),
+    page: current,
+    pageCount,
+    total,
+    start: total === 0 ? 0 : current * pageSize + 1,
+    end: Math.min(total, (current + 1) * pageSize)
+  };
+}
+
+module.exports = {
+  OVERRIDE_LIST_PAGE_SIZE,
+  getOverrideVersion,
+  toOverrideRef,
+  findCurrentOverride,
+  filterOverrides,
+  paginate,
+};
@@ -0,0 +1,76 @@
+/**
+ * services/overrideRanges.js
+ * Partial-sprint overrides (pure functions, no I/O).
+ *
+ * An override may carry inclusive startDate/endDate (YYYY-MM-DD) inside its sprint; without them it
+ * covers the whole sprint. Each day runs from the 8AM hand-off to the next, so an override ending on
+ * the 12th hands back at 8AM on the 13th. The sprint's end date is the hand-off day it shares with the
+ * next sprint and can't be covered.
+ */
+const { toDateOnly } = require('./availability');
+
+function isPartialOverride(override) {
+  return !!(toDateOnly(override?.startDate) && toDateOnly(override?.endDate));
+}
+
+function overrideCoversDate(override, date) {
+  if (!isPartialOverride(override)) return true;
+  const day = toDateOnly(date);
+  return !!day && toDateOnly(override.startDate) <= day && day <= toDateOnly(override.endDate);
+}
+
+/**
+ * Validate an optional date range for an override on `sprint`. Returns an error message, or null
+ * when valid (including when both dates are empty: the whole sprint).
+ */
+function validateOverrideRange(startDate, endDate, sprint) {
+  const start = toDateOnly(startDate);
+  const end = toDateOnly(endDate);
+  if (!start && !end) return null;
+  if (!start || !end) return 'Pick both a start and an end date, or leave both empty for the whole sprint.';
+  if (end < start) return 'End date must be on or after the start date.';
+
+  const sprintStart = toDateOnly(sprint?.startDate);
+  const sprintEnd = toDateOnly(sprint?.endDate);
+  if (sprintStart && start < sprintStart) return 'Coverage must start on or after the sprint’s first day.';
+  if (sprintEnd && end >= sprintEnd) return 'Coverage must end before the sprint’s hand-off day.';
+  return null;
+}
+
+/**
+ * The approved override that decides who holds `role` in a sprint.
+ * With a date, a partial override covering that day wins over a whole-sprint one; without a date
+ * only whole-sprint overrides count (the sprint's assignee as scheduled).
+ */
+function findActiveOverride(overrides, sprintIndex, role, date = null) {
+  const idx = Number(sprintIndex);
+  const matching = (Array.isArray(overrides) ? overrides : []).filter(o =>
+    o?.approved === true && Number(o.sprintIndex) === idx && o.role === role
+  );
+  if (date) {
+    const partial = matching.find(o => isPartialOverride(o) && overrideCoversDate(o, date));
+    if (partial) return partial;
+  }
+  return matching.find(o => !isPartialOverride(o)) || null;
+}
+
+/**
+ * Roles with an approved partial override anywhere in the sprint. Their holder is worked out again
+ * at every hand-off, so a boundary missed on a deferred day is picked up at the next one.
+ * @returns {Set<string>}
+ */
+function getPartialOverrideRoles(overrides, sprintIndex) {
+  const roles = new Set();
+  for (const o of Array.isArray(overrides) ? overrides : []) {
+    if (o?.approved === true && Number(o.sprintIndex) === Number(sprintIndex) && isPartialOverride(o)) roles.add(o.role);
+  }
+  return roles;
+}
+
+module.exports = {
+  isPartialOverride,
+  overrideCoversDate,
+  validateOverrideRange,
+  findActiveOverride,
+  getPartialOverrideRoles,
+};
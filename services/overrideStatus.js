@@ -0,0 +1,77 @@
+/**
+ * services/overrideStatus.js
+ * Lifecycle of an override request (pure functions, no I/O).
+ *
+ * pending_replacement -> the replacement accepts -> pending_admin -> an admin approves -> approved.
+ * Either step can end in declined; requests still pending when their sprint starts become expired.
+ * The requester can cancel a request that is pending or approved (open).
+ * Rows read before the status column existed only have `approved`: true means approved, anything
+ * else was waiting on an admin. In memory every row also carries `approved` as shorthand for
+ * status === 'approved', which is what the rotation reads.
+ */
+
+const OVERRIDE_STATUSES = Object.freeze({
+  PENDING_REPLACEMENT: 'pending_replacement',
+  PENDING_ADMIN: 'pending_admin',
+  APPROVED: 'approved',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+});
+
+const STATUS_VALUES = new Set(Object.values(OVERRIDE_STATUSES));
+
+const PENDING_STATUSES = Object.freeze([
+  OVERRIDE_STATUSES.PENDING_REPLACEMENT,
+  OVERRIDE_STATUSES.PENDING_ADMIN
+]);
+
+const OPEN_STATUSES = Object.freeze([
+  ...PENDING_STATUSES,
+  OVERRIDE_STATUSES.APPROVED
+]);
+
+const STATUS_LABELS = {
+  pending_replacement: 'Waiting for the replacement',
+  pending_admin: 'Waiting for approval',
+  approved: 'Approved',
+  declined: 'Declined',
+  expired: 'Expired',
+  cancelled: 'Cancelled'
+};
+
+function getOverrideStatus(override) {
+  if (STATUS_VALUES.has(override?.status)) return override.status;
+  return override?.approved === true ? OVERRIDE_STATUSES.APPROVED : OVERRIDE_STATUSES.PENDING_ADMIN;
+}
+
+function isPendingOverride(override) {
+  return PENDING_STATUSES.includes(getOverrideStatus(override));
+}
+
+function isOpenOverride(override) {
+  return OPEN_STATUSES.includes(getOverrideStatus(override));
+}
+
+/**
+ * The row with `status` resolved and `approved` derived from it.
+ */
+function withOverrideStatus(override) {
+  const status = getOverrideStatus(override);
+  return { ...override, status, approved: status === OVERRIDE_STATUSES.APPROVED };
+}
+
+function getStatusLabel(status) {
+  return STATUS_LABELS[status] || status;
+}
+
+module.exports = {
+  OVERRIDE_STATUSES,
+  PENDING_STATUSES,
+  OPEN_STATUSES,
+  getOverrideStatus,
+  isPendingOverride,
+  isOpenOverride,
+  withOverrideStatus,
+  getStatusLabel,
+};
@@ -0,0 +1,132 @@
+/**
+ * services/replacementRanking.js
+ * Order the replacement picker's candidates for an override request, with a short reason for
+ * each (pure functions, no I/O).
+ *
+ * - Members who can't take the shift stay in the list but go last, with a warning: time off
+ *   during the covered days, out of the sprint already (whole-sprint time off or a redeemed
+ *   coverage credit), or on call in another role that sprint.
+ * - The rest are ordered by load: members on call the sprint before or after go below the others,
+ *   then whoever served longest ago (or never, per the served history) comes first.
+ * - Ties keep rotation order after the requester.
+ */
+const dayjs = require('dayjs');
+const { toDateOnly, hasTimeOffDuring } = require('./availability');
+const { validateOverrideRange } = require('./overrideRanges');
+const { getRoleLabel } = require('./roles');
+const { findOtherRole } = require('./roleConflicts');
+
+/**
+ * First and last day a request covers: its own dates when they are a valid partial range,
+ * otherwise the sprint's first day up to the day before its hand-off.
+ */
+function getCoveredDays(sprint, startDate = null, endDate = null) {
+  if (startDate && endDate && !validateOverrideRange(startDate, endDate, sprint)) {
+    return { startDate: toDateOnly(startDate), endDate: toDateOnly(endDate) };
+  }
+  const handOff = toDateOnly(sprint?.endDate);
+  return {
+    startDate: toDateOnly(sprint?.startDate),
+    endDate: handOff ? dayjs(handOff).subtract(1, 'day').format('YYYY-MM-DD') : null
+  };
+}
+
+function formatServed(lastServed, currentSprintIndex) {
+  if (lastServed === null) return 'no shifts on record';
+  if (currentSprintIndex === null) return null;
+  const ago = currentSprintIndex - lastServed;
+  if (ago <= 0) return 'on call now';
+  return ago === 1 ? 'served last sprint' : `served ${ago} sprints ago`;
+}
+
+/**
+ * @param {Object} params
+ * @param {Array<{ slackId, name }>} params.roleList - The role's rotation list
+ * @param {string} params.requesterId
+ * @param {string} params.role
+ * @param {string} params.startDate - First covered day (YYYY-MM-DD)
+ * @param {string} params.endDate - Last covered day (YYYY-MM-DD)
+ * @param {number|null} [params.currentSprintIndex]
+ * @param {Array<{ sprintIndex, slackId }>} [params.stints] - Served history; empty leaves load out
+ * @param {Object<string, string|null>} [params.sprintUsers] - Role -> Slack ID for the requested sprint
+ * @param {Object<string, string|null>} [params.previousSprintUsers]
+ * @param {Object<string, string|null>} [params.nextSprintUsers]
+ * @param {Array} [params.unavailability] - Time-off entries
+ * @param {Set<string>} [params.unavailableIds] - Out of the sprint (getUnavailableSlackIds)
+ * @returns {Array<{ slackId, name, warning: string|null, reasons: string[] }>} Best first
+ */
+function rankReplacementCandidates({
+  roleList,
+  requesterId,
+  role,
+  startDate,
+  endDate,
+  currentSprintIndex = null,
+  stints = [],
+  sprintUsers = {},
+  previousSprintUsers = {},
+  nextSprintUsers = {},
+  unavailability = [],
+  unavailableIds = new Set()
+}) {
+  const members = (Array.isArray(roleList) ? roleList : []).filter(u => u?.slackId);
+  const requesterIndex = members.findIndex(u => u.slackId === requesterId);
+  const inRotationOrder = requesterIndex === -1
+    ? members
+    : [...members.slice(requesterIndex + 1), ...members.slice(0, requesterIndex)];
+
+  const lastServedBy = new Map();
+  for (const stint of Array.isArray(stints) ? stints : []) {
+    const idx = Number(stint?.sprintIndex);
+    if (!stint?.slackId || !Number.isFinite(idx)) continue;
+    if (currentSprintIndex !== null && idx > currentSprintIndex) continue;
+    lastServedBy.set(stint.slackId, Math.max(idx, lastServedBy.get(stint.slackId) ?? -Infinity));
+  }
+  const hasHistory = lastServedBy.size > 0;
+
+  const ranked = inRotationOrder
+    .filter(u => u.slackId !== requesterId)
+    .map((u, position) => {
+      const otherRole = findOtherRole(sprintUsers, u.slackId, role);
+      let warning = null;
+      if (hasTimeOffDuring(unavailability, u.slackId, startDate, endDate)) warning = 'on PTO';
+      else if (unavailableIds.has(u.slackId)) warning = 'out that sprint';
+      else if (otherRole) warning = `on call as ${getRoleLabel(otherRole)} that sprint`;
+
+      const reasons = [];
+      const adjacent = findOtherRole(previousSprintUsers, u.slackId)
+        ? 'on call the sprint before'
+        : findOtherRole(nextSprintUsers, u.slackId) ? 'on call the sprint after' : null;
+      if (adjacent) reasons.push(adjacent);
+
+      const lastServed = lastServedBy.has(u.slackId) ? lastServedBy.get(u.slackId) : null;
+      const served = hasHistory ? formatServed(lastServed, currentSprintIndex) : null;
+      if (served) reasons.push(served);
+
+      return { slackId: u.slackId, name: u.name || null, warning, reasons, adjacent: !!adjacent, lastServed, position };
+    });
+
+  ranked.sort((a, b) =>
+    (Number(!!a.warning) - Number(!!b.warning)) ||
+    (Number(a.adjacent) - Number(b.adjacent)) ||
+    ((a.lastServed ?? -Infinity) - (b.lastServed ?? -Infinity)) ||
+    (a.position - b.position)
+  );
+
+  return ranked.map(({ slackId, name, warning, reasons }) => ({ slackId, name, warning, reasons }));
+}
+
+/**
+ * Option text: the name, then the warning or reasons ("Sam · served 2 sprints ago", "Ann · ⚠ on PTO").
+ */
+function formatCandidateLabel(candidate) {
+  const name = String(candidate.name || candidate.slackId);
+  const detail = candidate.warning ? `⚠ ${candidate.warning}` : candidate.reasons.join(', ');
+  return detail ? `${name} · ${detail}` : name;
+}
+
+module.exports = {
+  getCoveredDays,
+  rankReplacementCandidates,
+  formatCandidateLabel,
+};
@@ -0,0 +1,95 @@
+/**
+ * services/roleConflicts.js
+ * One person, one role per sprint (pure functions, no I/O).
+ *
+ * Computed rotations resolve a clash on their own: the later role in sort order moves to the next
+ * eligible member in its rotation (not on time off, not already on call that sprint). An approved
+ * override's assignment never moves; the rotation role it clashes with does, whichever sorts first.
+ * Override approval and the admin on-call modal block a clash instead (see findOtherRole).
+ */
+const { rotationOrderFrom } = require('./rotationCursor');
+
+/**
+ * The role other than `role` that slackId holds in a role -> Slack ID map, or null.
+ */
+function findOtherRole(users, slackId, role = null) {
+  if (!slackId) return null;
+  return Object.entries(users || {}).find(([key, id]) => id === slackId && key !== role)?.[0] || null;
+}
+
+/**
+ * People assigned to more than one role.
+ * @param {Object<string, string|null>} users - Role -> Slack ID
+ * @param {string[]} roleKeys - Roles in sort order
+ * @returns {Array<{ slackId: string, roles: string[] }>} Roles in sort order
+ */
+function findRoleConflicts(users, roleKeys) {
+  const rolesBy = new Map();
+  for (const role of roleKeys) {
+    const id = users?.[role];
+    if (!id) continue;
+    rolesBy.set(id, [...(rolesBy.get(id) || []), role]);
+  }
+  return [...rolesBy.entries()]
+    .filter(([, roles]) => roles.length > 1)
+    .map(([slackId, roles]) => ({ slackId, roles }));
+}
+
+/**
+ * Move computed assignments off anyone who already holds a role that sprint.
+ * @param {Object} params
+ * @param {number} params.sprintIndex
+ * @param {string[]} params.roleKeys - Roles in sort order
+ * @param {Object<string, string|null>} params.users - Role -> Slack ID as computed
+ * @param {Set<string>} [params.pinnedRoles] - Roles filled by an approved override
+ * @param {Object<string, Array>} [params.disciplines] - Role -> rotation list
+ * @param {Object<string, Object>} [params.cursors] - Role -> rotation cursor
+ * @param {Set<string>} [params.unavailableIds] - Out of the sprint
+ * @param {(sprintIndex: number) => Set<string>} [params.unavailableFor] - Out of each earlier sprint (cursor projection)
+ * @returns {{ users: Object<string, string|null>, resolutions: Array<{ slackId, keptRole, role, replacement }>, unresolved: Array<{ slackId, roles }> }}
+ */
+function resolveRoleConflicts({
+  sprintIndex,
+  roleKeys,
+  users,
+  pinnedRoles = new Set(),
+  disciplines = {},
+  cursors = {},
+  unavailableIds = new Set(),
+  unavailableFor = null
+}) {
+  const resolved = { ...users };
+  const conflicts = findRoleConflicts(resolved, roleKeys);
+  if (conflicts.length === 0) return { users: resolved, resolutions: [], unresolved: [] };
+
+  const resolutions = [];
+  const unresolved = [];
+  for (const { slackId, roles } of conflicts) {
+    const kept = roles.find(r => pinnedRoles.has(r)) || roles[0];
+    const stuck = [kept];
+    for (const role of roles) {
+      if (role === kept) continue;
+      if (pinnedRoles.has(role)) {
+        stuck.push(role);
+        continue;
+      }
+      const taken = new Set(Object.values(resolved).filter(Boolean));
+      const replacement = rotationOrderFrom(sprintIndex, disciplines?.[role] || [], cursors?.[role] || null, unavailableFor)
+        .find(id => !taken.has(id) && !unavailableIds.has(id)) || null;
+      if (!replacement) {
+        stuck.push(role);
+        continue;
+      }
+      resolved[role] = replacement;
+      resolutions.push({ slackId, keptRole: kept, role, replacement });
+    }
+    if (stuck.length > 1) unresolved.push({ slackId, roles: roleKeys.filter(r => stuck.includes(r)) });
+  }
+  return { users: resolved, resolutions, unresolved };
+}
+
+module.exports = {
+  findOtherRole,
+  findRoleConflicts,
+  resolveRoleConflicts,
+};
@@ -0,0 +1,193 @@
+/**
+ * services/roles.js
+ * Rotation roles (disciplines) as configuration instead of hardcoded keys.
+ *
+ * Each role has a key (matches users.discipline / overrides.role), a display label,
+ * a sort order, an enabled flag and any number of leads (Slack IDs) per environment. Roles come from the `discipline`
+ * table; JSON mode (or an empty table) falls back to roles.json, then to the original five.
+ *
+ * Block builders are synchronous, so callers read from an in-memory snapshot
+ * (getRoles/getRoleKeys/getRoleLabel) that loadRoles() refreshes.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const ROLES_FILE = path.join(__dirname, '..', 'roles.json');
+const USE_DATABASE = process.env.USE_DATABASE !== 'false';
+const HAS_DATABASE_URL = !!process.env.DATABASE_URL;
+const ROLES_TTL_MS = 60 * 1000;
+
+const DEFAULT_ROLES = [
+  { key: 'account', label: 'Account', sortOrder: 10, enabled: true, leadSlackIds: [] },
+  { key: 'producer', label: 'Producer', sortOrder: 20, enabled: true, leadSlackIds: [] },
+  { key: 'po', label: 'PO', sortOrder: 30, enabled: true, leadSlackIds: [] },
+  { key: 'uiEng', label: 'UI Engineer', sortOrder: 40, enabled: true, leadSlackIds: [] },
+  { key: 'beEng', label: 'BE Engineer', sortOrder: 50, enabled: true, leadSlackIds: [] },
+];
+
+let snapshot = { roles: DEFAULT_ROLES, loadedAt: 0 };
+
+/**
+ * A role's leads as unique Slack IDs. roles.json written before leads were a list has `leadSlackId`.
+ */
+function normalizeLeads(role) {
+  const list = Array.isArray(role?.leadSlackIds) ? role.leadSlackIds : [role?.leadSlackId];
+  return [...new Set(list.filter(Boolean).map(String))];
+}
+
+function normalizeRoles(list) {
+  const seen = new Set();
+  const roles = [];
+  for (const r of Array.isArray(list) ? list : []) {
+    const key = r && typeof r.key === 'string' ? r.key.trim() : '';
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    roles.push({
+      key,
+      label: r.label ? String(r.label) : key,
+      sortOrder: Number.isFinite(Number(r.sortOrder)) ? Number(r.sortOrder) : 0,
+      enabled: r.enabled !== false,
+      leadSlackIds: normalizeLeads(r),
+    });
+  }
+  return roles.sort((a, b) => (a.sortOrder - b.sortOrder) || a.key.localeCompare(b.key));
+}
+
+/**
+ * roles.json is either an array of roles, or an object keyed by env ("production"/"staging").
+ */
+function loadRolesFile() {
+  try {
+    if (!fs.existsSync(ROLES_FILE)) return null;
+    const parsed = JSON.parse(fs.readFileSync(ROLES_FILE, 'utf8'));
+    const list = Array.isArray(parsed) ? parsed : parsed?.[config.env];
+    return Array.isArray(list) && list.length > 0 ? list : null;
+  } catch (error) {
+    console.error('[roles] Failed to read roles.json:', error);
+    return null;
+  }
+}
+
+async function fetchRoles() {
+  if (USE_DATABASE && HAS_DATABASE_URL) {
+    try {
+      const { getDisciplinesForCurrentEnv } = require('../repositories/disciplines');
+      const rows = await getDisciplinesForCurrentEnv();
+      if (Array.isArray(rows) && rows.length > 0) {
+        return rows.map(row => ({
+          key: row.name,
+          label: row.label,
+          sortOrder: row.sortOrder,
+          enabled: row.enabled,
+          leadSlackIds: row.leadSlackIds,
+        }));
+      }
+    } catch (error) {
+      console.error('[roles] Database error, falling back to file/default roles:', error);
+    }
+  }
+  return loadRolesFile() || DEFAULT_ROLES;
+}
+
+/**
+ * Snapshot accessor (sync). Enabled roles in sort order unless includeDisabled is set.
+ * @param {{ includeDisabled?: boolean }} [options]
+ * @returns {Array<{ key: string, label: string, sortOrder: number, enabled: boolean, leadSlackIds: string[] }>}
+ */
+function getRoles({ includeDisabled = false } = {}) {
+  return includeDisabled ? snapshot.roles.slice() : snapshot.roles.filter(r => r.enabled);
+}
+
+/**
+ * Refresh the roles snapshot (cached for ROLES_TTL_MS) and return enabled roles.
+ * @param {{ force?: boolean, includeDisabled?: boolean }} [options]
+ */
+async function loadRoles({ force = false, includeDisabled = false } = {}) {
+  const fresh = snapshot.loadedAt && (Date.now() - snapshot.loadedAt) < ROLES_TTL_MS;
+  if (force || !fresh) {
+    const roles = normalizeRoles(await fetchRoles());
+    snapshot = { roles: roles.length > 0 ? roles : DEFAULT_ROLES, loadedAt: Date.now() };
+  }
+  return getRoles({ includeDisabled });
+}
+
+/** Enabled role keys in display/rotation order. */
+function getRoleKeys() {
+  return getRoles().map(r => r.key);
+}
+
+/** Display label for a role key (disabled roles keep their label for historical data). */
+function getRoleLabel(key) {
+  const role = snapshot.roles.find(r => r.key === key);
+  return role ? role.label : key;
+}
+
+/** Slack IDs of the role's leads (empty when none are configured). */
+function getRoleLeads(key) {
+  const role = snapshot.roles.find(r => r.key === key);
+  return role ? role.leadSlackIds.slice() : [];
+}
+
+/** Sort comparator by role order; unknown keys go last. */
+function compareRoleKeys(a, b) {
+  const order = getRoleKeys();
+  const ia = order.indexOf(a);
+  const ib = order.indexOf(b);
+  return (ia === -1 ? order.length : ia) - (ib === -1 ? order.length : ib);
+}
+
+/**
+ * Build a { [roleKey]: slackId|null } map with every enabled role present.
+ * @param {Object} [source] - Object to copy role values from (e.g. persisted state)
+ */
+function toRoleMap(source = {}, keys = getRoleKeys()) {
+  const map = {};
+  for (const key of keys) {
+    map[key] = source?.[key] ?? null;
+  }
+  return map;
+}
+
+function invalidateRoles() {
+  snapshot = { ...snapshot, loadedAt: 0 };
+}
+
+/**
+ * Replace a role's leads for the current environment (empty clears them), in the `discipline`
+ * table or roles.json, and refresh the snapshot.
+ */
+async function setRoleLeads(key, leadSlackIds) {
+  const leads = normalizeLeads({ leadSlackIds });
+  if (USE_DATABASE && HAS_DATABASE_URL) {
+    const { upsertDisciplineForCurrentEnv } = require('../repositories/disciplines');
+    await upsertDisciplineForCurrentEnv({ key, leadSlackIds: leads });
+  } else {
+    let parsed = null;
+    try {
+      parsed = fs.existsSync(ROLES_FILE) ? JSON.parse(fs.readFileSync(ROLES_FILE, 'utf8')) : null;
+    } catch (error) {
+      console.error('[roles] Failed to read roles.json:', error);
+    }
+    const list = (loadRolesFile() || getRoles({ includeDisabled: true }))
+      .map(r => (r.key === key ? { ...r, leadSlackIds: leads } : r));
+    const next = parsed && !Array.isArray(parsed) ? { ...parsed, [config.env]: list } : list;
+    fs.writeFileSync(ROLES_FILE, JSON.stringify(next, null, 2), 'utf8');
+  }
+  invalidateRoles();
+  return loadRoles({ force: true });
+}
+
+module.exports = {
+  DEFAULT_ROLES,
+  ROLES_FILE,
+  loadRoles,
+  getRoles,
+  getRoleKeys,
+  getRoleLabel,
+  getRoleLeads,
+  compareRoleKeys,
+  toRoleMap,
+  invalidateRoles,
+  setRoleLeads,
+};
@@ -0,0 +1,183 @@
+/**
+ * services/rotationCursor.js
+ * Stable per-role rotation pointer (pure functions, no I/O).
+ *
+ * A cursor records who has served in the current cycle:
+ *   { anchorSprintIndex, served: [slackId, ...] }
+ * The last entry of `served` is the assignee for `anchorSprintIndex`. Each later sprint
+ * takes the first roster member who has not served yet this cycle; once everyone has
+ * served, a new cycle starts in roster order. Editing the roster therefore only changes
+ * the not-yet-served part of the cycle instead of reshuffling every future sprint. A member who
+ * is skipped for time off stays unserved and takes the substitute's next slot; a member skipping
+ * with a redeemed coverage credit has that turn counted as served, so they serve one turn fewer.
+ */
+
+function rosterIds(roster) {
+  return (Array.isArray(roster) ? roster : [])
+    .map(u => (typeof u === 'string' ? u : u?.slackId))
+    .filter(Boolean);
+}
+
+/**
+ * Legacy assignment (roster[sprintIndex % n]); used before a cursor exists and for past sprints.
+ */
+function legacyAssignee(roster, sprintIndex) {
+  const ids = rosterIds(roster);
+  if (ids.length === 0) return null;
+  const idx = Number(sprintIndex);
+  if (!Number.isFinite(idx)) return null;
+  return ids[((idx % ids.length) + ids.length) % ids.length];
+}
+
+/**
+ * Seed a cursor that reproduces the legacy modulo schedule from sprintIndex onward.
+ */
+function seedCursor(roster, sprintIndex) {
+  const ids = rosterIds(roster);
+  const idx = Number(sprintIndex);
+  if (ids.length === 0 || !Number.isFinite(idx)) return null;
+  const position = ((idx % ids.length) + ids.length) % ids.length;
+  return { anchorSprintIndex: idx, served: ids.slice(0, position + 1) };
+}
+
+function toIdSet(ids) {
+  return ids instanceof Set ? ids : new Set(ids || []);
+}
+
+/**
+ * Roster members in the order the sprint after `cursor` would reach them: those who have not
+ * served this cycle, then everyone else (a new cycle once everyone has served).
+ */
+function nextInLine(cursor, ids) {
+  const remaining = ids.filter(id => !cursor.served.includes(id));
+  if (remaining.length === 0) return { newCycle: true, order: ids };
+  return { newCycle: false, order: [...remaining, ...ids.filter(id => !remaining.includes(id))] };
+}
+
+/**
+ * Advance a cursor by one sprint. Members in unavailableIds are passed over for the next person in
+ * line, who is recorded as served. A member out on time off stays unserved and takes the
+ * substitute's next slot; one in creditSkipIds who was passed over is recorded as served too, since
+ * the credit pays for that turn.
+ * @param {Set<string>|string[]} [unavailableIds] - Out for the sprint being stepped into
+ * @param {Set<string>|string[]} [creditSkipIds] - The part of unavailableIds skipping with a credit;
+ *   defaults to the `creditSkips` set attached by services/availability.js unavailableBySprint
+ */
+function stepCursor(cursor, roster, unavailableIds = null, creditSkipIds = unavailableIds?.creditSkips) {
+  const ids = rosterIds(roster);
+  const next = { anchorSprintIndex: cursor.anchorSprintIndex + 1, served: cursor.served.slice() };
+  if (ids.length === 0) return next;
+  const unavailable = toIdSet(unavailableIds);
+  const creditSkips = toIdSet(creditSkipIds);
+  const { newCycle, order } = nextInLine(cursor, ids);
+  const assignee = order.find(id => !unavailable.has(id)) || order[0];
+  const passedOver = order.slice(0, order.indexOf(assignee)).filter(id => creditSkips.has(id));
+  next.served = newCycle ? [...passedOver, assignee] : [...next.served, ...passedOver, assignee];
+  return next;
+}
+
+/**
+ * Project a cursor forward to targetSprintIndex. Returns null for sprints before the anchor.
+ * @param {(sprintIndex: number) => Set<string>|string[]} [unavailableFor] - Who is out of each sprint
+ *   stepped through (see services/availability.js unavailableBySprint); without it nobody is skipped.
+ */
+function projectCursor(cursor, roster, targetSprintIndex, unavailableFor = null) {
+  const target = Number(targetSprintIndex);
+  if (!cursor || !Number.isFinite(target) || target < cursor.anchorSprintIndex) return null;
+  let projected = cursor;
+  for (let i = cursor.anchorSprintIndex; i < target; i++) {
+    projected = stepCursor(projected, roster, unavailableFor ? unavailableFor(i + 1) : null);
+  }
+  return projected;
+}
+
+function cursorAssignee(cursor) {
+  if (!cursor || !Array.isArray(cursor.served) || cursor.served.length === 0) return null;
+  return cursor.served[cursor.served.length - 1];
+}
+
+/**
+ * Record that substituteId served the cursor's sprint instead of its assignee (e.g. the assignee
+ * was moved to another role); the assignee goes back in line for the next slot.
+ */
+function recordSubstitute(cursor, substituteId) {
+  if (!cursor || !substituteId || cursorAssignee(cursor) === substituteId) return cursor;
+  return { anchorSprintIndex: cursor.anchorSprintIndex, served: [...cursor.served.slice(0, -1), substituteId] };
+}
+
+/**
+ * Roster members in the order the rotation would reach them starting at sprintIndex:
+ * the base assignee first, then whoever is next in line. Earlier sprints between the cursor and
+ * sprintIndex skip whoever unavailableFor reports, as the rotation itself does.
+ * @returns {string[]}
+ */
+function rotationOrderFrom(sprintIndex, roster, cursor = null, unavailableFor = null) {
+  const ids = rosterIds(roster);
+  if (ids.length === 0) return [];
+  const idx = Number(sprintIndex);
+  if (cursor && idx === cursor.anchorSprintIndex) {
+    const assignee = cursorAssignee(cursor);
+    return [assignee, ...nextInLine(cursor, ids).order.filter(id => id !== assignee)].filter(Boolean);
+  }
+  const previous = projectCursor(cursor, roster, idx - 1, unavailableFor);
+  if (previous) return nextInLine(previous, ids).order;
+  const start = ids.indexOf(legacyAssignee(roster, idx));
+  const order = [];
+  for (let k = 0; k < ids.length; k++) order.push(ids[(start + k) % ids.length]);
+  return order.filter(Boolean);
+}
+
+/**
+ * Base (pre-override) assignee for a sprint: cursor projection when available, else legacy modulo.
+ * @param {number} sprintIndex
+ * @param {Array<{slackId: string}>|string[]} roster - Active members of the role, in roster order
+ * @param {{ anchorSprintIndex: number, served: string[] }|null} [cursor]
+ * @param {(sprintIndex: number) => Set<string>|string[]} [unavailableFor] - See projectCursor
+ * @returns {string|null}
+ */
+function getBaseAssignee(sprintIndex, roster, cursor = null, unavailableFor = null) {
+  return rotationOrderFrom(sprintIndex, roster, cursor, unavailableFor)[0] || null;
+}
+
+/**
+ * Base assignee, skipping members in `unavailableIds` in favour of the next eligible person in line.
+ * When nobody is eligible the base assignee is returned with `noEligible: true`.
+ * @param {Set<string>|string[]} [unavailableIds]
+ * @param {(sprintIndex: number) => Set<string>|string[]} [unavailableFor] - See projectCursor
+ * @returns {{ slackId: string|null, skipped: string[], noEligible: boolean }}
+ */
+function getEligibleAssignee(sprintIndex, roster, cursor = null, unavailableIds = null, unavailableFor = null) {
+  const order = rotationOrderFrom(sprintIndex, roster, cursor, unavailableFor);
+  const base = order[0] || null;
+  const unavailable = toIdSet(unavailableIds);
+  const skipped = [];
+  for (const id of order) {
+    if (!unavailable.has(id)) return { slackId: id, skipped, noEligible: false };
+    skipped.push(id);
+  }
+  return { slackId: base, skipped, noEligible: base !== null };
+}
+
+/**
+ * Backup for a sprint: the next person in line who is not in excludeIds
+ * (primaries, people on time off, people overridden out of the sprint).
+ * @param {Set<string>|string[]} [excludeIds]
+ * @returns {string|null}
+ */
+function getBackupAssignee(sprintIndex, roster, cursor = null, excludeIds = null, unavailableFor = null) {
+  const exclude = toIdSet(excludeIds);
+  return rotationOrderFrom(sprintIndex, roster, cursor, unavailableFor).find(id => !exclude.has(id)) || null;
+}
+
+module.exports = {
+  legacyAssignee,
+  seedCursor,
+  stepCursor,
+  projectCursor,
+  cursorAssignee,
+  recordSubstitute,
+  getBaseAssignee,
+  rotationOrderFrom,
+  getEligibleAssignee,
+  getBackupAssignee,
+};
@@ -0,0 +1,111 @@
+/**
+ * services/rotationPreview.js
+ * "What changes if I edit this roster?" for the /admin-disciplines modal.
+ *
+ * Compares each upcoming sprint's assignee for a role under the current roster and a
+ * proposed roster, using the same cursor projection, time-off and credit skipping and override precedence as getSprintUsers.
+ */
+const {
+  readSprints,
+  readDisciplines,
+  readOverrides,
+  readRotationCursors,
+  readUnavailability,
+  readCoverageCredits,
+  findCurrentSprint
+} = require('../dataUtils');
+const { getEligibleAssignee } = require('./rotationCursor');
+const { getUnavailableSlackIds, unavailableBySprint } = require('./availability');
+const { isPartialOverride } = require('./overrideRanges');
+
+const DEFAULT_PREVIEW_SPRINTS = 12;
+
+function useDatabase() {
+  return process.env.USE_DATABASE !== 'false' && !!process.env.DATABASE_URL;
+}
+
+/**
+ * Build the roster the rotation will see after the edit.
+ * DB rosters are ordered by name (UsersRepository.getDisciplines); JSON rosters keep file order.
+ */
+function buildProposedRoster(roster, { add = [], remove = [] } = {}) {
+  const removeSet = new Set(remove);
+  const next = roster.filter(u => u?.slackId && !removeSet.has(u.slackId));
+  for (const member of add) {
+    if (!member?.slackId || next.some(u => u.slackId === member.slackId)) continue;
+    next.push({ slackId: member.slackId, name: member.name || member.slackId });
+  }
+  if (useDatabase()) {
+    next.sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+  }
+  return next;
+}
+
+/**
+ * Preview which future sprints get a different assignee for a role after a roster edit.
+ * The current sprint is excluded: its assignment is already persisted and does not move.
+ *
+ * @param {Object} params
+ * @param {string} params.role - Role key
+ * @param {Array<{slackId: string, name?: string}>} [params.add] - Members being added/reactivated
+ * @param {string[]} [params.remove] - Slack IDs being deactivated/removed
+ * @param {number} [params.limit] - How many upcoming sprints to inspect
+ * @returns {Promise<{ changes: Array<{ sprintIndex: number, sprintName: string, startDate: string, endDate: string, before: string|null, after: string|null }>, inspected: number }>}
+ */
+async function previewRosterChange({ role, add = [], remove = [], limit = DEFAULT_PREVIEW_SPRINTS }) {
+  const [sprints, disciplines, overrides, cursors, unavailability, credits, currentSprint] = await Promise.all([
+    readSprints(),
+    readDisciplines(),
+    readOverrides(),
+    readRotationCursors(),
+    readUnavailability(),
+    readCoverageCredits(),
+    findCurrentSprint()
+  ]);
+
+  const roster = Array.isArray(disciplines?.[role]) ? disciplines[role] : [];
+  const proposed = buildProposedRoster(roster, { add, remove });
+  const cursor = cursors?.[role] || null;
+  const currentIndex = currentSprint && Number.isFinite(Number(currentSprint.index))
+    ? Number(currentSprint.index)
+    : -1;
+
+  const approvedBySprint = new Map();
+  for (const o of Array.isArray(overrides) ? overrides : []) {
+    if (o?.approved === true && o.role === role && !isPartialOverride(o)) approvedBySprint.set(Number(o.sprintIndex), o.newSlackId);
+  }
+
+  const upcoming = (Array.isArray(sprints) ? sprints : [])
+    .filter(s => Number.isFinite(Number(s?.sprintIndex)) && Number(s.sprintIndex) > currentIndex)
+    .sort((a, b) => Number(a.sprintIndex) - Number(b.sprintIndex))
+    .slice(0, limit);
+
+  const unavailableFor = unavailableBySprint(unavailability, sprints, credits);
+  const changes = [];
+  for (const sprint of upcoming) {
+    const idx = Number(sprint.sprintIndex);
+    // Approved overrides win regardless of the roster, so those sprints never change.
+    if (approvedBySprint.has(idx)) continue;
+    const unavailableIds = getUnavailableSlackIds(unavailability, sprint, credits);
+    const before = getEligibleAssignee(idx, roster, cursor, unavailableIds, unavailableFor).slackId;
+    const after = getEligibleAssignee(idx, proposed, cursor, unavailableIds, unavailableFor).slackId;
+    if (before !== after) {
+      changes.push({
+        sprintIndex: idx,
+        sprintName: sprint.sprintName,
+        startDate: sprint.startDate,
+        endDate: sprint.endDate,
+        before,
+        after
+      });
+    }
+  }
+
+  return { changes, inspected: upcoming.length };
+}
+
+module.exports = {
+  previewRosterChange,
+  buildProposedRoster,
+  DEFAULT_PREVIEW_SPRINTS
+};
@@ -0,0 +1,108 @@
+/**
+ * services/schedule.js
+ * Read-only view of the rotation for the schedule API and the team calendar feed.
+ *
+ * Sprints are looked up with findSprintForDate (the /triage-schedule command) and findCurrentSprint;
+ * assignments come from getSprintUsers, so overrides, time off and the persisted current state
+ * apply exactly as they do in Slack.
+ */
+const {
+  readSprints,
+  readDisciplines,
+  findCurrentSprint,
+  getSprintUsers,
+  getTodayPT
+} = require('../dataUtils');
+const { findSprintForDate } = require('../scheduleCommandHandler');
+const { getRoleKeys, getRoleLabel, loadRoles } = require('./roles');
+const { toDateOnly } = require('./availability');
+
+function toSprintJson(sprint, fallbackIndex = null) {
+  const index = Number.isFinite(Number(sprint?.sprintIndex)) ? Number(sprint.sprintIndex)
+    : Number.isFinite(Number(sprint?.index)) ? Number(sprint.index) : fallbackIndex;
+  return {
+    index,
+    name: sprint?.sprintName || null,
+    startDate: toDateOnly(sprint?.startDate),
+    endDate: toDateOnly(sprint?.endDate)
+  };
+}
+
+async function loadNames() {
+  const disciplines = await readDisciplines();
+  const names = {};
+  for (const users of Object.values(disciplines || {})) {
+    for (const u of Array.isArray(users) ? users : []) {
+      if (u?.slackId && u?.name && !names[u.slackId]) names[u.slackId] = u.name;
+    }
+  }
+  return names;
+}
+
+function toAssignments(users, names) {
+  return getRoleKeys().map(role => {
+    const slackId = users?.[role] || null;
+    return { role, roleLabel: getRoleLabel(role), slackId, name: slackId ? names[slackId] || null : null };
+  });
+}
+
+async function withAssignments(sprint, names = null) {
+  await loadRoles();
+  const users = await getSprintUsers(sprint.index);
+  return { sprint, assignments: toAssignments(users, names || await loadNames()) };
+}
+
+/**
+ * All sprints, or only those not yet ended.
+ */
+async function listSprints({ upcoming = false } = {}) {
+  const today = getTodayPT().format('YYYY-MM-DD');
+  return (await readSprints())
+    .map((s, i) => toSprintJson(s, i))
+    .filter(s => !upcoming || (s.endDate && s.endDate >= today))
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Sprint and assignments by sprint index, or null when there is no such sprint.
+ */
+async function getAssignmentsForSprint(index) {
+  const sprint = (await listSprints()).find(s => s.index === Number(index));
+  return sprint ? withAssignments(sprint) : null;
+}
+
+/**
+ * Sprint and assignments covering a date (YYYY-MM-DD), or null when no sprint covers it.
+ */
+async function getAssignmentsForDate(date) {
+  const found = await findSprintForDate(date);
+  return found ? withAssignments(toSprintJson(found)) : null;
+}
+
+/**
+ * Sprint and assignments on call right now (after the 8AM hand-off), or null.
+ */
+async function getCurrentOnCall() {
+  const current = await findCurrentSprint();
+  return current ? withAssignments(toSprintJson(current)) : null;
+}
+
+/**
+ * Sprints not yet ended, each with its assignments.
+ */
+async function getUpcomingSchedule() {
+  const names = await loadNames();
+  const result = [];
+  for (const sprint of await listSprints({ upcoming: true })) {
+    result.push(await withAssignments(sprint, names));
+  }
+  return result;
+}
+
+module.exports = {
+  listSprints,
+  getAssignmentsForSprint,
+  getAssignmentsForDate,
+  getCurrentOnCall,
+  getUpcomingSchedule,
+};
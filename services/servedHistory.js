@@ -0,0 +1,119 @@
+/**
+ * services/servedHistory.js
+ * Who actually served each sprint role, and when (served_assignments).
+ *
+ * The rotation writes a row whenever the current sprint's roles are persisted (sprint switches from
+ * whichever path makes them, see services/sprintHandoff.js; mid-cycle changes, override applies and
+ * admin edits), so swaps and overrides show up as separate
+ * stints. scripts/backfill-served-history.js reconstructs older sprints from audit_logs and
+ * notification_snapshots with reconstructStints. Database only.
+ */
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const servedAssignments = require('../repositories/servedAssignments');
+const { toRoleMap } = require('./roles');
+const { getTeamTimezone } = require('./teamTimezone');
+const { getCutoverDate } = require('./holidays');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const USE_DATABASE = process.env.USE_DATABASE !== 'false';
+const HANDOFF_HOUR = 8;
+
+function isServedHistoryEnabled() {
+  return USE_DATABASE;
+}
+
+/**
+ * Record the roles now being served for a sprint. Never throws: history must not block the rotation.
+ * @param {number} sprintIndex
+ * @param {Object<string, string|null>} roles - Role key -> Slack ID
+ * @param {string} source - 'sprint_start' | 'rotation_update' | 'override' | 'admin'
+ */
+async function recordServed(sprintIndex, roles, source) {
+  if (!isServedHistoryEnabled() || !Number.isFinite(Number(sprintIndex))) return null;
+  try {
+    const result = await servedAssignments.recordServedAssignments({
+      sprintIndex: Number(sprintIndex),
+      roles: toRoleMap(roles),
+      source
+    });
+    if (result.opened || result.closed) {
+      console.log(`[servedHistory] Sprint ${sprintIndex} (${source}): ${result.opened} opened, ${result.closed} closed`);
+    }
+    return result;
+  } catch (error) {
+    console.error('[servedHistory] Failed to record served assignments:', error.message);
+    return null;
+  }
+}
+
+/**
+ * The 8AM hand-off ending a sprint (moved past 'shift' holidays), as a Date.
+ */
+function sprintEndHandoff(sprint, holidays = []) {
+  const endDate = getCutoverDate(sprint.endDate, holidays);
+  return dayjs.tz(`${endDate} ${String(HANDOFF_HOUR).padStart(2, '0')}:00`, getTeamTimezone()).toDate();
+}
+
+/**
+ * Turn observed role maps into stints. Observations are applied oldest first: a different sprint
+ * closes every open stint, and a role whose person changed closes its stint and opens a new one.
+ * Stints still open at the end are closed at their sprint's end hand-off when that has passed.
+ * @param {Array<{ at: Date, sprintIndex: number, roles: Object<string, string|null>, source: string }>} observations
+ * @param {Object} [options]
+ * @param {Object<number, Date>} [options.sprintEnds] - Sprint index -> end hand-off
+ * @param {Date} [options.now]
+ * @returns {Array<{ sprintIndex: number, role: string, slackId: string, startedAt: Date, endedAt: Date|null, source: string }>}
+ */
+function reconstructStints(observations, { sprintEnds = {}, now = new Date() } = {}) {
+  const sorted = (observations || [])
+    .filter(o => o && o.at && Number.isFinite(Number(o.sprintIndex)))
+    .map(o => ({ ...o, at: new Date(o.at), sprintIndex: Number(o.sprintIndex) }))
+    .sort((a, b) => a.at - b.at);
+
+  const stints = [];
+  const open = new Map();
+  const close = (role, at) => {
+    const stint = open.get(role);
+    stint.endedAt = at < stint.startedAt ? stint.startedAt : at;
+    open.delete(role);
+  };
+
+  for (const obs of sorted) {
+    for (const [role, stint] of [...open]) {
+      if (stint.sprintIndex !== obs.sprintIndex) close(role, obs.at);
+    }
+    for (const [role, slackId] of Object.entries(obs.roles || {})) {
+      const current = open.get(role);
+      if (current && current.slackId === slackId) continue;
+      if (current) close(role, obs.at);
+      if (slackId) {
+        const stint = { sprintIndex: obs.sprintIndex, role, slackId, startedAt: obs.at, endedAt: null, source: obs.source };
+        stints.push(stint);
+        open.set(role, stint);
+      }
+    }
+  }
+
+  for (const [role, stint] of [...open]) {
+    const end = sprintEnds[stint.sprintIndex];
+    if (end && new Date(end) <= now) close(role, new Date(end));
+  }
+
+  return stints;
+}
+
+async function getServedHistory(filters = {}) {
+  return isServedHistoryEnabled() ? servedAssignments.getServedAssignments(filters) : [];
+}
+
+module.exports = {
+  isServedHistoryEnabled,
+  recordServed,
+  sprintEndHandoff,
+  reconstructStints,
+  getServedHistory,
+};
@@ -0,0 +1,62 @@
+/**
+ * services/shadows.js
+ * Shadow assignments: a new hire shadows a role for one sprint alongside whoever is on call
+ * (pure functions, no I/O).
+ *
+ * A shadow is { id, sprintIndex, role, slackId, inUserGroup }. Shadows get the same heads-up and
+ * start/end DMs as the people on call, but are never the assignee: getSprintUsers, backups,
+ * overrides and served history leave them out. `inUserGroup` also adds them to the on-call user
+ * group for their sprint. One shadow role per person per sprint; a role can have several shadows.
+ */
+
+function normalizeShadow(shadow = {}) {
+  const idx = shadow.sprintIndex;
+  return {
+    sprintIndex: idx === null || idx === undefined || idx === '' ? NaN : Number(idx),
+    role: String(shadow.role || ''),
+    slackId: String(shadow.slackId || ''),
+    inUserGroup: shadow.inUserGroup === true
+  };
+}
+
+/**
+ * Validate a shadow. Returns { field: message } (empty when valid).
+ * @param {string[]} roleKeys - Enabled roles
+ */
+function validateShadow(shadow, roleKeys = []) {
+  const s = normalizeShadow(shadow);
+  const errors = {};
+  if (!Number.isInteger(s.sprintIndex) || s.sprintIndex < 0) errors.sprint = 'Pick a sprint.';
+  if (!roleKeys.includes(s.role)) errors.role = 'Pick a role.';
+  if (!s.slackId) errors.user = 'Pick who shadows.';
+  return errors;
+}
+
+/**
+ * A sprint's shadows, in role order then as added.
+ */
+function shadowsForSprint(shadows, sprintIndex, roleKeys = []) {
+  const order = (role) => (roleKeys.includes(role) ? roleKeys.indexOf(role) : roleKeys.length);
+  return (Array.isArray(shadows) ? shadows : [])
+    .filter(s => Number(s?.sprintIndex) === Number(sprintIndex) && s?.slackId)
+    .map((s, i) => ({ s, i }))
+    .sort((a, b) => (order(a.s.role) - order(b.s.role)) || (a.i - b.i))
+    .map(({ s }) => s);
+}
+
+/**
+ * Shadows to add to the on-call user group: those who opted in and aren't on call already.
+ */
+function shadowUserGroupIds(shadows, onCallIds = []) {
+  const ids = (Array.isArray(shadows) ? shadows : [])
+    .filter(s => s?.inUserGroup === true && s.slackId && !onCallIds.includes(s.slackId))
+    .map(s => s.slackId);
+  return [...new Set(ids)];
+}
+
+module.exports = {
+  normalizeShadow,
+  validateShadow,
+  shadowsForSprint,
+  shadowUserGroupIds,
+};
@@ -0,0 +1,73 @@
+/**
+ * services/shiftSwap.js
+ * Two-way shift swaps: two members of the same discipline trade sprints.
+ *
+ * A swap is { role, requester: { slackId, sprintIndex }, counterparty: { slackId, sprintIndex } }.
+ * Once the counterparty accepts, it becomes two approved overrides (each person covers the
+ * other's sprint) written in one transaction by OverridesRepository.applySwap.
+ */
+const { OVERRIDE_STATUSES } = require('./overrideStatus');
+const { getRoleLabel } = require('./roles');
+
+/**
+ * Why the swap can't be applied as things stand, or null when it can.
+ * @param {Object} swap
+ * @param {Object} state
+ * @param {Object<number, string|null>} state.assignments - Sprint index -> who holds the role now
+ * @param {Array} state.overrides - Override rows
+ * @returns {string|null}
+ */
+function checkSwap(swap, { assignments = {}, overrides = [] } = {}) {
+  const { role, requester, counterparty } = swap || {};
+  if (!role || !requester?.slackId || !counterparty?.slackId) return 'The swap is missing a role or a person.';
+  if (requester.slackId === counterparty.slackId) return 'You cannot swap with yourself.';
+  if (Number(requester.sprintIndex) === Number(counterparty.sprintIndex)) return 'Both shifts are in the same sprint.';
+
+  for (const side of [requester, counterparty]) {
+    const idx = Number(side.sprintIndex);
+    if (assignments[idx] !== side.slackId) {
+      return `<@${side.slackId}> is no longer on ${getRoleLabel(role)} for that sprint.`;
+    }
+    const taken = (Array.isArray(overrides) ? overrides : []).some(o =>
+      o?.approved === true && Number(o.sprintIndex) === idx && o.role === role
+    );
+    if (taken) return 'One of the shifts already has an approved override. Ask an admin to sort it out first.';
+  }
+  return null;
+}
+
+/**
+ * The two approved overrides a swap turns into.
+ * @param {Object} swap
+ * @param {Object<string, string>} [names] - Slack ID -> display name
+ * @param {string|null} [swapId] - Shared by both rows, marking them as one swap
+ * @returns {Array<Object>} Override rows ({ sprintIndex, role, originalSlackId, newSlackId, newName, requestedBy, status, swapId })
+ */
+function buildSwapOverrides(swap, names = {}, swapId = null) {
+  const { role, requester, counterparty } = swap;
+  const cover = (from, to) => ({
+    sprintIndex: Number(from.sprintIndex),
+    role,
+    originalSlackId: from.slackId,
+    newSlackId: to.slackId,
+    newName: names[to.slackId] || to.slackId,
+    requestedBy: from.slackId,
+    status: OVERRIDE_STATUSES.APPROVED,
+    swapId
+  });
+  return [cover(requester, counterparty), cover(counterparty, requester)];
+}
+
+/**
+ * Whether an override is one half of a shift swap. Only an admin undoes a swap, so the requester's
+ * Cancel and Change replacement leave these alone.
+ */
+function isSwapOverride(override) {
+  return Boolean(override?.swapId);
+}
+
+module.exports = {
+  checkSwap,
+  buildSwapOverrides,
+  isSwapOverride,
+};
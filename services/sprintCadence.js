@@ -0,0 +1,203 @@
+/**
+ * services/sprintCadence.js
+ * Generate future sprints from a cadence definition (pure functions, no I/O).
+ *
+ * A cadence is { anchorDate, lengthDays, namePattern, fiscalYearStart, runwayMonths }:
+ *  - Sprints start every `lengthDays` from `anchorDate`; each ends on the next one's start
+ *    (the shared 8AM hand-off day), like the hand-entered sprints.
+ *  - `namePattern` uses {n} (sprint number in the fiscal year), {fy} (two-digit fiscal year)
+ *    and {fyyyy} (four-digit fiscal year), e.g. "FY{fy} Sp{n}".
+ *  - `fiscalYearStart` is MM-DD. The fiscal year is named for the calendar year it ends in,
+ *    so with "04-01" April 2026 is in FY27. The last sprint of a fiscal year ends on the
+ *    boundary (stretched rather than leaving a sliver shorter than half a sprint), which is the
+ *    hand-off day the new year's Sp1 starts on, with the numbering restarted.
+ *  - Generation continues after the latest existing sprint until the last generated sprint
+ *    ends at least `runwayMonths` months after today.
+ */
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const { toDateOnly } = require('./availability');
+
+const DEFAULT_CADENCE = {
+  anchorDate: null, // null: start of the latest sprint
+  lengthDays: 14,
+  namePattern: 'FY{fy} Sp{n}',
+  fiscalYearStart: '04-01',
+  runwayMonths: 6
+};
+
+const MAX_GENERATED = 60;
+const FISCAL_START_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+function normalizeCadence(cadence = {}) {
+  const merged = { ...DEFAULT_CADENCE, ...(cadence || {}) };
+  return {
+    anchorDate: toDateOnly(merged.anchorDate),
+    lengthDays: Number(merged.lengthDays),
+    namePattern: String(merged.namePattern || '').trim(),
+    fiscalYearStart: String(merged.fiscalYearStart || '').trim(),
+    runwayMonths: Number(merged.runwayMonths)
+  };
+}
+
+/**
+ * Validate a cadence. Returns { field: message } (empty when valid).
+ */
+function validateCadence(cadence) {
+  const c = normalizeCadence(cadence);
+  const errors = {};
+  if (cadence?.anchorDate && !c.anchorDate) errors.anchorDate = 'Anchor must be a date (YYYY-MM-DD).';
+  if (!Number.isInteger(c.lengthDays) || c.lengthDays < 7 || c.lengthDays > 56) errors.lengthDays = 'Length must be a whole number of days between 7 and 56.';
+  if (!c.namePattern.includes('{n}')) errors.namePattern = 'Name pattern must include {n}.';
+  if (c.namePattern.length > 40) errors.namePattern = 'Name pattern is too long.';
+  if (!FISCAL_START_PATTERN.test(c.fiscalYearStart)) errors.fiscalYearStart = 'Fiscal year start must be MM-DD, e.g. 04-01.';
+  if (!Number.isInteger(c.runwayMonths) || c.runwayMonths < 1 || c.runwayMonths > 24) errors.runwayMonths = 'Runway must be between 1 and 24 months.';
+  return errors;
+}
+
+/**
+ * Fiscal year containing `date`: { start, next, year } with YYYY-MM-DD bounds.
+ */
+function fiscalYearOf(date, fiscalYearStart) {
+  const day = dayjs(toDateOnly(date));
+  let start = dayjs(`${day.year()}-${fiscalYearStart}`);
+  if (day.isBefore(start)) start = start.subtract(1, 'year');
+  const next = start.add(1, 'year');
+  const year = fiscalYearStart === '01-01' ? start.year() : start.year() + 1;
+  return { start: start.format('YYYY-MM-DD'), next: next.format('YYYY-MM-DD'), year };
+}
+
+function formatSprintName(pattern, n, fiscalYear) {
+  return pattern
+    .replace(/\{n\}/g, String(n))
+    .replace(/\{fyyyy\}/g, String(fiscalYear))
+    .replace(/\{fy\}/g, String(fiscalYear % 100).padStart(2, '0'));
+}
+
+function namePatternRegex(pattern) {
+  const escaped = pattern.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+  const source = escaped
+    .replace(/\\?\{n\\?\}/g, '(\\d+)')
+    .replace(/\\?\{fyyyy\\?\}/g, '\\d{4}')
+    .replace(/\\?\{fy\\?\}/g, '\\d{2}');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * First grid start at least half a sprint after `from`.
+ */
+function nextGridStart(anchor, lengthDays, from) {
+  const diff = dayjs(from).diff(dayjs(anchor), 'day');
+  let steps = Math.ceil(diff / lengthDays);
+  let start = dayjs(anchor).add(steps * lengthDays, 'day');
+  while (start.diff(dayjs(from), 'day') < Math.ceil(lengthDays / 2)) {
+    steps += 1;
+    start = dayjs(anchor).add(steps * lengthDays, 'day');
+  }
+  return start.format('YYYY-MM-DD');
+}
+
+/**
+ * Number for the next sprint starting on `startDate`, continuing the latest sprint's numbering.
+ */
+function nextSprintNumber(startDate, latest, existing, cadence) {
+  const fy = fiscalYearOf(startDate, cadence.fiscalYearStart);
+  if (!latest || toDateOnly(latest.startDate) < fy.start) return 1;
+
+  const match = namePatternRegex(cadence.namePattern).exec(String(latest.sprintName || ''));
+  if (match) return Number(match[1]) + 1;
+  return existing.filter(s => {
+    const start = toDateOnly(s.startDate);
+    return start && start >= fy.start && start < fy.next;
+  }).length + 1;
+}
+
+/**
+ * Existing sprints a generated one collides with: same name, or sharing more than the hand-off day.
+ */
+function findConflicts(generated, existing) {
+  const conflicts = [];
+  for (const g of generated) {
+    for (const s of existing) {
+      const start = toDateOnly(s.startDate);
+      const end = toDateOnly(s.endDate);
+      if (String(s.sprintName || '').trim().toLowerCase() === g.sprintName.toLowerCase()) {
+        conflicts.push(`${g.sprintName} already exists (index ${s.sprintIndex}).`);
+      } else if (start && end && g.startDate < end && start < g.endDate) {
+        conflicts.push(`${g.sprintName} (${g.startDate} → ${g.endDate}) overlaps ${s.sprintName || `index ${s.sprintIndex}`}.`);
+      }
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Sprints to add so the calendar reaches the cadence's runway.
+ * @param {Object} params
+ * @param {Object} params.cadence
+ * @param {Array} params.existing - Current sprints ({ sprintName, startDate, endDate, sprintIndex })
+ * @param {string} params.today - YYYY-MM-DD in the team timezone
+ * @returns {{ sprints: Array<{ sprintIndex: number, sprintName: string, startDate: string, endDate: string }>, runwayUntil: string, conflicts: string[] }}
+ */
+function generateSprints({ cadence, existing = [], today }) {
+  const c = normalizeCadence(cadence);
+  const list = (Array.isArray(existing) ? existing : []).filter(s => toDateOnly(s?.startDate) && toDateOnly(s?.endDate));
+  const latest = list.slice().sort((a, b) => toDateOnly(a.endDate).localeCompare(toDateOnly(b.endDate)))[list.length - 1] || null;
+  const runwayUntil = dayjs(toDateOnly(today)).add(c.runwayMonths, 'month').format('YYYY-MM-DD');
+  const anchor = c.anchorDate || toDateOnly(latest?.startDate) || toDateOnly(today);
+
+  let sprintIndex = list.reduce((max, s) => Math.max(max, Number.isFinite(Number(s.sprintIndex)) ? Number(s.sprintIndex) : -1), -1) + 1;
+  let start = latest ? toDateOnly(latest.endDate) : anchor;
+  let previous = latest;
+  const sprints = [];
+
+  while (sprints.length < MAX_GENERATED && (previous ? toDateOnly(previous.endDate) : start) < runwayUntil) {
+    let end = nextGridStart(anchor, c.lengthDays, start);
+    const fy = fiscalYearOf(start, c.fiscalYearStart);
+
+    if (dayjs(fy.next).diff(dayjs(start), 'day') <= 1) {
+      // The latest sprint closed the year the day before the boundary (as sprints generated
+      // before the boundary became the shared hand-off did): the new year starts on the boundary.
+      start = fy.next;
+      end = nextGridStart(anchor, c.lengthDays, start);
+    } else if (fy.next < end || dayjs(fy.next).diff(dayjs(end), 'day') < Math.ceil(c.lengthDays / 2)) {
+      // Close out the fiscal year on the boundary, absorbing what would be a sliver of a sprint.
+      end = fy.next;
+    }
+
+    const sprintFy = fiscalYearOf(start, c.fiscalYearStart);
+    const n = nextSprintNumber(start, previous, list.concat(sprints), c);
+    const sprint = {
+      sprintIndex,
+      sprintName: formatSprintName(c.namePattern, n, sprintFy.year),
+      startDate: start,
+      endDate: end
+    };
+    sprints.push(sprint);
+
+    sprintIndex += 1;
+    previous = sprint;
+    start = end;
+  }
+
+  return { sprints, runwayUntil, conflicts: findConflicts(sprints, list) };
+}
+
+/**
+ * Short fingerprint of a generated list, so a commit can check it still matches what was previewed.
+ */
+function digestSprints(sprints) {
+  const key = (Array.isArray(sprints) ? sprints : []).map(s => [s.sprintIndex, s.sprintName, s.startDate, s.endDate]);
+  return crypto.createHash('sha1').update(JSON.stringify(key)).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  DEFAULT_CADENCE,
+  normalizeCadence,
+  validateCadence,
+  fiscalYearOf,
+  formatSprintName,
+  generateSprints,
+  findConflicts,
+  digestSprints,
+};
@@ -0,0 +1,201 @@
+/**
+ * services/sprintHandoff.js
+ * What happens once the current sprint changes hands.
+ *
+ * Whichever path notices the new sprint first saves it through dataUtils.refreshCurrentState: the
+ * in-app 8AM check, the Railway notify job, or App Home. The switch it returns is completed here, so
+ * the hand-off is recorded, and shadows and admins told, once whichever of them got there first.
+ *
+ * Within a sprint, each daily hand-off (the in-app 8AM check or the Railway job) also works out again
+ * who holds roles with a partial-sprint override, so coverage starts and ends on its own days.
+ */
+const {
+  refreshCurrentState,
+  readCurrentState,
+  saveCurrentState,
+  readOverrides,
+  getSprintUsers,
+  findCurrentSprint,
+  getShiftDatePT,
+  getSprintShadows,
+  getSprintBackups,
+  getSprintRoleConflicts
+} = require('../dataUtils');
+const {
+  notifyUser,
+  notifyAdmins,
+  notifyRotationChanges,
+  updateOnCallUserGroup,
+  updateBackupUserGroup,
+  updateChannelTopic
+} = require('../slackNotifier');
+const { recordServed } = require('./servedHistory');
+const { getRoleLabel, getRoleKeys, toRoleMap } = require('./roles');
+const { getPartialOverrideRoles } = require('./overrideRanges');
+const { shadowUserGroupIds } = require('./shadows');
+
+function rolesToArray(roles) {
+  return [...new Set(Object.values(roles || {}).filter(Boolean))];
+}
+
+/**
+ * notifyShadows: DM a sprint's shadows. buildMessage(shadow, primaryId) gets the Slack ID on call
+ * in the shadowed role. Anyone also on call that sprint only gets the on-call DM.
+ * Shadow lookups never block the rotation.
+ */
+async function notifyShadows(sprintIndex, roles, buildMessage) {
+  try {
+    const onCallIds = [...new Set(Object.values(roles || {}).filter(Boolean))];
+    const shadows = (await getSprintShadows(sprintIndex)).filter(s => !onCallIds.includes(s.slackId));
+    for (const shadow of shadows) {
+      await notifyUser(shadow.slackId, buildMessage(shadow, roles?.[shadow.role] || null));
+    }
+  } catch (err) {
+    console.error("[notifyShadows] Failed to notify shadows:", err);
+  }
+}
+
+function describeShadowing(shadow, primaryId) {
+  const label = getRoleLabel(shadow.role);
+  return primaryId ? `as ${label} with <@${primaryId}>` : `as ${label}`;
+}
+
+/**
+ * reportRoleConflicts: tell admins when a computed rotation moved someone off a second role, or
+ * couldn't. Limited to `roles` when given, so a mid-sprint update only reports the roles it changed.
+ * Reporting failures never block the rotation.
+ */
+async function reportRoleConflicts(sprintIndex, sprintName, roles = null) {
+  try {
+    const { resolutions, unresolved } = await getSprintRoleConflicts(sprintIndex);
+    const lines = [
+      ...resolutions
+        .filter(r => !roles || roles.includes(r.role))
+        .map(r => `<@${r.slackId}> is on call as ${getRoleLabel(r.keptRole)}, so ${getRoleLabel(r.role)} went to <@${r.replacement}> instead.`),
+      ...unresolved
+        .filter(u => !roles || u.roles.some(r => roles.includes(r)))
+        .map(u => `<@${u.slackId}> holds ${u.roles.map(getRoleLabel).join(' and ')} and nobody else could take over; change it in the on-call modal.`)
+    ];
+    if (lines.length === 0) return;
+    await notifyAdmins(`Role conflicts in ${sprintName || `sprint ${sprintIndex}`}:\n${lines.join('\n')}`);
+  } catch (err) {
+    console.error("[reportRoleConflicts] Failed to report role conflicts:", err);
+  }
+}
+
+/**
+ * syncSlackRotation: update the on-call group, backup group and channel topic for a sprint.
+ * Backups that are also on call are dropped so nobody appears twice. Shadows who opted in join
+ * the on-call group but stay out of the topic.
+ */
+async function syncSlackRotation(sprintIndex, roles) {
+  const userIds = rolesToArray(roles);
+  let backupIds = [];
+  try {
+    backupIds = rolesToArray(await getSprintBackups(sprintIndex, roles)).filter(id => !userIds.includes(id));
+  } catch (err) {
+    console.error('[syncSlackRotation] Failed to compute backups:', err);
+  }
+  let shadowIds = [];
+  try {
+    shadowIds = shadowUserGroupIds(await getSprintShadows(sprintIndex), userIds);
+  } catch (err) {
+    console.error('[syncSlackRotation] Failed to load shadows:', err);
+  }
+  await updateOnCallUserGroup([...userIds, ...shadowIds]);
+  await updateBackupUserGroup(backupIds);
+  await updateChannelTopic(userIds, backupIds);
+}
+
+/**
+ * Record the switch returned by refreshCurrentState, DM the shadows of the sprint that ended and
+ * the one that started, and report the new sprint's role conflicts to admins. Never throws: the
+ * new sprint is already saved.
+ * @param {{ fromIndex: number|null, toIndex: number, oldRoles: Object, newRoles: Object, sprintName: string }} handoff
+ */
+async function completeSprintHandoff(handoff) {
+  if (!handoff || !Number.isFinite(Number(handoff.toIndex))) return;
+  await recordServed(handoff.toIndex, handoff.newRoles, 'sprint_start');
+
+  if (handoff.fromIndex !== null && handoff.fromIndex !== undefined) {
+    await notifyShadows(handoff.fromIndex, handoff.oldRoles, () =>
+      "Your #lcom-bug-triage shadow shift is now complete. Thank you!"
+    );
+  }
+  await notifyShadows(handoff.toIndex, handoff.newRoles, (shadow, primaryId) =>
+    `You are now shadowing #lcom-bug-triage duty ${describeShadowing(shadow, primaryId)}. Good luck!`
+  );
+  await reportRoleConflicts(handoff.toIndex, handoff.sprintName);
+}
+
+/**
+ * refreshCurrentState, then complete the sprint switch it saved (if any).
+ * @returns {Promise<false|Object>} The switch, as returned by refreshCurrentState
+ */
+async function refreshSprintState() {
+  const handoff = await refreshCurrentState();
+  if (handoff) await completeSprintHandoff(handoff);
+  return handoff;
+}
+
+/**
+ * Roles for the running sprint at today's hand-off. Persisted roles are kept, except roles with an
+ * approved partial-sprint override in the sprint: those are worked out for today, so whoever the
+ * override names holds the role only on its days, even when an earlier hand-off was deferred.
+ */
+async function getSprintUsersForHandoff(sprintIndex) {
+  const roles = await getSprintUsers(sprintIndex);
+  const partialRoles = getPartialOverrideRoles(await readOverrides(), sprintIndex);
+  if (partialRoles.size === 0) return roles;
+
+  const calculated = await getSprintUsers(sprintIndex, { usePersistedForCurrentSprint: false, date: getShiftDatePT() });
+  const next = { ...roles };
+  for (const role of partialRoles) {
+    next[role] = calculated[role] ?? null;
+  }
+  return next;
+}
+
+/**
+ * Hand-off for the Railway job: switch roles whose partial override starts or has ended, DM the
+ * people affected and persist the state (the job then syncs Slack from it). The in-app 8AM check
+ * does the same through its mid-cycle update. Failures are logged and leave the state as it was.
+ * @param {{ notify?: boolean }} [options] - notify: false when the caller DMs the changes itself
+ *   (the Railway job does on the day it switches the sprint)
+ * @returns {Promise<Array<{ role, oldUser, newUser }>>} The roles that changed hands
+ */
+async function applyPartialOverrideHandoff({ notify = true } = {}) {
+  try {
+    const sprint = await findCurrentSprint();
+    const state = await readCurrentState();
+    if (!sprint || !Number.isFinite(Number(sprint.index)) || Number(state?.sprintIndex) !== Number(sprint.index)) return [];
+
+    const sprintIndex = Number(sprint.index);
+    const roles = await getSprintUsersForHandoff(sprintIndex);
+    const changes = getRoleKeys()
+      .filter(role => (state[role] ?? null) !== (roles[role] ?? null))
+      .map(role => ({ role, oldUser: state[role] ?? null, newUser: roles[role] ?? null }));
+    if (changes.length === 0) return [];
+
+    console.log('[sprintHandoff] Partial overrides changed hands:', changes);
+    if (notify) await notifyRotationChanges(changes);
+    await saveCurrentState({ sprintIndex, ...toRoleMap(roles) });
+    await recordServed(sprintIndex, roles, 'rotation_update');
+    await reportRoleConflicts(sprintIndex, sprint.sprintName, changes.map(c => c.role));
+    return changes;
+  } catch (err) {
+    console.error('[sprintHandoff] Failed to apply partial overrides:', err);
+    return [];
+  }
+}
+
+module.exports = {
+  notifyShadows,
+  describeShadowing,
+  reportRoleConflicts,
+  syncSlackRotation,
+  completeSprintHandoff,
+  refreshSprintState,
+  getSprintUsersForHandoff,
+  applyPartialOverrideHandoff,
+};
@@ -0,0 +1,84 @@
+/**
+ * services/teamTimezone.js
+ * The team's timezone (config.teamTimezone) and how to show it in copy.
+ *
+ * An invalid TEAM_TIMEZONE falls back to America/Los_Angeles with a warning, so a typo
+ * cannot break the sprint cutover.
+ */
+const config = require('../config');
+
+const DEFAULT_TEAM_TIMEZONE = 'America/Los_Angeles';
+
+// Generic (DST-neutral) labels for common zones; others use Intl's short name (e.g. "GMT+1").
+const GENERIC_LABELS = {
+  'America/Los_Angeles': 'PT',
+  'America/Denver': 'MT',
+  'America/Phoenix': 'MST',
+  'America/Chicago': 'CT',
+  'America/New_York': 'ET',
+  'America/Detroit': 'ET',
+  'America/Toronto': 'ET',
+  'Pacific/Honolulu': 'HT',
+  'America/Anchorage': 'AKT',
+  'UTC': 'UTC',
+  'Etc/UTC': 'UTC',
+};
+
+let warnedInvalid = null;
+
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * IANA name of the team timezone, e.g. "America/New_York".
+ */
+function getTeamTimezone() {
+  const tz = config.teamTimezone;
+  if (isValidTimezone(tz)) return tz;
+  if (warnedInvalid !== tz) {
+    console.warn(`[teamTimezone] Invalid TEAM_TIMEZONE "${tz}", using ${DEFAULT_TEAM_TIMEZONE}`);
+    warnedInvalid = tz;
+  }
+  return DEFAULT_TEAM_TIMEZONE;
+}
+
+/**
+ * Short label for copy, e.g. "PT" or "ET".
+ * @param {Date} [at] - Instant used for zones without a generic label (DST-dependent names)
+ */
+function getTeamTimezoneLabel(at = new Date()) {
+  const tz = getTeamTimezone();
+  if (GENERIC_LABELS[tz]) return GENERIC_LABELS[tz];
+  try {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone: tz, timeZoneName: 'short' })
+      .formatToParts(at)
+      .find(p => p.type === 'timeZoneName');
+    return part ? part.value : tz;
+  } catch {
+    return tz;
+  }
+}
+
+/**
+ * An hour of the day in the team timezone for copy, e.g. formatTeamHour(8) -> "8AM ET".
+ */
+function formatTeamHour(hour) {
+  const h = ((Number(hour) % 24) + 24) % 24;
+  const display = h % 12 === 0 ? 12 : h % 12;
+  return `${display}${h < 12 ? 'AM' : 'PM'} ${getTeamTimezoneLabel()}`;
+}
+
+module.exports = {
+  DEFAULT_TEAM_TIMEZONE,
+  isValidTimezone,
+  getTeamTimezone,
+  getTeamTimezoneLabel,
+  formatTeamHour,
+};
@@ -3,12 +3,16 @@
  ********************************/
 const { WebClient } = require('@slack/web-api');
 const config = require('./config');
+const { getRoleLabel } = require('./services/roles');
 const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
 
 const STAGING_USERGROUP_HANDLE = 'triage-oncall-staging';
 const STAGING_USERGROUP_NAME = 'Triage On-Call (Staging)';
+const STAGING_BACKUP_USERGROUP_HANDLE = 'triage-backup-staging';
+const STAGING_BACKUP_USERGROUP_NAME = 'Triage Backup (Staging)';
 let _stagingUserGroupId = null;
 let _stagingUserGroupIdLogged = false;
+let _stagingBackupUserGroupId = null;
 
 /**
  * Sends a direct message to a user.
@@ -46,17 +50,20 @@ async function notifyAdmins(text) {
  * Updates the channel topic for the bug triage channel.
  * The topic is set to:
  * "Bug Link Only - keep conversations in threads.
- *  Triage Team: {New Triage Members}"
+ *  Triage Team: {New Triage Members}
+ *  Backup: {Backup Members}"  (backup line only when backups are given)
  */
-async function updateChannelTopic(userIdsArray) {
+async function updateChannelTopic(userIdsArray, backupIdsArray = []) {
   try {
     // Format the user IDs as @mentions
     const mentionList = userIdsArray.map(id => `<@${id}>`).join(', ');
+    const backupList = (Array.isArray(backupIdsArray) ? backupIdsArray : []).map(id => `<@${id}>`).join(', ');
     
     // Create the full topic message
     const newTopic = 
       `Bug Link Only - keep conversations in threads.\n` +
-      `Triage Team: ${mentionList}`;
+      `Triage Team: ${mentionList}` +
+      (backupList ? `\nBackup: ${backupList}` : '');
     
     await slackClient.conversations.setTopic({
       channel: process.env.BUG_TRIAGE_CHANNEL_ID,
@@ -118,6 +125,38 @@ async function getOrCreateStagingOnCallUserGroupId() {
   }
 }
 
+/**
+ * Resolve the staging backup user group ID (find by handle or create). Cached per process.
+ * @returns {Promise<string|null>}
+ */
+async function getOrCreateStagingBackupUserGroupId() {
+  if (_stagingBackupUserGroupId) return _stagingBackupUserGroupId;
+
+  try {
+    const listRes = await slackClient.usergroups.list({ include_disabled: false });
+    const found = (listRes?.usergroups || []).find(g => (g.handle || '').toLowerCase() === STAGING_BACKUP_USERGROUP_HANDLE);
+    if (found && found.id) {
+      _stagingBackupUserGroupId = found.id;
+      return _stagingBackupUserGroupId;
+    }
+
+    const createRes = await slackClient.usergroups.create({
+      name: STAGING_BACKUP_USERGROUP_NAME,
+      handle: STAGING_BACKUP_USERGROUP_HANDLE,
+      description: 'Backup on-call for triage (staging)'
+    });
+    if (createRes?.usergroup?.id) {
+      _stagingBackupUserGroupId = createRes.usergroup.id;
+      console.log(`[getOrCreateStagingBackupUserGroupId] Created staging backup user group ${_stagingBackupUserGroupId}. Set SLACK_BACKUP_USERGROUP_ID_STAGING=${_stagingBackupUserGroupId} in env to avoid lookup.`);
+      return _stagingBackupUserGroupId;
+    }
+    return null;
+  } catch (err) {
+    console.warn('[getOrCreateStagingBackupUserGroupId] Failed:', (err?.message || String(err)).slice(0, 200));
+    return null;
+  }
+}
+
 /**
  * Updates the Slack user group for on-call members.
  * In staging, uses SLACK_USERGROUP_ID_STAGING or auto-created/found group; never updates production group.
@@ -173,6 +212,78 @@ async function updateOnCallUserGroup(userIdsArray) {
   }
 }
 
+/**
+ * Updates the Slack user group for backup on-call members (SLACK_BACKUP_USERGROUP_ID).
+ * Optional: skipped quietly when no backup group is configured. Staging never touches the production group.
+ */
+async function updateBackupUserGroup(userIdsArray) {
+  const isStaging = config.isStaging;
+  let usergroupId = isStaging
+    ? process.env.SLACK_BACKUP_USERGROUP_ID_STAGING
+    : process.env.SLACK_BACKUP_USERGROUP_ID;
+
+  if (isStaging && !usergroupId) {
+    usergroupId = await getOrCreateStagingBackupUserGroupId();
+  }
+
+  if (!usergroupId) {
+    console.log('[updateBackupUserGroup] No backup user group configured. Skipping update.');
+    return;
+  }
+
+  const users = Array.isArray(userIdsArray) ? userIdsArray.filter(Boolean) : [];
+  if (users.length === 0) {
+    // usergroups.users.update rejects an empty list; keep the previous members until backups exist again.
+    console.warn('[updateBackupUserGroup] No backups to set. Skipping update.');
+    return;
+  }
+
+  try {
+    await slackClient.usergroups.users.update({
+      usergroup: usergroupId,
+      users: users.join(',')
+    });
+    console.log('[updateBackupUserGroup] Backup user group updated successfully.');
+  } catch (err) {
+    console.error('Failed to update backup user group:', err);
+    await notifyAdmins(`Error updating backup Slack user group: ${err.message}`);
+  }
+}
+
+/**
+ * Updates the Slack user group for the after-hours rotation (SLACK_AFTER_HOURS_USERGROUP_ID).
+ * Optional: skipped quietly when no group is configured. Staging uses SLACK_AFTER_HOURS_USERGROUP_ID_STAGING
+ * and never touches the production group.
+ */
+async function updateAfterHoursUserGroup(userIdsArray) {
+  const usergroupId = config.isStaging
+    ? process.env.SLACK_AFTER_HOURS_USERGROUP_ID_STAGING
+    : process.env.SLACK_AFTER_HOURS_USERGROUP_ID;
+
+  if (!usergroupId) {
+    console.log('[updateAfterHoursUserGroup] No after-hours user group configured. Skipping update.');
+    return;
+  }
+
+  const users = Array.isArray(userIdsArray) ? userIdsArray.filter(Boolean) : [];
+  if (users.length === 0) {
+    // usergroups.users.update rejects an empty list; keep the previous members.
+    console.warn('[updateAfterHoursUserGroup] Nobody to set. Skipping update.');
+    return;
+  }
+
+  try {
+    await slackClient.usergroups.users.update({
+      usergroup: usergroupId,
+      users: users.join(',')
+    });
+    console.log('[updateAfterHoursUserGroup] After-hours user group updated successfully.');
+  } catch (err) {
+    console.error('Failed to update after-hours user group:', err);
+    await notifyAdmins(`Error updating after-hours Slack user group: ${err.message}`);
+  }
+}
+
 /**
  * Notify users whose rotation status changed.
  * @param {Array<{role: string, oldUser?: string|null, newUser?: string|null}>} changes
@@ -186,11 +297,12 @@ async function notifyRotationChanges(changes = []) {
 
   for (const change of changes) {
     const { role, newUser, oldUser } = change;
+    const roleLabel = getRoleLabel(role);
 
     if (newUser) {
       await notifyUser(
         newUser,
-        `You have been assigned to ${role} triage duty starting now.`
+        `You have been assigned to ${roleLabel} triage duty starting now.`
       );
       sent += 1;
     }
@@ -198,7 +310,7 @@ async function notifyRotationChanges(changes = []) {
     if (oldUser) {
       await notifyUser(
         oldUser,
-        `You have been removed from ${role} triage duty.`
+        `You have been removed from ${roleLabel} triage duty.`
       );
       sent += 1;
     }
@@ -207,10 +319,63 @@ async function notifyRotationChanges(changes = []) {
   return { sent };
 }
 
+/**
+ * Replies in a message thread. Returns the reply ts, or null on failure.
+ */
+async function postThreadReply(channel, threadTs, text, blocks) {
+  try {
+    const res = await slackClient.chat.postMessage({
+      channel,
+      thread_ts: threadTs,
+      text,
+      ...(blocks ? { blocks } : {})
+    });
+    return res.ts || null;
+  } catch (err) {
+    console.error(`[postThreadReply] Failed to reply in ${channel}/${threadTs}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Posts a message to a channel (or a user's DM, by user ID). Returns the message ts, or null on failure.
+ */
+async function postChannelMessage(channel, text, blocks) {
+  try {
+    const res = await slackClient.chat.postMessage({
+      channel,
+      text,
+      ...(blocks ? { blocks } : {})
+    });
+    return res.ts || null;
+  } catch (err) {
+    console.error(`[postChannelMessage] Failed to post in ${channel}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Permalink for a message, or null when Slack cannot resolve it.
+ */
+async function getMessagePermalink(channel, ts) {
+  try {
+    const res = await slackClient.chat.getPermalink({ channel, message_ts: ts });
+    return res.permalink || null;
+  } catch (err) {
+    console.error(`[getMessagePermalink] Failed for ${channel}/${ts}:`, err);
+    return null;
+  }
+}
+
 module.exports = {
   notifyUser,
   notifyAdmins,
   updateOnCallUserGroup,
+  updateBackupUserGroup,
+  updateAfterHoursUserGroup,
   updateChannelTopic,
-  notifyRotationChanges
+  notifyRotationChanges,
+  postThreadReply,
+  postChannelMessage,
+  getMessagePermalink
 };
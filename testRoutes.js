@@ -11,6 +11,7 @@ const path = require('path');
 const dayjs = require('dayjs');
 const utc = require('dayjs/plugin/utc');
 const timezone = require('dayjs/plugin/timezone');
+const { getTeamTimezone } = require('./services/teamTimezone');
 const { readSprints, SPRINTS_FILE } = require('./dataUtils');
 
 dayjs.extend(utc);
@@ -229,7 +230,7 @@ router.get('/timezone-debug', (req, res) => {
   try {
     const now = new Date();
     const dayjsNow = dayjs();
-    const dayjsPT = dayjs().tz("America/Los_Angeles");
+    const dayjsPT = dayjs().tz(getTeamTimezone());
     
     const tzInfo = {
       "Server timezone": Intl.DateTimeFormat().resolvedOptions().timeZone,
@@ -348,14 +349,14 @@ router.get('/debug-findCurrentSprint', async (req, res) => {
   try {
     // This is a corrected version with Pacific Time
     const sprints = readSprints();
-    const today = dayjs().tz("America/Los_Angeles").startOf("day");
+    const today = dayjs().tz(getTeamTimezone()).startOf("day");
     
     let foundSprint = null;
     
     for (let i = 0; i < sprints.length; i++) {
       const { sprintName, startDate, endDate } = sprints[i];
-      const sprintStart = dayjs(startDate).tz("America/Los_Angeles").startOf("day");
-      const sprintEnd = dayjs(endDate).tz("America/Los_Angeles").startOf("day");
+      const sprintStart = dayjs(startDate).tz(getTeamTimezone()).startOf("day");
+      const sprintEnd = dayjs(endDate).tz(getTeamTimezone()).startOf("day");
       
       if (
         (today.isAfter(sprintStart) || today.isSame(sprintStart, 'day')) &&
@@ -369,7 +370,7 @@ router.get('/debug-findCurrentSprint', async (req, res) => {
     res.json({
       message: foundSprint ? `Found current sprint: ${foundSprint.sprintName}` : 'No current sprint found',
       today: today.format('YYYY-MM-DD'),
-      todayTimezone: 'America/Los_Angeles',
+      todayTimezone: getTeamTimezone(),
       foundSprint
     });
   } catch (err) {
@@ -388,15 +389,15 @@ router.get('/debug-sprint-dates', (req, res) => {
     const sprints = readSprints();
     
     // Test date as midnight in PT
-    const testDate = dayjs.tz(`${date}T00:00:00`, "America/Los_Angeles").startOf('day');
+    const testDate = dayjs.tz(`${date}T00:00:00`, getTeamTimezone()).startOf('day');
     
     const debugInfo = {
       requestedDate: date,
       formattedTestDate: testDate.format('YYYY-MM-DD HH:mm:ss Z'),
       testDateTimestamp: testDate.valueOf(),
       sprints: sprints.map((sprint, i) => {
-        const startDate = dayjs.tz(`${sprint.startDate}T00:00:00`, "America/Los_Angeles").startOf('day');
-        const endDate = dayjs.tz(`${sprint.endDate}T00:00:00`, "America/Los_Angeles").startOf('day');
+        const startDate = dayjs.tz(`${sprint.startDate}T00:00:00`, getTeamTimezone()).startOf('day');
+        const endDate = dayjs.tz(`${sprint.endDate}T00:00:00`, getTeamTimezone()).startOf('day');
         
         return {
           index: i,
@@ -927,7 +928,7 @@ router.get('/debug-date', (req, res) => {
       
       // Test dayjs functions
       dayjsNow: dayjs().format('YYYY-MM-DD HH:mm:ss Z'),
-      dayjsPT: dayjs().tz("America/Los_Angeles").format('YYYY-MM-DD HH:mm:ss Z'),
+      dayjsPT: dayjs().tz(getTeamTimezone()).format('YYYY-MM-DD HH:mm:ss Z'),
       
       // Test dataUtils date functions
       getTodayPT: dataUtils.getTodayPT().format('YYYY-MM-DD HH:mm:ss Z'),
@@ -962,7 +963,7 @@ async function sprintDebugHandler(req, res) {
     };
     
     // Current date information in PT
-    const today = dayjs().tz("America/Los_Angeles").startOf("day");
+    const today = dayjs().tz(getTeamTimezone()).startOf("day");
     debugInfo.today = {
       date: today.format('YYYY-MM-DD'),
       dayOfWeek: today.format('dddd'),
@@ -974,8 +975,8 @@ async function sprintDebugHandler(req, res) {
     if (Array.isArray(sprintsData) && sprintsData.length > 0) {
       debugInfo.sprints = sprintsData.map((sprint, i) => {
         // Convert sprint dates to Pacific Time
-        const start = dayjs(sprint.startDate).tz("America/Los_Angeles").startOf("day");
-        const end = dayjs(sprint.endDate).tz("America/Los_Angeles").startOf("day");
+        const start = dayjs(sprint.startDate).tz(getTeamTimezone()).startOf("day");
+        const end = dayjs(sprint.endDate).tz(getTeamTimezone()).startOf("day");
         
         // Check if today falls within this sprint
         const todayAfterStart = today.isAfter(start) || today.isSame(start, 'day');
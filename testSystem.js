@@ -6,6 +6,7 @@
 const dayjs = require("dayjs");
 const utc = require("dayjs/plugin/utc");
 const timezone = require("dayjs/plugin/timezone");
+const { getTeamTimezone } = require("./services/teamTimezone");
 const fs = require("fs");
 const path = require("path");
 
@@ -81,7 +82,7 @@ function mockUpdateChannelTopic(newTopic) {
  */
 function createMockDateUtils(simulatedDate) {
   // Parse the simulated date
-  const targetDate = dayjs.tz(simulatedDate, "America/Los_Angeles");
+  const targetDate = dayjs.tz(simulatedDate, getTeamTimezone());
 
   return {
     // Mock getTodayPT to return our simulated date
@@ -204,7 +205,7 @@ async function simulateTimeCheck(
   }
 
   // Create a simulated date based on the provided dateStr
-  const simulatedDate = dayjs(dateStr).tz("America/Los_Angeles");
+  const simulatedDate = dayjs(dateStr).tz(getTeamTimezone());
   if (!simulatedDate.isValid()) {
     throw new Error(`Invalid date: ${dateStr}`);
   }
@@ -306,7 +307,7 @@ async function simulateTimeCheck(
 
 // Add this at the top of testSystem.js
 function testFindSprintForDate(dateStr) {
-  const testDate = dayjs.tz(`${dateStr}T12:00:00`, "America/Los_Angeles");
+  const testDate = dayjs.tz(`${dateStr}T12:00:00`, getTeamTimezone());
   const sprints = dataUtils.readSprints();
 
   console.log(
@@ -317,9 +318,9 @@ function testFindSprintForDate(dateStr) {
     const { sprintName, startDate, endDate } = sprints[i];
     const sprintStart = dayjs.tz(
       `${startDate}T00:00:00`,
-      "America/Los_Angeles"
+      getTeamTimezone()
     );
-    const sprintEnd = dayjs.tz(`${endDate}T23:59:59`, "America/Los_Angeles");
+    const sprintEnd = dayjs.tz(`${endDate}T23:59:59`, getTeamTimezone());
 
     const afterStart =
       testDate.isAfter(sprintStart) || testDate.isSame(sprintStart, "day");
@@ -490,7 +491,7 @@ function addTestRoutes(router) {
       const originalGetTodayPT = dataUtils.getTodayPT;
       dataUtils.getTodayPT = () => {
         const mockTime = time.toLowerCase() === "5pm" ? "17:00:00" : "08:00:00";
-        const mockDate = dayjs.tz(`${date}T${mockTime}`, "America/Los_Angeles");
+        const mockDate = dayjs.tz(`${date}T${mockTime}`, getTeamTimezone());
         console.log(`Mocked date for test: ${mockDate.format()}`);
         return mockDate;
       };
@@ -613,7 +614,7 @@ function addTestRoutes(router) {
     
     // Mock date function
     dataUtils.getTodayPT = () => {
-      const mockDate = dayjs.tz(`${date}T08:00:00`, "America/Los_Angeles");
+      const mockDate = dayjs.tz(`${date}T08:00:00`, getTeamTimezone());
       debugInfo.mockDate = mockDate.format();
       console.log(`Debug mock date: ${mockDate.format()}`);
       return mockDate;
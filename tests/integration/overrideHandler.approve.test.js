@@ -46,7 +46,8 @@ mock.module('../../db/repository', () => ({
 if (typeof require.cache !== 'undefined') {
   delete require.cache[require.resolve('../../overrideHandler')];
 }
-const { handleApproveOverride } = require('../../overrideHandler');
+const { handleApproveOverride, handleApproveOverrideBatch } = require('../../overrideHandler');
+const { OverridesRepository } = require('../../db/repository');
 
 describe('overrideHandler approve_override', () => {
   const adminId = 'U_ADMIN';
@@ -124,4 +125,62 @@ describe('overrideHandler approve_override', () => {
     expect(calledUserIds).toContain(replacementId);
     expect(calledUserIds).toContain('U_OLD');
   });
+
+  it('blocks approval when the replacement already holds another role that sprint', async () => {
+    getSprintUsersMock.mockResolvedValue({ po: 'U_OLD', uiEng: replacementId });
+    clientMock.chat.postEphemeral = mock(() => Promise.resolve());
+
+    await handleApproveOverride({
+      ack: ackMock,
+      body,
+      client: clientMock,
+      logger: loggerMock,
+    });
+
+    expect(OverridesRepository.approveOverride).not.toHaveBeenCalled();
+    expect(clientMock.chat.postEphemeral.mock.calls[0][0]).toMatchObject({ channel: 'C_CHAN', user: adminId });
+    expect(clientMock.chat.postEphemeral.mock.calls[0][0].text).toContain('already on call as UI Engineer');
+  });
+});
+
+describe('overrideHandler approve_override_batch', () => {
+  beforeEach(() => {
+    mock.clearAllMocks();
+  });
+
+  it('approves the batch requests sent to the admins and syncs the current sprint once', async () => {
+    const batchRow = { sprintIndex: 0, role: 'po', requestedBy: 'U_REQ', status: 'pending_admin', approvalRoutedTo: 'admins', batchId: 'b-1' };
+    OverridesRepository.getAll.mockResolvedValueOnce([
+      { ...batchRow, id: 1, newSlackId: 'U_A' },
+      { ...batchRow, id: 2, sprintIndex: 1, newSlackId: 'U_B' },
+      { ...batchRow, id: 3, newSlackId: 'U_C', approvalRoutedTo: null },
+      { ...batchRow, id: 4, newSlackId: 'U_D', batchId: 'b-2' },
+    ]);
+    findCurrentSprintMock.mockResolvedValue({ index: 0 });
+    getSprintUsersMock.mockResolvedValue({ po: 'U_A' });
+    applyCurrentSprintRotationMock.mockResolvedValue({ updated: true, affectedUserIds: [] });
+    const clientMock = {
+      chat: {
+        postMessage: mock(() => Promise.resolve()),
+        update: mock(() => Promise.resolve()),
+      },
+    };
+
+    await handleApproveOverrideBatch({
+      ack: mock(() => Promise.resolve()),
+      body: {
+        user: { id: 'U_ADMIN' },
+        channel: { id: 'C_CHAN' },
+        message: { ts: '123.456' },
+        actions: [{ value: JSON.stringify({ batchId: 'b-1', requesterId: 'U_REQ' }) }],
+      },
+      client: clientMock,
+      logger: { error: mock(() => {}) },
+    });
+
+    expect(OverridesRepository.approveOverride.mock.calls.map(c => c[3])).toEqual(['U_A', 'U_B']);
+    expect(clientMock.chat.postMessage.mock.calls.map(c => c[0].channel)).toEqual(['U_A', 'U_B', 'U_REQ']);
+    expect(clientMock.chat.update.mock.calls[0][0].text).toBe('Override Batch Approved');
+    expect(applyCurrentSprintRotationMock).toHaveBeenCalledTimes(1);
+  });
 });
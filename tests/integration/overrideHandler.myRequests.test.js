@@ -0,0 +1,223 @@
+const { describe, it, expect, mock, beforeEach } = require('bun:test');
+
+process.env.DUAL_WRITE_MODE = 'false';
+
+const getAllMock = mock(() => Promise.resolve([]));
+const updateStatusMock = mock();
+const addOverridesMock = mock();
+const changeReplacementMock = mock();
+const claimBatchMock = mock(() => Promise.resolve([]));
+const routeBatchMock = mock(() => Promise.resolve('123.456'));
+const postMessageMock = mock(() => Promise.resolve());
+
+mock.module('../../loadEnv', () => ({ loadEnv: () => {} }));
+mock.module('../../appHome', () => ({
+  slackApp: { action: () => {}, view: () => {}, command: () => {}, shortcut: () => {}, options: () => {} },
+  receiver: {},
+  publishAppHomeForUser: mock(() => Promise.resolve()),
+}));
+mock.module('../../commandUtils', () => ({ getEnvironmentCommand: (name) => name }));
+mock.module('../../cache/redisClient', () => ({
+  get: mock(() => Promise.resolve(null)),
+  set: mock(() => Promise.resolve()),
+  getJson: mock(() => Promise.resolve(null)),
+  setJson: mock(() => Promise.resolve()),
+  del: mock(() => Promise.resolve()),
+}));
+mock.module('../../dataUtils', () => ({
+  findCurrentSprint: mock(() => Promise.resolve(null)),
+  getSprintUsers: mock(() => Promise.resolve({})),
+  readSprints: mock(() => Promise.resolve([])),
+  getRoleAndDisciplinesForUser: mock(() => Promise.resolve({ role: null, disciplines: {} })),
+}));
+mock.module('../../triageLogic', () => ({ applyCurrentSprintRotation: mock(() => Promise.resolve({ updated: false, affectedUserIds: [] })) }));
+mock.module('../../services/adminMembership', () => ({
+  isUserInAdminChannel: mock(() => Promise.resolve(false)),
+  DEFAULT_TTL_MS: 60000,
+}));
+mock.module('../../services/overrideApproval', () => ({
+  routeOverrideForApproval: mock(() => Promise.resolve({ routedTo: 'admins', leadSlackIds: [] })),
+  routeOverrideBatchForApproval: routeBatchMock,
+}));
+mock.module('../../db/repository', () => ({
+  UsersRepository: { getDisciplines: mock(() => Promise.resolve({ po: [{ slackId: 'U_B', name: 'B' }, { slackId: 'U_C', name: 'C' }] })) },
+  OverridesRepository: {
+    getAll: getAllMock,
+    updateStatus: updateStatusMock,
+    addOverrides: addOverridesMock,
+    claimBatchForApproval: claimBatchMock,
+    changeReplacement: changeReplacementMock,
+  },
+}));
+
+// Force fresh load so overrideHandler uses our mocks (avoids cache from other files)
+if (typeof require.cache !== 'undefined') {
+  delete require.cache[require.resolve('../../overrideHandler')];
+}
+const {
+  handleMyRequestCancel,
+  handleMyRequestChangeReplacementSubmit,
+  handleOutOfOfficeShiftsSubmit
+} = require('../../overrideHandler');
+
+const logger = { error: mock(() => {}) };
+const client = { chat: { postMessage: postMessageMock }, views: { update: mock(() => Promise.resolve()) } };
+const accepted = { id: 2, sprintIndex: 4, role: 'po', newSlackId: 'U_C', requestedBy: 'U_REQ', status: 'pending_admin', batchId: 'B1' };
+const swapHalf = { id: 3, sprintIndex: 5, role: 'po', originalSlackId: 'U_REQ', newSlackId: 'U_B', requestedBy: 'U_REQ', status: 'approved', approved: true, swapId: 'S1' };
+// A plain request that happens to carry original_slack_id (older rows)
+const legacyRequest = { id: 4, sprintIndex: 6, role: 'po', originalSlackId: 'U_REQ', newSlackId: 'U_B', requestedBy: 'U_REQ', status: 'pending_admin' };
+
+function messagesTo(channel) {
+  return postMessageMock.mock.calls.map(([msg]) => msg).filter(msg => msg.channel === channel);
+}
+
+describe('overrideHandler My requests cancel', () => {
+  beforeEach(() => {
+    mock.clearAllMocks();
+    claimBatchMock.mockResolvedValue([]);
+  });
+
+  function cancel(key) {
+    return handleMyRequestCancel({
+      ack: mock(() => Promise.resolve()),
+      body: { user: { id: 'U_REQ' } },
+      action: { value: JSON.stringify(key) },
+      client,
+      logger,
+    });
+  }
+
+  it('sends the rest of an I\'m out batch for approval once the only unanswered request is cancelled', async () => {
+    const waiting = { id: 1, sprintIndex: 3, role: 'po', newSlackId: 'U_B', requestedBy: 'U_REQ', status: 'pending_replacement', batchId: 'B1' };
+    getAllMock.mockResolvedValue([waiting, accepted]);
+    updateStatusMock.mockResolvedValue({ ...waiting, status: 'cancelled' });
+    claimBatchMock.mockResolvedValue([accepted]);
+
+    await cancel({ sprintIndex: 3, role: 'po', replacementSlackId: 'U_B' });
+
+    expect(updateStatusMock).toHaveBeenCalledWith(3, 'po', 'U_REQ', 'U_B', expect.any(Array), 'cancelled', 'U_REQ');
+    expect(claimBatchMock).toHaveBeenCalledWith('B1');
+    expect(routeBatchMock).toHaveBeenCalledWith([accepted]);
+    expect(messagesTo('U_REQ').at(-1).text).toContain('now waiting for approval from the admins');
+  });
+
+  it('leaves the batch alone when the cancelled request was already answered', async () => {
+    getAllMock.mockResolvedValue([accepted]);
+    updateStatusMock.mockResolvedValue({ ...accepted, status: 'cancelled' });
+
+    await cancel({ sprintIndex: 4, role: 'po', replacementSlackId: 'U_C' });
+
+    expect(claimBatchMock).not.toHaveBeenCalled();
+    expect(messagesTo('U_REQ')).toEqual([]);
+  });
+
+  it('leaves a swap half alone', async () => {
+    getAllMock.mockResolvedValue([swapHalf]);
+
+    await cancel({ sprintIndex: 5, role: 'po', replacementSlackId: 'U_B' });
+
+    expect(updateStatusMock).not.toHaveBeenCalled();
+    expect(postMessageMock).not.toHaveBeenCalled();
+  });
+
+  it('cancels a request that is not marked as a swap', async () => {
+    getAllMock.mockResolvedValue([legacyRequest]);
+    updateStatusMock.mockResolvedValue({ ...legacyRequest, status: 'cancelled' });
+
+    await cancel({ sprintIndex: 6, role: 'po', replacementSlackId: 'U_B' });
+
+    expect(updateStatusMock).toHaveBeenCalledWith(6, 'po', 'U_REQ', 'U_B', expect.any(Array), 'cancelled', 'U_REQ');
+    expect(messagesTo('U_B')[0].text).toContain('cancelled their request');
+  });
+});
+
+describe('overrideHandler My requests change replacement', () => {
+  beforeEach(() => {
+    mock.clearAllMocks();
+    postMessageMock.mockImplementation(async () => {});
+  });
+
+  function change(key, newSlackId) {
+    const ack = mock(() => Promise.resolve());
+    const done = handleMyRequestChangeReplacementSubmit({
+      ack,
+      body: { user: { id: 'U_REQ' } },
+      view: {
+        private_metadata: JSON.stringify(key),
+        state: { values: { replacement: { replacement_select: { selected_option: { value: newSlackId } } } } },
+      },
+      client,
+      logger,
+    });
+    return done.then(() => ack);
+  }
+
+  it('refuses to change the replacement on a swap half', async () => {
+    getAllMock.mockResolvedValue([swapHalf]);
+
+    const ack = await change({ sprintIndex: 5, role: 'po', replacementSlackId: 'U_B' }, 'U_C');
+
+    expect(ack).toHaveBeenCalledWith({ response_action: 'errors', errors: { replacement: 'This request is no longer open.' } });
+    expect(changeReplacementMock).not.toHaveBeenCalled();
+  });
+
+  it('changes the replacement on a request that is not marked as a swap', async () => {
+    getAllMock.mockResolvedValue([legacyRequest]);
+    changeReplacementMock.mockResolvedValue({ ...legacyRequest, newSlackId: 'U_C', status: 'pending_replacement' });
+
+    const ack = await change({ sprintIndex: 6, role: 'po', replacementSlackId: 'U_B' }, 'U_C');
+
+    expect(ack).toHaveBeenCalledWith();
+    expect(changeReplacementMock).toHaveBeenCalledTimes(1);
+    expect(messagesTo('U_C')[0].text).toContain('asked you to cover');
+  });
+});
+
+describe('overrideHandler I\'m out submit', () => {
+  beforeEach(() => {
+    mock.clearAllMocks();
+    addOverridesMock.mockResolvedValue([1, 2]);
+    updateStatusMock.mockResolvedValue({ status: 'cancelled' });
+  });
+
+  function submit() {
+    return handleOutOfOfficeShiftsSubmit({
+      ack: mock(() => Promise.resolve()),
+      body: { user: { id: 'U_REQ' } },
+      view: {
+        private_metadata: JSON.stringify({ role: 'po', shifts: [{ sprintIndex: 3, wholeSprint: true }, { sprintIndex: 4, wholeSprint: true }] }),
+        state: {
+          values: {
+            out_shift_0: { replacement_select: { selected_option: { value: 'U_C' } } },
+            out_shift_1: { replacement_select: { selected_option: { value: 'U_B' } } },
+          },
+        },
+      },
+      client,
+      logger,
+    });
+  }
+
+  it('cancels a request whose replacement could not be messaged and routes what was already answered', async () => {
+    postMessageMock.mockImplementation(async (msg) => {
+      if (msg.channel === 'U_B') throw new Error('channel_not_found');
+    });
+    claimBatchMock.mockResolvedValue([accepted]);
+
+    await submit();
+
+    expect(updateStatusMock).toHaveBeenCalledWith(4, 'po', 'U_REQ', 'U_B', expect.any(Array), 'cancelled', 'U_REQ');
+    const batchId = addOverridesMock.mock.calls[0][0][0].batchId;
+    expect(claimBatchMock).toHaveBeenCalledWith(batchId);
+    expect(routeBatchMock).toHaveBeenCalledWith([accepted]);
+    expect(messagesTo('U_REQ').at(-1).text).toContain('now waiting for approval from the admins');
+  });
+
+  it('does not claim the batch when every replacement was messaged', async () => {
+    postMessageMock.mockImplementation(async () => {});
+
+    await submit();
+
+    expect(claimBatchMock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, expect, mock, beforeEach } = require('bun:test');
+
+process.env.DUAL_WRITE_MODE = 'false';
+
+const updateStatusMock = mock();
+const addOverrideMock = mock(() => Promise.resolve(1));
+const postMessageMock = mock(() => Promise.resolve());
+
+mock.module('../../loadEnv', () => ({ loadEnv: () => {} }));
+mock.module('../../appHome', () => ({
+  slackApp: { action: () => {}, view: () => {}, command: () => {}, shortcut: () => {}, options: () => {} },
+  receiver: {},
+  publishAppHomeForUser: mock(() => Promise.resolve()),
+}));
+mock.module('../../commandUtils', () => ({ getEnvironmentCommand: (name) => name }));
+mock.module('../../cache/redisClient', () => ({
+  get: mock(() => Promise.resolve(null)),
+  set: mock(() => Promise.resolve()),
+  getJson: mock(() => Promise.resolve(null)),
+  setJson: mock(() => Promise.resolve()),
+  del: mock(() => Promise.resolve()),
+}));
+mock.module('../../dataUtils', () => ({
+  findCurrentSprint: mock(() => Promise.resolve(null)),
+  getSprintUsers: mock(() => Promise.resolve({})),
+  readSprints: mock(() => Promise.resolve([])),
+  getRoleAndDisciplinesForUser: mock(() => Promise.resolve({ role: null, disciplines: {} })),
+}));
+mock.module('../../triageLogic', () => ({ applyCurrentSprintRotation: mock(() => Promise.resolve({ updated: false, affectedUserIds: [] })) }));
+mock.module('../../services/adminMembership', () => ({
+  isUserInAdminChannel: mock(() => Promise.resolve(false)),
+  DEFAULT_TTL_MS: 60000,
+}));
+mock.module('../../services/overrideApproval', () => ({
+  routeOverrideForApproval: mock(() => Promise.resolve({ routedTo: 'admins', leadSlackIds: [] })),
+  routeOverrideBatchForApproval: mock(() => Promise.resolve(null)),
+}));
+mock.module('../../db/repository', () => ({
+  UsersRepository: { getDisciplines: mock(() => Promise.resolve({ po: [{ slackId: 'U_B', name: 'B' }, { slackId: 'U_C', name: 'C' }] })) },
+  OverridesRepository: {
+    updateStatus: updateStatusMock,
+    addOverride: addOverrideMock,
+  },
+}));
+
+// Force fresh load so overrideHandler uses our mocks (avoids cache from other files)
+if (typeof require.cache !== 'undefined') {
+  delete require.cache[require.resolve('../../overrideHandler')];
+}
+const { handleOverrideRequestSubmit } = require('../../overrideHandler');
+
+describe('overrideHandler override_request_modal', () => {
+  const client = { chat: { postMessage: postMessageMock } };
+  const logger = { error: mock(() => {}) };
+
+  beforeEach(() => {
+    mock.clearAllMocks();
+    updateStatusMock.mockResolvedValue({ status: 'cancelled' });
+  });
+
+  function submit() {
+    return handleOverrideRequestSubmit({
+      ack: mock(() => Promise.resolve()),
+      body: { user: { id: 'U_REQ' } },
+      view: {
+        private_metadata: JSON.stringify({ role: 'po', requester: 'U_REQ' }),
+        state: {
+          values: {
+            sprint_selection: { sprint_select: { selected_option: { value: '3' } } },
+            replacement: { replacement_select: { selected_option: { value: 'U_B' } } },
+          },
+        },
+      },
+      client,
+      logger,
+    });
+  }
+
+  it('asks the replacement and tells the requester it was sent', async () => {
+    postMessageMock.mockImplementation(async () => {});
+
+    await submit();
+
+    expect(postMessageMock.mock.calls.map(([msg]) => msg.channel)).toEqual(['U_B', 'U_REQ']);
+    expect(updateStatusMock).not.toHaveBeenCalled();
+  });
+
+  it('cancels the request and tells the requester when the replacement cannot be messaged', async () => {
+    postMessageMock.mockImplementation(async (msg) => {
+      if (msg.channel === 'U_B') throw new Error('channel_not_found');
+    });
+
+    await submit();
+
+    expect(updateStatusMock).toHaveBeenCalledWith(3, 'po', 'U_REQ', 'U_B', expect.any(Array), 'cancelled', 'U_REQ');
+    const [toRequester] = postMessageMock.mock.calls.map(([msg]) => msg).filter(msg => msg.channel === 'U_REQ');
+    expect(toRequester.text).toContain('<@U_B> could not be messaged');
+    expect(toRequester.text).toContain('was cancelled');
+  });
+});
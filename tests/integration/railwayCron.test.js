@@ -33,6 +33,7 @@ mock.module('../../slackNotifier', () => ({
   notifyUser,
   notifyAdmins: mock(() => Promise.resolve()),
   updateOnCallUserGroup: updateOnCallUserGroupMock,
+  updateBackupUserGroup: mock(() => Promise.resolve()),
   updateChannelTopic: updateChannelTopicMock,
   notifyRotationChanges: mock(() => Promise.resolve()),
 }));
@@ -40,11 +41,25 @@ mock.module('../../slackNotifier', () => ({
 const refreshCurrentStateMock = mock(() => Promise.resolve(false));
 mock.module('../../dataUtils', () => ({
   refreshCurrentState: refreshCurrentStateMock,
+  findCurrentSprint: mock(() => Promise.resolve(null)),
+  getSprintBackups: mock(() => Promise.resolve({})),
+  readHolidays: mock(() => Promise.resolve([])),
+}));
+
+const runEscalationCheckMock = mock(() => Promise.resolve({ enabled: true, checked: 2, escalated: 1 }));
+mock.module('../../services/escalation', () => ({
+  runEscalationCheck: runEscalationCheckMock,
+}));
+
+const runAfterHoursCheckMock = mock(() => Promise.resolve({ enabled: true, announced: true, slackId: 'U1' }));
+mock.module('../../services/afterHoursRotation', () => ({
+  runAfterHoursCheck: runAfterHoursCheckMock,
 }));
 
 let shouldDeferNotificationReturn = false;
 mock.module('../../services/notifications/weekdayPolicy', () => ({
   shouldDeferNotification: () => shouldDeferNotificationReturn,
+  getDeferralReason: () => (shouldDeferNotificationReturn ? 'weekend defer' : null),
   nextBusinessDay: (d) => d,
 }));
 
@@ -347,3 +362,53 @@ describe('POST /railway/notify-rotation', () => {
     expect(updateCronTriggerResult).not.toHaveBeenCalled();
   });
 });
+
+describe('POST /railway/escalate', () => {
+  const app = express();
+  app.use('/jobs', railwayCronRouter);
+
+  beforeEach(() => {
+    mock.clearAllMocks();
+  });
+
+  it('rejects requests without a valid signature', async () => {
+    await request(app).post('/jobs/railway/escalate').expect(401);
+    expect(runEscalationCheckMock).not.toHaveBeenCalled();
+  });
+
+  it('runs the escalation check and returns its counts', async () => {
+    const response = await request(app)
+      .post('/jobs/railway/escalate')
+      .set('X-Railway-Cron-Signature', 'test-secret')
+      .send({})
+      .expect(202);
+
+    expect(runEscalationCheckMock).toHaveBeenCalledTimes(1);
+    expect(response.body).toEqual({ status: 'accepted', enabled: true, checked: 2, escalated: 1 });
+  });
+});
+
+describe('POST /railway/after-hours', () => {
+  const app = express();
+  app.use('/jobs', railwayCronRouter);
+
+  beforeEach(() => {
+    mock.clearAllMocks();
+  });
+
+  it('rejects requests without a valid signature', async () => {
+    await request(app).post('/jobs/railway/after-hours').expect(401);
+    expect(runAfterHoursCheckMock).not.toHaveBeenCalled();
+  });
+
+  it('runs the after-hours check and returns its result', async () => {
+    const response = await request(app)
+      .post('/jobs/railway/after-hours')
+      .set('X-Railway-Cron-Signature', 'test-secret')
+      .send({})
+      .expect(202);
+
+    expect(runAfterHoursCheckMock).toHaveBeenCalledTimes(1);
+    expect(response.body).toEqual({ status: 'accepted', enabled: true, announced: true, slackId: 'U1' });
+  });
+});
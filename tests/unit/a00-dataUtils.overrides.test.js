@@ -158,6 +158,86 @@ describe('dataUtils override/coverage', () => {
       expect(result.po).toBe('U_PERSISTED');
     });
   });
+
+  describe('getSprintBackups', () => {
+    it('never makes the person overridden out of a sprint its backup', async () => {
+      const { startDate, endDate } = makeCurrentWindow();
+      currentSprintRows = [{ sprint_name: 'T1', start_date: startDate, end_date: endDate, sprint_index: 0 }];
+      usersRows = ['U_ORIG', 'U_REPLACE', 'U_NEXT'].map(id => ({ discipline: 'po', slack_id: id, name: id }));
+      // Rows saved by the override flows carry only the requester, not original_slack_id
+      overridesRows = [{
+        id: 1,
+        sprint_index: 0,
+        role: 'po',
+        original_slack_id: null,
+        replacement_slack_id: 'U_REPLACE',
+        replacement_name: 'Replace',
+        requested_by: 'U_ORIG',
+        status: 'approved',
+      }];
+
+      const backups = await dataUtils.getSprintBackups(0, { po: 'U_REPLACE' });
+
+      expect(backups.po).toBe('U_NEXT');
+    });
+  });
+});
+
+describe('dataUtils coverage credit redemption', () => {
+  let creditRows = [];
+  let sprintRows = [];
+
+  function sprintRow(index) {
+    const { startDate } = makeCurrentWindow();
+    const start = new Date(`${startDate}T12:00:00Z`);
+    start.setUTCDate(start.getUTCDate() + index * 14);
+    const end = new Date(start);
+    end.setUTCDate(end.getUTCDate() + 14);
+    return { sprint_name: `S${index}`, start_date: dateOnly(start), end_date: dateOnly(end), sprint_index: index };
+  }
+
+  beforeEach(() => {
+    mock.clearAllMocks();
+    getJson.mockResolvedValue(null);
+    sprintRows = [0, 1, 2, 3, 4].map(sprintRow);
+    creditRows = [{ id: 7, slack_id: 'U_B', role: 'po', sprint_index: -1, covered_slack_id: 'U_X', earned_at: new Date(), redeemed_sprint_index: null }];
+    queryMock.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM users')) {
+        return { rows: ['U_A', 'U_B', 'U_C', 'U_D'].map(id => ({ discipline: 'po', slack_id: id, name: id })) };
+      }
+      if (sql.includes('FROM sprints')) return { rows: sprintRows };
+      if (sql.includes('FROM rotation_cursors')) return { rows: [{ role: 'po', anchor_sprint_index: 0, served: ['U_A'] }] };
+      if (sql.includes('FROM coverage_credits')) return { rows: creditRows };
+      if (sql.includes('UPDATE coverage_credits')) {
+        const row = creditRows.find(c => c.id === params[0] && c.redeemed_sprint_index === null);
+        if (!row) return { rows: [] };
+        row.redeemed_sprint_index = params[1];
+        return { rows: [row] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('finds the next sprint where the rotation has the member on call', async () => {
+    expect(await dataUtils.findNextScheduledTurn('U_B')).toBe(1);
+    expect(await dataUtils.findNextScheduledTurn('U_D')).toBe(3);
+    expect(await dataUtils.findNextScheduledTurn('U_NOBODY')).toBeNull();
+  });
+
+  it('skips the next turn and counts it as served, so the holder serves once in the cycle', async () => {
+    const result = await dataUtils.redeemCoverageCredit('U_B');
+    expect(result).toEqual({ ok: true, sprintIndex: 1 });
+
+    const po = [];
+    for (const idx of [1, 2, 3, 4]) po.push((await dataUtils.getSprintUsers(idx)).po);
+    expect(po).toEqual(['U_C', 'U_D', 'U_A', 'U_B']);
+    expect(await dataUtils.findNextScheduledTurn('U_B')).toBe(4);
+  });
+
+  it('refuses when there is no credit left', async () => {
+    creditRows[0].redeemed_sprint_index = 2;
+    expect(await dataUtils.redeemCoverageCredit('U_B')).toEqual({ ok: false, error: 'You have no coverage credits to redeem.' });
+  });
 });
 
 afterAll(() => {
@@ -23,7 +23,7 @@ describe('OverridesRepository (mocked DB)', () => {
   });
 
   describe('getAll', () => {
-    it('returns overrides including approved', async () => {
+    it('returns overrides with their status', async () => {
       const rows = [
         {
           id: 1,
@@ -33,7 +33,7 @@ describe('OverridesRepository (mocked DB)', () => {
           replacement_slack_id: 'U2',
           replacement_name: 'Bob',
           requested_by: 'U1',
-          approved: true,
+          status: 'approved',
           approved_by: 'U_ADMIN',
           approval_timestamp: new Date(),
           created_at: new Date(),
@@ -45,11 +45,67 @@ describe('OverridesRepository (mocked DB)', () => {
       const result = await OverridesRepository.getAll();
 
       expect(result).toHaveLength(1);
+      expect(result[0].status).toBe('approved');
       expect(result[0].approved).toBe(true);
       expect(result[0].sprintIndex).toBe(0);
     });
   });
 
+  describe('addOverride', () => {
+    const request = { sprintIndex: 2, role: 'po', newSlackId: 'U2', newName: 'Sam', requestedBy: 'U1', status: 'pending_replacement' };
+
+    it('reopens a finished request with routing, reminders and approval cleared', async () => {
+      let upsert = null;
+      transactionMock.mockImplementation(async (fn) => fn({
+        query: mock(async (sql, params) => {
+          upsert = { sql, params };
+          return { rows: [{ id: 7 }] };
+        }),
+      }));
+
+      const id = await OverridesRepository.addOverride(request, 'U1');
+
+      expect(id).toBe(7);
+      for (const column of ['approval_routed_to = NULL', 'approval_routed_at = NULL', "approval_lead_slack_ids = '[]'",
+        'last_reminded_at = NULL', 'reminder_count = 0', 'approved_by = NULL', 'approval_timestamp = NULL',
+        'created_at = CURRENT_TIMESTAMP']) {
+        expect(upsert.sql).toContain(column);
+      }
+      expect(upsert.sql).toContain('WHERE overrides.status <> ALL($11)');
+      expect(upsert.params[10]).toEqual(['pending_replacement', 'pending_admin', 'approved']);
+    });
+
+    it('returns null and writes nothing when the same request is still open or approved', async () => {
+      transactionMock.mockImplementation(async (fn) => fn({
+        query: mock(async () => ({ rows: [] })),
+      }));
+
+      expect(await OverridesRepository.addOverride(request, 'U1')).toBeNull();
+      expect(queryMock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addOverrides', () => {
+    it('writes a batch in one transaction and reports requests that were already open', async () => {
+      const upserts = [];
+      transactionMock.mockImplementation(async (fn) => fn({
+        query: mock(async (sql, params) => {
+          upserts.push(params);
+          return { rows: params[0] === 4 ? [] : [{ id: upserts.length }] };
+        }),
+      }));
+      const batch = [3, 4, 5].map(sprintIndex => ({
+        sprintIndex, role: 'po', newSlackId: 'U2', newName: 'Sam', requestedBy: 'U1', status: 'pending_replacement', batchId: 'b-1'
+      }));
+
+      const ids = await OverridesRepository.addOverrides(batch, 'U1');
+
+      expect(transactionMock).toHaveBeenCalledTimes(1);
+      expect(ids).toEqual([1, null, 3]);
+      expect(upserts.map(p => p[9])).toEqual(['b-1', 'b-1', 'b-1']);
+    });
+  });
+
   describe('deleteOverrideById', () => {
     it('deletes override by id and returns true', async () => {
       const overrideId = 42;
@@ -96,6 +152,25 @@ describe('OverridesRepository (mocked DB)', () => {
 
       expect(result).toBe(false);
     });
+
+    it('does not delete when the row changed since it was read', async () => {
+      let deleteCalled = false;
+      transactionMock.mockImplementation(async (fn) => {
+        const client = {
+          query: mock(async (sql) => {
+            if (sql.includes('SELECT')) return { rows: [{ id: 42, updated_at_version: '2026-02-01 10:05:00.000000' }] };
+            if (sql.includes('DELETE')) deleteCalled = true;
+            return { rows: [] };
+          }),
+        };
+        return await fn(client);
+      });
+
+      const result = await OverridesRepository.deleteOverrideById(42, 'U_ADMIN', '2026-02-01 10:00:00.000000');
+
+      expect(result).toBe(false);
+      expect(deleteCalled).toBe(false);
+    });
   });
 
   describe('approveOverride', () => {
@@ -127,13 +202,16 @@ describe('OverridesRepository (mocked DB)', () => {
   });
 
   describe('declineOverride', () => {
-    it('deletes unapproved override and returns true', async () => {
-      const oldRow = { id: 1, sprint_index: 0, role: 'po', approved: false };
+    it('marks a pending override declined and returns true', async () => {
+      const updates = [];
       transactionMock.mockImplementation(async (fn) => {
         const client = {
-          query: mock(async (sql) => {
-            if (sql.includes('SELECT')) return { rows: [oldRow] };
-            if (sql.includes('DELETE')) return { rows: [] };
+          query: mock(async (sql, params) => {
+            if (sql.includes('SELECT')) return { rows: [{ id: 1, status: 'pending_admin' }] };
+            if (sql.includes('UPDATE')) {
+              updates.push(params);
+              return { rows: [{ id: 1, status: params[0] }] };
+            }
             return { rows: [] };
           }),
         };
@@ -145,6 +223,91 @@ describe('OverridesRepository (mocked DB)', () => {
       );
 
       expect(result).toBe(true);
+      expect(updates).toEqual([['declined', 1]]);
+    });
+
+    it('returns false when no pending request matches', async () => {
+      let updated = false;
+      transactionMock.mockImplementation(async (fn) => {
+        const client = {
+          query: mock(async (sql) => {
+            if (sql.includes('SET status')) updated = true;
+            return { rows: [] };
+          }),
+        };
+        return await fn(client);
+      });
+
+      const result = await OverridesRepository.declineOverride(
+        0, 'po', 'U_REQ', 'U_REPLACE', 'U_ADMIN'
+      );
+
+      expect(result).toBe(false);
+      expect(updated).toBe(false);
+    });
+  });
+
+  describe('claimBatchForApproval', () => {
+    it('claims accepted requests only when nobody in the batch is left to answer', async () => {
+      let claimSql = null;
+      transactionMock.mockImplementation(async (fn) => fn({
+        query: mock(async (sql, params) => {
+          claimSql = sql;
+          expect(params).toEqual(['b-1']);
+          return {
+            rows: [{
+              id: 4, sprint_index: 2, role: 'po', replacement_slack_id: 'U2', replacement_name: 'Sam',
+              requested_by: 'U1', status: 'pending_admin', approval_routed_to: 'admins', batch_id: 'b-1',
+              start_date: null, end_date: null
+            }]
+          };
+        }),
+      }));
+
+      const claimed = await OverridesRepository.claimBatchForApproval('b-1');
+
+      expect(claimSql).toContain("approval_routed_to IS NULL");
+      expect(claimSql).toContain("waiting.status = 'pending_replacement'");
+      expect(claimed).toHaveLength(1);
+      expect(claimed[0]).toMatchObject({ id: 4, batchId: 'b-1', requestedBy: 'U1', newSlackId: 'U2' });
+    });
+  });
+
+  describe('applySwap', () => {
+    const swapOverrides = [
+      { sprintIndex: 3, role: 'po', originalSlackId: 'U1', newSlackId: 'U2', newName: 'Bob', requestedBy: 'U1', approved: true, swapId: 'S1' },
+      { sprintIndex: 5, role: 'po', originalSlackId: 'U2', newSlackId: 'U1', newName: 'Ann', requestedBy: 'U2', approved: true, swapId: 'S1' },
+    ];
+
+    it('inserts both overrides as approved in one transaction', async () => {
+      const inserts = [];
+      transactionMock.mockImplementation(async (fn) => fn({
+        query: mock(async (sql, params) => {
+          if (sql.includes('SELECT')) return { rows: [] };
+          inserts.push(params);
+          return { rows: [{ id: inserts.length }] };
+        }),
+      }));
+
+      const ids = await OverridesRepository.applySwap(swapOverrides, 'U2');
+
+      expect(transactionMock).toHaveBeenCalledTimes(1);
+      expect(ids).toEqual([1, 2]);
+      expect(inserts.map(p => [p[0], p[3], p[6], p[7]])).toEqual([[3, 'U2', 'U2', 'S1'], [5, 'U1', 'U2', 'S1']]);
+    });
+
+    it('throws before writing the second half when its slot is already taken', async () => {
+      const inserts = [];
+      transactionMock.mockImplementation(async (fn) => fn({
+        query: mock(async (sql, params) => {
+          if (sql.includes('SELECT')) return { rows: params[0] === 5 ? [{ id: 9 }] : [] };
+          inserts.push(params);
+          return { rows: [{ id: inserts.length }] };
+        }),
+      }));
+
+      await expect(OverridesRepository.applySwap(swapOverrides, 'U2')).rejects.toThrow(/already has an approved/);
+      expect(inserts).toHaveLength(1);
     });
   });
 });
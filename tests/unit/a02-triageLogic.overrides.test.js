@@ -11,6 +11,7 @@ const notifyRotationChangesMock = mock();
 const updateOnCallUserGroupMock = mock();
 const updateChannelTopicMock = mock();
 const notifyAdminsMock = mock();
+const recordServedMock = mock(() => Promise.resolve(null));
 
 mock.module('../../dataUtils', () => ({
   readCurrentState: readCurrentStateMock,
@@ -22,16 +23,25 @@ mock.module('../../dataUtils', () => ({
   parsePTDate: mock(() => null),
   getTodayPT: mock(() => ({})),
   refreshCurrentState: mock(() => Promise.resolve(false)),
+  getSprintBackups: mock(() => Promise.resolve({})),
+  getSprintRoleConflicts: mock(() => Promise.resolve({ resolutions: [], unresolved: [] })),
+  getSprintShadows: mock(() => Promise.resolve([])),
+  readHolidays: mock(() => Promise.resolve([])),
 }));
 
 mock.module('../../slackNotifier', () => ({
   notifyUser: mock(() => Promise.resolve()),
   notifyAdmins: notifyAdminsMock,
   updateOnCallUserGroup: updateOnCallUserGroupMock,
+  updateBackupUserGroup: mock(() => Promise.resolve()),
   updateChannelTopic: updateChannelTopicMock,
   notifyRotationChanges: notifyRotationChangesMock,
 }));
 
+mock.module('../../services/servedHistory', () => ({
+  recordServed: recordServedMock,
+}));
+
 // Force fresh load so triageLogic uses our mocked dataUtils/slackNotifier (avoids cache from other files)
 const triageLogicPath = path.resolve(__dirname, '../../triageLogic.js');
 resetModuleCache([triageLogicPath, '../../triageLogic']);
@@ -72,6 +82,7 @@ describe('triageLogic override/rotation', () => {
       expect(updateChannelTopicMock).toHaveBeenCalledTimes(1);
       expect(saveCurrentStateMock).toHaveBeenCalledTimes(1);
       expect(getSprintUsersMock).toHaveBeenCalledWith(0, { usePersistedForCurrentSprint: false });
+      expect(recordServedMock).toHaveBeenCalledWith(0, expect.objectContaining({ po: 'U2' }), 'override');
     });
 
     it('returns updated: false when roles match current state', async () => {
@@ -127,6 +138,7 @@ describe('triageLogic override/rotation', () => {
       expect(updateOnCallUserGroupMock).toHaveBeenCalledTimes(1);
       expect(updateChannelTopicMock).toHaveBeenCalledTimes(1);
       expect(saveCurrentStateMock).toHaveBeenCalledTimes(1);
+      expect(recordServedMock).toHaveBeenCalledWith(0, expect.objectContaining({ po: 'U2' }), 'admin');
     });
 
     it('returns updated: false when newRoles match current state', async () => {
@@ -1,6 +1,8 @@
 const { describe, it, expect, mock, beforeEach, afterAll } = require('bun:test');
 const path = require('path');
 const { resetModuleCache, restoreAllMocks } = require('../helpers/mockIsolation');
+const dayjs = require('dayjs');
+const { getTeamTimezone } = require('../../services/teamTimezone');
 
 restoreAllMocks();
 
@@ -13,36 +15,62 @@ const formatPTDateMock = mock(() => '01/14/2026');
 const parsePTDateMock = mock(() => ({}));
 const getTodayPTMock = mock(() => ({ isSame: () => true }));
 const refreshCurrentStateMock = mock(() => Promise.resolve(false));
+const getSprintBackupsMock = mock(() => Promise.resolve({}));
+const readHolidaysMock = mock(() => Promise.resolve([]));
+const readOverridesMock = mock(() => Promise.resolve([]));
+const getSprintRoleConflictsMock = mock(() => Promise.resolve({ resolutions: [], unresolved: [] }));
+const getSprintShadowsMock = mock(() => Promise.resolve([]));
 
 const notifyUserMock = mock(() => Promise.resolve());
 const notifyAdminsMock = mock(() => Promise.resolve());
 const updateOnCallUserGroupMock = mock(() => Promise.resolve());
 const updateChannelTopicMock = mock(() => Promise.resolve());
+const updateBackupUserGroupMock = mock(() => Promise.resolve());
 
 mock.module('../../dataUtils', () => ({
   readCurrentState: readCurrentStateMock,
   saveCurrentState: saveCurrentStateMock,
-  readOverrides: mock(() => Promise.resolve([])),
+  readOverrides: readOverridesMock,
   getSprintUsers: getSprintUsersMock,
   findCurrentSprint: findCurrentSprintMock,
   findNextSprint: findNextSprintMock,
   formatPTDate: formatPTDateMock,
   parsePTDate: parsePTDateMock,
   getTodayPT: getTodayPTMock,
+  getShiftDatePT: mock(() => '2026-01-08'),
   refreshCurrentState: refreshCurrentStateMock,
+  getSprintBackups: getSprintBackupsMock,
+  getSprintRoleConflicts: getSprintRoleConflictsMock,
+  getSprintShadows: getSprintShadowsMock,
+  readHolidays: readHolidaysMock,
 }));
 
 mock.module('../../slackNotifier', () => ({
   notifyUser: notifyUserMock,
   notifyAdmins: notifyAdminsMock,
   updateOnCallUserGroup: updateOnCallUserGroupMock,
+  updateBackupUserGroup: updateBackupUserGroupMock,
   updateChannelTopic: updateChannelTopicMock,
   notifyRotationChanges: mock(() => Promise.resolve()),
 }));
 
+const recordServedMock = mock(() => Promise.resolve(null));
+
+mock.module('../../services/servedHistory', () => ({
+  recordServed: recordServedMock,
+}));
+
 const triageLogicPath = path.resolve(__dirname, '../../triageLogic.js');
-resetModuleCache([triageLogicPath, '../../triageLogic']);
+const sprintHandoffPath = path.resolve(__dirname, '../../services/sprintHandoff.js');
+resetModuleCache([triageLogicPath, '../../triageLogic', sprintHandoffPath]);
 const { run8amCheck, run5pmCheck } = require(triageLogicPath);
+const { refreshSprintState, applyPartialOverrideHandoff } = require(sprintHandoffPath);
+
+const OLD_ROLES = { account: 'U_OLD_ACCOUNT', producer: null, po: 'U_OLD_PO', uiEng: null, beEng: null };
+const NEW_ROLES = { account: 'U_NEW_ACCOUNT', producer: null, po: 'U_NEW_PO', uiEng: null, beEng: null };
+const SWITCH = { fromIndex: 0, toIndex: 1, oldRoles: OLD_ROLES, newRoles: NEW_ROLES, sprintName: 'Sprint 2' };
+
+const todayInTeamZone = () => dayjs().tz(getTeamTimezone()).format('YYYY-MM-DD');
 
 describe('triageLogic scheduler critical paths', () => {
   beforeEach(() => {
@@ -73,6 +101,7 @@ describe('triageLogic scheduler critical paths', () => {
 
     saveCurrentStateMock.mockResolvedValue(true);
     findNextSprintMock.mockResolvedValue({ index: 1, sprintName: 'Sprint 2' });
+    getSprintShadowsMock.mockImplementation(() => Promise.resolve([]));
   });
 
   it('run8amCheck transitions sprint and synchronizes Slack + persisted state', async () => {
@@ -82,7 +111,8 @@ describe('triageLogic scheduler critical paths', () => {
       expect.arrayContaining(['U_NEW_ACCOUNT', 'U_NEW_PO'])
     );
     expect(updateChannelTopicMock).toHaveBeenCalledWith(
-      expect.arrayContaining(['U_NEW_ACCOUNT', 'U_NEW_PO'])
+      expect.arrayContaining(['U_NEW_ACCOUNT', 'U_NEW_PO']),
+      []
     );
     expect(saveCurrentStateMock).toHaveBeenCalledWith({
       sprintIndex: 1,
@@ -94,6 +124,110 @@ describe('triageLogic scheduler critical paths', () => {
     });
   });
 
+  it('run8amCheck hands off a sprint that refreshCurrentState already switched', async () => {
+    // refreshCurrentState saves the new sprint first, so the persisted state already matches it
+    readCurrentStateMock
+      .mockResolvedValueOnce({ sprintIndex: 0, ...OLD_ROLES })
+      .mockResolvedValue({ sprintIndex: 1, ...NEW_ROLES });
+    refreshCurrentStateMock.mockResolvedValueOnce(SWITCH);
+
+    await run8amCheck();
+
+    expect(recordServedMock).toHaveBeenCalledWith(1, NEW_ROLES, 'sprint_start');
+    expect(notifyUserMock).toHaveBeenCalledWith('U_OLD_PO', expect.stringContaining('rotation is now complete'));
+    expect(notifyUserMock).toHaveBeenCalledWith('U_NEW_PO', expect.stringContaining('now on #lcom-bug-triage duty'));
+    expect(updateOnCallUserGroupMock).toHaveBeenCalledWith(['U_NEW_ACCOUNT', 'U_NEW_PO']);
+  });
+
+  it('refreshSprintState records the sprint start when it switches the sprint (Railway job, App Home)', async () => {
+    refreshCurrentStateMock.mockResolvedValueOnce(SWITCH);
+    expect(await refreshSprintState()).toEqual(SWITCH);
+    expect(recordServedMock).toHaveBeenCalledWith(1, NEW_ROLES, 'sprint_start');
+
+    recordServedMock.mockClear();
+    expect(await refreshSprintState()).toBe(false);
+    expect(recordServedMock).not.toHaveBeenCalled();
+  });
+
+  it('refreshSprintState sends shadows their start and end DMs when it switches the sprint', async () => {
+    getSprintShadowsMock.mockImplementation(async (index) => [
+      { sprintIndex: index, role: 'po', slackId: index === 0 ? 'U_SHADOW_OLD' : 'U_SHADOW' },
+    ]);
+    refreshCurrentStateMock.mockResolvedValueOnce(SWITCH);
+
+    await refreshSprintState();
+
+    expect(notifyUserMock).toHaveBeenCalledWith('U_SHADOW_OLD', expect.stringContaining('shadow shift is now complete'));
+    expect(notifyUserMock).toHaveBeenCalledWith('U_SHADOW', expect.stringContaining('now shadowing #lcom-bug-triage duty as PO with <@U_NEW_PO>'));
+
+    notifyUserMock.mockClear();
+    await refreshSprintState();
+    expect(notifyUserMock).not.toHaveBeenCalled();
+  });
+
+  it('refreshSprintState reports the new sprint\'s role conflicts when it switches the sprint', async () => {
+    getSprintRoleConflictsMock.mockResolvedValueOnce({
+      resolutions: [{ slackId: 'U_TWICE', keptRole: 'account', role: 'po', replacement: 'U_NEW_PO' }],
+      unresolved: [],
+    });
+    refreshCurrentStateMock.mockResolvedValueOnce(SWITCH);
+
+    await refreshSprintState();
+
+    expect(getSprintRoleConflictsMock).toHaveBeenCalledWith(1);
+    expect(notifyAdminsMock).toHaveBeenCalledWith(expect.stringContaining('Role conflicts in Sprint 2'));
+  });
+
+  it('run8amCheck publishes backups (minus anyone on call) to the backup group and topic', async () => {
+    getSprintBackupsMock.mockResolvedValueOnce({
+      account: 'U_BACKUP_ACCOUNT',
+      producer: null,
+      po: 'U_NEW_ACCOUNT',
+      uiEng: null,
+      beEng: null,
+    });
+
+    await run8amCheck();
+
+    expect(getSprintBackupsMock).toHaveBeenCalledWith(1, expect.objectContaining({ account: 'U_NEW_ACCOUNT' }));
+    expect(updateBackupUserGroupMock).toHaveBeenCalledWith(['U_BACKUP_ACCOUNT']);
+    expect(updateChannelTopicMock).toHaveBeenCalledWith(
+      expect.arrayContaining(['U_NEW_ACCOUNT', 'U_NEW_PO']),
+      ['U_BACKUP_ACCOUNT']
+    );
+  });
+
+  it('run8amCheck reports role conflicts the new rotation resolved', async () => {
+    getSprintRoleConflictsMock.mockResolvedValueOnce({
+      resolutions: [{ slackId: 'U_TWICE', keptRole: 'account', role: 'po', replacement: 'U_NEW_PO' }],
+      unresolved: [],
+    });
+
+    await run8amCheck();
+
+    expect(getSprintRoleConflictsMock).toHaveBeenCalledWith(1);
+    expect(notifyAdminsMock).toHaveBeenCalledWith(expect.stringContaining('Role conflicts in Sprint 2'));
+    expect(notifyAdminsMock).toHaveBeenCalledWith(expect.stringContaining('so PO went to <@U_NEW_PO> instead'));
+  });
+
+  it('run8amCheck sends shadows the start and end DMs and adds opted-in shadows to the user group only', async () => {
+    getSprintShadowsMock.mockImplementation(async (index) => (index === 0
+      ? [{ sprintIndex: 0, role: 'po', slackId: 'U_SHADOW_OLD', inUserGroup: true }]
+      : [
+          { sprintIndex: 1, role: 'po', slackId: 'U_SHADOW', inUserGroup: true },
+          { sprintIndex: 1, role: 'account', slackId: 'U_SHADOW_QUIET', inUserGroup: false },
+        ]));
+
+    await run8amCheck();
+
+    expect(notifyUserMock).toHaveBeenCalledWith('U_SHADOW_OLD', expect.stringContaining('shadow shift is now complete'));
+    expect(notifyUserMock).toHaveBeenCalledWith('U_SHADOW', expect.stringContaining('now shadowing #lcom-bug-triage duty as PO with <@U_NEW_PO>'));
+    expect(notifyUserMock).toHaveBeenCalledWith('U_SHADOW_QUIET', expect.stringContaining('now shadowing'));
+    expect(updateOnCallUserGroupMock).toHaveBeenCalledWith(['U_NEW_ACCOUNT', 'U_NEW_PO', 'U_SHADOW']);
+    expect(updateChannelTopicMock).toHaveBeenCalledWith(['U_NEW_ACCOUNT', 'U_NEW_PO'], []);
+    expect(saveCurrentStateMock.mock.calls[0][0]).not.toHaveProperty('U_SHADOW');
+  });
+
   it('run5pmCheck sends handoff notifications on sprint end day', async () => {
     findCurrentSprintMock.mockResolvedValue({
       index: 0,
@@ -135,6 +269,42 @@ describe('triageLogic scheduler critical paths', () => {
     );
   });
 
+  it('run5pmCheck gives shadows the same heads-up', async () => {
+    findCurrentSprintMock.mockResolvedValue({ index: 0, sprintName: 'Sprint 1', endDate: '2026-01-14' });
+    findNextSprintMock.mockResolvedValue({ index: 1, sprintName: 'Sprint 2' });
+    getSprintShadowsMock.mockImplementation(async (index) => [
+      { sprintIndex: index, role: 'po', slackId: index === 0 ? 'U_SHADOW_OLD' : 'U_SHADOW' },
+    ]);
+
+    await run5pmCheck();
+
+    expect(notifyUserMock).toHaveBeenCalledWith('U_SHADOW_OLD', expect.stringContaining('shadow shift ends tomorrow'));
+    expect(notifyUserMock).toHaveBeenCalledWith('U_SHADOW', expect.stringContaining('start shadowing #lcom-bug-triage duty as PO with <@U_NEW_PO> tomorrow'));
+  });
+
+  it('run8amCheck defers everything on a defer holiday', async () => {
+    const today = todayInTeamZone();
+    readHolidaysMock.mockResolvedValueOnce([{ id: 1, date: today, name: 'Founders Day', action: 'defer' }]);
+
+    await run8amCheck();
+
+    expect(refreshCurrentStateMock).not.toHaveBeenCalled();
+    expect(findCurrentSprintMock).not.toHaveBeenCalled();
+    expect(notifyUserMock).not.toHaveBeenCalled();
+    expect(updateOnCallUserGroupMock).not.toHaveBeenCalled();
+    expect(saveCurrentStateMock).not.toHaveBeenCalled();
+  });
+
+  it('run8amCheck runs as usual on a shift holiday', async () => {
+    const today = todayInTeamZone();
+    readHolidaysMock.mockResolvedValueOnce([{ id: 1, date: today, name: 'Founders Day', action: 'shift' }]);
+
+    await run8amCheck();
+
+    expect(findCurrentSprintMock).toHaveBeenCalled();
+    expect(saveCurrentStateMock).toHaveBeenCalled();
+  });
+
   it('run8amCheck exits cleanly when no current sprint is found', async () => {
     findCurrentSprintMock.mockResolvedValue(null);
 
@@ -176,6 +346,69 @@ describe('triageLogic scheduler critical paths', () => {
     expect(notifyUserMock).not.toHaveBeenCalled();
   });
 
+  it('run8amCheck switches only the role whose partial override starts today', async () => {
+    const persisted = {
+      account: 'U_SAME_ACCOUNT',
+      producer: null,
+      po: 'U_SAME_PO',
+      uiEng: null,
+      beEng: null,
+    };
+    readCurrentStateMock.mockResolvedValue({ sprintIndex: 0, ...persisted });
+    findCurrentSprintMock.mockResolvedValue({ index: 0, sprintName: 'Sprint 1', endDate: '2026-01-14' });
+    readOverridesMock.mockResolvedValueOnce([
+      { sprintIndex: 0, role: 'po', newSlackId: 'U_COVER', approved: true, startDate: '2026-01-08', endDate: '2026-01-09' },
+    ]);
+    getSprintUsersMock.mockImplementation(async (idx, options) => (
+      options?.date ? { ...persisted, account: 'U_ROTATION_ACCOUNT', po: 'U_COVER' } : persisted
+    ));
+
+    await run8amCheck();
+
+    expect(getSprintUsersMock).toHaveBeenCalledWith(0, { usePersistedForCurrentSprint: false, date: '2026-01-08' });
+    expect(saveCurrentStateMock).toHaveBeenCalledWith({ sprintIndex: 0, ...persisted, po: 'U_COVER' });
+    expect(notifyUserMock).toHaveBeenCalledWith('U_COVER', expect.stringContaining('added'));
+    expect(notifyUserMock).toHaveBeenCalledWith('U_SAME_PO', expect.stringContaining('removed'));
+  });
+
+  it('run8amCheck catches up on a partial override whose first day was deferred', async () => {
+    const persisted = { account: 'U_SAME_ACCOUNT', producer: null, po: 'U_SAME_PO', uiEng: null, beEng: null };
+    readCurrentStateMock.mockResolvedValue({ sprintIndex: 0, ...persisted });
+    findCurrentSprintMock.mockResolvedValue({ index: 0, sprintName: 'Sprint 1', endDate: '2026-01-14' });
+    // Started yesterday (a defer holiday); today is 2026-01-08
+    readOverridesMock.mockResolvedValueOnce([
+      { sprintIndex: 0, role: 'po', newSlackId: 'U_COVER', approved: true, startDate: '2026-01-07', endDate: '2026-01-09' },
+    ]);
+    getSprintUsersMock.mockImplementation(async (idx, options) => (options?.date ? { ...persisted, po: 'U_COVER' } : persisted));
+
+    await run8amCheck();
+
+    expect(saveCurrentStateMock).toHaveBeenCalledWith({ sprintIndex: 0, ...persisted, po: 'U_COVER' });
+  });
+
+  it('applyPartialOverrideHandoff hands a role back after a partial override ended (Railway job)', async () => {
+    const persisted = { account: 'U_SAME_ACCOUNT', producer: null, po: 'U_COVER', uiEng: null, beEng: null };
+    readCurrentStateMock.mockResolvedValue({ sprintIndex: 0, ...persisted });
+    findCurrentSprintMock.mockResolvedValue({ index: 0, sprintName: 'Sprint 1', endDate: '2026-01-14' });
+    readOverridesMock.mockResolvedValueOnce([
+      { sprintIndex: 0, role: 'po', newSlackId: 'U_COVER', approved: true, startDate: '2026-01-05', endDate: '2026-01-06' },
+    ]);
+    getSprintUsersMock.mockImplementation(async (idx, options) => (options?.date ? { ...persisted, po: 'U_SAME_PO' } : persisted));
+
+    const changes = await applyPartialOverrideHandoff();
+
+    expect(changes).toEqual([{ role: 'po', oldUser: 'U_COVER', newUser: 'U_SAME_PO' }]);
+    expect(saveCurrentStateMock).toHaveBeenCalledWith({ sprintIndex: 0, ...persisted, po: 'U_SAME_PO' });
+    expect(recordServedMock).toHaveBeenCalledWith(0, { ...persisted, po: 'U_SAME_PO' }, 'rotation_update');
+  });
+
+  it('applyPartialOverrideHandoff leaves the state alone without partial overrides', async () => {
+    readCurrentStateMock.mockResolvedValue({ sprintIndex: 1, ...NEW_ROLES });
+
+    expect(await applyPartialOverrideHandoff()).toEqual([]);
+    expect(saveCurrentStateMock).not.toHaveBeenCalled();
+  });
+
   it('run5pmCheck exits when next sprint is unavailable', async () => {
     findCurrentSprintMock.mockResolvedValue({
       index: 0,
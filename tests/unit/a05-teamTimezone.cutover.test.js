@@ -0,0 +1,131 @@
+const { describe, it, expect, mock, afterEach } = require('bun:test');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { snapshotEnv, restoreEnv, restoreAllMocks } = require('../helpers/mockIsolation');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+restoreAllMocks();
+
+process.env.USE_DATABASE = 'true';
+process.env.DATABASE_URL = 'postgresql://test';
+
+mock.module('../../db/connection', () => ({
+  query: mock(() => Promise.resolve({ rows: [] })),
+  transaction: mock(async (fn) => fn({ query: mock(() => Promise.resolve({ rows: [] })) })),
+  getHealthStatus: mock(() => Promise.resolve({ status: 'healthy' })),
+  testConnection: mock(() => Promise.resolve(true)),
+}));
+
+const dataUtils = require('../../dataUtils');
+const { shouldDeferNotification, nextBusinessDay } = require('../../services/notifications/weekdayPolicy');
+const { generateSprints } = require('../../services/sprintCadence');
+
+const ZONES = ['America/Los_Angeles', 'America/New_York', 'Europe/London', 'Asia/Kolkata', 'Australia/Sydney'];
+
+// Sprint 1 ends on the day sprint 2 starts; 8AM team time decides which is current.
+const overlapSprints = [
+  { sprintIndex: 1, sprintName: 'S1', startDate: '2026-01-01', endDate: '2026-01-14' },
+  { sprintIndex: 2, sprintName: 'S2', startDate: '2026-01-14', endDate: '2026-01-28' },
+];
+
+describe('team timezone cutover', () => {
+  const envSnapshot = snapshotEnv(['TEAM_TIMEZONE']);
+
+  afterEach(() => {
+    restoreEnv(envSnapshot);
+  });
+
+  for (const zone of ZONES) {
+    it(`hands off to the next sprint at 8AM local time in ${zone}`, () => {
+      process.env.TEAM_TIMEZONE = zone;
+
+      const before = dataUtils.resolveCurrentSprintForNow(overlapSprints, dayjs.tz('2026-01-14T07:59:00', zone));
+      const at = dataUtils.resolveCurrentSprintForNow(overlapSprints, dayjs.tz('2026-01-14T08:00:00', zone));
+      const nextDay = dataUtils.resolveCurrentSprintForNow(overlapSprints, dayjs.tz('2026-01-15T00:30:00', zone));
+
+      expect(before.index).toBe(1);
+      expect(at.index).toBe(2);
+      expect(nextDay.index).toBe(2);
+    });
+
+    it(`parses sprint dates as midnight in ${zone}`, () => {
+      process.env.TEAM_TIMEZONE = zone;
+
+      expect(dataUtils.parsePTDate('2026-01-14').valueOf())
+        .toBe(dayjs.tz('2026-01-14T00:00:00', zone).valueOf());
+      expect(dataUtils.getTodayPT().format('YYYY-MM-DD'))
+        .toBe(dayjs().tz(zone).format('YYYY-MM-DD'));
+    });
+  }
+
+  it('reads the same instant differently per team timezone', () => {
+    // 14:30 UTC is 06:30 in Los Angeles (before cutover) and 09:30 in New York (after).
+    const instant = dayjs.utc('2026-01-14T14:30:00Z');
+
+    process.env.TEAM_TIMEZONE = 'America/Los_Angeles';
+    expect(dataUtils.resolveCurrentSprintForNow(overlapSprints, instant).index).toBe(1);
+
+    process.env.TEAM_TIMEZONE = 'America/New_York';
+    expect(dataUtils.resolveCurrentSprintForNow(overlapSprints, instant).index).toBe(2);
+  });
+
+  it('does not start a sprint before its first day in the team timezone', () => {
+    // 2026-01-01T03:00Z is still Dec 31 in Los Angeles but already Jan 1 in Sydney.
+    const instant = dayjs.utc('2026-01-01T03:00:00Z');
+
+    process.env.TEAM_TIMEZONE = 'America/Los_Angeles';
+    expect(dataUtils.resolveCurrentSprintForNow(overlapSprints, instant)).toBeNull();
+
+    process.env.TEAM_TIMEZONE = 'Australia/Sydney';
+    expect(dataUtils.resolveCurrentSprintForNow(overlapSprints, instant).index).toBe(1);
+  });
+
+  it('hands a generated fiscal year off to the next one at 8AM on the boundary day', () => {
+    process.env.TEAM_TIMEZONE = 'America/Los_Angeles';
+    const existing = [{ sprintName: 'FY27 Sp25', startDate: '2027-03-09', endDate: '2027-03-23', sprintIndex: 29 }];
+    const sprints = existing.concat(generateSprints({ cadence: { runwayMonths: 1 }, existing, today: '2027-03-20' }).sprints);
+    const current = (time) => dataUtils.resolveCurrentSprintForNow(sprints, dayjs.tz(time, 'America/Los_Angeles'))?.sprintName;
+
+    expect(current('2027-03-31T12:00:00')).toBe('FY27 Sp26');
+    expect(current('2027-04-01T07:59:00')).toBe('FY27 Sp26');
+    expect(current('2027-04-01T08:00:00')).toBe('FY28 Sp1');
+  });
+
+  it('falls back to Los Angeles for an invalid zone', () => {
+    process.env.TEAM_TIMEZONE = 'Not/A_Zone';
+    const instant = dayjs.utc('2026-01-14T14:30:00Z');
+    expect(dataUtils.resolveCurrentSprintForNow(overlapSprints, instant).index).toBe(1);
+  });
+});
+
+describe('team timezone weekend deferral', () => {
+  const envSnapshot = snapshotEnv(['TEAM_TIMEZONE']);
+
+  afterEach(() => {
+    restoreEnv(envSnapshot);
+  });
+
+  it('decides the weekend in the team timezone', () => {
+    // Friday 9:30PM in Los Angeles is already Saturday in New York and Tokyo.
+    const fridayNightPT = new Date('2026-01-02T21:30:00-08:00');
+
+    process.env.TEAM_TIMEZONE = 'America/Los_Angeles';
+    expect(shouldDeferNotification(fridayNightPT)).toBe(false);
+
+    process.env.TEAM_TIMEZONE = 'America/New_York';
+    expect(shouldDeferNotification(fridayNightPT)).toBe(true);
+
+    process.env.TEAM_TIMEZONE = 'Asia/Tokyo';
+    expect(shouldDeferNotification(fridayNightPT)).toBe(true);
+  });
+
+  it('returns the start of the next business day in the team timezone', () => {
+    process.env.TEAM_TIMEZONE = 'America/New_York';
+    const next = nextBusinessDay(new Date('2026-01-03T12:00:00-05:00'));
+    // Monday 2026-01-05 00:00 EST
+    expect(next.toISOString()).toBe('2026-01-05T05:00:00.000Z');
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, expect, mock, afterEach } = require('bun:test');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { snapshotEnv, restoreEnv, restoreAllMocks } = require('../helpers/mockIsolation');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+restoreAllMocks();
+
+process.env.USE_DATABASE = 'true';
+process.env.DATABASE_URL = 'postgresql://test';
+
+mock.module('../../db/connection', () => ({
+  query: mock(() => Promise.resolve({ rows: [] })),
+  transaction: mock(async (fn) => fn({ query: mock(() => Promise.resolve({ rows: [] })) })),
+  getHealthStatus: mock(() => Promise.resolve({ status: 'healthy' })),
+  testConnection: mock(() => Promise.resolve(true)),
+}));
+
+const dataUtils = require('../../dataUtils');
+const { getDeferralReason, shouldDeferNotification, nextBusinessDay } = require('../../services/notifications/weekdayPolicy');
+
+const LA = 'America/Los_Angeles';
+const at = (local) => dayjs.tz(local, LA);
+
+// Sprint 2 starts on Thanksgiving (Thu 2026-11-26).
+const sprints = [
+  { sprintIndex: 1, sprintName: 'S1', startDate: '2026-11-12', endDate: '2026-11-26' },
+  { sprintIndex: 2, sprintName: 'S2', startDate: '2026-11-26', endDate: '2026-12-10' },
+];
+const holidays = (action) => [
+  { id: 1, date: '2026-11-26', name: 'Thanksgiving', action },
+  { id: 2, date: '2026-11-27', name: 'Day after Thanksgiving', action: 'defer' },
+];
+
+describe('holiday cutover', () => {
+  const envSnapshot = snapshotEnv(['TEAM_TIMEZONE']);
+
+  afterEach(() => {
+    restoreEnv(envSnapshot);
+  });
+
+  it('hands off on the holiday as usual when it only defers notifications', () => {
+    process.env.TEAM_TIMEZONE = LA;
+    expect(dataUtils.resolveCurrentSprintForNow(sprints, at('2026-11-26T08:00:00'), holidays('defer')).index).toBe(2);
+  });
+
+  it('keeps the previous sprint until 8AM on the next business day for a shift holiday', () => {
+    process.env.TEAM_TIMEZONE = LA;
+    const list = holidays('shift');
+
+    expect(dataUtils.resolveCurrentSprintForNow(sprints, at('2026-11-26T09:00:00'), list).index).toBe(1);
+    // Friday is a (defer) holiday and the weekend follows, so the hand-off lands on Monday.
+    expect(dataUtils.resolveCurrentSprintForNow(sprints, at('2026-11-27T12:00:00'), list).index).toBe(1);
+    expect(dataUtils.resolveCurrentSprintForNow(sprints, at('2026-11-29T12:00:00'), list).index).toBe(1);
+    expect(dataUtils.resolveCurrentSprintForNow(sprints, at('2026-11-30T07:59:00'), list).index).toBe(1);
+    expect(dataUtils.resolveCurrentSprintForNow(sprints, at('2026-11-30T08:00:00'), list).index).toBe(2);
+  });
+
+  it('uses the team timezone for the shifted 8AM', () => {
+    process.env.TEAM_TIMEZONE = 'America/New_York';
+    const list = holidays('shift');
+    // 12:30 UTC Monday is 07:30 in New York, 13:30 UTC is 08:30.
+    expect(dataUtils.resolveCurrentSprintForNow(sprints, dayjs.utc('2026-11-30T12:30:00Z'), list).index).toBe(1);
+    expect(dataUtils.resolveCurrentSprintForNow(sprints, dayjs.utc('2026-11-30T13:30:00Z'), list).index).toBe(2);
+  });
+});
+
+describe('holiday notification deferral', () => {
+  const envSnapshot = snapshotEnv(['TEAM_TIMEZONE']);
+
+  afterEach(() => {
+    restoreEnv(envSnapshot);
+  });
+
+  it('defers on defer holidays and names the holiday', () => {
+    process.env.TEAM_TIMEZONE = LA;
+    const thanksgivingMorning = at('2026-11-26T08:00:00').toDate();
+
+    expect(shouldDeferNotification(thanksgivingMorning, holidays('defer'))).toBe(true);
+    expect(getDeferralReason(thanksgivingMorning, holidays('defer'))).toBe('holiday defer: Thanksgiving');
+    expect(getDeferralReason(at('2026-11-28T08:00:00').toDate(), holidays('defer'))).toBe('weekend defer');
+  });
+
+  it('does not defer notifications on shift holidays', () => {
+    process.env.TEAM_TIMEZONE = LA;
+    expect(shouldDeferNotification(at('2026-11-26T08:00:00').toDate(), holidays('shift'))).toBe(false);
+  });
+
+  it('delivers deferred notifications on the next business day after holidays and the weekend', () => {
+    process.env.TEAM_TIMEZONE = LA;
+    const next = nextBusinessDay(at('2026-11-26T08:00:00').toDate(), holidays('defer'));
+    expect(dayjs(next).tz(LA).format('YYYY-MM-DD HH:mm')).toBe('2026-11-30 00:00');
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, expect } = require('bun:test');
+
+const {
+  normalizeAfterHours,
+  validateAfterHours,
+  shiftLengthHours,
+  getActiveShift,
+  listShifts,
+  shiftsOnDate,
+  formatShiftRange,
+} = require('../../services/afterHours');
+
+const tz = 'America/Los_Angeles';
+// Weekly, Friday 5PM to Monday 8AM; DST starts Sunday 2026-03-08.
+const rotation = { enabled: true, roster: ['U1', 'U2', 'U3'], anchorDate: '2026-03-06' };
+
+describe('afterHours', () => {
+  it('fills defaults and drops duplicate roster entries', () => {
+    expect(normalizeAfterHours({ roster: ['U1', { slackId: 'U2' }, 'U1', null] })).toEqual({
+      enabled: false,
+      roster: ['U1', 'U2'],
+      startDay: 5,
+      startHour: 17,
+      endDay: 1,
+      endHour: 8,
+      anchorDate: null,
+    });
+    expect(shiftLengthHours({})).toBe(63);
+  });
+
+  it('validates the roster, the shift bounds and the anchor date', () => {
+    expect(validateAfterHours(rotation)).toEqual({});
+    expect(validateAfterHours({ enabled: true, roster: [] }).roster).toBeDefined();
+    expect(validateAfterHours({ startHour: 24 }).start).toBeDefined();
+    expect(validateAfterHours({ startDay: 1, startHour: 8, endDay: 1, endHour: 8 }).end).toBeDefined();
+    expect(validateAfterHours({ anchorDate: 'soon' }).anchorDate).toBeDefined();
+  });
+
+  it('finds the shift running now and ends it at 8AM local across the DST change', () => {
+    expect(getActiveShift(rotation, new Date('2026-03-07T12:00:00Z'), tz)).toEqual({
+      start: '2026-03-07T01:00:00.000Z',
+      end: '2026-03-09T15:00:00.000Z',
+      startDate: '2026-03-06',
+      endDate: '2026-03-09',
+      slackId: 'U1',
+    });
+    expect(getActiveShift(rotation, new Date('2026-03-10T12:00:00Z'), tz)).toBeNull();
+  });
+
+  it('rotates weekly and skips people with time off during the shift', () => {
+    const from = new Date('2026-03-10T12:00:00Z');
+    expect(listShifts(rotation, from, tz, { count: 2 }).map(s => [s.startDate, s.slackId])).toEqual([
+      ['2026-03-13', 'U2'],
+      ['2026-03-20', 'U3'],
+    ]);
+
+    const unavailability = [{ slackId: 'U2', startDate: '2026-03-14', endDate: '2026-03-14' }];
+    const [shift] = listShifts(rotation, from, tz, { count: 1, unavailability });
+    expect(shift.slackId).toBe('U3');
+  });
+
+  it('lists the shifts overlapping a day', () => {
+    expect(shiftsOnDate(rotation, '2026-03-09', tz).map(s => s.startDate)).toEqual(['2026-03-06']);
+    expect(shiftsOnDate(rotation, '2026-03-13', tz).map(s => s.startDate)).toEqual(['2026-03-13']);
+    expect(shiftsOnDate(rotation, '2026-03-11', tz)).toEqual([]);
+  });
+
+  it('formats a shift range in the team timezone', () => {
+    const shift = getActiveShift(rotation, new Date('2026-03-07T12:00:00Z'), tz);
+    expect(formatShiftRange(shift, tz)).toBe('Fri Mar 6, 5PM – Mon Mar 9, 8AM');
+  });
+});
@@ -0,0 +1,36 @@
+const { describe, it, expect } = require('bun:test');
+
+const {
+  hashApiToken,
+  isWellFormedApiToken,
+  validateApiTokenName,
+  readBearerToken,
+} = require('../../services/apiTokens');
+
+describe('apiTokens', () => {
+  it('reads bearer tokens from the Authorization header', () => {
+    expect(readBearerToken('Bearer t1t_abc')).toBe('t1t_abc');
+    expect(readBearerToken('bearer   t1t_abc ')).toBe('t1t_abc');
+    expect(readBearerToken('Basic dXNlcjpwYXNz')).toBeNull();
+    expect(readBearerToken(undefined)).toBeNull();
+  });
+
+  it('only accepts tokens in the issued format', () => {
+    expect(isWellFormedApiToken(`t1t_${'a'.repeat(43)}`)).toBe(true);
+    expect(isWellFormedApiToken('t1t_short')).toBe(false);
+    expect(isWellFormedApiToken(`xyz_${'a'.repeat(43)}`)).toBe(false);
+  });
+
+  it('stores a stable SHA-256 hash rather than the token', () => {
+    const token = `t1t_${'b'.repeat(43)}`;
+    expect(hashApiToken(token)).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashApiToken(token)).toBe(hashApiToken(token));
+    expect(hashApiToken(token)).not.toContain(token);
+  });
+
+  it('requires a token name', () => {
+    expect(validateApiTokenName('Manager calendar')).toBeNull();
+    expect(validateApiTokenName('  ')).toContain('required');
+    expect(validateApiTokenName('x'.repeat(101))).toContain('100');
+  });
+});
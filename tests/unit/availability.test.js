@@ -0,0 +1,70 @@
+const { describe, it, expect } = require('bun:test');
+
+const {
+  validateRange,
+  sprintWorkdays,
+  isUnavailableForSprint,
+  hasTimeOffDuring,
+  getUnavailableSlackIds,
+  upcomingEntries,
+} = require('../../services/availability');
+
+// Wed 2026-02-04 -> Tue 2026-02-17 (hand-off day excluded)
+const sprint = { sprintIndex: 1, startDate: '2026-02-04', endDate: '2026-02-17' };
+
+describe('availability', () => {
+  it('validates time-off ranges', () => {
+    expect(validateRange('2026-02-04', '2026-02-04')).toBeNull();
+    expect(validateRange('2026-02-05', '2026-02-04')).toMatch(/on or after/);
+    expect(validateRange(null, '2026-02-04')).toMatch(/required/);
+  });
+
+  it('counts sprint weekdays up to the hand-off day', () => {
+    const days = sprintWorkdays(sprint);
+    expect(days[0]).toBe('2026-02-04');
+    expect(days[days.length - 1]).toBe('2026-02-16');
+    expect(days).not.toContain('2026-02-07'); // Saturday
+    expect(days).toHaveLength(9);
+  });
+
+  it('treats a member as unavailable only when every workday is covered', () => {
+    const fullSprint = [{ slackId: 'U1', startDate: '2026-02-04', endDate: '2026-02-16' }];
+    expect(isUnavailableForSprint(fullSprint, 'U1', sprint)).toBe(true);
+    expect(isUnavailableForSprint(fullSprint, 'U2', sprint)).toBe(false);
+
+    const weekdaysOnly = [
+      { slackId: 'U1', startDate: '2026-02-04', endDate: '2026-02-06' },
+      { slackId: 'U1', startDate: '2026-02-09', endDate: '2026-02-13' },
+      { slackId: 'U1', startDate: '2026-02-16', endDate: '2026-02-16' },
+    ];
+    expect(isUnavailableForSprint(weekdaysOnly, 'U1', sprint)).toBe(true);
+
+    const partial = [{ slackId: 'U1', startDate: '2026-02-04', endDate: '2026-02-12' }];
+    expect(isUnavailableForSprint(partial, 'U1', sprint)).toBe(false);
+  });
+
+  it('collects unavailable Slack IDs for a sprint', () => {
+    const entries = [
+      { slackId: 'U1', startDate: '2026-02-01', endDate: '2026-02-20' },
+      { slackId: 'U2', startDate: '2026-02-10', endDate: '2026-02-11' },
+    ];
+    expect([...getUnavailableSlackIds(entries, sprint)]).toEqual(['U1']);
+    expect(getUnavailableSlackIds([], sprint).size).toBe(0);
+  });
+
+  it('finds time off overlapping a few days', () => {
+    const entries = [{ slackId: 'U1', startDate: '2026-02-09', endDate: '2026-02-10' }];
+    expect(hasTimeOffDuring(entries, 'U1', '2026-02-10', '2026-02-12')).toBe(true);
+    expect(hasTimeOffDuring(entries, 'U1', '2026-02-11', '2026-02-12')).toBe(false);
+    expect(hasTimeOffDuring(entries, 'U2', '2026-02-09', '2026-02-10')).toBe(false);
+  });
+
+  it('keeps entries that have not ended, soonest first', () => {
+    const entries = [
+      { id: 2, slackId: 'U1', startDate: '2026-03-01', endDate: '2026-03-02' },
+      { id: 1, slackId: 'U1', startDate: '2026-01-01', endDate: '2026-01-02' },
+      { id: 3, slackId: 'U2', startDate: '2026-02-01', endDate: '2026-02-20' },
+    ];
+    expect(upcomingEntries(entries, '2026-02-10').map(e => e.id)).toEqual([3, 2]);
+  });
+});
@@ -0,0 +1,42 @@
+const { describe, it, expect } = require('bun:test');
+
+const { getCreditSkipIds, summarizeCredits, summarizeLedger } = require('../../services/coverageCredits');
+const { getUnavailableSlackIds } = require('../../services/availability');
+const { getEligibleAssignee } = require('../../services/rotationCursor');
+
+const credits = [
+  { id: 1, slackId: 'U1', role: 'po', sprintIndex: 2, redeemedSprintIndex: null },
+  { id: 2, slackId: 'U1', role: 'po', sprintIndex: 3, redeemedSprintIndex: 6 },
+  { id: 3, slackId: 'U2', role: 'po', sprintIndex: 4, redeemedSprintIndex: 1 },
+  { id: 4, slackId: 'U3', role: 'po', sprintIndex: 5, redeemedSprintIndex: null },
+  { id: 5, slackId: 'U3', role: 'po', sprintIndex: 6, redeemedSprintIndex: null },
+];
+
+describe('coverageCredits', () => {
+  it('skips holders only in the sprint they redeemed against', () => {
+    expect([...getCreditSkipIds(credits, 6)]).toEqual(['U1']);
+    expect([...getCreditSkipIds(credits, { sprintIndex: 1 })]).toEqual(['U2']);
+    expect(getCreditSkipIds(credits, 2).size).toBe(0);
+  });
+
+  it('summarizes one member and the upcoming ledger', () => {
+    const mine = summarizeCredits(credits, 'U1');
+    expect(mine.available.map(c => c.id)).toEqual([1]);
+    expect(mine.redeemed.map(c => c.id)).toEqual([2]);
+
+    expect(summarizeLedger(credits, 3)).toEqual([
+      { slackId: 'U3', available: 2, skips: [] },
+      { slackId: 'U1', available: 1, skips: [6] },
+    ]);
+  });
+
+  it('hands a redeemed turn to the next eligible member like time off', () => {
+    const sprint = { sprintIndex: 6, startDate: '2026-04-15', endDate: '2026-04-28' };
+    const roster = [{ slackId: 'U0' }, { slackId: 'U1' }, { slackId: 'U2' }];
+    const withoutCredits = getEligibleAssignee(6, roster, null, getUnavailableSlackIds([], sprint));
+    expect(withoutCredits.slackId).toBe('U0');
+
+    const skipped = getUnavailableSlackIds([], sprint, [{ slackId: 'U0', redeemedSprintIndex: 6 }]);
+    expect(getEligibleAssignee(6, roster, null, skipped).slackId).toBe('U1');
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it, expect } = require('bun:test');
+
+const {
+  ESCALATION_STEPS,
+  stepDelayMinutes,
+  planNextStep,
+  recipientsForStep,
+} = require('../../services/escalationPolicy');
+
+const policy = { enabled: true, backupAfterMinutes: 15, leadAfterMinutes: 30, adminsAfterMinutes: 45 };
+const now = new Date('2026-02-09T17:00:00Z');
+const minutesLater = (m) => new Date(now.getTime() + m * 60 * 1000);
+
+describe('escalationPolicy', () => {
+  it('runs primary, backup, lead, then admins', () => {
+    expect(ESCALATION_STEPS).toEqual(['primary', 'backup', 'lead', 'admins']);
+    expect(stepDelayMinutes('primary', policy)).toBe(0);
+    expect(stepDelayMinutes('lead', policy)).toBe(30);
+  });
+
+  it('plans each step with the delay of the step after it', () => {
+    expect(planNextStep({ step: -1 }, now, policy)).toEqual({ step: 'primary', nextStepAt: minutesLater(15), status: 'open' });
+    expect(planNextStep({ step: 0 }, now, policy)).toEqual({ step: 'backup', nextStepAt: minutesLater(30), status: 'open' });
+    expect(planNextStep({ step: 1 }, now, policy)).toEqual({ step: 'lead', nextStepAt: minutesLater(45), status: 'open' });
+  });
+
+  it('closes the chain after the admin step', () => {
+    expect(planNextStep({ step: 2 }, now, policy)).toEqual({ step: 'admins', nextStepAt: null, status: 'exhausted' });
+    expect(planNextStep({ step: 3 }, now, policy)).toBeNull();
+  });
+
+  it('picks recipients per step without duplicates or empty roles', () => {
+    const rotation = {
+      primaries: { account: 'U1', po: 'U2', uiEng: null, beEng: 'U1' },
+      backups: { account: 'U3', po: null },
+      roles: [{ key: 'account', leadSlackIds: ['L1'] }, { key: 'po', leadSlackIds: [] }, { key: 'uiEng', leadSlackIds: ['L1', 'L2'] }],
+    };
+    expect(recipientsForStep('primary', rotation)).toEqual(['U1', 'U2']);
+    expect(recipientsForStep('backup', rotation)).toEqual(['U3']);
+    expect(recipientsForStep('lead', rotation)).toEqual(['L1', 'L2']);
+    expect(recipientsForStep('admins', rotation)).toEqual([]);
+    expect(recipientsForStep('lead', { roles: [{ key: 'po' }] })).toEqual([]);
+  });
+});
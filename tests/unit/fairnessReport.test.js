@@ -0,0 +1,69 @@
+const { describe, it, expect } = require('bun:test');
+
+const { fiscalQuarterOf, buildFairnessReport, toFairnessCsv } = require('../../services/fairnessReport');
+
+const sprints = [
+  { sprintIndex: 1, startDate: '2026-04-01', endDate: '2026-04-15' },
+  { sprintIndex: 2, startDate: '2026-04-15', endDate: '2026-04-29' },
+  { sprintIndex: 3, startDate: '2026-04-29', endDate: '2026-05-13' },
+  { sprintIndex: 4, startDate: '2026-07-08', endDate: '2026-07-22' },
+];
+
+const disciplines = {
+  po: [{ slackId: 'U1', name: 'Ana' }, { slackId: 'U2', name: 'Ben' }, { slackId: 'U3', name: 'Cy' }, { slackId: 'U4', name: 'Di' }],
+  uiEng: [{ slackId: 'U9', name: 'Eve' }],
+};
+
+describe('fairnessReport', () => {
+  it('places dates in fiscal quarters', () => {
+    expect(fiscalQuarterOf('2026-04-01', '04-01')).toEqual({ key: 'FY2027-Q1', label: 'FY27 Q1', start: '2026-04-01', end: '2026-07-01' });
+    expect(fiscalQuarterOf('2027-03-31', '04-01').label).toBe('FY27 Q4');
+    expect(fiscalQuarterOf('2026-02-10', '01-01').label).toBe('FY26 Q1');
+  });
+
+  it('counts shifts per person and quarter and flags load above one standard deviation', () => {
+    const report = buildFairnessReport({
+      sprints,
+      disciplines,
+      fiscalYearStart: '04-01',
+      stints: [
+        { sprintIndex: 1, role: 'po', slackId: 'U1' },
+        { sprintIndex: 2, role: 'po', slackId: 'U1' },
+        { sprintIndex: 2, role: 'po', slackId: 'U1' },
+        { sprintIndex: 3, role: 'po', slackId: 'U1' },
+        { sprintIndex: 3, role: 'uiEng', slackId: 'U9' },
+        { sprintIndex: 4, role: 'po', slackId: 'U2' },
+      ],
+      overrides: [
+        { sprintIndex: 2, role: 'po', newSlackId: 'U1', requestedBy: 'U2', approved: true },
+        { sprintIndex: 3, role: 'po', newSlackId: 'U1', originalSlackId: 'U3', requestedBy: 'UADMIN', approved: true },
+        { sprintIndex: 3, role: 'po', newSlackId: 'U4', requestedBy: 'U3', approved: false },
+      ],
+    });
+
+    expect(report.map(q => q.label)).toEqual(['FY27 Q2', 'FY27 Q1']);
+
+    const q1po = report[1].disciplines.find(d => d.discipline === 'po');
+    expect(q1po.mean).toBe(0.75);
+    const ana = q1po.people.find(p => p.slackId === 'U1');
+    expect(ana).toMatchObject({ name: 'Ana', served: 3, covered: 2, handedOff: 0, flagged: true });
+    expect(q1po.people.find(p => p.slackId === 'U2')).toMatchObject({ served: 0, handedOff: 1, flagged: false });
+    expect(q1po.people.find(p => p.slackId === 'U3')).toMatchObject({ handedOff: 1 });
+
+    const q1ui = report[1].disciplines.find(d => d.discipline === 'uiEng');
+    expect(q1ui.people[0]).toMatchObject({ served: 1, flagged: false });
+  });
+
+  it('writes one CSV row per person per quarter, quoting where needed', () => {
+    const report = buildFairnessReport({
+      sprints,
+      disciplines: { po: [{ slackId: 'U1', name: 'Ana, "A"' }] },
+      fiscalYearStart: '04-01',
+      stints: [{ sprintIndex: 1, role: 'po', slackId: 'U1' }],
+    });
+    const lines = toFairnessCsv(report).trim().split('\r\n');
+
+    expect(lines[0]).toBe('quarter,quarter_start,discipline,slack_id,name,shifts_served,shifts_covered_for_others,shifts_handed_off,discipline_mean,discipline_std_dev,flagged');
+    expect(lines[1]).toBe('FY27 Q1,2026-04-01,PO,U1,"Ana, ""A""",1,0,0,1.00,0.00,no');
+  });
+});
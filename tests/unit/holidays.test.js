@@ -0,0 +1,81 @@
+const { describe, it, expect } = require('bun:test');
+
+const {
+  validateHoliday,
+  normalizeHoliday,
+  findHoliday,
+  isBusinessDate,
+  nextBusinessDate,
+  getCutoverDate,
+  upcomingHolidays,
+  parseIcsHolidays,
+} = require('../../services/holidays');
+
+const thanksgiving = [
+  { id: 1, date: '2026-11-26', name: 'Thanksgiving', action: 'shift' },
+  { id: 2, date: '2026-11-27', name: 'Day after Thanksgiving', action: 'defer' },
+];
+
+describe('holidays', () => {
+  it('validates and normalizes holidays', () => {
+    expect(validateHoliday({ date: '2026-07-04', name: 'July 4th' })).toBeNull();
+    expect(validateHoliday({ date: 'July 4', name: 'July 4th' })).toContain('date');
+    expect(validateHoliday({ date: '2026-07-04', name: ' ' })).toContain('name');
+    expect(validateHoliday({ date: '2026-07-04', name: 'July 4th', action: 'skip' })).toContain('Action');
+    expect(normalizeHoliday({ date: '2026-07-04T00:00:00Z', name: ' July 4th ' }))
+      .toEqual({ date: '2026-07-04', name: 'July 4th', action: 'defer' });
+  });
+
+  it('finds holidays by date and action', () => {
+    expect(findHoliday('2026-11-26', thanksgiving).name).toBe('Thanksgiving');
+    expect(findHoliday('2026-11-26', thanksgiving, 'defer')).toBeNull();
+    expect(findHoliday('2026-11-25', thanksgiving)).toBeNull();
+  });
+
+  it('skips weekends and holidays of either kind for the next business day', () => {
+    expect(isBusinessDate('2026-11-25', thanksgiving)).toBe(true);
+    expect(isBusinessDate('2026-11-26', thanksgiving)).toBe(false);
+    expect(isBusinessDate('2026-11-28', thanksgiving)).toBe(false);
+    // Wed -> Mon: Thanksgiving, the day after, then the weekend.
+    expect(nextBusinessDate('2026-11-25', thanksgiving)).toBe('2026-11-30');
+  });
+
+  it('moves the cutover only for shift holidays', () => {
+    expect(getCutoverDate('2026-11-26', thanksgiving)).toBe('2026-11-30');
+    expect(getCutoverDate('2026-11-27', thanksgiving)).toBe('2026-11-27');
+    expect(getCutoverDate('2026-11-25', thanksgiving)).toBe('2026-11-25');
+  });
+
+  it('lists upcoming holidays soonest first', () => {
+    const list = [thanksgiving[1], { id: 3, date: '2026-07-03', name: 'July 4th', action: 'defer' }, thanksgiving[0]];
+    expect(upcomingHolidays(list, '2026-08-01').map(h => h.id)).toEqual([1, 2]);
+  });
+
+  it('parses ICS events, expanding multi-day events and skipping incomplete ones', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20261126',
+      'DTEND;VALUE=DATE:20261128',
+      'SUMMARY:Thanksgiving\\, and the',
+      '  day after',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART:20260703T070000Z',
+      'SUMMARY:Independence Day (observed)',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20261225',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+
+    const { holidays, skipped } = parseIcsHolidays(ics, 'shift');
+    expect(skipped).toBe(1);
+    expect(holidays).toEqual([
+      { date: '2026-07-03', name: 'Independence Day (observed)', action: 'shift' },
+      { date: '2026-11-26', name: 'Thanksgiving, and the day after', action: 'shift' },
+      { date: '2026-11-27', name: 'Thanksgiving, and the day after', action: 'shift' },
+    ]);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, expect } = require('bun:test');
+
+const { escapeText, foldLine, buildCalendar } = require('../../services/icsCalendar');
+const { hashFeedToken, shiftToEvent, buildUserCalendar, buildTeamCalendar } = require('../../services/calendarFeed');
+
+const shift = {
+  sprintIndex: 6,
+  sprintName: 'FY27 Sp1',
+  startDate: '2026-04-01',
+  endDate: '2026-04-14',
+  role: 'account',
+  roleDisplay: 'Account',
+};
+
+describe('icsCalendar', () => {
+  it('escapes text and folds long lines at 75 octets', () => {
+    expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`).split('\r\n');
+    expect(folded.length).toBe(2);
+    expect(Buffer.byteLength(folded[0], 'utf8')).toBeLessThanOrEqual(75);
+    expect(folded[1].startsWith(' ')).toBe(true);
+    expect(folded.map((l, i) => (i ? l.slice(1) : l)).join('')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+  });
+
+  it('writes a published calendar with UTC times', () => {
+    const ics = buildCalendar({
+      name: 'Triage shifts',
+      now: new Date('2026-03-20T12:00:00Z'),
+      events: [{ uid: 'x@test', start: new Date('2026-04-01T15:00:00Z'), end: new Date('2026-04-14T15:00:00Z'), summary: 'On call, Account' }],
+    });
+    const lines = ics.split('\r\n');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('METHOD:PUBLISH');
+    expect(lines).toContain('DTSTAMP:20260320T120000Z');
+    expect(lines).toContain('DTSTART:20260401T150000Z');
+    expect(lines).toContain('SUMMARY:On call\\, Account');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+});
+
+describe('calendarFeed', () => {
+  it('stores the SHA-256 hex of a feed token, as the hashing migration backfills it', () => {
+    expect(hashFeedToken('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  it('runs a shift from the 8AM hand-off on its start date to the one on its end date', () => {
+    const event = shiftToEvent(shift, 'U1');
+    expect(event.uid).toBe('shift-6-account-U1@t1-triage-bot');
+    expect(event.start.toISOString()).toBe('2026-04-01T15:00:00.000Z');
+    expect(event.end.toISOString()).toBe('2026-04-14T15:00:00.000Z');
+    expect(event.summary).toBe('Triage on call: Account (FY27 Sp1)');
+  });
+
+  it('moves the hand-off past shift holidays', () => {
+    const holidays = [{ date: '2026-04-14', name: 'Company day', action: 'shift' }];
+    expect(shiftToEvent(shift, 'U1', holidays).end.toISOString()).toBe('2026-04-15T15:00:00.000Z');
+  });
+
+  it('builds one event per shift', () => {
+    const ics = buildUserCalendar({ slackId: 'U1', shifts: [shift, { ...shift, sprintIndex: 8 }] });
+    expect(ics.match(/BEGIN:VEVENT/g).length).toBe(2);
+    expect(ics).toContain('X-WR-CALNAME:Triage shifts');
+  });
+
+  it('builds one team event per assigned role', () => {
+    const schedule = [{
+      sprint: { index: 6, name: 'FY27 Sp1', startDate: '2026-04-01', endDate: '2026-04-14' },
+      assignments: [
+        { role: 'account', roleLabel: 'Account', slackId: 'U1', name: 'Ivy' },
+        { role: 'producer', roleLabel: 'Producer', slackId: null, name: null },
+      ],
+    }];
+    const lines = buildTeamCalendar({ schedule }).split('\r\n');
+    expect(lines.filter(l => l === 'BEGIN:VEVENT').length).toBe(1);
+    expect(lines).toContain('UID:sprint-6-account@t1-triage-bot');
+    expect(lines).toContain('SUMMARY:Account: Ivy (FY27 Sp1)');
+    expect(lines).toContain('DTSTART:20260401T150000Z');
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, expect } = require('bun:test');
+
+const {
+  validateOutOfOfficeRange,
+  findAffectedShifts,
+  suggestReplacements,
+} = require('../../services/outOfOffice');
+
+const shifts = [
+  { sprintIndex: 4, sprintName: 'S4', role: 'eng', startDate: '2026-03-04', endDate: '2026-03-18', rotationUsers: { eng: 'U1', po: 'U8' } },
+  { sprintIndex: 6, sprintName: 'S6', role: 'eng', startDate: '2026-04-01', endDate: '2026-04-15', rotationUsers: { eng: 'U1' } },
+  { sprintIndex: 7, sprintName: 'S7', role: 'eng', startDate: '2026-04-20', endDate: '2026-04-23', partial: true, coveringFor: 'U5' },
+];
+
+describe('outOfOffice', () => {
+  it('validates the range and keeps it from starting today', () => {
+    expect(validateOutOfOfficeRange('2026-03-05', '2026-03-09', '2026-03-01')).toBeNull();
+    expect(validateOutOfOfficeRange(null, '2026-03-09', '2026-03-01')).toMatch(/first and last day/);
+    expect(validateOutOfOfficeRange('2026-03-09', '2026-03-05', '2026-03-01')).toMatch(/on or after/);
+    expect(validateOutOfOfficeRange('2026-03-01', '2026-03-05', '2026-03-01')).toMatch(/tomorrow/);
+  });
+
+  it('covers whole shifts inside the range and clamps the ones it overlaps', () => {
+    const affected = findAffectedShifts(shifts, '2026-03-10', '2026-04-30');
+
+    expect(affected.map(s => [s.sprintIndex, s.startDate, s.endDate, s.wholeSprint])).toEqual([
+      [4, '2026-03-10', '2026-03-17', false],
+      [6, '2026-04-01', '2026-04-14', true],
+      [7, '2026-04-20', '2026-04-22', false],
+    ]);
+    expect(affected[2].coveringFor).toBe('U5');
+  });
+
+  it('leaves out shifts the range misses, including the hand-off day', () => {
+    expect(findAffectedShifts(shifts, '2026-03-18', '2026-03-31')).toEqual([]);
+    expect(findAffectedShifts(shifts, '2026-03-18', null)).toEqual([]);
+  });
+
+  it('suggests members in rotation order, skipping time off and anyone on call, spreading the batch', () => {
+    const roleList = [{ slackId: 'U0' }, { slackId: 'U1' }, { slackId: 'U2' }, { slackId: 'U3' }, { slackId: 'U8' }];
+    const affected = [
+      { sprintIndex: 4, startDate: '2026-03-10', endDate: '2026-03-17', rotationUsers: { eng: 'U1', po: 'U8' } },
+      { sprintIndex: 6, startDate: '2026-04-01', endDate: '2026-04-14', rotationUsers: { eng: 'U1' } },
+      { sprintIndex: 8, startDate: '2026-05-01', endDate: '2026-05-02', rotationUsers: {} },
+    ];
+    const unavailability = [{ slackId: 'U2', startDate: '2026-03-16', endDate: '2026-03-20' }];
+
+    expect(suggestReplacements(affected, roleList, { requesterId: 'U1', unavailability })).toEqual(['U3', 'U2', 'U8']);
+  });
+
+  it('returns null when nobody fits', () => {
+    const roleList = [{ slackId: 'U1' }, { slackId: 'U2' }];
+    const affected = [{ sprintIndex: 4, startDate: '2026-03-10', endDate: '2026-03-17', rotationUsers: { po: 'U2' } }];
+
+    expect(suggestReplacements(affected, roleList, { requesterId: 'U1' })).toEqual([null]);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, expect } = require('bun:test');
+
+const {
+  pickApprovalLeads,
+  buildApprovalBlocks,
+  buildBatchApprovalBlocks,
+  buildReplacementRequestBlocks,
+  hasCoverageStarted,
+} = require('../../services/overrideApprovalPolicy');
+
+const request = {
+  sprintIndex: 3,
+  sprintLabel: 'Sprint 3',
+  role: 'eng',
+  replacementSlackId: 'U2',
+  replacementName: 'Sam',
+  requesterId: 'U1'
+};
+
+describe('overrideApprovalPolicy', () => {
+  it('asks every lead except those who are part of the request', () => {
+    expect(pickApprovalLeads(request, ['U9', 'U8'])).toEqual(['U9', 'U8']);
+    expect(pickApprovalLeads(request, [])).toEqual([]);
+    expect(pickApprovalLeads(request, ['U1', 'U9', 'U9'])).toEqual(['U9']);
+    expect(pickApprovalLeads(request, ['U1', 'U2'])).toEqual([]);
+  });
+
+  it('marks the lead DM buttons so the handler can re-check the lead', () => {
+    const [, actions] = buildApprovalBlocks(request, 'Intro', { viaLead: true });
+    const values = actions.elements.map(e => JSON.parse(e.value));
+    expect(actions.elements.map(e => e.action_id)).toEqual(['approve_override', 'decline_override']);
+    expect(values.every(v => v.viaLead === true && v.sprintIndex === 3 && v.requesterId === 'U1')).toBe(true);
+
+    const [, adminActions] = buildApprovalBlocks(request, 'Intro');
+    expect(JSON.parse(adminActions.elements[0].value).viaLead).toBe(false);
+  });
+
+  it('lists a batch in one message answered by its id', () => {
+    const [section, actions] = buildBatchApprovalBlocks({
+      batchId: 'b-1',
+      requesterId: 'U1',
+      requests: [request, { ...request, sprintLabel: 'Sprint 4', replacementSlackId: 'U3', replacementName: null }]
+    }, 'Intro');
+
+    expect(section.text.text).toContain('cover on 2 shifts');
+    expect(section.text.text).toContain('*Sprint 4*: <@U3> (U3)');
+    expect(actions.elements.map(e => e.action_id)).toEqual(['approve_override_batch', 'decline_override_batch']);
+    expect(actions.elements.map(e => JSON.parse(e.value))).toEqual([
+      { batchId: 'b-1', requesterId: 'U1' },
+      { batchId: 'b-1', requesterId: 'U1' }
+    ]);
+  });
+
+  it('gives the replacement Accept and Decline for the same request', () => {
+    const [, actions] = buildReplacementRequestBlocks(request, 'Intro');
+    expect(actions.elements.map(e => e.action_id)).toEqual(['accept_override_replacement', 'decline_override_replacement']);
+    expect(JSON.parse(actions.elements[0].value)).toEqual(request);
+  });
+
+  it('counts coverage as started from the first covered shift', () => {
+    const sprint = { startDate: '2026-02-04', endDate: '2026-02-18' };
+    const partial = { startDate: '2026-02-09', endDate: '2026-02-11' };
+
+    expect(hasCoverageStarted({}, sprint, '2026-02-03')).toBe(false);
+    expect(hasCoverageStarted({}, sprint, '2026-02-04')).toBe(true);
+    expect(hasCoverageStarted(partial, sprint, '2026-02-08')).toBe(false);
+    expect(hasCoverageStarted(partial, sprint, '2026-02-09')).toBe(true);
+    expect(hasCoverageStarted({}, null, '2026-02-09')).toBe(false);
+  });
+});
@@ -6,6 +6,9 @@ const readSprintsMock = mock(() =>
   ])
 );
 
+const getAllMock = mock(() => Promise.resolve([]));
+const deleteOverrideByIdMock = mock(() => Promise.resolve(false));
+
 mock.module('../../loadEnv', () => ({ loadEnv: () => {} }));
 mock.module('../../appHome', () => ({
   slackApp: { action: () => {}, view: () => {}, command: () => {}, shortcut: () => {}, options: () => {} },
@@ -24,6 +27,7 @@ mock.module('../../dataUtils', () => ({
   findCurrentSprint: mock(() => Promise.resolve(null)),
   getSprintUsers: mock(() => Promise.resolve({})),
   readSprints: readSprintsMock,
+  readCoverageCredits: mock(() => Promise.resolve([])),
   getRoleAndDisciplinesForUser: mock(() => Promise.resolve({ role: null, disciplines: {} })),
 }));
 mock.module('../../triageLogic', () => ({ applyCurrentSprintRotation: mock(() => Promise.resolve({ updated: false, affectedUserIds: [] })) }));
@@ -34,14 +38,18 @@ mock.module('../../services/adminMembership', () => ({
 mock.module('../../db/repository', () => ({
   UsersRepository: { getDisciplines: mock(() => Promise.resolve({})) },
   OverridesRepository: {
-    getAll: mock(() => Promise.resolve([])),
+    getAll: getAllMock,
     approveOverride: mock(() => Promise.resolve(null)),
     declineOverride: mock(() => Promise.resolve(false)),
-    deleteOverrideById: mock(() => Promise.resolve(false)),
+    deleteOverrideById: deleteOverrideByIdMock,
   },
 }));
 
-const { buildOverrideListModal } = require('../../overrideHandler');
+// Force fresh load so overrideHandler uses our mocks (avoids cache from other files)
+if (typeof require.cache !== 'undefined') {
+  delete require.cache[require.resolve('../../overrideHandler')];
+}
+const { buildOverrideListModal, handleAdminRemoveOverride } = require('../../overrideHandler');
 
 describe('overrideHandler buildOverrideListModal', () => {
   it('includes sprint label (name or date range) in modal blocks', async () => {
@@ -71,6 +79,29 @@ describe('overrideHandler buildOverrideListModal', () => {
     expect(hasSprintLabel).toBe(true);
   });
 
+  it('keys Remove buttons by id and updatedAt and pages long lists', async () => {
+    const overrides = Array.from({ length: 12 }, (_, i) => ({
+      id: i + 1,
+      sprintIndex: 0,
+      role: 'po',
+      requestedBy: 'U1',
+      newSlackId: `U${i + 2}`,
+      status: 'approved',
+      updatedAt: `2026-01-0${(i % 9) + 1} 10:00:00.000000`,
+    }));
+    const modal = await buildOverrideListModal(overrides, { page: 1 });
+
+    const removeValues = modal.blocks
+      .filter((b) => b.accessory?.action_id === 'admin_remove_override')
+      .map((b) => JSON.parse(b.accessory.value));
+    expect(removeValues.map((v) => v.id)).toEqual([11, 12]);
+    expect(removeValues[0].updatedAt).toBe(overrides[10].updatedAt);
+
+    const pages = modal.blocks.find((b) => b.block_id === 'override_pages');
+    expect(pages.elements.map((e) => e.action_id)).toEqual(['admin_override_page_prev']);
+    expect(JSON.parse(modal.private_metadata)).toEqual({ filters: {}, page: 1 });
+  });
+
   it('returns empty state when overrides is empty', async () => {
     const modal = await buildOverrideListModal([]);
     expect(modal.blocks).toBeDefined();
@@ -81,6 +112,35 @@ describe('overrideHandler buildOverrideListModal', () => {
   });
 });
 
+describe('overrideHandler admin_remove_override', () => {
+  const row = { id: 7, sprintIndex: 0, role: 'po', requestedBy: 'U1', newSlackId: 'U2', status: 'approved', approved: true, updatedAt: '2026-01-02 10:00:00.000000' };
+
+  function remove(client) {
+    return handleAdminRemoveOverride({
+      ack: mock(() => Promise.resolve()),
+      body: {
+        user: { id: 'U_ADMIN' },
+        view: { id: 'V1', private_metadata: JSON.stringify({ filters: {}, page: 0 }) },
+        actions: [{ value: JSON.stringify({ id: 7, updatedAt: row.updatedAt }) }],
+      },
+      client,
+      logger: { error: mock(() => {}) },
+    });
+  }
+
+  it('reports a database error instead of claiming the override was removed', async () => {
+    getAllMock.mockResolvedValue([row]);
+    deleteOverrideByIdMock.mockRejectedValueOnce(new Error('connection refused'));
+    const client = { chat: { postMessage: mock(() => Promise.resolve()) }, views: { update: mock(() => Promise.resolve()) } };
+
+    await remove(client);
+
+    expect(client.chat.postMessage).not.toHaveBeenCalled();
+    expect(client.views.update).toHaveBeenCalledTimes(1);
+    expect(JSON.stringify(client.views.update.mock.calls[0][0].view.blocks)).toContain('could not be removed because of a database error');
+  });
+});
+
 afterAll(() => {
   mock.restore();
 });
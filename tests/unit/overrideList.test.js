@@ -0,0 +1,47 @@
+const { describe, it, expect } = require('bun:test');
+
+const {
+  toOverrideRef,
+  findCurrentOverride,
+  filterOverrides,
+  paginate,
+} = require('../../services/overrideList');
+
+describe('overrideList', () => {
+  it('finds a row by id only while its updatedAt is unchanged', () => {
+    const row = { id: 7, sprintIndex: 3, role: 'po', requestedBy: 'U1', newSlackId: 'U2', updatedAt: '2026-02-01 10:00:00.123456' };
+    const ref = toOverrideRef(row);
+
+    expect(ref).toEqual({ id: 7, key: null, updatedAt: '2026-02-01 10:00:00.123456' });
+    expect(findCurrentOverride([row], ref)).toBe(row);
+    expect(findCurrentOverride([{ ...row, updatedAt: '2026-02-01 10:05:00.000000' }], ref)).toBeNull();
+    expect(findCurrentOverride([], ref)).toBeNull();
+  });
+
+  it('tells JSON rows without ids apart by key and last write', () => {
+    const older = { sprintIndex: 3, role: 'po', requestedBy: 'U1', newSlackId: 'U2', timestamp: '2026-01-01T00:00:00.000Z' };
+    const newer = { ...older, timestamp: '2026-01-05T00:00:00.000Z' };
+
+    expect(findCurrentOverride([older, newer], toOverrideRef(newer))).toBe(newer);
+    expect(findCurrentOverride([older, newer], toOverrideRef({ ...newer, newSlackId: 'U3' }))).toBeNull();
+  });
+
+  it('filters by sprint, role, status and current-or-later sprints', () => {
+    const overrides = [
+      { sprintIndex: 1, role: 'po', status: 'approved' },
+      { sprintIndex: 2, role: 'po', status: 'declined' },
+      { sprintIndex: 3, role: 'uiEng', status: 'approved' },
+    ];
+    expect(filterOverrides(overrides, { sprintIndex: 2 })).toEqual([overrides[1]]);
+    expect(filterOverrides(overrides, { role: 'po', status: 'approved' })).toEqual([overrides[0]]);
+    expect(filterOverrides(overrides, { futureOnly: true }, { currentSprintIndex: 2 })).toEqual([overrides[1], overrides[2]]);
+    expect(filterOverrides(overrides, {})).toHaveLength(3);
+  });
+
+  it('pages items and clamps the page number', () => {
+    const items = Array.from({ length: 23 }, (_, i) => i);
+    expect(paginate(items, 1, 10)).toMatchObject({ items: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19], page: 1, pageCount: 3, start: 11, end: 20 });
+    expect(paginate(items, 9, 10)).toMatchObject({ page: 2, start: 21, end: 23 });
+    expect(paginate([], 0, 10)).toMatchObject({ items: [], pageCount: 1, start: 0, end: 0 });
+  });
+});
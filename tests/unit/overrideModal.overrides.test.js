@@ -24,6 +24,8 @@ const {
   buildOverrideStep1Modal,
   buildOverrideRequestModal,
   buildOverrideRequestModalForSprint,
+  buildMyRequestsModal,
+  buildOutOfOfficeShiftsModal,
 } = require('../../overrideModal');
 
 describe('overrideModal override/coverage', () => {
@@ -75,4 +77,67 @@ describe('overrideModal override/coverage', () => {
       expect(sectionText).toContain('No scheduled sprints found');
     });
   });
+
+  describe('buildMyRequestsModal', () => {
+    const sprints = [
+      { sprintIndex: 0, startDate: '2026-01-01', endDate: '2026-01-14', sprintName: 'S1' },
+      { sprintIndex: 1, startDate: '2026-01-15', endDate: '2026-01-28', sprintName: 'S2' },
+    ];
+
+    it('lists only the user\'s open requests whose coverage has not ended', () => {
+      const overrides = [
+        { sprintIndex: 1, role: 'po', requestedBy: 'U1', newSlackId: 'U2', status: 'pending_admin' },
+        { sprintIndex: 1, role: 'po', requestedBy: 'U1', newSlackId: 'U3', status: 'declined' },
+        { sprintIndex: 0, role: 'po', requestedBy: 'U1', newSlackId: 'U4', status: 'approved' },
+        { sprintIndex: 1, role: 'po', requestedBy: 'U9', newSlackId: 'U1', status: 'approved' },
+      ];
+      const modal = buildMyRequestsModal({ userId: 'U1', overrides, sprints, today: '2026-01-20' });
+      const actions = modal.blocks.filter(b => b.type === 'actions');
+
+      expect(actions).toHaveLength(1);
+      expect(actions[0].elements.map(e => e.action_id)).toEqual(['my_request_change_replacement', 'my_request_cancel']);
+      expect(JSON.parse(actions[0].elements[1].value)).toEqual({ sprintIndex: 1, role: 'po', replacementSlackId: 'U2' });
+    });
+
+    it('shows swap halves without actions', () => {
+      const overrides = [
+        { sprintIndex: 1, role: 'po', requestedBy: 'U1', originalSlackId: 'U1', newSlackId: 'U2', status: 'approved', swapId: 'S1' },
+      ];
+      const modal = buildMyRequestsModal({ userId: 'U1', overrides, sprints, today: '2026-01-20' });
+
+      expect(modal.blocks.some(b => b.type === 'actions')).toBe(false);
+      expect(JSON.stringify(modal.blocks)).toContain('shift swap');
+    });
+  });
+
+  describe('buildOutOfOfficeShiftsModal', () => {
+    it('gives each shift a replacement picker preset to the suggestion', () => {
+      const modal = buildOutOfOfficeShiftsModal({
+        requesterSlackId: 'U1',
+        role: 'po',
+        rangeLabel: 'Jan 3–Jan 20, 2026',
+        shifts: [
+          { sprintIndex: 0, label: 'S1, Jan 3–Jan 13 only', startDate: '2026-01-03', endDate: '2026-01-13', wholeSprint: false, suggestion: { slackId: 'U2', name: 'Sam' } },
+          { sprintIndex: 1, label: 'S2', startDate: '2026-01-15', endDate: '2026-01-27', wholeSprint: true, suggestion: null },
+        ],
+        notes: ['S3: you already asked <@U4> (waiting on replacement).'],
+      });
+      const inputs = modal.blocks.filter(b => b.type === 'input');
+
+      expect(inputs.map(b => b.block_id)).toEqual(['out_shift_0', 'out_shift_1']);
+      expect(inputs.every(b => b.element.action_id === 'replacement_select')).toBe(true);
+      expect(inputs[0].element.initial_option).toEqual({ text: { type: 'plain_text', text: 'Sam' }, value: 'U2' });
+      expect(inputs[1].element.initial_option).toBeUndefined();
+      expect(inputs[1].hint).toBeDefined();
+      expect(modal.blocks.at(-1).type).toBe('context');
+      expect(JSON.parse(modal.private_metadata)).toEqual({
+        role: 'po',
+        requester: 'U1',
+        shifts: [
+          { sprintIndex: 0, startDate: '2026-01-03', endDate: '2026-01-13', wholeSprint: false },
+          { sprintIndex: 1, startDate: '2026-01-15', endDate: '2026-01-27', wholeSprint: true },
+        ],
+      });
+    });
+  });
 });
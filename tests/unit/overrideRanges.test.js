@@ -0,0 +1,42 @@
+const { describe, it, expect } = require('bun:test');
+
+const {
+  validateOverrideRange,
+  findActiveOverride,
+  getPartialOverrideRoles,
+} = require('../../services/overrideRanges');
+
+const sprint = { startDate: '2026-02-04', endDate: '2026-02-18' };
+
+describe('overrideRanges', () => {
+  it('validates dates against the sprint', () => {
+    expect(validateOverrideRange(null, null, sprint)).toBeNull();
+    expect(validateOverrideRange('2026-02-05', '2026-02-07', sprint)).toBeNull();
+    expect(validateOverrideRange('2026-02-05', null, sprint)).toMatch(/both/);
+    expect(validateOverrideRange('2026-02-07', '2026-02-05', sprint)).toMatch(/on or after the start/);
+    expect(validateOverrideRange('2026-02-03', '2026-02-05', sprint)).toMatch(/first day/);
+    expect(validateOverrideRange('2026-02-10', '2026-02-18', sprint)).toMatch(/hand-off day/);
+  });
+
+  it('prefers a partial override on the days it covers', () => {
+    const whole = { sprintIndex: 3, role: 'eng', newSlackId: 'U2', approved: true };
+    const partial = { sprintIndex: 3, role: 'eng', newSlackId: 'U3', approved: true, startDate: '2026-02-05', endDate: '2026-02-07' };
+    const overrides = [whole, partial];
+
+    expect(findActiveOverride(overrides, 3, 'eng', '2026-02-06')).toBe(partial);
+    expect(findActiveOverride(overrides, 3, 'eng', '2026-02-08')).toBe(whole);
+    expect(findActiveOverride(overrides, 3, 'eng')).toBe(whole);
+    expect(findActiveOverride([partial], 3, 'eng', '2026-02-08')).toBeNull();
+    expect(findActiveOverride([{ ...partial, approved: false }], 3, 'eng', '2026-02-06')).toBeNull();
+  });
+
+  it('lists the roles with an approved partial override in the sprint', () => {
+    const overrides = [
+      { sprintIndex: 3, role: 'eng', approved: true, startDate: '2026-02-05', endDate: '2026-02-07' },
+      { sprintIndex: 3, role: 'qa', approved: false, startDate: '2026-02-05', endDate: '2026-02-07' },
+      { sprintIndex: 3, role: 'po', approved: true },
+    ];
+    expect([...getPartialOverrideRoles(overrides, 3)]).toEqual(['eng']);
+    expect([...getPartialOverrideRoles(overrides, 4)]).toEqual([]);
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it, expect } = require('bun:test');
+
+const { getOverrideStatus, isPendingOverride, isOpenOverride, withOverrideStatus } = require('../../services/overrideStatus');
+
+describe('overrideStatus', () => {
+  it('reads the status, falling back to the legacy approved flag', () => {
+    expect(getOverrideStatus({ status: 'pending_replacement' })).toBe('pending_replacement');
+    expect(getOverrideStatus({ approved: true })).toBe('approved');
+    expect(getOverrideStatus({ approved: false })).toBe('pending_admin');
+    expect(getOverrideStatus({ status: 'bogus', approved: true })).toBe('approved');
+  });
+
+  it('derives approved from the status', () => {
+    expect(withOverrideStatus({ status: 'approved', approved: false }).approved).toBe(true);
+    expect(withOverrideStatus({ status: 'pending_admin', approved: true }).approved).toBe(false);
+    expect(withOverrideStatus({ approved: true })).toEqual({ approved: true, status: 'approved' });
+  });
+
+  it('treats only the two waiting states as pending', () => {
+    expect(isPendingOverride({ status: 'pending_replacement' })).toBe(true);
+    expect(isPendingOverride({ status: 'pending_admin' })).toBe(true);
+    expect(isPendingOverride({ status: 'declined' })).toBe(false);
+    expect(isPendingOverride({ status: 'expired' })).toBe(false);
+  });
+
+  it('treats pending and approved requests as open to cancel', () => {
+    expect(isOpenOverride({ status: 'pending_replacement' })).toBe(true);
+    expect(isOpenOverride({ status: 'approved' })).toBe(true);
+    expect(isOpenOverride({ status: 'cancelled' })).toBe(false);
+    expect(isOpenOverride({ status: 'declined' })).toBe(false);
+  });
+});
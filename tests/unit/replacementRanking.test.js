@@ -0,0 +1,71 @@
+const { describe, it, expect } = require('bun:test');
+
+const {
+  getCoveredDays,
+  rankReplacementCandidates,
+  formatCandidateLabel,
+} = require('../../services/replacementRanking');
+
+const roleList = [
+  { slackId: 'U1', name: 'Req' },
+  { slackId: 'U2', name: 'Bea' },
+  { slackId: 'U3', name: 'Cal' },
+  { slackId: 'U4', name: 'Dee' },
+  { slackId: 'U5', name: 'Eve' },
+];
+const base = { roleList, requesterId: 'U1', role: 'po', startDate: '2026-03-04', endDate: '2026-03-17', currentSprintIndex: 10 };
+
+describe('replacementRanking', () => {
+  it('covers the whole sprint unless the request has a valid partial range', () => {
+    const sprint = { startDate: '2026-03-04', endDate: '2026-03-18' };
+    expect(getCoveredDays(sprint)).toEqual({ startDate: '2026-03-04', endDate: '2026-03-17' });
+    expect(getCoveredDays(sprint, '2026-03-09', '2026-03-10')).toEqual({ startDate: '2026-03-09', endDate: '2026-03-10' });
+    expect(getCoveredDays(sprint, '2026-03-09', '2026-03-18')).toEqual({ startDate: '2026-03-04', endDate: '2026-03-17' });
+  });
+
+  it('puts whoever served longest ago first and explains it', () => {
+    const stints = [
+      { sprintIndex: 9, slackId: 'U2' },
+      { sprintIndex: 6, slackId: 'U3' },
+      { sprintIndex: 4, slackId: 'U4' },
+      { sprintIndex: 8, slackId: 'U4' },
+    ];
+    const ranked = rankReplacementCandidates({ ...base, stints });
+
+    expect(ranked.map(c => c.slackId)).toEqual(['U5', 'U3', 'U4', 'U2']);
+    expect(ranked.map(c => c.reasons)).toEqual([
+      ['no shifts on record'], ['served 4 sprints ago'], ['served 2 sprints ago'], ['served last sprint']
+    ]);
+  });
+
+  it('moves people on call next to the sprint below the rest', () => {
+    const ranked = rankReplacementCandidates({ ...base, previousSprintUsers: { po: 'U2' }, nextSprintUsers: { uiEng: 'U3' } });
+
+    expect(ranked.map(c => c.slackId)).toEqual(['U4', 'U5', 'U2', 'U3']);
+    expect(ranked[2].reasons).toEqual(['on call the sprint before']);
+    expect(ranked[3].reasons).toEqual(['on call the sprint after']);
+  });
+
+  it('keeps people who can\'t cover at the bottom with a warning', () => {
+    const ranked = rankReplacementCandidates({
+      ...base,
+      sprintUsers: { po: 'U1', uiEng: 'U2' },
+      unavailability: [{ slackId: 'U3', startDate: '2026-03-10', endDate: '2026-03-11' }],
+      unavailableIds: new Set(['U4']),
+    });
+
+    expect(ranked.map(c => [c.slackId, c.warning])).toEqual([
+      ['U5', null],
+      ['U2', 'on call as UI Engineer that sprint'],
+      ['U3', 'on PTO'],
+      ['U4', 'out that sprint'],
+    ]);
+  });
+
+  it('labels options with the warning or the reasons', () => {
+    expect(formatCandidateLabel({ name: 'Ann', warning: 'on PTO', reasons: ['served last sprint'] })).toBe('Ann · ⚠ on PTO');
+    expect(formatCandidateLabel({ name: 'Sam', warning: null, reasons: ['on call the sprint after', 'served 3 sprints ago'] }))
+      .toBe('Sam · on call the sprint after, served 3 sprints ago');
+    expect(formatCandidateLabel({ slackId: 'U9', warning: null, reasons: [] })).toBe('U9');
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, expect } = require('bun:test');
+
+const {
+  findOtherRole,
+  findRoleConflicts,
+  resolveRoleConflicts,
+} = require('../../services/roleConflicts');
+
+const roleKeys = ['account', 'po', 'uiEng'];
+const disciplines = {
+  account: [{ slackId: 'U1' }, { slackId: 'U2' }],
+  po: [{ slackId: 'U1' }, { slackId: 'U3' }, { slackId: 'U4' }],
+  uiEng: [{ slackId: 'U1' }, { slackId: 'U5' }],
+};
+
+describe('roleConflicts', () => {
+  it('finds the other role someone holds', () => {
+    const users = { account: 'U1', po: 'U3', uiEng: null };
+    expect(findOtherRole(users, 'U1', 'po')).toBe('account');
+    expect(findOtherRole(users, 'U1', 'account')).toBeNull();
+    expect(findOtherRole(users, 'U3')).toBe('po');
+    expect(findOtherRole(users, null)).toBeNull();
+  });
+
+  it('lists people in more than one role, roles in sort order', () => {
+    expect(findRoleConflicts({ uiEng: 'U1', account: 'U1', po: 'U3' }, roleKeys)).toEqual([
+      { slackId: 'U1', roles: ['account', 'uiEng'] },
+    ]);
+    expect(findRoleConflicts({ account: 'U1', po: null, uiEng: null }, roleKeys)).toEqual([]);
+  });
+
+  it('moves the later role to the next eligible member', () => {
+    const result = resolveRoleConflicts({
+      sprintIndex: 0,
+      roleKeys,
+      users: { account: 'U1', po: 'U1', uiEng: 'U5' },
+      disciplines,
+      unavailableIds: new Set(['U3']),
+    });
+
+    expect(result.users).toEqual({ account: 'U1', po: 'U4', uiEng: 'U5' });
+    expect(result.resolutions).toEqual([{ slackId: 'U1', keptRole: 'account', role: 'po', replacement: 'U4' }]);
+    expect(result.unresolved).toEqual([]);
+  });
+
+  it('keeps an override in place and moves the rotation role instead', () => {
+    const result = resolveRoleConflicts({
+      sprintIndex: 0,
+      roleKeys,
+      users: { account: 'U1', po: 'U3', uiEng: 'U1' },
+      pinnedRoles: new Set(['uiEng']),
+      disciplines,
+    });
+
+    expect(result.users.account).toBe('U2');
+    expect(result.resolutions).toEqual([{ slackId: 'U1', keptRole: 'uiEng', role: 'account', replacement: 'U2' }]);
+  });
+
+  it('reports clashes it cannot resolve', () => {
+    const result = resolveRoleConflicts({
+      sprintIndex: 0,
+      roleKeys,
+      users: { account: 'U1', po: 'U1', uiEng: 'U1' },
+      pinnedRoles: new Set(['account', 'po']),
+      disciplines: { ...disciplines, uiEng: [{ slackId: 'U1' }] },
+    });
+
+    expect(result.users).toEqual({ account: 'U1', po: 'U1', uiEng: 'U1' });
+    expect(result.resolutions).toEqual([]);
+    expect(result.unresolved).toEqual([{ slackId: 'U1', roles: ['account', 'po', 'uiEng'] }]);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, expect, mock, beforeEach, afterAll } = require('bun:test');
+const path = require('path');
+const { resetModuleCache, snapshotEnv, restoreEnv } = require('../helpers/mockIsolation');
+
+const envKeys = ['USE_DATABASE', 'DATABASE_URL'];
+const originalEnv = snapshotEnv(envKeys);
+
+const getDisciplinesForCurrentEnvMock = mock();
+
+mock.module('../../repositories/disciplines', () => ({
+  getDisciplinesForCurrentEnv: getDisciplinesForCurrentEnvMock,
+}));
+
+const rolesPath = path.resolve(__dirname, '../../services/roles.js');
+
+function loadRolesModule({ withDatabase }) {
+  process.env.USE_DATABASE = 'true';
+  if (withDatabase) process.env.DATABASE_URL = 'postgresql://test';
+  else delete process.env.DATABASE_URL;
+  resetModuleCache([rolesPath]);
+  return require(rolesPath);
+}
+
+describe('services/roles', () => {
+  beforeEach(() => {
+    getDisciplinesForCurrentEnvMock.mockReset();
+  });
+
+  afterAll(() => {
+    restoreEnv(originalEnv);
+    resetModuleCache([rolesPath]);
+  });
+
+  it('defaults to the original five roles before and without a database', async () => {
+    const roles = loadRolesModule({ withDatabase: false });
+    expect(roles.getRoleKeys()).toEqual(['account', 'producer', 'po', 'uiEng', 'beEng']);
+
+    await roles.loadRoles({ force: true });
+    expect(roles.getRoleKeys()).toEqual(['account', 'producer', 'po', 'uiEng', 'beEng']);
+    expect(getDisciplinesForCurrentEnvMock).not.toHaveBeenCalled();
+  });
+
+  it('loads roles from discipline rows, sorted and filtered by enabled', async () => {
+    getDisciplinesForCurrentEnvMock.mockResolvedValue([
+      { name: 'qa', label: 'QA', sortOrder: 60, enabled: true },
+      { name: 'account', label: 'Account', sortOrder: 10, enabled: true },
+      { name: 'data', label: 'Data', sortOrder: 5, enabled: false },
+      { name: 'po', label: null, sortOrder: 30, enabled: true },
+    ]);
+    const roles = loadRolesModule({ withDatabase: true });
+
+    const loaded = await roles.loadRoles({ force: true });
+
+    expect(loaded.map(r => r.key)).toEqual(['account', 'po', 'qa']);
+    expect(roles.getRoleKeys()).toEqual(['account', 'po', 'qa']);
+    expect(roles.getRoles({ includeDisabled: true }).map(r => r.key)).toEqual(['data', 'account', 'po', 'qa']);
+    expect(roles.getRoleLabel('qa')).toBe('QA');
+    expect(roles.getRoleLabel('po')).toBe('po');
+    // Disabled roles keep their label for historical records
+    expect(roles.getRoleLabel('data')).toBe('Data');
+    expect(roles.getRoleLabel('unknown')).toBe('unknown');
+  });
+
+  it('falls back to defaults when the database read fails', async () => {
+    getDisciplinesForCurrentEnvMock.mockRejectedValue(new Error('db down'));
+    const roles = loadRolesModule({ withDatabase: true });
+
+    await roles.loadRoles({ force: true });
+
+    expect(roles.getRoleKeys()).toEqual(['account', 'producer', 'po', 'uiEng', 'beEng']);
+  });
+
+  it('caches the snapshot between loads unless forced', async () => {
+    getDisciplinesForCurrentEnvMock.mockResolvedValue([{ name: 'qa', label: 'QA', sortOrder: 1, enabled: true }]);
+    const roles = loadRolesModule({ withDatabase: true });
+
+    await roles.loadRoles();
+    await roles.loadRoles();
+    expect(getDisciplinesForCurrentEnvMock).toHaveBeenCalledTimes(1);
+
+    roles.invalidateRoles();
+    await roles.loadRoles();
+    expect(getDisciplinesForCurrentEnvMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('toRoleMap fills every enabled role and drops unknown keys', async () => {
+    getDisciplinesForCurrentEnvMock.mockResolvedValue([
+      { name: 'account', label: 'Account', sortOrder: 1, enabled: true },
+      { name: 'qa', label: 'QA', sortOrder: 2, enabled: true },
+    ]);
+    const roles = loadRolesModule({ withDatabase: true });
+    await roles.loadRoles({ force: true });
+
+    expect(roles.toRoleMap({ sprintIndex: 3, account: 'U1', beEng: 'U9' })).toEqual({ account: 'U1', qa: null });
+    expect(['qa', 'other', 'account'].sort(roles.compareRoleKeys)).toEqual(['account', 'qa', 'other']);
+  });
+});
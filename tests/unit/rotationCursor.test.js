@@ -0,0 +1,136 @@
+const { describe, it, expect } = require('bun:test');
+
+const {
+  legacyAssignee,
+  seedCursor,
+  stepCursor,
+  projectCursor,
+  getBaseAssignee,
+  rotationOrderFrom,
+  getEligibleAssignee,
+  getBackupAssignee,
+  recordSubstitute,
+} = require('../../services/rotationCursor');
+const { unavailableBySprint } = require('../../services/availability');
+
+const roster = (...ids) => ids.map((id) => ({ slackId: id, name: id }));
+
+describe('rotationCursor', () => {
+  it('seeded cursor reproduces the legacy modulo schedule', () => {
+    const team = roster('A', 'B', 'C', 'D');
+    const cursor = seedCursor(team, 6);
+    expect(cursor).toEqual({ anchorSprintIndex: 6, served: ['A', 'B', 'C'] });
+
+    for (let idx = 6; idx < 20; idx++) {
+      expect(getBaseAssignee(idx, team, cursor)).toBe(legacyAssignee(team, idx));
+    }
+  });
+
+  it('uses legacy modulo for sprints before the anchor or without a cursor', () => {
+    const team = roster('A', 'B', 'C');
+    const cursor = seedCursor(team, 4);
+    expect(getBaseAssignee(2, team, cursor)).toBe('C');
+    expect(getBaseAssignee(5, team, null)).toBe('C');
+    expect(getBaseAssignee(5, [], cursor)).toBeNull();
+  });
+
+  it('adding a member only changes the not-yet-served part of the cycle', () => {
+    const team = roster('A', 'B', 'C', 'D');
+    const cursor = { anchorSprintIndex: 10, served: ['A', 'B'] };
+    // Before: 11 -> C, 12 -> D, 13 -> A (new cycle)
+    expect([11, 12, 13].map((i) => getBaseAssignee(i, team, cursor))).toEqual(['C', 'D', 'A']);
+
+    const withE = roster('A', 'B', 'C', 'D', 'E');
+    // E joins at the end of the remaining queue; C and D keep their sprints.
+    expect([11, 12, 13, 14].map((i) => getBaseAssignee(i, withE, cursor))).toEqual(['C', 'D', 'E', 'A']);
+    // The legacy formula would have moved everyone.
+    expect([11, 12, 13].map((i) => legacyAssignee(withE, i))).toEqual(['B', 'C', 'D']);
+  });
+
+  it('removing an unserved member pulls the rest of the cycle forward without touching served members', () => {
+    const team = roster('A', 'B', 'C', 'D');
+    const cursor = { anchorSprintIndex: 10, served: ['A', 'B'] };
+    const withoutC = roster('A', 'B', 'D');
+    expect([11, 12, 13].map((i) => getBaseAssignee(i, withoutC, cursor))).toEqual(['D', 'A', 'B']);
+    expect(getBaseAssignee(10, withoutC, cursor)).toBe('B');
+    expect(getBaseAssignee(10, team, cursor)).toBe('B');
+  });
+
+  it('stepCursor starts a new cycle in roster order once everyone has served', () => {
+    const team = roster('A', 'B');
+    let cursor = { anchorSprintIndex: 0, served: ['A', 'B'] };
+    cursor = stepCursor(cursor, team);
+    expect(cursor).toEqual({ anchorSprintIndex: 1, served: ['A'] });
+    cursor = stepCursor(cursor, team);
+    expect(cursor).toEqual({ anchorSprintIndex: 2, served: ['A', 'B'] });
+  });
+
+  it('projectCursor advances across multiple sprints and ignores past targets', () => {
+    const team = roster('A', 'B', 'C');
+    const cursor = { anchorSprintIndex: 3, served: ['A'] };
+    expect(projectCursor(cursor, team, 5)).toEqual({ anchorSprintIndex: 5, served: ['A', 'B', 'C'] });
+    expect(projectCursor(cursor, team, 2)).toBeNull();
+  });
+
+  it('rotationOrderFrom lists members in the order the rotation reaches them', () => {
+    const team = roster('A', 'B', 'C', 'D');
+    expect(rotationOrderFrom(6, team, null)).toEqual(['C', 'D', 'A', 'B']);
+    expect(rotationOrderFrom(11, team, { anchorSprintIndex: 10, served: ['A', 'B'] })).toEqual(['C', 'D', 'A', 'B']);
+  });
+
+  it('getEligibleAssignee skips unavailable members for the next person in line', () => {
+    const team = roster('A', 'B', 'C', 'D');
+    const cursor = { anchorSprintIndex: 10, served: ['A', 'B'] };
+    expect(getEligibleAssignee(11, team, cursor, new Set())).toEqual({ slackId: 'C', skipped: [], noEligible: false });
+    expect(getEligibleAssignee(11, team, cursor, new Set(['C']))).toEqual({ slackId: 'D', skipped: ['C'], noEligible: false });
+    expect(getEligibleAssignee(11, team, cursor, ['C', 'D'])).toEqual({ slackId: 'A', skipped: ['C', 'D'], noEligible: false });
+  });
+
+  it('records the substitute as served and gives the skipped member the next slot', () => {
+    const team = roster('A', 'B', 'C', 'D');
+    const cursor = seedCursor(team, 0);
+    const out = { 1: new Set(['B']) };
+    const unavailableFor = (idx) => out[idx] || new Set();
+
+    const schedule = [0, 1, 2, 3, 4].map((i) => getEligibleAssignee(i, team, cursor, unavailableFor(i), unavailableFor).slackId);
+    expect(schedule).toEqual(['A', 'C', 'B', 'D', 'A']);
+    expect(projectCursor(cursor, team, 2, unavailableFor)).toEqual({ anchorSprintIndex: 2, served: ['A', 'C', 'B'] });
+    expect(getBackupAssignee(2, team, cursor, ['B'], unavailableFor)).toBe('D');
+  });
+
+  it('counts a credit skip as the holder\'s turn, so they serve one fewer over a cycle', () => {
+    const team = roster('A', 'B', 'C', 'D');
+    const cursor = seedCursor(team, 0);
+    const sprints = [0, 1, 2, 3, 4, 5, 6, 7].map((i) => ({ sprintIndex: i, startDate: '2026-01-05', endDate: '2026-01-19' }));
+    const turns = (credits) => {
+      const unavailableFor = unavailableBySprint([], sprints, credits);
+      return sprints.map(({ sprintIndex: i }) => getEligibleAssignee(i, team, cursor, unavailableFor(i), unavailableFor).slackId);
+    };
+
+    expect(turns([])).toEqual(['A', 'B', 'C', 'D', 'A', 'B', 'C', 'D']);
+    const withCredit = turns([{ id: 1, slackId: 'B', redeemedSprintIndex: 1 }]);
+    expect(withCredit).toEqual(['A', 'C', 'D', 'A', 'B', 'C', 'D', 'A']);
+    expect(withCredit.filter((id) => id === 'B').length).toBe(1);
+  });
+
+  it('recordSubstitute swaps the sprint\'s assignee and puts them back in line', () => {
+    const team = roster('A', 'B', 'C', 'D');
+    const moved = recordSubstitute({ anchorSprintIndex: 5, served: ['A', 'B'] }, 'C');
+    expect(moved).toEqual({ anchorSprintIndex: 5, served: ['A', 'C'] });
+    expect(getBaseAssignee(6, team, moved)).toBe('B');
+  });
+
+  it('getEligibleAssignee keeps the base assignee when nobody is eligible', () => {
+    const team = roster('A', 'B');
+    const result = getEligibleAssignee(1, team, null, new Set(['A', 'B']));
+    expect(result).toEqual({ slackId: 'B', skipped: ['B', 'A'], noEligible: true });
+  });
+
+  it('getBackupAssignee picks the next person in line who is not excluded', () => {
+    const team = roster('A', 'B', 'C', 'D');
+    const cursor = { anchorSprintIndex: 10, served: ['A', 'B'] };
+    expect(getBackupAssignee(11, team, cursor, ['C'])).toBe('D');
+    expect(getBackupAssignee(11, team, cursor, new Set(['C', 'D']))).toBe('A');
+    expect(getBackupAssignee(11, roster('A'), null, ['A'])).toBeNull();
+  });
+});
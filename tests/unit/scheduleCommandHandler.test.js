@@ -89,5 +89,27 @@ describe('scheduleCommandHandler', () => {
       expect(hasSprintName).toBe(true);
       expect(hasFormattedDate).toBe(true);
     });
+
+    it('lists the backup under the role when one is given', () => {
+      const sprint = { sprintName: 'FY26 Sp2', startDate: '2026-01-15', endDate: '2026-01-27' };
+      const userNames = { po: { slackId: 'U1', name: 'Alice' } };
+      const backupNames = { po: { slackId: 'U2', name: 'Bob' } };
+
+      const modal = buildScheduleModal('2026-01-15', sprint, userNames, backupNames);
+
+      const textBlocks = modal.blocks.filter((b) => b.text?.text).map((b) => b.text.text);
+      expect(textBlocks.some((t) => t.includes('<@U1> (Alice)\nBackup: <@U2> (Bob)'))).toBe(true);
+    });
+
+    it('lists after-hours shifts overlapping the date', () => {
+      const sprint = { sprintName: 'FY26 Sp2', startDate: '2026-01-15', endDate: '2026-01-27' };
+      const shifts = [{ slackId: 'U3', range: 'Fri Jan 16, 5PM – Mon Jan 19, 8AM PT' }];
+
+      const modal = buildScheduleModal('2026-01-16', sprint, {}, {}, shifts);
+
+      const textBlocks = modal.blocks.filter((b) => b.text?.text).map((b) => b.text.text);
+      expect(textBlocks).toContain('*After hours:*\n<@U3> · Fri Jan 16, 5PM – Mon Jan 19, 8AM PT');
+      expect(buildScheduleModal('2026-01-16', sprint, {}).blocks.some((b) => b.text?.text?.includes('After hours'))).toBe(false);
+    });
   });
 });
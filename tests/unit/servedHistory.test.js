@@ -0,0 +1,51 @@
+const { describe, it, expect } = require('bun:test');
+
+const { reconstructStints } = require('../../services/servedHistory');
+
+const at = (iso) => new Date(iso);
+
+describe('servedHistory.reconstructStints', () => {
+  it('opens a stint per role and keeps it while the same person holds the role', () => {
+    const stints = reconstructStints([
+      { at: at('2026-03-04T16:00:00Z'), sprintIndex: 3, roles: { po: 'U1', uiEng: 'U2' }, source: 'backfill_audit' },
+      { at: at('2026-03-05T16:00:00Z'), sprintIndex: 3, roles: { po: 'U1', uiEng: 'U2' }, source: 'backfill_snapshot' },
+    ], { now: at('2026-03-06T00:00:00Z') });
+
+    expect(stints).toEqual([
+      { sprintIndex: 3, role: 'po', slackId: 'U1', startedAt: at('2026-03-04T16:00:00Z'), endedAt: null, source: 'backfill_audit' },
+      { sprintIndex: 3, role: 'uiEng', slackId: 'U2', startedAt: at('2026-03-04T16:00:00Z'), endedAt: null, source: 'backfill_audit' },
+    ]);
+  });
+
+  it('splits a role mid-sprint and closes everything at the next sprint', () => {
+    const stints = reconstructStints([
+      { at: at('2026-03-18T15:00:00Z'), sprintIndex: 4, roles: { po: 'U3' }, source: 'backfill_audit' },
+      { at: at('2026-03-10T15:00:00Z'), sprintIndex: 3, roles: { po: 'U1' }, source: 'backfill_audit' },
+      { at: at('2026-03-12T20:00:00Z'), sprintIndex: 3, roles: { po: 'U2' }, source: 'backfill_audit' },
+    ], { now: at('2026-03-20T00:00:00Z') });
+
+    expect(stints.map(s => [s.sprintIndex, s.slackId, s.startedAt.toISOString(), s.endedAt && s.endedAt.toISOString()])).toEqual([
+      [3, 'U1', '2026-03-10T15:00:00.000Z', '2026-03-12T20:00:00.000Z'],
+      [3, 'U2', '2026-03-12T20:00:00.000Z', '2026-03-18T15:00:00.000Z'],
+      [4, 'U3', '2026-03-18T15:00:00.000Z', null],
+    ]);
+  });
+
+  it('closes an emptied role and ends leftover stints at a past sprint hand-off', () => {
+    const stints = reconstructStints([
+      { at: at('2026-03-04T16:00:00Z'), sprintIndex: 3, roles: { po: 'U1', beEng: 'U4' }, source: 'backfill_audit' },
+      { at: at('2026-03-06T16:00:00Z'), sprintIndex: 3, roles: { po: 'U1', beEng: null }, source: 'backfill_audit' },
+    ], { sprintEnds: { 3: at('2026-03-18T15:00:00Z') }, now: at('2026-04-01T00:00:00Z') });
+
+    expect(stints.find(s => s.role === 'beEng').endedAt).toEqual(at('2026-03-06T16:00:00Z'));
+    expect(stints.find(s => s.role === 'po').endedAt).toEqual(at('2026-03-18T15:00:00Z'));
+  });
+
+  it('leaves the running sprint open when its hand-off is still ahead', () => {
+    const stints = reconstructStints([
+      { at: at('2026-03-04T16:00:00Z'), sprintIndex: 3, roles: { po: 'U1' }, source: 'backfill_audit' },
+    ], { sprintEnds: { 3: at('2026-03-18T15:00:00Z') }, now: at('2026-03-10T00:00:00Z') });
+
+    expect(stints[0].endedAt).toBeNull();
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, expect } = require('bun:test');
+
+const {
+  normalizeShadow,
+  validateShadow,
+  shadowsForSprint,
+  shadowUserGroupIds,
+} = require('../../services/shadows');
+
+const roleKeys = ['account', 'po', 'uiEng'];
+
+describe('shadows', () => {
+  it('normalizes a shadow and opts out of the user group by default', () => {
+    expect(normalizeShadow({ sprintIndex: '4', role: 'po', slackId: 'U1' })).toEqual({
+      sprintIndex: 4,
+      role: 'po',
+      slackId: 'U1',
+      inUserGroup: false,
+    });
+  });
+
+  it('validates the sprint, role and person', () => {
+    expect(validateShadow({ sprintIndex: 4, role: 'po', slackId: 'U1' }, roleKeys)).toEqual({});
+    expect(validateShadow({ sprintIndex: null, role: 'nope', slackId: '' }, roleKeys)).toEqual({
+      sprint: 'Pick a sprint.',
+      role: 'Pick a role.',
+      user: 'Pick who shadows.',
+    });
+  });
+
+  it('lists a sprint\'s shadows in role order', () => {
+    const shadows = [
+      { sprintIndex: 4, role: 'uiEng', slackId: 'U3' },
+      { sprintIndex: 5, role: 'account', slackId: 'U9' },
+      { sprintIndex: 4, role: 'account', slackId: 'U1' },
+      { sprintIndex: 4, role: 'uiEng', slackId: 'U4' },
+    ];
+    expect(shadowsForSprint(shadows, 4, roleKeys).map(s => s.slackId)).toEqual(['U1', 'U3', 'U4']);
+  });
+
+  it('adds only opted-in shadows who are not on call to the user group', () => {
+    const shadows = [
+      { role: 'po', slackId: 'U1', inUserGroup: true },
+      { role: 'uiEng', slackId: 'U2', inUserGroup: false },
+      { role: 'account', slackId: 'U3', inUserGroup: true },
+    ];
+    expect(shadowUserGroupIds(shadows, ['U3'])).toEqual(['U1']);
+  });
+});
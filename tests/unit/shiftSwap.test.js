@@ -0,0 +1,39 @@
+const { describe, it, expect } = require('bun:test');
+
+const { checkSwap, buildSwapOverrides, isSwapOverride } = require('../../services/shiftSwap');
+
+const swap = {
+  role: 'po',
+  requester: { slackId: 'U1', sprintIndex: 3 },
+  counterparty: { slackId: 'U2', sprintIndex: 5 },
+};
+
+describe('shiftSwap', () => {
+  it('accepts a swap when both people still hold their shifts', () => {
+    expect(checkSwap(swap, { assignments: { 3: 'U1', 5: 'U2' }, overrides: [] })).toBeNull();
+  });
+
+  it('rejects stale or conflicting swaps', () => {
+    expect(checkSwap(swap, { assignments: { 3: 'U1', 5: 'U3' } })).toMatch(/<@U2> is no longer on PO/);
+    expect(checkSwap({ ...swap, counterparty: { slackId: 'U2', sprintIndex: 3 } }, { assignments: { 3: 'U1' } }))
+      .toMatch(/same sprint/);
+
+    const overrides = [{ sprintIndex: 5, role: 'po', newSlackId: 'U2', approved: true }];
+    expect(checkSwap(swap, { assignments: { 3: 'U1', 5: 'U2' }, overrides })).toMatch(/approved override/);
+
+    const otherRole = [{ sprintIndex: 5, role: 'eng', newSlackId: 'U9', approved: true }];
+    expect(checkSwap(swap, { assignments: { 3: 'U1', 5: 'U2' }, overrides: otherRole })).toBeNull();
+  });
+
+  it('turns a swap into two approved overrides covering each other', () => {
+    const [mine, theirs] = buildSwapOverrides(swap, { U1: 'Ann', U2: 'Bob' }, 'S1');
+    expect(mine).toEqual({ sprintIndex: 3, role: 'po', originalSlackId: 'U1', newSlackId: 'U2', newName: 'Bob', requestedBy: 'U1', status: 'approved', swapId: 'S1' });
+    expect(theirs).toEqual({ sprintIndex: 5, role: 'po', originalSlackId: 'U2', newSlackId: 'U1', newName: 'Ann', requestedBy: 'U2', status: 'approved', swapId: 'S1' });
+    expect(isSwapOverride(mine)).toBe(true);
+  });
+
+  it('tells swap halves from requests by the swap id alone', () => {
+    expect(isSwapOverride({ sprintIndex: 3, role: 'po', originalSlackId: 'U1', newSlackId: 'U2', requestedBy: 'U1' })).toBe(false);
+    expect(isSwapOverride({ sprintIndex: 3, role: 'po', newSlackId: 'U2', requestedBy: 'U1', swapId: 'S1' })).toBe(true);
+  });
+});
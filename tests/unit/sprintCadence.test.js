@@ -0,0 +1,95 @@
+const { describe, it, expect } = require('bun:test');
+
+const {
+  DEFAULT_CADENCE,
+  validateCadence,
+  fiscalYearOf,
+  formatSprintName,
+  generateSprints,
+  findConflicts,
+  digestSprints,
+} = require('../../services/sprintCadence');
+
+const endOfFy26 = [
+  { sprintName: 'FY26 Sp24', startDate: '2026-03-03', endDate: '2026-03-17', sprintIndex: 4 },
+  { sprintName: 'FY26 Sp25', startDate: '2026-03-17', endDate: '2026-03-31', sprintIndex: 5 },
+];
+
+const shape = (sprints) => sprints.map(s => `${s.sprintIndex} ${s.sprintName} ${s.startDate}>${s.endDate}`);
+
+describe('sprintCadence', () => {
+  it('validates the cadence fields', () => {
+    expect(validateCadence(DEFAULT_CADENCE)).toEqual({});
+    const errors = validateCadence({ anchorDate: 'soon', lengthDays: 3, namePattern: 'Sprint', fiscalYearStart: '4/1', runwayMonths: 0 });
+    expect(Object.keys(errors).sort()).toEqual(['anchorDate', 'fiscalYearStart', 'lengthDays', 'namePattern', 'runwayMonths']);
+  });
+
+  it('names fiscal years for the year they end in', () => {
+    expect(fiscalYearOf('2026-03-31', '04-01')).toEqual({ start: '2025-04-01', next: '2026-04-01', year: 2026 });
+    expect(fiscalYearOf('2026-04-01', '04-01').year).toBe(2027);
+    expect(fiscalYearOf('2026-06-01', '01-01').year).toBe(2026);
+    expect(formatSprintName('FY{fy} Sp{n}', 1, 2027)).toBe('FY27 Sp1');
+    expect(formatSprintName('{fyyyy}-S{n}', 3, 2026)).toBe('2026-S3');
+  });
+
+  it('starts a new fiscal year on the boundary and restarts numbering', () => {
+    const result = generateSprints({ cadence: { runwayMonths: 1 }, existing: endOfFy26, today: '2026-03-20' });
+    expect(result.runwayUntil).toBe('2026-04-20');
+    expect(shape(result.sprints)).toEqual([
+      '6 FY27 Sp1 2026-04-01>2026-04-14',
+      '7 FY27 Sp2 2026-04-14>2026-04-28',
+    ]);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it('continues the numbering of the latest sprint', () => {
+    const existing = [{ sprintName: 'FY27 Sp3', startDate: '2026-04-28', endDate: '2026-05-12', sprintIndex: 9 }];
+    const result = generateSprints({ cadence: { runwayMonths: 1 }, existing, today: '2026-05-01' });
+    expect(shape(result.sprints)).toEqual([
+      '10 FY27 Sp4 2026-05-12>2026-05-26',
+      '11 FY27 Sp5 2026-05-26>2026-06-09',
+    ]);
+  });
+
+  it('closes the fiscal year instead of leaving a sliver sprint', () => {
+    const existing = [{ sprintName: 'FY27 Sp25', startDate: '2027-03-02', endDate: '2027-03-16', sprintIndex: 29 }];
+    const result = generateSprints({ cadence: { runwayMonths: 1 }, existing, today: '2027-03-10' });
+    expect(shape(result.sprints)).toEqual([
+      '30 FY27 Sp26 2027-03-16>2027-04-01',
+      '31 FY28 Sp1 2027-04-01>2027-04-13',
+    ]);
+  });
+
+  it('hands the closing sprint of a fiscal year off to Sp1 on the boundary day', () => {
+    const existing = [{ sprintName: 'FY27 Sp25', startDate: '2027-03-09', endDate: '2027-03-23', sprintIndex: 29 }];
+    const result = generateSprints({ cadence: { runwayMonths: 1 }, existing, today: '2027-03-20' });
+    expect(shape(result.sprints)).toEqual([
+      '30 FY27 Sp26 2027-03-23>2027-04-01',
+      '31 FY28 Sp1 2027-04-01>2027-04-20',
+    ]);
+    const [closing, first] = result.sprints;
+    expect(closing.endDate).toBe(fiscalYearOf(closing.startDate, DEFAULT_CADENCE.fiscalYearStart).next);
+    expect(first.startDate).toBe(closing.endDate);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it('generates nothing when the runway is already covered', () => {
+    const result = generateSprints({ cadence: { runwayMonths: 1 }, existing: endOfFy26, today: '2026-02-01' });
+    expect(result.sprints).toEqual([]);
+  });
+
+  it('reports sprints that would duplicate or overlap existing ones', () => {
+    const generated = [{ sprintIndex: 6, sprintName: 'FY27 Sp1', startDate: '2026-04-01', endDate: '2026-04-14' }];
+    expect(findConflicts(generated, endOfFy26)).toEqual([]);
+    expect(findConflicts(generated, [{ sprintName: 'fy27 sp1', startDate: '2026-06-01', endDate: '2026-06-15', sprintIndex: 8 }])[0])
+      .toContain('already exists');
+    expect(findConflicts(generated, [{ sprintName: 'Hackweek', startDate: '2026-04-10', endDate: '2026-04-17', sprintIndex: 8 }])[0])
+      .toContain('overlaps Hackweek');
+  });
+
+  it('fingerprints the generated list', () => {
+    const { sprints } = generateSprints({ cadence: { runwayMonths: 1 }, existing: endOfFy26, today: '2026-03-20' });
+    expect(digestSprints(sprints)).toBe(digestSprints(sprints.map(s => ({ ...s }))));
+    expect(digestSprints(sprints.slice(1))).not.toBe(digestSprints(sprints));
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it, expect, afterEach } = require('bun:test');
+
+const {
+  getTeamTimezone,
+  getTeamTimezoneLabel,
+  formatTeamHour,
+  isValidTimezone,
+} = require('../../services/teamTimezone');
+
+describe('teamTimezone', () => {
+  const original = process.env.TEAM_TIMEZONE;
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.TEAM_TIMEZONE;
+    else process.env.TEAM_TIMEZONE = original;
+  });
+
+  it('defaults to America/Los_Angeles', () => {
+    delete process.env.TEAM_TIMEZONE;
+    expect(getTeamTimezone()).toBe('America/Los_Angeles');
+    expect(formatTeamHour(8)).toBe('8AM PT');
+  });
+
+  it('uses TEAM_TIMEZONE for the zone and copy', () => {
+    process.env.TEAM_TIMEZONE = 'America/New_York';
+    expect(getTeamTimezone()).toBe('America/New_York');
+    expect(formatTeamHour(8)).toBe('8AM ET');
+    expect(formatTeamHour(17)).toBe('5PM ET');
+    expect(formatTeamHour(0)).toBe('12AM ET');
+    expect(formatTeamHour(12)).toBe('12PM ET');
+  });
+
+  it('falls back to the default for an invalid zone', () => {
+    process.env.TEAM_TIMEZONE = 'Mars/Olympus_Mons';
+    expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    expect(getTeamTimezone()).toBe('America/Los_Angeles');
+  });
+
+  it('labels zones without a generic name from Intl', () => {
+    process.env.TEAM_TIMEZONE = 'Asia/Kolkata';
+    expect(getTeamTimezoneLabel(new Date('2026-01-14T12:00:00Z'))).toBeTruthy();
+    expect(getTeamTimezoneLabel()).not.toBe('PT');
+  });
+});
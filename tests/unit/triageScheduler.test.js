@@ -3,6 +3,9 @@ const { describe, it, expect, mock, beforeEach, afterEach, afterAll } = require(
 const cronScheduleMock = mock(() => ({ stop: mock(() => {}) }));
 const run5pmCheckMock = mock(async () => {});
 const run8amCheckMock = mock(async () => {});
+const runEscalationCheckMock = mock(async () => ({ enabled: true, checked: 0, escalated: 0 }));
+const runPendingOverrideSweepMock = mock(async () => ({ enabled: true, expired: 0, escalated: 0, reminded: 0 }));
+const runAfterHoursCheckMock = mock(async () => ({ enabled: false, announced: false }));
 
 mock.module('node-cron', () => ({
   schedule: cronScheduleMock,
@@ -13,6 +16,18 @@ mock.module('../../triageLogic', () => ({
   run8amCheck: run8amCheckMock,
 }));
 
+mock.module('../../services/escalation', () => ({
+  runEscalationCheck: runEscalationCheckMock,
+}));
+
+mock.module('../../services/overrideApproval', () => ({
+  runPendingOverrideSweep: runPendingOverrideSweepMock,
+}));
+
+mock.module('../../services/afterHoursRotation', () => ({
+  runAfterHoursCheck: runAfterHoursCheckMock,
+}));
+
 function loadScheduler() {
   const modulePath = require.resolve('../../triageScheduler');
   delete require.cache[modulePath];
@@ -44,13 +59,13 @@ describe('triageScheduler.scheduleDailyJobs', () => {
     expect(cronScheduleMock).not.toHaveBeenCalled();
   });
 
-  it('registers 5PM and 8AM PT cron jobs when ENABLE_IN_APP_CRON is true', () => {
+  it('registers 5PM and 8AM PT cron jobs, the escalation check, the pending override sweep and the after-hours check when ENABLE_IN_APP_CRON is true', () => {
     process.env.ENABLE_IN_APP_CRON = 'true';
     const { scheduleDailyJobs } = loadScheduler();
 
     scheduleDailyJobs();
 
-    expect(cronScheduleMock).toHaveBeenCalledTimes(2);
+    expect(cronScheduleMock).toHaveBeenCalledTimes(5);
 
     const firstCall = cronScheduleMock.mock.calls[0];
     expect(firstCall[0]).toBe('0 17 * * *');
@@ -61,9 +76,37 @@ describe('triageScheduler.scheduleDailyJobs', () => {
     expect(secondCall[0]).toBe('0 8 * * *');
     expect(typeof secondCall[1]).toBe('function');
     expect(secondCall[2]).toEqual({ timezone: 'America/Los_Angeles' });
+
+    const thirdCall = cronScheduleMock.mock.calls[2];
+    expect(thirdCall[0]).toBe('* * * * *');
+    expect(typeof thirdCall[1]).toBe('function');
+
+    const fourthCall = cronScheduleMock.mock.calls[3];
+    expect(fourthCall[0]).toBe('*/5 * * * *');
+    expect(typeof fourthCall[1]).toBe('function');
+
+    const fifthCall = cronScheduleMock.mock.calls[4];
+    expect(fifthCall[0]).toBe('0 * * * *');
+    expect(typeof fifthCall[1]).toBe('function');
+  });
+
+  it('schedules the daily jobs in the team timezone', () => {
+    process.env.ENABLE_IN_APP_CRON = 'true';
+    const originalZone = process.env.TEAM_TIMEZONE;
+    process.env.TEAM_TIMEZONE = 'America/New_York';
+    try {
+      const { scheduleDailyJobs } = loadScheduler();
+      scheduleDailyJobs();
+
+      expect(cronScheduleMock.mock.calls[0][2]).toEqual({ timezone: 'America/New_York' });
+      expect(cronScheduleMock.mock.calls[1][2]).toEqual({ timezone: 'America/New_York' });
+    } finally {
+      if (originalZone === undefined) delete process.env.TEAM_TIMEZONE;
+      else process.env.TEAM_TIMEZONE = originalZone;
+    }
   });
 
-  it('executes the scheduled callbacks and calls run5pmCheck/run8amCheck', async () => {
+  it('executes the scheduled callbacks and calls run5pmCheck/run8amCheck/runEscalationCheck/runPendingOverrideSweep/runAfterHoursCheck', async () => {
     process.env.ENABLE_IN_APP_CRON = 'true';
     const { scheduleDailyJobs } = loadScheduler();
 
@@ -71,12 +114,21 @@ describe('triageScheduler.scheduleDailyJobs', () => {
 
     const fivePmCallback = cronScheduleMock.mock.calls[0][1];
     const eightAmCallback = cronScheduleMock.mock.calls[1][1];
+    const escalationCallback = cronScheduleMock.mock.calls[2][1];
+    const overrideApprovalCallback = cronScheduleMock.mock.calls[3][1];
+    const afterHoursCallback = cronScheduleMock.mock.calls[4][1];
 
     await fivePmCallback();
     await eightAmCallback();
+    await escalationCallback();
+    await overrideApprovalCallback();
+    await afterHoursCallback();
 
     expect(run5pmCheckMock).toHaveBeenCalledTimes(1);
     expect(run8amCheckMock).toHaveBeenCalledTimes(1);
+    expect(runEscalationCheckMock).toHaveBeenCalledTimes(1);
+    expect(runPendingOverrideSweepMock).toHaveBeenCalledTimes(1);
+    expect(runAfterHoursCheckMock).toHaveBeenCalledTimes(1);
   });
 });
 
@@ -0,0 +1,198 @@
+/********************************
+ * timeOffHandler.js
+ * "My Time Off" from App Home: members enter unavailability that the rotation skips.
+ ********************************/
+const { slackApp, publishAppHomeForUser } = require('./appHome');
+const {
+  readSprints,
+  readUnavailability,
+  addUnavailability,
+  removeUnavailability,
+  formatSprintRangePT,
+  getTodayPT
+} = require('./dataUtils');
+const { validateRange, isUnavailableForSprint } = require('./services/availability');
+
+/**
+ * Modal listing the user's upcoming time off, with add/remove controls.
+ */
+async function buildTimeOffModalView({ userId }) {
+  const [entries, sprints] = await Promise.all([readUnavailability(), readSprints()]);
+  const mine = (Array.isArray(entries) ? entries : []).filter(e => e.slackId === userId);
+  const today = getTodayPT().format('YYYY-MM-DD');
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'If your time off covers every weekday of a sprint, the rotation skips you and the next person in line takes that sprint. For shorter absences, use Request Coverage.'
+      },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Add time off' },
+        style: 'primary',
+        action_id: 'time_off_add'
+      }
+    },
+    { type: 'divider' }
+  ];
+
+  if (mine.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_No upcoming time off._' } });
+  } else {
+    for (const entry of mine.slice(0, 40)) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${formatSprintRangePT(entry.startDate, entry.endDate)}*${entry.reason ? `\n${entry.reason}` : ''}`
+        },
+        accessory: {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Remove' },
+          style: 'danger',
+          action_id: 'time_off_remove',
+          value: String(entry.id)
+        }
+      });
+    }
+
+    const skipped = (Array.isArray(sprints) ? sprints : [])
+      .filter(s => String(s.endDate || '') >= today && isUnavailableForSprint(mine, userId, s));
+    if (skipped.length > 0) {
+      blocks.push({
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `The rotation will skip you for: ${skipped.map(s => s.sprintName || `Sprint ${s.sprintIndex}`).join(', ')}`
+        }]
+      });
+    }
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'time_off_modal',
+    title: { type: 'plain_text', text: 'My Time Off' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks
+  };
+}
+
+function buildAddTimeOffModalView({ parentViewId }) {
+  return {
+    type: 'modal',
+    callback_id: 'time_off_add_modal',
+    private_metadata: JSON.stringify({ parentViewId }),
+    title: { type: 'plain_text', text: 'Add time off' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'start_date',
+        element: { type: 'datepicker', action_id: 'start_date_input', placeholder: { type: 'plain_text', text: 'First day off' } },
+        label: { type: 'plain_text', text: 'Start Date' }
+      },
+      {
+        type: 'input',
+        block_id: 'end_date',
+        element: { type: 'datepicker', action_id: 'end_date_input', placeholder: { type: 'plain_text', text: 'Last day off' } },
+        label: { type: 'plain_text', text: 'End Date' }
+      },
+      {
+        type: 'input',
+        block_id: 'reason',
+        optional: true,
+        element: { type: 'plain_text_input', action_id: 'reason_input', max_length: 200 },
+        label: { type: 'plain_text', text: 'Reason' }
+      }
+    ]
+  };
+}
+
+slackApp.action('open_time_off', async ({ ack, body, client, logger }) => {
+  await ack();
+  const triggerId = body?.trigger_id;
+  const userId = body?.user?.id;
+  if (!triggerId || !userId) return;
+
+  try {
+    const view = await buildTimeOffModalView({ userId });
+    await client.views.open({ trigger_id: triggerId, view });
+  } catch (error) {
+    logger?.error?.('[open_time_off] failed', error);
+  }
+});
+
+slackApp.action('time_off_add', async ({ ack, body, client, logger }) => {
+  await ack();
+  const triggerId = body?.trigger_id;
+  if (!triggerId) return;
+
+  try {
+    await client.views.push({ trigger_id: triggerId, view: buildAddTimeOffModalView({ parentViewId: body?.view?.id || null }) });
+  } catch (error) {
+    logger?.error?.('[time_off_add] failed', error);
+  }
+});
+
+slackApp.view('time_off_add_modal', async ({ ack, body, view, client, logger }) => {
+  const userId = body?.user?.id;
+  const startDate = view.state.values?.start_date?.start_date_input?.selected_date || null;
+  const endDate = view.state.values?.end_date?.end_date_input?.selected_date || null;
+  const reason = view.state.values?.reason?.reason_input?.value || null;
+
+  const errors = {};
+  if (!startDate) errors.start_date = 'Start date is required';
+  if (!endDate) errors.end_date = 'End date is required';
+  if (startDate && endDate && validateRange(startDate, endDate)) {
+    errors.end_date = 'End date must be on or after the start date';
+  }
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+
+  await ack();
+
+  try {
+    const result = await addUnavailability({ slackId: userId, startDate, endDate, reason }, userId);
+    if (!result.ok) {
+      logger?.warn?.('[time_off_add_modal] not saved', { error: result.error });
+      return;
+    }
+
+    const meta = JSON.parse(view.private_metadata || '{}');
+    if (meta.parentViewId) {
+      await client.views.update({ view_id: meta.parentViewId, view: await buildTimeOffModalView({ userId }) });
+    }
+    await publishAppHomeForUser(client, userId);
+  } catch (error) {
+    logger?.error?.('[time_off_add_modal] failed', error);
+  }
+});
+
+slackApp.action('time_off_remove', async ({ ack, body, action, client, logger }) => {
+  await ack();
+  const userId = body?.user?.id;
+  const viewId = body?.view?.id;
+  if (!userId) return;
+
+  try {
+    // Members can only remove their own entries.
+    const removed = await removeUnavailability(action?.value, { slackId: userId, changedBy: userId });
+    if (viewId) {
+      await client.views.update({ view_id: viewId, view: await buildTimeOffModalView({ userId }) });
+    }
+    if (removed) await publishAppHomeForUser(client, userId);
+  } catch (error) {
+    logger?.error?.('[time_off_remove] failed', error);
+  }
+});
+
+module.exports = {
+  buildTimeOffModalView,
+  buildAddTimeOffModalView
+};
@@ -22,10 +22,23 @@ const {
   formatPTDate,
   parsePTDate,
   getTodayPT,
-  refreshCurrentState
+  refreshCurrentState,
+  readHolidays
 } = require("./dataUtils");
 
-const { notifyUser, notifyAdmins, updateOnCallUserGroup, updateChannelTopic, notifyRotationChanges } = require("./slackNotifier");
+const { notifyUser, notifyAdmins, notifyRotationChanges } = require("./slackNotifier");
+const { loadRoles, getRoleKeys, getRoleLabel, toRoleMap } = require("./services/roles");
+const { getTeamTimezone, formatTeamHour } = require("./services/teamTimezone");
+const { findHoliday } = require("./services/holidays");
+const { recordServed } = require("./services/servedHistory");
+const {
+  completeSprintHandoff,
+  notifyShadows,
+  describeShadowing,
+  reportRoleConflicts,
+  getSprintUsersForHandoff,
+  syncSlackRotation
+} = require("./services/sprintHandoff");
 
 // Define discipline-specific fallback IDs (if a discipline list is empty)
 const FALLBACK_USERS = {
@@ -39,11 +52,7 @@ const FALLBACK_USERS = {
 // Initialize currentState from file at startup
 let currentState = {
   sprintIndex: null,
-  account: null,
-  producer: null,
-  po: null,
-  uiEng: null,
-  beEng: null
+  ...toRoleMap()
 };
 console.log("[INIT] Current state initialized (lazy-loaded from DB/JSON when needed)");
 
@@ -95,7 +104,7 @@ function rolesToArray(roles) {
  */
 function diffRoles(oldRoles, newRoles) {
   const changes = [];
-  for (let role of ["account", "producer", "po", "uiEng", "beEng"]) {
+  for (let role of getRoleKeys()) {
     if (oldRoles[role] !== newRoles[role]) {
       changes.push({
         role,
@@ -125,7 +134,7 @@ async function dedupedNotifyUsers(userIds, message) {
 
 /**
  * run5pmCheck:
- *  - If today (in PT) is the same *day* as sprint.endDate (in PT),
+ *  - If today (in the team timezone) is the same *day* as sprint.endDate,
  *    send a "heads up" message to old roles and new roles for tomorrow's shift.
  */
 async function run5pmCheck() {
@@ -142,10 +151,10 @@ async function run5pmCheck() {
       return;
     }
 
-    // Interpret today's date in Pacific Time
+    // Interpret today's date in the team timezone
     const todayPT = getTodayPT();
 
-    // Also interpret the sprint's endDate in Pacific Time
+    // Also interpret the sprint's endDate in the team timezone
     const sprintEndPT = parsePTDate(currentSprint.endDate);
     
     // Check if parsing succeeded
@@ -154,7 +163,7 @@ async function run5pmCheck() {
       return;
     }
 
-    // If the current PT date is exactly the same calendar day as the sprint's end date
+    // If the current team date is exactly the same calendar day as the sprint's end date
     if (todayPT.isSame(sprintEndPT, "day")) {
       const nextSprint = await findNextSprint(currentSprint.index);
       if (!nextSprint) {
@@ -168,13 +177,20 @@ async function run5pmCheck() {
       // Notify old roles that their shift ends tomorrow (deduplicated)
       await dedupedNotifyUsers(
         rolesToArray(oldRoles), 
-        "Heads up: your #lcom-bug-triage shift ends tomorrow at 8AM PT."
+        `Heads up: your #lcom-bug-triage shift ends tomorrow at ${formatTeamHour(8)}.`
       );
       
       // Notify new roles they start tomorrow (deduplicated)
       await dedupedNotifyUsers(
         rolesToArray(newRoles),
-        "You start #lcom-bug-triage duty tomorrow at 8AM PT. Good luck!"
+        `You start #lcom-bug-triage duty tomorrow at ${formatTeamHour(8)}. Good luck!`
+      );
+
+      await notifyShadows(currentSprint.index, oldRoles, () =>
+        `Heads up: your #lcom-bug-triage shadow shift ends tomorrow at ${formatTeamHour(8)}.`
+      );
+      await notifyShadows(nextSprint.index, newRoles, (shadow, primaryId) =>
+        `You start shadowing #lcom-bug-triage duty ${describeShadowing(shadow, primaryId)} tomorrow at ${formatTeamHour(8)}. Good luck!`
       );
     }
   } catch (err) {
@@ -183,24 +199,45 @@ async function run5pmCheck() {
   }
 }
 
+/**
+ * The 'defer' holiday today in the team timezone, if any. Holiday lookup failures never block the check.
+ */
+async function findDeferHolidayToday() {
+  try {
+    const today = dayjs().tz(getTeamTimezone()).format('YYYY-MM-DD');
+    return findHoliday(today, await readHolidays(), 'defer');
+  } catch (err) {
+    console.error("[8AM] Failed to read holidays:", err);
+    return null;
+  }
+}
+
 /**
  * run8amCheck:
+ *  - On a 'defer' holiday, do nothing; the next business day's run picks up the changes.
  *  - If sprint index changed, finalize old roles & enable new roles.
  *  - If same sprint, check for mid-cycle changes.
+ * A hand-off moved by a 'shift' holiday is handled by findCurrentSprint.
  */
 async function run8amCheck() {
   try {
     console.log("[8AM] Starting 8AM check");
 
+    const deferHoliday = await findDeferHolidayToday();
+    if (deferHoliday) {
+      console.log(`[8AM] Today is ${deferHoliday.name}; deferring rotation updates to the next business day.`);
+      return;
+    }
+
     // Always load the latest persisted current state (DB/JSON) at the start of a run.
     currentState = await readCurrentState();
     
-    // First, refresh current state to ensure consistency
+    // First, refresh current state to ensure consistency. A sprint switch it saves is handed off
+    // below from the state it replaced, so the transition still runs.
     const stateUpdated = await refreshCurrentState();
     if (stateUpdated) {
       console.log("[8AM] State was refreshed due to inconsistencies");
-      // Reload the current state after refresh
-      currentState = await readCurrentState();
+      currentState = { sprintIndex: stateUpdated.fromIndex, ...stateUpdated.oldRoles };
     }
     
     const currentSprint = await findCurrentSprint();
@@ -213,9 +250,9 @@ async function run8amCheck() {
       return;
     }
 
-    // Track now in PT for logging
-    const nowPT = dayjs().tz("America/Los_Angeles");
-    console.log(`[8AM] Running 8AM check at ${nowPT.format('YYYY-MM-DD HH:mm:ss')} PT`);
+    // Track now in the team timezone for logging
+    const nowPT = dayjs().tz(getTeamTimezone());
+    console.log(`[8AM] Running 8AM check at ${nowPT.format('YYYY-MM-DD HH:mm:ss')} (${getTeamTimezone()})`);
 
     const oldIndex = currentState.sprintIndex;
     console.log(`[8AM] Current state sprint index: ${oldIndex}`);
@@ -227,14 +264,8 @@ async function run8amCheck() {
     if (currentSprint.index !== oldIndex) {
       console.log(`[8AM] Sprint transition detected: ${oldIndex} -> ${currentSprint.index}`);
       
-      const oldRoles = {
-        account: currentState.account,
-        producer: currentState.producer,
-        po: currentState.po,
-        uiEng: currentState.uiEng,
-        beEng: currentState.beEng,
-      };
-      const newRoles = await getSprintUsers(currentSprint.index);
+      const oldRoles = toRoleMap(currentState);
+      const newRoles = await getSprintUsersForHandoff(currentSprint.index);
 
       // Notify old roles (deduplicated)
       await dedupedNotifyUsers(
@@ -253,8 +284,7 @@ async function run8amCheck() {
       // #region agent log
       fetch('http://127.0.0.1:7244/ingest/531a11ed-2f40-4efd-8034-868687a93e81',{method:'POST',headers:{'Content-Type':'application/json','X-Debug-Session-Id':'3d438f'},body:JSON.stringify({sessionId:'3d438f',location:'triageLogic.js:run8amCheck',message:'updating Slack sprint transition',data:{userIdsLength:newUserArray.length,path:'8am_sprint_transition'},timestamp:Date.now(),hypothesisId:'B'})}).catch(()=>{});
       // #endregion
-      await updateOnCallUserGroup(newUserArray);
-      await updateChannelTopic(newUserArray);
+      await syncSlackRotation(currentSprint.index, newRoles);
 
       // Update currentState and persist
       currentState = {
@@ -262,13 +292,14 @@ async function run8amCheck() {
         ...newRoles,
       };
       await saveCurrentState(currentState);
+      await completeSprintHandoff({ fromIndex: oldIndex, toIndex: currentSprint.index, oldRoles, newRoles, sprintName: currentSprint.sprintName });
 
       console.log(`[8AM] Transitioned from sprint ${oldIndex} to ${currentSprint.index}.`);
     } else {
       console.log(`[8AM] No sprint transition: staying with sprint index ${oldIndex}`);
       
       // If we're in the same sprint, check if any roles changed mid-cycle (overrides, etc.)
-      const newRoles = await getSprintUsers(oldIndex);
+      const newRoles = await getSprintUsersForHandoff(oldIndex);
       const changes = diffRoles(currentState, newRoles);
 
       if (changes.length > 0) {
@@ -308,8 +339,7 @@ async function run8amCheck() {
         // #region agent log
         fetch('http://127.0.0.1:7244/ingest/531a11ed-2f40-4efd-8034-868687a93e81',{method:'POST',headers:{'Content-Type':'application/json','X-Debug-Session-Id':'3d438f'},body:JSON.stringify({sessionId:'3d438f',location:'triageLogic.js:run8amCheck',message:'updating Slack mid-cycle',data:{userIdsLength:newUserArray.length,path:'8am_mid_cycle'},timestamp:Date.now(),hypothesisId:'B'})}).catch(()=>{});
         // #endregion
-        await updateOnCallUserGroup(newUserArray);
-        await updateChannelTopic(newUserArray);
+        await syncSlackRotation(oldIndex, newRoles);
 
         // Update currentState and persist
         currentState = {
@@ -317,6 +347,8 @@ async function run8amCheck() {
           ...newRoles,
         };
         await saveCurrentState(currentState);
+        await recordServed(oldIndex, newRoles, 'rotation_update');
+        await reportRoleConflicts(oldIndex, currentSprint.sprintName, changes.map(c => c.role));
       } else {
         console.log("[8AM] No mid-cycle changes detected.");
       }
@@ -351,13 +383,14 @@ async function applyCurrentSprintRotation() {
     // #region agent log
     fetch('http://127.0.0.1:7244/ingest/531a11ed-2f40-4efd-8034-868687a93e81',{method:'POST',headers:{'Content-Type':'application/json','X-Debug-Session-Id':'3d438f'},body:JSON.stringify({sessionId:'3d438f',location:'triageLogic.js:applyCurrentSprintRotation',message:'updating Slack admin apply',data:{userIdsLength:newUserArray.length,path:'admin_apply_rotation'},timestamp:Date.now(),hypothesisId:'B'})}).catch(()=>{});
     // #endregion
-    await updateOnCallUserGroup(newUserArray);
-    await updateChannelTopic(newUserArray);
+    await syncSlackRotation(currentSprint.index, newRoles);
     currentState = {
       sprintIndex: currentSprint.index,
       ...newRoles
     };
     await saveCurrentState(currentState);
+    await recordServed(currentSprint.index, newRoles, 'override');
+    await reportRoleConflicts(currentSprint.index, currentSprint.sprintName, changes.map(c => c.role));
     const affectedUserIds = [...new Set(changes.flatMap(c => [c.oldUser, c.newUser].filter(Boolean)))];
     return { updated: true, affectedUserIds };
   } catch (err) {
@@ -370,7 +403,7 @@ async function applyCurrentSprintRotation() {
 /**
  * Apply admin-supplied role map for the current sprint only.
  * Diff with current state, notify, update user group/topic, save state, return affected user IDs.
- * @param {{ account?: string|null, producer?: string|null, po?: string|null, uiEng?: string|null, beEng?: string|null }} newRoles
+ * @param {Object<string, string|null>} newRoles - Role key -> Slack ID for each configured role
  * @returns {{ updated: boolean, affectedUserIds: string[] }}
  */
 async function setCurrentSprintRolesFromAdmin(newRoles) {
@@ -379,17 +412,12 @@ async function setCurrentSprintRolesFromAdmin(newRoles) {
     if (!currentSprint || !Number.isFinite(Number(currentSprint.index))) {
       return { updated: false, affectedUserIds: [] };
     }
+    await loadRoles();
     const oldState = await readCurrentState();
     if (Number(oldState.sprintIndex) !== Number(currentSprint.index)) {
       return { updated: false, affectedUserIds: [] };
     }
-    const roles = {
-      account: newRoles.account ?? null,
-      producer: newRoles.producer ?? null,
-      po: newRoles.po ?? null,
-      uiEng: newRoles.uiEng ?? null,
-      beEng: newRoles.beEng ?? null
-    };
+    const roles = toRoleMap(newRoles);
     const changes = diffRoles(oldState, roles);
     if (changes.length === 0) {
       return { updated: false, affectedUserIds: [] };
@@ -400,13 +428,13 @@ async function setCurrentSprintRolesFromAdmin(newRoles) {
     // #region agent log
     fetch('http://127.0.0.1:7244/ingest/531a11ed-2f40-4efd-8034-868687a93e81',{method:'POST',headers:{'Content-Type':'application/json','X-Debug-Session-Id':'3d438f'},body:JSON.stringify({sessionId:'3d438f',location:'triageLogic.js:setCurrentSprintRolesFromAdmin',message:'updating Slack admin set roles',data:{userIdsLength:newUserArray.length,path:'admin_set_roles'},timestamp:Date.now(),hypothesisId:'B'})}).catch(()=>{});
     // #endregion
-    await updateOnCallUserGroup(newUserArray);
-    await updateChannelTopic(newUserArray);
+    await syncSlackRotation(currentSprint.index, roles);
     currentState = {
       sprintIndex: currentSprint.index,
       ...roles
     };
     await saveCurrentState(currentState);
+    await recordServed(currentSprint.index, roles, 'admin');
     const affectedUserIds = [...new Set(changes.flatMap(c => [c.oldUser, c.newUser].filter(Boolean)))];
     return { updated: true, affectedUserIds };
   } catch (err) {
@@ -416,6 +444,37 @@ async function setCurrentSprintRolesFromAdmin(newRoles) {
   }
 }
 
+/**
+ * Apply a shadow added to or removed from the current sprint: re-sync the on-call group and DM
+ * the shadow. Shadows of other sprints are picked up by the 5PM and 8AM checks.
+ * @param {{ sprintIndex: number, role: string, slackId: string }} shadow
+ * @returns {Promise<boolean>} true when the shadow's sprint is the current one
+ */
+async function applyCurrentSprintShadowChange(shadow, { removed = false } = {}) {
+  try {
+    const currentSprint = await findCurrentSprint();
+    if (!currentSprint || Number(currentSprint.index) !== Number(shadow?.sprintIndex)) {
+      return false;
+    }
+    const state = await readCurrentState();
+    if (Number(state.sprintIndex) !== Number(currentSprint.index)) {
+      return false;
+    }
+    const roles = toRoleMap(state);
+    await syncSlackRotation(currentSprint.index, roles);
+    if (!rolesToArray(roles).includes(shadow.slackId)) {
+      await notifyUser(shadow.slackId, removed
+        ? "You are no longer shadowing #lcom-bug-triage duty this sprint."
+        : `You are now shadowing #lcom-bug-triage duty ${describeShadowing(shadow, roles[shadow.role] || null)}. Good luck!`);
+    }
+    return true;
+  } catch (err) {
+    console.error("[applyCurrentSprintShadowChange] Error:", err);
+    await notifyAdmins(`[applyCurrentSprintShadowChange] Error: ${err.message}`);
+    return false;
+  }
+}
+
 /* =================================
    Helper: Force a given sprintIndex
    (manual override if needed)
@@ -429,9 +488,7 @@ async function setCurrentSprintState(sprintIndex) {
     };
     
     // Update with deduplicated user list
-    const userArray = rolesToArray(roles);
-    await updateOnCallUserGroup(userArray);
-    await updateChannelTopic(userArray);
+    await syncSlackRotation(sprintIndex, roles);
     
     await saveCurrentState(currentState);
     console.log(`[setCurrentSprintState] State set for sprint index ${sprintIndex}.`, currentState);
@@ -456,13 +513,7 @@ async function runImmediateRotation() {
       return;
     }
 
-    const oldRoles = {
-      account: currentState.account,
-      producer: currentState.producer,
-      po: currentState.po,
-      uiEng: currentState.uiEng,
-      beEng: currentState.beEng,
-    };
+    const oldRoles = toRoleMap(currentState);
     const hadOldState = currentState.sprintIndex !== null;
     const newRoles = await getSprintUsers(currentSprint.index);
 
@@ -485,9 +536,7 @@ async function runImmediateRotation() {
     );
     
     // Update with deduplicated user list
-    const newUserArray = rolesToArray(newRoles);
-    await updateOnCallUserGroup(newUserArray);
-    await updateChannelTopic(newUserArray);
+    await syncSlackRotation(currentSprint.index, newRoles);
 
     currentState = {
       sprintIndex: currentSprint.index,
@@ -549,13 +598,7 @@ async function forceSprintTransition(newSprintIndex, mockNotifications = true) {
   
   try {
     const oldIndex = currentState.sprintIndex;
-    const oldRoles = {
-      account: currentState.account,
-      producer: currentState.producer,
-      po: currentState.po,
-      uiEng: currentState.uiEng,
-      beEng: currentState.beEng,
-    };
+    const oldRoles = toRoleMap(currentState);
     
     // Get the new sprint users
     const newRoles = await getSprintUsers(newSprintIndex);
@@ -630,5 +673,6 @@ module.exports = {
   getCurrentState,
   forceSprintTransition,
   applyCurrentSprintRotation,
-  setCurrentSprintRolesFromAdmin
+  setCurrentSprintRolesFromAdmin,
+  applyCurrentSprintShadowChange
 };
\ No newline at end of file
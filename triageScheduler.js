@@ -3,6 +3,10 @@
  ********************************/
 const cron = require('node-cron');
 const { run5pmCheck, run8amCheck } = require('./triageLogic');
+const { runEscalationCheck } = require('./services/escalation');
+const { runPendingOverrideSweep } = require('./services/overrideApproval');
+const { runAfterHoursCheck } = require('./services/afterHoursRotation');
+const { getTeamTimezone } = require('./services/teamTimezone');
 
 const ENABLE_IN_APP_CRON = process.env.ENABLE_IN_APP_CRON === 'true';
 
@@ -12,21 +16,57 @@ function scheduleDailyJobs() {
     return;
   }
 
+  // 5PM and 8AM are wall-clock times in the team timezone.
+  const timezone = getTeamTimezone();
+
   cron.schedule('0 17 * * *', async () => {
     console.log('[CRON] 5PM job fired.');
     await run5pmCheck();
   }, {
-    timezone: 'America/Los_Angeles'
+    timezone
   });
 
   cron.schedule('0 8 * * *', async () => {
     console.log('[CRON] 8AM job fired.');
     await run8amCheck();
   }, {
-    timezone: 'America/Los_Angeles'
+    timezone
+  });
+
+  // Bug escalation steps are minutes apart, so check every minute.
+  cron.schedule('* * * * *', async () => {
+    try {
+      await runEscalationCheck();
+    } catch (error) {
+      console.error('[CRON] Escalation check failed:', error);
+    }
+  }, {
+    timezone
+  });
+
+  // Pending override requests: expiry, lead timeouts and reminders are all hours apart, so every 5 minutes is plenty.
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await runPendingOverrideSweep();
+    } catch (error) {
+      console.error('[CRON] Pending override sweep failed:', error);
+    }
+  }, {
+    timezone
+  });
+
+  // After-hours shifts start on the hour.
+  cron.schedule('0 * * * *', async () => {
+    try {
+      await runAfterHoursCheck();
+    } catch (error) {
+      console.error('[CRON] After-hours check failed:', error);
+    }
+  }, {
+    timezone
   });
 
-  console.log('[CRON] Scheduled daily cron jobs at 5PM & 8AM PT.');
+  console.log(`[CRON] Scheduled daily cron jobs at 5PM & 8AM (${timezone}), the escalation check every minute, the pending override sweep every 5 minutes and the after-hours check hourly.`);
 }
 
 module.exports = { scheduleDailyJobs };